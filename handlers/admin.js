@@ -0,0 +1,566 @@
+"use strict";
+
+const { DynamoDBClient } = require("@aws-sdk/client-dynamodb");
+const { DynamoDBDocumentClient, GetCommand, UpdateCommand, ScanCommand } = require("@aws-sdk/lib-dynamodb");
+
+const response = require("../utils/response");
+const permissions = require("../utils/permissions");
+const tokens = require("../utils/tokens");
+const passwordReset = require("../utils/passwordReset");
+const audit = require("../utils/audit");
+const validation = require("../utils/validation");
+const storage = require("../utils/storage");
+
+/**
+ * ADMIN HANDLER
+ * =============
+ * Gestion des utilisateurs par les administrateurs
+ *
+ * Fonctionnalités:
+ * - Liste et recherche des utilisateurs (paginée)
+ * - Changement de rôle
+ * - Désactivation / réactivation de comptes
+ * - Réinitialisation forcée du mot de passe
+ * - Surcharge du quota de stockage d'un utilisateur
+ * - Consultation du journal d'audit d'un utilisateur
+ *
+ * Toutes les routes nécessitent la permission "user:manage"
+ * Chaque modification est enregistrée dans le journal d'audit
+ */
+
+const dynamoClient = new DynamoDBClient({});
+const dynamodb = DynamoDBDocumentClient.from(dynamoClient);
+
+const USERS_TABLE = process.env.USERS_TABLE;
+
+/**
+ * Retire les données sensibles d'un utilisateur
+ * @param {object} user - Utilisateur complet
+ * @returns {object} Utilisateur sans secrets
+ */
+function toAdminView(user) {
+  const { passwordHash, passwordSalt, resetTokenId, ...adminView } = user;
+  return adminView;
+}
+
+/**
+ * Récupère un utilisateur par son ID
+ * @param {string} userId - ID de l'utilisateur
+ * @returns {Promise<object|null>} Utilisateur ou null
+ */
+async function getUser(userId) {
+  const result = await dynamodb.send(
+    new GetCommand({
+      TableName: USERS_TABLE,
+      Key: { userId: userId },
+    })
+  );
+  return result.Item || null;
+}
+
+/**
+ * Vérifie si un utilisateur correspond aux critères de recherche
+ * @param {object} user - Utilisateur
+ * @param {object} filters - {q, role, isActive}
+ * @returns {boolean} True si l'utilisateur correspond
+ */
+function matchesFilters(user, filters) {
+  if (filters.role && user.role !== filters.role) {
+    return false;
+  }
+
+  if (filters.isActive !== undefined && Boolean(user.isActive) !== filters.isActive) {
+    return false;
+  }
+
+  if (filters.q) {
+    const haystack = `${user.email || ""} ${user.name || ""}`.toLowerCase();
+    return haystack.includes(filters.q);
+  }
+
+  return true;
+}
+
+/**
+ * LIST USERS - Lister et rechercher les utilisateurs
+ * GET /admin/users?q=john&role=author&isActive=true&limit=20&lastKey=xxx
+ *
+ * Nécessite la permission "user:manage"
+ * La recherche (q) porte sur l'email et le nom, sans tenir compte de la casse
+ */
+module.exports.listUsers = async (event) => {
+  console.log("=== ADMIN LIST USERS ===");
+
+  try {
+    const authUserRole = event.requestContext?.authorizer?.role;
+
+    if (!permissions.can(authUserRole, "user:manage")) {
+      return response.forbidden("Only admins can manage users");
+    }
+
+    const queryParams = event.queryStringParameters || {};
+    const limit = Math.min(parseInt(queryParams.limit) || 20, 100);
+    const lastKey = queryParams.lastKey ? JSON.parse(decodeURIComponent(queryParams.lastKey)) : null;
+
+    const filters = {
+      q: queryParams.q ? queryParams.q.trim().toLowerCase() : null,
+      role: queryParams.role || null,
+      isActive: queryParams.isActive !== undefined ? queryParams.isActive === "true" : undefined,
+    };
+
+    if (filters.role && !permissions.isValidRole(filters.role)) {
+      return response.badRequest(`Role must be one of: ${permissions.ROLES.join(", ")}`);
+    }
+
+    // Le filtre est appliqué après lecture: on continue le scan jusqu'à remplir la page
+    const users = [];
+    let exclusiveStartKey = lastKey;
+    let hasMore = false;
+
+    do {
+      const result = await dynamodb.send(
+        new ScanCommand({
+          TableName: USERS_TABLE,
+          ExclusiveStartKey: exclusiveStartKey || undefined,
+        })
+      );
+
+      for (const user of result.Items) {
+        if (!matchesFilters(user, filters)) {
+          continue;
+        }
+        if (users.length === limit) {
+          hasMore = true;
+          break;
+        }
+        users.push(user);
+      }
+
+      exclusiveStartKey = result.LastEvaluatedKey;
+    } while (!hasMore && exclusiveStartKey);
+
+    console.log(`Admin retrieved ${users.length} users`);
+
+    const responseData = {
+      users: users.map(toAdminView),
+      count: users.length,
+    };
+
+    // La page suivante reprend après le dernier utilisateur renvoyé
+    if (hasMore && users.length > 0) {
+      responseData.lastKey = encodeURIComponent(JSON.stringify({ userId: users[users.length - 1].userId }));
+      responseData.hasMore = true;
+    } else {
+      responseData.hasMore = false;
+    }
+
+    return response.ok(responseData);
+  } catch (error) {
+    console.error("Error in listUsers:", error);
+    return response.handleError(error);
+  }
+};
+
+/**
+ * UPDATE USER ROLE - Changer le rôle d'un utilisateur
+ * PATCH /admin/users/{userId}/role
+ *
+ * Nécessite la permission "user:manage"
+ * Les access tokens en cours sont invalidés (le rôle est inclus dans le JWT);
+ * le prochain refresh émet un token avec le nouveau rôle.
+ *
+ * Body:
+ * {
+ *   "role": "editor",
+ *   "reason": "Promotion" (optionnel)
+ * }
+ */
+module.exports.updateUserRole = async (event) => {
+  console.log("=== ADMIN UPDATE USER ROLE ===");
+
+  try {
+    const userId = event.pathParameters?.userId;
+    const authUserId = event.requestContext?.authorizer?.userId;
+    const authUserRole = event.requestContext?.authorizer?.role;
+
+    if (!permissions.can(authUserRole, "user:manage")) {
+      return response.forbidden("Only admins can manage users");
+    }
+
+    if (!userId) {
+      return response.badRequest("User ID is required");
+    }
+
+    if (userId === authUserId) {
+      return response.forbidden("You cannot change your own role");
+    }
+
+    const body = JSON.parse(event.body || "{}");
+
+    if (!permissions.isValidRole(body.role)) {
+      return response.badRequest(`Role must be one of: ${permissions.ROLES.join(", ")}`);
+    }
+
+    const user = await getUser(userId);
+
+    if (!user) {
+      return response.notFound("User not found");
+    }
+
+    if (user.role === body.role) {
+      return response.badRequest(`User already has role: ${body.role}`);
+    }
+
+    const updateResult = await dynamodb.send(
+      new UpdateCommand({
+        TableName: USERS_TABLE,
+        Key: { userId: userId },
+        UpdateExpression:
+          "SET #role = :role, updatedAt = :updatedAt, tokenVersion = if_not_exists(tokenVersion, :zero) + :one",
+        ExpressionAttributeNames: {
+          "#role": "role",
+        },
+        ExpressionAttributeValues: {
+          ":role": body.role,
+          ":updatedAt": new Date().toISOString(),
+          ":zero": 0,
+          ":one": 1,
+        },
+        ReturnValues: "ALL_NEW",
+      })
+    );
+
+    await audit.record({
+      actorId: authUserId,
+      actorRole: authUserRole,
+      action: "user.role.update",
+      targetType: "user",
+      targetId: userId,
+      changes: { role: { from: user.role, to: body.role } },
+      reason: body.reason,
+    });
+
+    console.log(`Role of user ${userId} changed from ${user.role} to ${body.role}`);
+
+    return response.ok({
+      message: "User role updated successfully",
+      user: toAdminView(updateResult.Attributes),
+    });
+  } catch (error) {
+    console.error("Error in updateUserRole:", error);
+    return response.handleError(error);
+  }
+};
+
+/**
+ * UPDATE USER STATUS - Désactiver ou réactiver un compte
+ * PATCH /admin/users/{userId}/status
+ *
+ * Nécessite la permission "user:manage"
+ * La désactivation ferme immédiatement toutes les sessions de l'utilisateur
+ *
+ * Body:
+ * {
+ *   "isActive": false,
+ *   "reason": "Spam" (optionnel)
+ * }
+ */
+module.exports.updateUserStatus = async (event) => {
+  console.log("=== ADMIN UPDATE USER STATUS ===");
+
+  try {
+    const userId = event.pathParameters?.userId;
+    const authUserId = event.requestContext?.authorizer?.userId;
+    const authUserRole = event.requestContext?.authorizer?.role;
+
+    if (!permissions.can(authUserRole, "user:manage")) {
+      return response.forbidden("Only admins can manage users");
+    }
+
+    if (!userId) {
+      return response.badRequest("User ID is required");
+    }
+
+    if (userId === authUserId) {
+      return response.forbidden("You cannot change the status of your own account");
+    }
+
+    const body = JSON.parse(event.body || "{}");
+
+    if (typeof body.isActive !== "boolean") {
+      return response.badRequest("isActive must be a boolean");
+    }
+
+    const user = await getUser(userId);
+
+    if (!user) {
+      return response.notFound("User not found");
+    }
+
+    if (Boolean(user.isActive) === body.isActive) {
+      return response.badRequest(`User is already ${body.isActive ? "active" : "deactivated"}`);
+    }
+
+    const updates = ["isActive = :isActive", "updatedAt = :updatedAt"];
+    const expressionAttributeValues = {
+      ":isActive": body.isActive,
+      ":updatedAt": new Date().toISOString(),
+    };
+
+    // Désactivation: invalider tous les access tokens existants
+    if (!body.isActive) {
+      updates.push("tokenVersion = if_not_exists(tokenVersion, :zero) + :one");
+      expressionAttributeValues[":zero"] = 0;
+      expressionAttributeValues[":one"] = 1;
+    }
+
+    const updateResult = await dynamodb.send(
+      new UpdateCommand({
+        TableName: USERS_TABLE,
+        Key: { userId: userId },
+        UpdateExpression: `SET ${updates.join(", ")}`,
+        ExpressionAttributeValues: expressionAttributeValues,
+        ReturnValues: "ALL_NEW",
+      })
+    );
+
+    if (!body.isActive) {
+      await tokens.revokeAllForUser(userId);
+    }
+
+    await audit.record({
+      actorId: authUserId,
+      actorRole: authUserRole,
+      action: body.isActive ? "user.reactivate" : "user.deactivate",
+      targetType: "user",
+      targetId: userId,
+      changes: { isActive: { from: Boolean(user.isActive), to: body.isActive } },
+      reason: body.reason,
+    });
+
+    console.log(`User ${userId} ${body.isActive ? "reactivated" : "deactivated"}`);
+
+    return response.ok({
+      message: `User ${body.isActive ? "reactivated" : "deactivated"} successfully`,
+      user: toAdminView(updateResult.Attributes),
+    });
+  } catch (error) {
+    console.error("Error in updateUserStatus:", error);
+    return response.handleError(error);
+  }
+};
+
+/**
+ * FORCE PASSWORD RESET - Imposer la réinitialisation du mot de passe
+ * POST /admin/users/{userId}/force-password-reset
+ *
+ * Nécessite la permission "user:manage"
+ * Ferme toutes les sessions, bloque le login avec l'ancien mot de passe
+ * et envoie un email de réinitialisation à l'utilisateur
+ *
+ * Body (optionnel):
+ * {
+ *   "reason": "Compromised account"
+ * }
+ */
+module.exports.forcePasswordReset = async (event) => {
+  console.log("=== ADMIN FORCE PASSWORD RESET ===");
+
+  try {
+    const userId = event.pathParameters?.userId;
+    const authUserId = event.requestContext?.authorizer?.userId;
+    const authUserRole = event.requestContext?.authorizer?.role;
+
+    if (!permissions.can(authUserRole, "user:manage")) {
+      return response.forbidden("Only admins can manage users");
+    }
+
+    if (!userId) {
+      return response.badRequest("User ID is required");
+    }
+
+    const body = JSON.parse(event.body || "{}");
+
+    const user = await getUser(userId);
+
+    if (!user) {
+      return response.notFound("User not found");
+    }
+
+    await dynamodb.send(
+      new UpdateCommand({
+        TableName: USERS_TABLE,
+        Key: { userId: userId },
+        UpdateExpression:
+          "SET passwordResetRequired = :true, updatedAt = :updatedAt, " +
+          "tokenVersion = if_not_exists(tokenVersion, :zero) + :one",
+        ExpressionAttributeValues: {
+          ":true": true,
+          ":updatedAt": new Date().toISOString(),
+          ":zero": 0,
+          ":one": 1,
+        },
+      })
+    );
+
+    await tokens.revokeAllForUser(userId);
+    await passwordReset.sendPasswordReset(user);
+
+    await audit.record({
+      actorId: authUserId,
+      actorRole: authUserRole,
+      action: "user.password.force_reset",
+      targetType: "user",
+      targetId: userId,
+      changes: { passwordResetRequired: { from: Boolean(user.passwordResetRequired), to: true } },
+      reason: body.reason,
+    });
+
+    console.log(`Password reset forced for user: ${userId}`);
+
+    return response.ok({
+      message: "Password reset enforced and email sent",
+      userId: userId,
+    });
+  } catch (error) {
+    console.error("Error in forcePasswordReset:", error);
+    return response.handleError(error);
+  }
+};
+
+/**
+ * UPDATE STORAGE QUOTA - Surcharger le quota de stockage d'un utilisateur
+ * PATCH /admin/users/{userId}/storage-quota
+ *
+ * Nécessite la permission "user:manage"
+ * Chaque limite fournie remplace celle du rôle (null = illimité);
+ * une limite absente revient à celle du rôle. Un body sans limite retire la surcharge.
+ * Un quota abaissé sous l'usage actuel bloque les nouveaux uploads sans supprimer de fichier.
+ *
+ * Body:
+ * {
+ *   "maxBytes": 10737418240,
+ *   "maxFiles": null,
+ *   "reason": "Podcasteur" (optionnel)
+ * }
+ */
+module.exports.updateStorageQuota = async (event) => {
+  console.log("=== ADMIN UPDATE STORAGE QUOTA ===");
+
+  try {
+    const userId = event.pathParameters?.userId;
+    const authUserId = event.requestContext?.authorizer?.userId;
+    const authUserRole = event.requestContext?.authorizer?.role;
+
+    if (!permissions.can(authUserRole, "user:manage")) {
+      return response.forbidden("Only admins can manage users");
+    }
+
+    if (!userId) {
+      return response.badRequest("User ID is required");
+    }
+
+    const body = JSON.parse(event.body || "{}");
+
+    const validationResult = validation.validateStorageQuota(body);
+    if (!validationResult.valid) {
+      return response.badRequest("Validation failed", validationResult.errors);
+    }
+
+    const user = await getUser(userId);
+
+    if (!user) {
+      return response.notFound("User not found");
+    }
+
+    const override = {};
+    for (const field of ["maxBytes", "maxFiles"]) {
+      if (body[field] !== undefined) {
+        override[field] = body[field];
+      }
+    }
+    const hasOverride = Object.keys(override).length > 0;
+
+    const updateResult = await dynamodb.send(
+      new UpdateCommand({
+        TableName: USERS_TABLE,
+        Key: { userId: userId },
+        UpdateExpression: hasOverride
+          ? "SET storageQuota = :storageQuota, updatedAt = :updatedAt"
+          : "SET updatedAt = :updatedAt REMOVE storageQuota",
+        ExpressionAttributeValues: hasOverride
+          ? { ":storageQuota": override, ":updatedAt": new Date().toISOString() }
+          : { ":updatedAt": new Date().toISOString() },
+        ReturnValues: "ALL_NEW",
+      })
+    );
+
+    await audit.record({
+      actorId: authUserId,
+      actorRole: authUserRole,
+      action: "user.storage_quota.update",
+      targetType: "user",
+      targetId: userId,
+      changes: { storageQuota: { from: user.storageQuota || null, to: hasOverride ? override : null } },
+      reason: body.reason,
+    });
+
+    console.log(`Storage quota of user ${userId} ${hasOverride ? "overridden" : "reset to role default"}`);
+
+    return response.ok({
+      message: hasOverride ? "Storage quota updated successfully" : "Storage quota reset to role default",
+      userId: userId,
+      ...storage.getStorageReport(updateResult.Attributes),
+    });
+  } catch (error) {
+    console.error("Error in updateStorageQuota:", error);
+    return response.handleError(error);
+  }
+};
+
+/**
+ * GET USER AUDIT LOG - Historique des actions d'administration sur un utilisateur
+ * GET /admin/users/{userId}/audit?limit=20&lastKey=xxx
+ *
+ * Nécessite la permission "user:manage"
+ */
+module.exports.getUserAuditLog = async (event) => {
+  console.log("=== ADMIN GET USER AUDIT LOG ===");
+
+  try {
+    const userId = event.pathParameters?.userId;
+    const authUserRole = event.requestContext?.authorizer?.role;
+
+    if (!permissions.can(authUserRole, "user:manage")) {
+      return response.forbidden("Only admins can manage users");
+    }
+
+    if (!userId) {
+      return response.badRequest("User ID is required");
+    }
+
+    const queryParams = event.queryStringParameters || {};
+    const limit = parseInt(queryParams.limit) || 20;
+    const lastKey = queryParams.lastKey ? JSON.parse(decodeURIComponent(queryParams.lastKey)) : null;
+
+    const result = await audit.listForTarget(userId, limit, lastKey);
+
+    const responseData = {
+      entries: result.items,
+      count: result.items.length,
+      userId: userId,
+    };
+
+    if (result.lastKey) {
+      responseData.lastKey = encodeURIComponent(JSON.stringify(result.lastKey));
+      responseData.hasMore = true;
+    } else {
+      responseData.hasMore = false;
+    }
+
+    return response.ok(responseData);
+  } catch (error) {
+    console.error("Error in getUserAuditLog:", error);
+    return response.handleError(error);
+  }
+};
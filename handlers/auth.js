@@ -1,7 +1,13 @@
 "use strict";
 
 const { DynamoDBClient } = require("@aws-sdk/client-dynamodb");
-const { DynamoDBDocumentClient, PutCommand, QueryCommand } = require("@aws-sdk/lib-dynamodb");
+const {
+  DynamoDBDocumentClient,
+  PutCommand,
+  GetCommand,
+  QueryCommand,
+  UpdateCommand,
+} = require("@aws-sdk/lib-dynamodb");
 const crypto = require("crypto");
 const { v4: uuidv4 } = require("uuid");
 
@@ -9,6 +15,8 @@ const response = require("../utils/response");
 const validation = require("../utils/validation");
 const jwt = require("../utils/jwt");
 const secrets = require("../utils/secrets");
+const passwordReset = require("../utils/passwordReset");
+const tokens = require("../utils/tokens");
 
 /**
  * AUTHENTICATION HANDLER
@@ -18,7 +26,10 @@ const secrets = require("../utils/secrets");
  * Fonctionnalités:
  * - Enregistrement de nouveaux utilisateurs
  * - Authentification (login) avec génération de JWT
+ * - Rafraîchissement des tokens (refresh token rotatif)
+ * - Déconnexion (session courante ou toutes les sessions)
  * - Hashage sécurisé des mots de passe (bcrypt-style avec salt)
+ * - Réinitialisation du mot de passe par email (token à usage unique)
  */
 
 const dynamoClient = new DynamoDBClient({});
@@ -62,7 +73,7 @@ function verifyPassword(password, hash, salt) {
  *
  * SÉCURITÉ: Le rôle n'est PLUS accepté dans le body.
  * Tous les nouveaux utilisateurs sont "author" par défaut.
- * Seul un admin peut changer le rôle via un endpoint dédié (à implémenter).
+ * Seul un admin peut changer le rôle via PATCH /admin/users/{userId}/role.
  */
 module.exports.register = async (event) => {
   console.log("=== REGISTER USER ===");
@@ -126,10 +137,8 @@ module.exports.register = async (event) => {
 
     console.log(`User registered successfully: ${userId} with role: author`);
 
-    // Générer un token JWT
-    const jwtSecret = await secrets.getJWTSecret();
-    const tokenPayload = jwt.createUserPayload(user);
-    const token = jwt.generateToken(tokenPayload, jwtSecret, "7d");
+    // Générer la paire access token / refresh token
+    const { token, refreshToken, expiresIn } = await tokens.issueTokenPair(user);
 
     // Retourner l'utilisateur (sans les données sensibles)
     const { passwordHash, passwordSalt, ...userResponse } = user;
@@ -138,6 +147,8 @@ module.exports.register = async (event) => {
       message: "User registered successfully",
       user: userResponse,
       token: token,
+      refreshToken: refreshToken,
+      expiresIn: expiresIn,
     });
   } catch (error) {
     console.error("Error in register:", error);
@@ -197,23 +208,356 @@ module.exports.login = async (event) => {
       return response.unauthorized("Invalid email or password");
     }
 
+    // Un admin a pu imposer la réinitialisation du mot de passe
+    if (user.passwordResetRequired) {
+      return response.forbidden("Password reset required. Check your email or use /auth/forgot-password");
+    }
+
     console.log(`User logged in successfully: ${user.userId}`);
 
-    // Générer un token JWT
-    const jwtSecret = await secrets.getJWTSecret();
-    const tokenPayload = jwt.createUserPayload(user);
-    const token = jwt.generateToken(tokenPayload, jwtSecret, "7d");
+    // Générer la paire access token / refresh token (nouvelle famille)
+    const { token, refreshToken, expiresIn } = await tokens.issueTokenPair(user);
 
     // Retourner l'utilisateur (sans les données sensibles)
-    const { passwordHash, passwordSalt, ...userResponse } = user;
+    const { passwordHash, passwordSalt, resetTokenId, tokenVersion, passwordResetRequired, ...userResponse } = user;
 
     return response.ok({
       message: "Login successful",
       user: userResponse,
       token: token,
+      refreshToken: refreshToken,
+      expiresIn: expiresIn,
     });
   } catch (error) {
     console.error("Error in login:", error);
     return response.handleError(error);
   }
 };
+
+/**
+ * REFRESH - Échanger un refresh token contre une nouvelle paire de tokens
+ * POST /auth/refresh
+ *
+ * Body:
+ * {
+ *   "refreshToken": "opaque_refresh_token"
+ * }
+ *
+ * Le refresh token présenté est consommé (rotation).
+ * SÉCURITÉ: Si un refresh token déjà consommé est rejoué, toute sa famille
+ * est révoquée et l'utilisateur doit se reconnecter.
+ */
+module.exports.refresh = async (event) => {
+  console.log("=== REFRESH TOKEN ===");
+
+  try {
+    const body = JSON.parse(event.body || "{}");
+
+    if (!body.refreshToken || typeof body.refreshToken !== "string") {
+      return response.badRequest("Validation failed", ["Refresh token is required"]);
+    }
+
+    const stored = await tokens.findRefreshToken(body.refreshToken);
+
+    if (!stored) {
+      return response.unauthorized("Invalid refresh token");
+    }
+
+    // Détection de réutilisation: le token a déjà été consommé ou révoqué
+    if (stored.status !== "active") {
+      const revokedCount = await tokens.revokeFamily(stored.familyId);
+      console.warn(`Refresh token reuse detected for user ${stored.userId}, revoked ${revokedCount} token(s)`);
+      return response.unauthorized("Refresh token has been revoked");
+    }
+
+    if (stored.expiresAt < Math.floor(Date.now() / 1000)) {
+      return response.unauthorized("Refresh token expired");
+    }
+
+    // Consommer le token (échoue si un autre appel l'a consommé entre-temps)
+    const rotated = await tokens.markRotated(stored.tokenHash);
+    if (!rotated) {
+      await tokens.revokeFamily(stored.familyId);
+      console.warn(`Concurrent refresh token reuse detected for user ${stored.userId}`);
+      return response.unauthorized("Refresh token has been revoked");
+    }
+
+    // Vérifier que l'utilisateur existe toujours et est actif
+    const userResult = await dynamodb.send(
+      new GetCommand({
+        TableName: USERS_TABLE,
+        Key: { userId: stored.userId },
+      })
+    );
+
+    const user = userResult.Item;
+
+    if (!user || !user.isActive) {
+      await tokens.revokeFamily(stored.familyId);
+      return response.unauthorized("Account is deactivated");
+    }
+
+    // Nouvelle paire dans la même famille
+    const { token, refreshToken, expiresIn } = await tokens.issueTokenPair(user, stored.familyId);
+
+    console.log(`Tokens refreshed for user: ${user.userId}`);
+
+    return response.ok({
+      message: "Token refreshed successfully",
+      token: token,
+      refreshToken: refreshToken,
+      expiresIn: expiresIn,
+    });
+  } catch (error) {
+    console.error("Error in refresh:", error);
+    return response.handleError(error);
+  }
+};
+
+/**
+ * LOGOUT - Fermer la session courante
+ * POST /auth/logout
+ *
+ * Nécessite authentification
+ * Révoque l'access token utilisé pour l'appel jusqu'à son expiration.
+ *
+ * Body (optionnel):
+ * {
+ *   "refreshToken": "opaque_refresh_token"
+ * }
+ * Si fourni, la famille de ce refresh token est révoquée aussi.
+ */
+module.exports.logout = async (event) => {
+  console.log("=== LOGOUT ===");
+
+  try {
+    const authUserId = event.requestContext?.authorizer?.userId;
+    const jti = event.requestContext?.authorizer?.jti;
+    const exp = Number(event.requestContext?.authorizer?.exp);
+
+    const body = JSON.parse(event.body || "{}");
+
+    if (jti && exp) {
+      await tokens.revokeAccessToken(jti, authUserId, exp);
+    }
+
+    if (body.refreshToken) {
+      const stored = await tokens.findRefreshToken(body.refreshToken);
+
+      // On ne révoque que les refresh tokens appartenant à l'utilisateur authentifié
+      if (stored && stored.userId === authUserId) {
+        await tokens.revokeFamily(stored.familyId);
+      }
+    }
+
+    console.log(`User logged out: ${authUserId}`);
+
+    return response.ok({
+      message: "Logout successful",
+    });
+  } catch (error) {
+    console.error("Error in logout:", error);
+    return response.handleError(error);
+  }
+};
+
+/**
+ * LOGOUT ALL - Fermer toutes les sessions de l'utilisateur
+ * POST /auth/logout-all
+ *
+ * Nécessite authentification
+ * Incrémente la tokenVersion de l'utilisateur (tous les access tokens émis
+ * avant deviennent invalides) et révoque tous ses refresh tokens.
+ */
+module.exports.logoutAll = async (event) => {
+  console.log("=== LOGOUT ALL ===");
+
+  try {
+    const authUserId = event.requestContext?.authorizer?.userId;
+
+    await dynamodb.send(
+      new UpdateCommand({
+        TableName: USERS_TABLE,
+        Key: { userId: authUserId },
+        UpdateExpression: "SET tokenVersion = if_not_exists(tokenVersion, :zero) + :one, updatedAt = :updatedAt",
+        ConditionExpression: "attribute_exists(userId)",
+        ExpressionAttributeValues: {
+          ":zero": 0,
+          ":one": 1,
+          ":updatedAt": new Date().toISOString(),
+        },
+      })
+    );
+
+    const revokedCount = await tokens.revokeAllForUser(authUserId);
+
+    console.log(`All sessions closed for user: ${authUserId} (${revokedCount} refresh token(s) revoked)`);
+
+    return response.ok({
+      message: "All sessions have been logged out",
+    });
+  } catch (error) {
+    console.error("Error in logoutAll:", error);
+    return response.handleError(error);
+  }
+};
+
+/**
+ * FORGOT PASSWORD - Demander la réinitialisation du mot de passe
+ * POST /auth/forgot-password
+ *
+ * Body:
+ * {
+ *   "email": "user@example.com"
+ * }
+ *
+ * SÉCURITÉ: La réponse est identique que le compte existe ou non,
+ * pour ne pas permettre de deviner les emails enregistrés.
+ * Chaque nouvelle demande invalide les tokens de reset précédents.
+ */
+module.exports.forgotPassword = async (event) => {
+  console.log("=== FORGOT PASSWORD ===");
+
+  try {
+    const body = JSON.parse(event.body || "{}");
+
+    const validationResult = validation.validateForgotPassword(body);
+    if (!validationResult.valid) {
+      return response.badRequest("Validation failed", validationResult.errors);
+    }
+
+    const genericResponse = response.ok({
+      message: "If an account exists for this email, a reset link has been sent",
+    });
+
+    // Rechercher l'utilisateur par email
+    const result = await dynamodb.send(
+      new QueryCommand({
+        TableName: USERS_TABLE,
+        IndexName: "EmailIndex",
+        KeyConditionExpression: "email = :email",
+        ExpressionAttributeValues: {
+          ":email": body.email.toLowerCase().trim(),
+        },
+      })
+    );
+
+    if (!result.Items || result.Items.length === 0) {
+      console.log("Password reset requested for unknown email");
+      return genericResponse;
+    }
+
+    const user = result.Items[0];
+
+    if (!user.isActive) {
+      console.log(`Password reset requested for deactivated account: ${user.userId}`);
+      return genericResponse;
+    }
+
+    // Nouveau token de reset: remplace (et donc invalide) le précédent
+    await passwordReset.sendPasswordReset(user);
+
+    console.log(`Password reset token issued for user: ${user.userId}`);
+
+    return genericResponse;
+  } catch (error) {
+    console.error("Error in forgotPassword:", error);
+    return response.handleError(error);
+  }
+};
+
+/**
+ * RESET PASSWORD - Choisir un nouveau mot de passe avec un token de reset
+ * POST /auth/reset-password
+ *
+ * Body:
+ * {
+ *   "token": "eyJhbGciOi...",
+ *   "password": "NewSecurePass123"
+ * }
+ *
+ * Le token n'est accepté que s'il correspond au dernier reset émis pour l'utilisateur.
+ * Il est consommé de façon atomique: un second appel avec le même token échoue.
+ * Toutes les sessions ouvertes sont fermées (tokenVersion incrémentée).
+ */
+module.exports.resetPassword = async (event) => {
+  console.log("=== RESET PASSWORD ===");
+
+  try {
+    const body = JSON.parse(event.body || "{}");
+
+    const validationResult = validation.validateResetPassword(body);
+    if (!validationResult.valid) {
+      return response.badRequest("Validation failed", validationResult.errors);
+    }
+
+    // Vérifier le token
+    const jwtSecret = await secrets.getJWTSecret();
+    const payload = jwt.verifyToken(body.token, jwtSecret);
+
+    if (!payload || payload.type !== "password_reset" || !payload.userId || !payload.resetId) {
+      return response.badRequest("Invalid or expired reset token");
+    }
+
+    // Vérifier que l'utilisateur existe et que le token est le dernier émis
+    const existingUser = await dynamodb.send(
+      new GetCommand({
+        TableName: USERS_TABLE,
+        Key: { userId: payload.userId },
+      })
+    );
+
+    const user = existingUser.Item;
+
+    if (!user || user.resetTokenId !== payload.resetId) {
+      return response.badRequest("Invalid or expired reset token");
+    }
+
+    if (!user.isActive) {
+      return response.forbidden("Account is deactivated");
+    }
+
+    // Hash du nouveau mot de passe
+    const { hash, salt } = hashPassword(body.password);
+    const now = new Date().toISOString();
+
+    // Consommer le token en même temps que le changement de mot de passe
+    try {
+      await dynamodb.send(
+        new UpdateCommand({
+          TableName: USERS_TABLE,
+          Key: { userId: user.userId },
+          UpdateExpression:
+            "SET passwordHash = :hash, passwordSalt = :salt, passwordChangedAt = :now, updatedAt = :now, " +
+            "tokenVersion = if_not_exists(tokenVersion, :zero) + :one REMOVE resetTokenId, passwordResetRequired",
+          ConditionExpression: "resetTokenId = :resetTokenId",
+          ExpressionAttributeValues: {
+            ":hash": hash,
+            ":salt": salt,
+            ":now": now,
+            ":zero": 0,
+            ":one": 1,
+            ":resetTokenId": payload.resetId,
+          },
+        })
+      );
+    } catch (error) {
+      if (error.name === "ConditionalCheckFailedException") {
+        return response.badRequest("Invalid or expired reset token");
+      }
+      throw error;
+    }
+
+    // Le changement de mot de passe ferme toutes les sessions existantes
+    await tokens.revokeAllForUser(user.userId);
+
+    console.log(`Password reset for user: ${user.userId}`);
+
+    return response.ok({
+      message: "Password has been reset successfully",
+    });
+  } catch (error) {
+    console.error("Error in resetPassword:", error);
+    return response.handleError(error);
+  }
+};
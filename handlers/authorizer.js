@@ -1,7 +1,11 @@
 "use strict";
 
+const { DynamoDBClient } = require("@aws-sdk/client-dynamodb");
+const { DynamoDBDocumentClient, GetCommand } = require("@aws-sdk/lib-dynamodb");
+
 const jwt = require("../utils/jwt");
 const secrets = require("../utils/secrets");
+const tokens = require("../utils/tokens");
 
 /**
  * LAMBDA AUTHORIZER
@@ -11,8 +15,18 @@ const secrets = require("../utils/secrets");
  *
  * Cette fonction est appelée automatiquement par API Gateway
  * avant chaque requête sur une route protégée
+ *
+ * En plus de la signature et de l'expiration, le token est refusé si:
+ * - il a été révoqué individuellement (logout)
+ * - sa tokenVersion ne correspond plus à celle de l'utilisateur (logout-all)
+ * - l'utilisateur n'existe plus ou a été désactivé
  */
 
+const dynamoClient = new DynamoDBClient({});
+const dynamodb = DynamoDBDocumentClient.from(dynamoClient);
+
+const USERS_TABLE = process.env.USERS_TABLE;
+
 /**
  * Génère une IAM policy pour autoriser ou refuser l'accès
  * @param {string} principalId - ID de l'utilisateur
@@ -79,6 +93,39 @@ module.exports.authorize = async (event) => {
       throw new Error("Unauthorized");
     }
 
+    // Les tokens de reset ne donnent pas accès à l'API
+    if (payload.type) {
+      console.error("Token type not allowed:", payload.type);
+      throw new Error("Unauthorized");
+    }
+
+    // Vérifier la révocation individuelle (logout)
+    if (payload.jti && (await tokens.isAccessTokenRevoked(payload.jti))) {
+      console.error("Token revoked:", payload.jti);
+      throw new Error("Unauthorized");
+    }
+
+    // Vérifier l'état du compte et la version des tokens (logout-all, désactivation)
+    const userResult = await dynamodb.send(
+      new GetCommand({
+        TableName: USERS_TABLE,
+        Key: { userId: payload.userId },
+        ProjectionExpression: "userId, isActive, tokenVersion",
+      })
+    );
+
+    const user = userResult.Item;
+
+    if (!user || !user.isActive) {
+      console.error("User not found or deactivated:", payload.userId);
+      throw new Error("Unauthorized");
+    }
+
+    if ((payload.tokenVersion || 0) !== (user.tokenVersion || 0)) {
+      console.error("Token version outdated for user:", payload.userId);
+      throw new Error("Unauthorized");
+    }
+
     console.log("Token validated for user:", payload.userId);
 
     // Créer le contexte à passer aux Lambda suivantes
@@ -89,6 +136,12 @@ module.exports.authorize = async (event) => {
       name: payload.name,
     };
 
+    // jti et exp permettent au logout de révoquer ce token précis
+    if (payload.jti) {
+      context.jti = payload.jti;
+      context.exp = payload.exp;
+    }
+
     // Autoriser l'accès
     // Note: "*" permet l'accès à toutes les routes de l'API
     // Pour plus de sécurité, vous pouvez spécifier des routes spécifiques
@@ -119,4 +172,5 @@ module.exports.authorize = async (event) => {
  * 3. La policy générée est cachée par API Gateway (resultTtlInSeconds)
  *    Dans notre config, nous avons mis 0 pour désactiver le cache
  *    et toujours valider le token
+ *    (indispensable pour que logout et désactivation prennent effet immédiatement)
  */
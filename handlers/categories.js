@@ -0,0 +1,268 @@
+"use strict";
+
+const response = require("../utils/response");
+const validation = require("../utils/validation");
+const permissions = require("../utils/permissions");
+const clock = require("../utils/clock");
+const slugs = require("../utils/slugs");
+const categories = require("../utils/categories");
+const audit = require("../utils/audit");
+
+/**
+ * CATEGORIES HANDLER
+ * ==================
+ * Catégories hiérarchiques des articles
+ *
+ * Fonctionnalités:
+ * - Arbre des catégories (public)
+ * - Création et modification de catégories (admin)
+ *
+ * Un article est rattaché à une catégorie via "categorySlug" (createPost / updatePost)
+ */
+
+/**
+ * Valide les champs d'une catégorie
+ * @param {object} data - {name, description, parentSlug}
+ * @param {boolean} isCreation - True si création (nom requis)
+ * @returns {array} Erreurs
+ */
+function validateCategory(data, isCreation) {
+  const errors = [];
+
+  if (isCreation || data.name !== undefined) {
+    if (!data.name || typeof data.name !== "string" || data.name.trim().length < 2) {
+      errors.push("Name must be at least 2 characters long");
+    } else if (data.name.length > 100) {
+      errors.push("Name must not exceed 100 characters");
+    }
+  }
+
+  if (data.description !== undefined && (typeof data.description !== "string" || data.description.length > 500)) {
+    errors.push("Description must be a string of at most 500 characters");
+  }
+
+  if (data.parentSlug !== undefined && data.parentSlug !== null && typeof data.parentSlug !== "string") {
+    errors.push("parentSlug must be a string or null");
+  }
+
+  if (data.slug !== undefined && !slugs.isValidSlug(data.slug)) {
+    errors.push("Slug must contain only lowercase letters, digits and single hyphens");
+  }
+
+  return errors;
+}
+
+/**
+ * LIST CATEGORIES - Arbre des catégories
+ * GET /categories
+ *
+ * Public
+ * Chaque catégorie contient ses sous-catégories dans "children" (triées par nom)
+ */
+module.exports.listCategories = async () => {
+  console.log("=== LIST CATEGORIES ===");
+
+  try {
+    const allCategories = await categories.listCategories();
+    const tree = categories.buildTree(allCategories);
+
+    console.log(`Retrieved ${allCategories.length} categories`);
+
+    return response.ok({
+      categories: tree,
+      count: allCategories.length,
+    });
+  } catch (error) {
+    console.error("Error in listCategories:", error);
+    return response.handleError(error);
+  }
+};
+
+/**
+ * CREATE CATEGORY - Créer une catégorie
+ * POST /admin/categories
+ *
+ * Nécessite la permission "category:manage" (admin)
+ *
+ * Body:
+ * {
+ *   "name": "Tutoriels",
+ *   "slug": "tutoriels" (optionnel, généré à partir du nom sinon),
+ *   "description": "..." (optionnel),
+ *   "parentSlug": "developpement" (optionnel, catégorie racine sinon)
+ * }
+ */
+module.exports.createCategory = async (event) => {
+  console.log("=== CREATE CATEGORY ===");
+
+  try {
+    const authUserId = event.requestContext?.authorizer?.userId;
+    const authUserRole = event.requestContext?.authorizer?.role;
+
+    if (!permissions.can(authUserRole, "category:manage")) {
+      return response.forbidden("Admin access required");
+    }
+
+    const body = JSON.parse(event.body || "{}");
+
+    const errors = validateCategory(body, true);
+    if (errors.length > 0) {
+      return response.badRequest("Validation failed", errors);
+    }
+
+    // Vérifier le parent et la profondeur de l'arbre
+    const parentSlug = body.parentSlug || null;
+    if (parentSlug) {
+      const allCategories = await categories.listCategories();
+      const bySlug = new Map(allCategories.map((category) => [category.slug, category]));
+
+      if (!bySlug.has(parentSlug)) {
+        return response.badRequest("Parent category not found");
+      }
+      if (categories.getDepth(bySlug, parentSlug) >= categories.MAX_CATEGORY_DEPTH) {
+        return response.badRequest(
+          `Categories cannot be nested more than ${categories.MAX_CATEGORY_DEPTH} levels deep`
+        );
+      }
+    }
+
+    const now = clock.nowISO();
+    const category = {
+      slug: body.slug || slugs.slugify(body.name),
+      name: validation.sanitizeString(body.name),
+      description: body.description ? validation.sanitizeString(body.description) : "",
+      parentSlug: parentSlug,
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    try {
+      await categories.createCategory(category);
+    } catch (error) {
+      if (error.name === "ConditionalCheckFailedException") {
+        return response.conflict(`Category "${category.slug}" already exists`);
+      }
+      throw error;
+    }
+
+    await audit.record({
+      actorId: authUserId,
+      actorRole: authUserRole,
+      action: "category.create",
+      targetType: "category",
+      targetId: category.slug,
+      changes: { name: { from: null, to: category.name }, parentSlug: { from: null, to: parentSlug } },
+    });
+
+    console.log(`Category created: ${category.slug}`);
+
+    return response.created({
+      message: "Category created successfully",
+      category: category,
+    });
+  } catch (error) {
+    console.error("Error in createCategory:", error);
+    return response.handleError(error);
+  }
+};
+
+/**
+ * UPDATE CATEGORY - Modifier une catégorie (nom, description, parent)
+ * PUT /admin/categories/{slug}
+ *
+ * Nécessite la permission "category:manage" (admin)
+ * Le slug ne change pas. Déplacer une catégorie sous l'un de ses descendants est refusé.
+ *
+ * Body: (tous les champs sont optionnels)
+ * {
+ *   "name": "Tutoriels",
+ *   "description": "...",
+ *   "parentSlug": "developpement" | null
+ * }
+ */
+module.exports.updateCategory = async (event) => {
+  console.log("=== UPDATE CATEGORY ===");
+
+  try {
+    const authUserId = event.requestContext?.authorizer?.userId;
+    const authUserRole = event.requestContext?.authorizer?.role;
+    const slug = event.pathParameters?.slug;
+
+    if (!permissions.can(authUserRole, "category:manage")) {
+      return response.forbidden("Admin access required");
+    }
+
+    if (!slug) {
+      return response.badRequest("Category slug is required");
+    }
+
+    const body = JSON.parse(event.body || "{}");
+
+    if (body.name === undefined && body.description === undefined && body.parentSlug === undefined) {
+      return response.badRequest("No valid fields to update");
+    }
+
+    const errors = validateCategory({ ...body, slug: undefined }, false);
+    if (errors.length > 0) {
+      return response.badRequest("Validation failed", errors);
+    }
+
+    const allCategories = await categories.listCategories();
+    const bySlug = new Map(allCategories.map((category) => [category.slug, category]));
+    const category = bySlug.get(slug);
+
+    if (!category) {
+      return response.notFound("Category not found");
+    }
+
+    // Déplacement: pas de cycle, profondeur maximale respectée pour tout le sous-arbre
+    if (body.parentSlug) {
+      if (!bySlug.has(body.parentSlug)) {
+        return response.badRequest("Parent category not found");
+      }
+      if (categories.isDescendant(bySlug, body.parentSlug, slug)) {
+        return response.badRequest("A category cannot be moved under itself or one of its descendants");
+      }
+      const depth = categories.getDepth(bySlug, body.parentSlug) + categories.getSubtreeHeight(allCategories, slug);
+      if (depth > categories.MAX_CATEGORY_DEPTH) {
+        return response.badRequest(
+          `Categories cannot be nested more than ${categories.MAX_CATEGORY_DEPTH} levels deep`
+        );
+      }
+    }
+
+    const changes = {
+      name: body.name !== undefined ? validation.sanitizeString(body.name) : undefined,
+      description: body.description !== undefined ? validation.sanitizeString(body.description) : undefined,
+      parentSlug: body.parentSlug !== undefined ? body.parentSlug || null : undefined,
+    };
+
+    const updatedCategory = await categories.updateCategory(slug, changes, clock.nowISO());
+
+    const auditChanges = {};
+    for (const [field, value] of Object.entries(changes)) {
+      if (value !== undefined && value !== category[field]) {
+        auditChanges[field] = { from: category[field] === undefined ? null : category[field], to: value };
+      }
+    }
+
+    await audit.record({
+      actorId: authUserId,
+      actorRole: authUserRole,
+      action: "category.update",
+      targetType: "category",
+      targetId: slug,
+      changes: auditChanges,
+    });
+
+    console.log(`Category updated: ${slug}`);
+
+    return response.ok({
+      message: "Category updated successfully",
+      category: updatedCategory,
+    });
+  } catch (error) {
+    console.error("Error in updateCategory:", error);
+    return response.handleError(error);
+  }
+};
@@ -8,11 +8,19 @@ const {
   UpdateCommand,
   DeleteCommand,
   QueryCommand,
+  ScanCommand,
+  TransactWriteCommand,
 } = require("@aws-sdk/lib-dynamodb");
+const { unmarshall } = require("@aws-sdk/util-dynamodb");
 const { v4: uuidv4 } = require("uuid");
 
 const response = require("../utils/response");
 const validation = require("../utils/validation");
+const permissions = require("../utils/permissions");
+const commentThreads = require("../utils/commentThreads");
+const spam = require("../utils/spam");
+const commentStats = require("../utils/commentStats");
+const reactions = require("../utils/reactions");
 
 /**
  * COMMENTS HANDLER
@@ -20,11 +28,13 @@ const validation = require("../utils/validation");
  * Gestion des commentaires sur les articles de blog (Feature optionnelle)
  *
  * Fonctionnalités:
- * - Création de commentaires
- * - Récupération des commentaires d'un article
+ * - Création de commentaires et de réponses (fils de discussion, profondeur limitée)
+ * - Score de spam à la création (approbation ou rejet automatique des cas évidents)
+ * - Récupération des commentaires d'un article (liste à plat ou arbre)
  * - Mise à jour de commentaires
- * - Suppression de commentaires
- * - Modération des commentaires (admin)
+ * - Suppression de commentaires (placeholder "[deleted]" si le commentaire a des réponses)
+ * - Modération des commentaires (moderator, admin): unitaire, groupée, file d'attente globale
+ * - Compteurs commentCount / lastCommentAt des articles (stream Comments + job de réparation)
  */
 
 const dynamoClient = new DynamoDBClient({});
@@ -32,16 +42,228 @@ const dynamodb = DynamoDBDocumentClient.from(dynamoClient);
 
 const COMMENTS_TABLE = process.env.COMMENTS_TABLE;
 const POSTS_TABLE = process.env.POSTS_TABLE;
+const USERS_TABLE = process.env.USERS_TABLE;
+
+/**
+ * Récupère les commentaires récents d'un utilisateur (score de spam)
+ * @param {string} userId - ID de l'utilisateur
+ * @param {string} since - Date ISO de début
+ * @returns {Promise<array>} Commentaires {commentId, content, createdAt}, du plus récent au plus ancien
+ */
+async function listRecentUserComments(userId, since) {
+  const result = await dynamodb.send(
+    new QueryCommand({
+      TableName: COMMENTS_TABLE,
+      IndexName: "UserIndex",
+      KeyConditionExpression: "userId = :userId AND createdAt >= :since",
+      ExpressionAttributeValues: {
+        ":userId": userId,
+        ":since": since,
+      },
+      ScanIndexForward: false,
+      Limit: 50,
+    })
+  );
+  return result.Items;
+}
+
+/**
+ * Calcule le score de spam d'un commentaire d'utilisateur (voir utils/spam.js)
+ * @param {string} userId - ID de l'auteur
+ * @param {string} content - Contenu nettoyé
+ * @param {string} now - Date ISO courante
+ * @param {string} [excludeCommentId] - Commentaire édité, exclu des commentaires récents
+ * @returns {Promise<object>} {score, reasons, decision}
+ */
+async function scoreUserComment(userId, content, now, excludeCommentId) {
+  const spamConfig = spam.getConfig();
+  const recentSince = new Date(Date.parse(now) - spamConfig.duplicateWindowHours * 3600 * 1000).toISOString();
+  const [recentComments, userResult] = await Promise.all([
+    listRecentUserComments(userId, recentSince),
+    dynamodb.send(
+      new GetCommand({
+        TableName: USERS_TABLE,
+        Key: { userId: userId },
+      })
+    ),
+  ]);
+
+  return spam.scoreComment(
+    {
+      content,
+      recentComments: recentComments.filter((comment) => comment.commentId !== excludeCommentId),
+      accountCreatedAt: userResult.Item?.createdAt,
+      now,
+    },
+    spamConfig
+  );
+}
+
+/**
+ * Récupère tous les commentaires d'un article (tous statuts)
+ * @param {string} postId - ID de l'article
+ * @returns {Promise<array>} Commentaires
+ */
+async function listPostComments(postId) {
+  const comments = [];
+  let lastKey;
+
+  do {
+    const result = await dynamodb.send(
+      new QueryCommand({
+        TableName: COMMENTS_TABLE,
+        IndexName: "PostIndex",
+        KeyConditionExpression: "postId = :postId",
+        ExpressionAttributeValues: {
+          ":postId": postId,
+        },
+        ExclusiveStartKey: lastKey,
+      })
+    );
+    comments.push(...result.Items);
+    lastKey = result.LastEvaluatedKey;
+  } while (lastKey);
+
+  return comments;
+}
+
+/**
+ * Remplace un commentaire par un placeholder "[deleted]" (ses réponses restent en place)
+ * @param {string} commentId - ID du commentaire
+ * @param {string} now - Date ISO
+ */
+async function softDeleteComment(commentId, now) {
+  await dynamodb.send(
+    new UpdateCommand({
+      TableName: COMMENTS_TABLE,
+      Key: { commentId: commentId },
+      UpdateExpression:
+        "SET deleted = :true, #content = :placeholder, deletedAt = :now, updatedAt = :now REMOVE userName",
+      ConditionExpression: "attribute_exists(commentId)",
+      ExpressionAttributeNames: {
+        "#content": "content",
+      },
+      ExpressionAttributeValues: {
+        ":true": true,
+        ":placeholder": commentThreads.DELETED_PLACEHOLDER,
+        ":now": now,
+      },
+    })
+  );
+}
+
+/**
+ * Applique une décision de modération à un commentaire
+ * Enregistre le modérateur, la date de décision et le motif de rejet éventuel
+ * (échoue avec ConditionalCheckFailedException si le commentaire n'existe pas ou est supprimé)
+ * @param {string} commentId - ID du commentaire
+ * @param {object} decision - {status, reason, moderatorId, now}
+ * @returns {Promise<object>} Commentaire modéré
+ */
+async function applyModeration(commentId, { status, reason, moderatorId, now }) {
+  const updates = ["#status = :status", "moderatedBy = :moderatorId", "moderatedAt = :now", "updatedAt = :now"];
+  const expressionAttributeValues = {
+    ":status": status,
+    ":moderatorId": moderatorId,
+    ":now": now,
+  };
+
+  if (status === "rejected" && reason) {
+    updates.push("rejectionReason = :reason");
+    expressionAttributeValues[":reason"] = reason.trim();
+  }
+
+  const removeClause = status === "rejected" && reason ? "" : " REMOVE rejectionReason";
+
+  const result = await dynamodb.send(
+    new UpdateCommand({
+      TableName: COMMENTS_TABLE,
+      Key: { commentId: commentId },
+      UpdateExpression: `SET ${updates.join(", ")}${removeClause}`,
+      ConditionExpression: "attribute_exists(commentId) AND attribute_not_exists(deleted)",
+      ExpressionAttributeNames: {
+        "#status": "status",
+      },
+      ExpressionAttributeValues: expressionAttributeValues,
+      ReturnValues: "ALL_NEW",
+    })
+  );
+
+  return result.Attributes;
+}
+
+/**
+ * Décrémente le nombre de réponses du parent d'un commentaire supprimé
+ * Un parent déjà supprimé qui n'a plus de réponse disparaît à son tour (en remontant le fil)
+ * @param {string|null} parentCommentId - ID du parent
+ */
+async function detachFromParent(parentCommentId) {
+  let currentId = parentCommentId;
+
+  while (currentId) {
+    let parent;
+    try {
+      const result = await dynamodb.send(
+        new UpdateCommand({
+          TableName: COMMENTS_TABLE,
+          Key: { commentId: currentId },
+          UpdateExpression: "ADD replyCount :minusOne",
+          ConditionExpression: "attribute_exists(commentId)",
+          ExpressionAttributeValues: {
+            ":minusOne": -1,
+          },
+          ReturnValues: "ALL_NEW",
+        })
+      );
+      parent = result.Attributes;
+    } catch (error) {
+      if (error.name === "ConditionalCheckFailedException") {
+        return;
+      }
+      throw error;
+    }
+
+    if (!parent.deleted || parent.replyCount > 0) {
+      return;
+    }
+
+    try {
+      await dynamodb.send(
+        new DeleteCommand({
+          TableName: COMMENTS_TABLE,
+          Key: { commentId: currentId },
+          ConditionExpression: "deleted = :true AND replyCount <= :zero",
+          ExpressionAttributeValues: {
+            ":true": true,
+            ":zero": 0,
+          },
+        })
+      );
+    } catch (error) {
+      // Une réponse a été ajoutée entre-temps: le placeholder reste en place
+      if (error.name === "ConditionalCheckFailedException") {
+        return;
+      }
+      throw error;
+    }
+
+    console.log(`Deleted placeholder removed: ${currentId}`);
+    currentId = parent.parentCommentId || null;
+  }
+}
 
 /**
  * CREATE COMMENT - Créer un commentaire sur un article
  * POST /posts/{postId}/comments
  *
  * Nécessite authentification
+ * Le commentaire est approuvé ou rejeté automatiquement selon son score de spam,
+ * ou reste en attente de modération si le score est incertain (voir utils/spam.js)
  *
  * Body:
  * {
- *   "content": "Great article!"
+ *   "content": "Great article!",
+ *   "parentCommentId": "uuid" (optionnel, réponse à un commentaire du même article)
  * }
  */
 module.exports.createComment = async (event) => {
@@ -51,11 +273,16 @@ module.exports.createComment = async (event) => {
     const postId = event.pathParameters?.postId;
     const userId = event.requestContext?.authorizer?.userId;
     const userName = event.requestContext?.authorizer?.name;
+    const userRole = event.requestContext?.authorizer?.role;
 
     if (!postId) {
       return response.badRequest("Post ID is required");
     }
 
+    if (!permissions.can(userRole, "comment:create")) {
+      return response.forbidden("Your role does not allow commenting");
+    }
+
     // Vérifier que le post existe
     const postResult = await dynamodb.send(
       new GetCommand({
@@ -76,34 +303,108 @@ module.exports.createComment = async (event) => {
       return response.badRequest("Validation failed", validationResult.errors);
     }
 
+    // Réponse: le parent doit appartenir au même article, ne pas être supprimé et le fil ne pas être trop profond
+    let parent = null;
+    if (body.parentCommentId) {
+      const parentResult = await dynamodb.send(
+        new GetCommand({
+          TableName: COMMENTS_TABLE,
+          Key: { commentId: body.parentCommentId },
+        })
+      );
+
+      parent = parentResult.Item;
+      if (!parent || parent.postId !== postId) {
+        return response.badRequest("Parent comment not found on this post");
+      }
+      if (parent.deleted) {
+        return response.badRequest("Cannot reply to a deleted comment");
+      }
+      if ((parent.depth || 0) + 1 >= commentThreads.MAX_COMMENT_DEPTH) {
+        return response.badRequest(
+          `Replies cannot be nested more than ${commentThreads.MAX_COMMENT_DEPTH} levels deep`
+        );
+      }
+    }
+
     // Création du commentaire
     const commentId = uuidv4();
     const now = new Date().toISOString();
+    const content = validation.sanitizeString(body.content);
+
+    // Score de spam (liens, mots interdits, doublons, fréquence, âge du compte)
+    const spamResult = await scoreUserComment(userId, content, now);
 
     const comment = {
       commentId: commentId,
       postId: postId,
+      parentCommentId: parent ? parent.commentId : null,
+      depth: parent ? (parent.depth || 0) + 1 : 0,
       userId: userId,
       userName: userName,
-      content: validation.sanitizeString(body.content),
-      status: "pending", // pending, approved, rejected
+      content: content,
+      status: spamResult.decision, // pending, approved, rejected
+      spamScore: spamResult.score,
+      spamReasons: spamResult.reasons,
+      replyCount: 0,
       createdAt: now,
       updatedAt: now,
     };
 
-    // Sauvegarder dans DynamoDB
-    await dynamodb.send(
-      new PutCommand({
-        TableName: COMMENTS_TABLE,
-        Item: comment,
-      })
-    );
+    if (spamResult.decision !== "pending") {
+      comment.autoModerated = true;
+      comment.moderatedAt = now;
+    }
+    if (spamResult.decision === "rejected") {
+      comment.rejectionReason = "Automatically rejected as spam";
+    }
+
+    // Sauvegarder dans DynamoDB (avec l'incrément du nombre de réponses du parent dans la même transaction)
+    if (parent) {
+      try {
+        await dynamodb.send(
+          new TransactWriteCommand({
+            TransactItems: [
+              {
+                Put: {
+                  TableName: COMMENTS_TABLE,
+                  Item: comment,
+                },
+              },
+              {
+                Update: {
+                  TableName: COMMENTS_TABLE,
+                  Key: { commentId: parent.commentId },
+                  UpdateExpression: "ADD replyCount :one",
+                  ConditionExpression: "attribute_exists(commentId) AND attribute_not_exists(deleted)",
+                  ExpressionAttributeValues: {
+                    ":one": 1,
+                  },
+                },
+              },
+            ],
+          })
+        );
+      } catch (error) {
+        if (error.name === "TransactionCanceledException") {
+          return response.conflict("Parent comment is no longer available");
+        }
+        throw error;
+      }
+    } else {
+      await dynamodb.send(
+        new PutCommand({
+          TableName: COMMENTS_TABLE,
+          Item: comment,
+        })
+      );
+    }
 
-    console.log(`Comment created: ${commentId} on post: ${postId}`);
+    console.log(`Comment created: ${commentId} on post: ${postId} (${comment.status}, spam score ${spamResult.score})`);
 
     return response.created({
       message: "Comment created successfully",
-      comment: comment,
+      comment: commentThreads.toPublicComment(comment),
     });
   } catch (error) {
     console.error("Error in createComment:", error);
@@ -112,10 +413,16 @@ module.exports.createComment = async (event) => {
 };
 
 /**
- * GET COMMENTS - Récupérer tous les commentaires d'un article
- * GET /posts/{postId}/comments?status=approved&limit=50
+ * GET COMMENTS - Récupérer les commentaires d'un article
+ * GET /posts/{postId}/comments?status=approved&mode=flat&limit=50
  *
  * Public (mais filtre par défaut sur commentaires approuvés)
+ * Le détail du score de spam n'est visible que dans la file de modération
+ *
+ * - mode=flat (défaut): liste à plat dans l'ordre des fils (chaque commentaire suivi de ses réponses, avec "depth")
+ * - mode=tree: commentaires racines avec leurs réponses imbriquées dans "replies"
+ * - limit: nombre maximal de fils (commentaires racines) renvoyés
+ * Chaque commentaire contient ses compteurs de réactions ("reactions")
  */
 module.exports.getComments = async (event) => {
   console.log("=== GET COMMENTS ===");
@@ -124,36 +431,41 @@ module.exports.getComments = async (event) => {
     const postId = event.pathParameters?.postId;
     const queryParams = event.queryStringParameters || {};
     const status = queryParams.status || "approved"; // Par défaut: commentaires approuvés
+    const mode = queryParams.mode || "flat";
     const limit = parseInt(queryParams.limit) || 50;
 
     if (!postId) {
       return response.badRequest("Post ID is required");
     }
 
-    // Query avec index PostIndex
-    const result = await dynamodb.send(
-      new QueryCommand({
-        TableName: COMMENTS_TABLE,
-        IndexName: "PostIndex",
-        KeyConditionExpression: "postId = :postId",
-        FilterExpression: "#status = :status",
-        ExpressionAttributeNames: {
-          "#status": "status",
-        },
-        ExpressionAttributeValues: {
-          ":postId": postId,
-          ":status": status,
-        },
-        Limit: limit,
-        ScanIndexForward: true, // Ordre chronologique
-      })
+    if (!["flat", "tree"].includes(mode)) {
+      return response.badRequest("Mode must be one of: flat, tree");
+    }
+
+    // Tous les commentaires de l'article (index PostIndex), regroupés en fils
+    const allComments = await listPostComments(postId);
+    const threads = commentThreads.buildThreads(allComments, status);
+    const selectedThreads = threads.slice(0, limit);
+
+    // Compteurs de réactions de chaque commentaire
+    const countsById = await reactions.getCountsBatch(
+      "comment",
+      commentThreads.flattenThreads(selectedThreads).map((comment) => comment.commentId)
     );
+    commentThreads.forEachComment(selectedThreads, (comment) => {
+      comment.reactions = countsById.get(comment.commentId) || {};
+    });
+
+    const comments = mode === "tree" ? selectedThreads : commentThreads.flattenThreads(selectedThreads);
 
-    console.log(`Retrieved ${result.Items.length} comments for post: ${postId}`);
+    console.log(`Retrieved ${selectedThreads.length} threads for post: ${postId}`);
 
     return response.ok({
-      comments: result.Items,
-      count: result.Items.length,
+      comments: comments,
+      count: commentThreads.countComments(selectedThreads),
+      threadCount: selectedThreads.length,
+      hasMore: threads.length > limit,
+      mode: mode,
       postId: postId,
     });
   } catch (error) {
@@ -168,6 +480,7 @@ module.exports.getComments = async (event) => {
  *
  * Nécessite authentification
  * Seul l'auteur peut modifier son commentaire
+ * Le contenu modifié est de nouveau scoré: approuvé, rejeté ou remis en modération comme à la création
  *
  * Body:
  * {
@@ -180,6 +493,7 @@ module.exports.updateComment = async (event) => {
   try {
     const commentId = event.pathParameters?.commentId;
     const authUserId = event.requestContext?.authorizer?.userId;
+    const authUserRole = event.requestContext?.authorizer?.role;
 
     if (!commentId) {
       return response.badRequest("Comment ID is required");
@@ -193,12 +507,14 @@ module.exports.updateComment = async (event) => {
       })
     );
 
-    if (!existingComment.Item) {
+    if (!existingComment.Item || existingComment.Item.deleted) {
       return response.notFound("Comment not found");
     }
 
     // Vérification d'autorisation
-    if (existingComment.Item.userId !== authUserId) {
+    if (
+      !permissions.canActOn({ userId: authUserId, role: authUserRole }, "comment:update", existingComment.Item.userId)
+    ) {
       return response.forbidden("You can only edit your own comments");
     }
 
@@ -210,30 +526,61 @@ module.exports.updateComment = async (event) => {
       return response.badRequest("Validation failed", validationResult.errors);
     }
 
+    // Nouveau score de spam: même décision qu'à la création (approbation, rejet ou file de modération)
+    const now = new Date().toISOString();
+    const content = validation.sanitizeString(body.content);
+    const spamResult = await scoreUserComment(existingComment.Item.userId, content, now, commentId);
+
+    const updates = [
+      "#content = :content",
+      "updatedAt = :now",
+      "#status = :status",
+      "spamScore = :spamScore",
+      "spamReasons = :spamReasons",
+    ];
+    const removes = ["moderatedBy"];
+    const expressionAttributeValues = {
+      ":content": content,
+      ":now": now,
+      ":status": spamResult.decision,
+      ":spamScore": spamResult.score,
+      ":spamReasons": spamResult.reasons,
+    };
+
+    if (spamResult.decision !== "pending") {
+      updates.push("autoModerated = :autoModerated", "moderatedAt = :now");
+      expressionAttributeValues[":autoModerated"] = true;
+    } else {
+      removes.push("autoModerated", "moderatedAt");
+    }
+    if (spamResult.decision === "rejected") {
+      updates.push("rejectionReason = :reason");
+      expressionAttributeValues[":reason"] = "Automatically rejected as spam";
+    } else {
+      removes.push("rejectionReason");
+    }
+
     // Mettre à jour le commentaire
     const updateResult = await dynamodb.send(
       new UpdateCommand({
         TableName: COMMENTS_TABLE,
         Key: { commentId: commentId },
-        UpdateExpression: "SET #content = :content, updatedAt = :updatedAt, #status = :status",
+        UpdateExpression: `SET ${updates.join(", ")} REMOVE ${removes.join(", ")}`,
+        ConditionExpression: "attribute_exists(commentId) AND attribute_not_exists(deleted)",
         ExpressionAttributeNames: {
           "#content": "content",
           "#status": "status",
         },
-        ExpressionAttributeValues: {
-          ":content": validation.sanitizeString(body.content),
-          ":updatedAt": new Date().toISOString(),
-          ":status": "pending", // Retour en modération après édition
-        },
+        ExpressionAttributeValues: expressionAttributeValues,
         ReturnValues: "ALL_NEW",
       })
     );
 
-    console.log(`Comment updated: ${commentId}`);
+    console.log(`Comment updated: ${commentId} (${spamResult.decision}, spam score ${spamResult.score})`);
 
     return response.ok({
       message: "Comment updated successfully",
-      comment: updateResult.Attributes,
+      comment: commentThreads.toPublicComment(updateResult.Attributes),
     });
   } catch (error) {
     console.error("Error in updateComment:", error);
@@ -246,7 +593,8 @@ module.exports.updateComment = async (event) => {
  * DELETE /comments/{commentId}
  *
  * Nécessite authentification
- * L'auteur du commentaire ou un admin peut supprimer
+ * L'auteur du commentaire ou un rôle avec "comment:delete:any" (moderator, admin) peut supprimer
+ * Un commentaire qui a des réponses est remplacé par un placeholder "[deleted]" pour conserver le fil
  */
 module.exports.deleteComment = async (event) => {
   console.log("=== DELETE COMMENT ===");
@@ -268,28 +616,52 @@ module.exports.deleteComment = async (event) => {
       })
     );
 
-    if (!existingComment.Item) {
+    const comment = existingComment.Item;
+
+    if (!comment || comment.deleted) {
       return response.notFound("Comment not found");
     }
 
     // Vérification d'autorisation
-    if (existingComment.Item.userId !== authUserId && authUserRole !== "admin") {
+    if (!permissions.canActOn({ userId: authUserId, role: authUserRole }, "comment:delete", comment.userId)) {
       return response.forbidden("You can only delete your own comments");
     }
 
-    // Supprimer le commentaire
-    await dynamodb.send(
-      new DeleteCommand({
-        TableName: COMMENTS_TABLE,
-        Key: { commentId: commentId },
-      })
-    );
+    // Supprimer le commentaire s'il n'a pas de réponse, sinon le remplacer par un placeholder
+    let placeholder = (comment.replyCount || 0) > 0;
+
+    if (!placeholder) {
+      try {
+        await dynamodb.send(
+          new DeleteCommand({
+            TableName: COMMENTS_TABLE,
+            Key: { commentId: commentId },
+            ConditionExpression: "attribute_not_exists(replyCount) OR replyCount <= :zero",
+            ExpressionAttributeValues: {
+              ":zero": 0,
+            },
+          })
+        );
+        await detachFromParent(comment.parentCommentId);
+      } catch (error) {
+        // Une réponse a été ajoutée entre-temps
+        if (error.name !== "ConditionalCheckFailedException") {
+          throw error;
+        }
+        placeholder = true;
+      }
+    }
+
+    if (placeholder) {
+      await softDeleteComment(commentId, new Date().toISOString());
+    }
 
-    console.log(`Comment deleted: ${commentId}`);
+    console.log(`Comment deleted: ${commentId}${placeholder ? " (placeholder kept)" : ""}`);
 
     return response.ok({
       message: "Comment deleted successfully",
       commentId: commentId,
+      placeholder: placeholder,
     });
   } catch (error) {
     console.error("Error in deleteComment:", error);
@@ -301,11 +673,12 @@ module.exports.deleteComment = async (event) => {
  * MODERATE COMMENT - Approuver ou rejeter un commentaire
  * PATCH /comments/{commentId}/moderate
  *
- * Nécessite authentification admin
+ * Nécessite la permission "comment:moderate" (moderator, admin)
  *
  * Body:
  * {
- *   "status": "approved" | "rejected"
+ *   "status": "approved" | "rejected" | "pending",
+ *   "reason": "Hors sujet" (optionnel, rejet uniquement)
  * }
  */
 module.exports.moderateComment = async (event) => {
@@ -313,15 +686,16 @@ module.exports.moderateComment = async (event) => {
 
   try {
     const commentId = event.pathParameters?.commentId;
+    const authUserId = event.requestContext?.authorizer?.userId;
     const authUserRole = event.requestContext?.authorizer?.role;
 
     if (!commentId) {
       return response.badRequest("Comment ID is required");
     }
 
-    // Vérification admin uniquement
-    if (authUserRole !== "admin") {
-      return response.forbidden("Only admins can moderate comments");
+    // Vérification de la permission de modération (moderator, admin)
+    if (!permissions.can(authUserRole, "comment:moderate")) {
+      return response.forbidden("Only moderators and admins can moderate comments");
     }
 
     // Vérifier que le commentaire existe
@@ -332,43 +706,308 @@ module.exports.moderateComment = async (event) => {
       })
     );
 
-    if (!existingComment.Item) {
+    if (!existingComment.Item || existingComment.Item.deleted) {
       return response.notFound("Comment not found");
     }
 
-    // Parse du body
+    // Parse et validation du body
     const body = JSON.parse(event.body || "{}");
 
-    const validStatuses = ["approved", "rejected", "pending"];
-    if (!body.status || !validStatuses.includes(body.status)) {
-      return response.badRequest(`Status must be one of: ${validStatuses.join(", ")}`);
+    const validationResult = validation.validateModeration(body);
+    if (!validationResult.valid) {
+      return response.badRequest("Validation failed", validationResult.errors);
     }
 
     // Mettre à jour le statut
-    const updateResult = await dynamodb.send(
-      new UpdateCommand({
-        TableName: COMMENTS_TABLE,
-        Key: { commentId: commentId },
-        UpdateExpression: "SET #status = :status, updatedAt = :updatedAt",
-        ExpressionAttributeNames: {
-          "#status": "status",
-        },
-        ExpressionAttributeValues: {
-          ":status": body.status,
-          ":updatedAt": new Date().toISOString(),
-        },
-        ReturnValues: "ALL_NEW",
-      })
-    );
+    const comment = await applyModeration(commentId, {
+      status: body.status,
+      reason: body.reason,
+      moderatorId: authUserId,
+      now: new Date().toISOString(),
+    });
 
     console.log(`Comment moderated: ${commentId} -> ${body.status}`);
 
     return response.ok({
       message: `Comment ${body.status} successfully`,
-      comment: updateResult.Attributes,
+      comment: comment,
     });
   } catch (error) {
     console.error("Error in moderateComment:", error);
     return response.handleError(error);
   }
 };
+
+/**
+ * GET MODERATION QUEUE - File de modération globale (tous articles)
+ * GET /admin/comments/queue?status=pending&limit=20&lastKey=xxx
+ *
+ * Nécessite la permission "comment:moderate" (moderator, admin)
+ * Commentaires du statut demandé (défaut: pending), du plus ancien au plus récent
+ */
+module.exports.getModerationQueue = async (event) => {
+  console.log("=== GET MODERATION QUEUE ===");
+
+  try {
+    const authUserRole = event.requestContext?.authorizer?.role;
+    const queryParams = event.queryStringParameters || {};
+    const status = queryParams.status || "pending";
+    const limit = Math.min(parseInt(queryParams.limit) || 20, 100);
+    const lastKey = queryParams.lastKey ? JSON.parse(decodeURIComponent(queryParams.lastKey)) : null;
+
+    if (!permissions.can(authUserRole, "comment:moderate")) {
+      return response.forbidden("Only moderators and admins can moderate comments");
+    }
+
+    if (!validation.COMMENT_MODERATION_STATUSES.includes(status)) {
+      return response.badRequest(`Status must be one of: ${validation.COMMENT_MODERATION_STATUSES.join(", ")}`);
+    }
+
+    // Query avec index StatusIndex (ordre chronologique), placeholders exclus
+    const params = {
+      TableName: COMMENTS_TABLE,
+      IndexName: "StatusIndex",
+      KeyConditionExpression: "#status = :status",
+      FilterExpression: "attribute_not_exists(deleted)",
+      ExpressionAttributeNames: {
+        "#status": "status",
+      },
+      ExpressionAttributeValues: {
+        ":status": status,
+      },
+      Limit: limit,
+      ScanIndexForward: true,
+    };
+
+    if (lastKey) {
+      params.ExclusiveStartKey = lastKey;
+    }
+
+    const result = await dynamodb.send(new QueryCommand(params));
+
+    console.log(`Retrieved ${result.Items.length} ${status} comments`);
+
+    const responseData = {
+      comments: result.Items,
+      count: result.Items.length,
+      status: status,
+    };
+
+    if (result.LastEvaluatedKey) {
+      responseData.lastKey = encodeURIComponent(JSON.stringify(result.LastEvaluatedKey));
+      responseData.hasMore = true;
+    } else {
+      responseData.hasMore = false;
+    }
+
+    return response.ok(responseData);
+  } catch (error) {
+    console.error("Error in getModerationQueue:", error);
+    return response.handleError(error);
+  }
+};
+
+/**
+ * BULK MODERATE COMMENTS - Approuver ou rejeter plusieurs commentaires
+ * POST /admin/comments/moderate
+ *
+ * Nécessite la permission "comment:moderate" (moderator, admin)
+ *
+ * Body:
+ * {
+ *   "commentIds": ["uuid1", "uuid2"] (100 maximum),
+ *   "status": "approved" | "rejected",
+ *   "reason": "Spam" (optionnel, rejet uniquement)
+ * }
+ *
+ * Les commentaires introuvables ou supprimés sont listés dans "failed", les autres sont modérés
+ */
+module.exports.bulkModerateComments = async (event) => {
+  console.log("=== BULK MODERATE COMMENTS ===");
+
+  try {
+    const authUserId = event.requestContext?.authorizer?.userId;
+    const authUserRole = event.requestContext?.authorizer?.role;
+
+    if (!permissions.can(authUserRole, "comment:moderate")) {
+      return response.forbidden("Only moderators and admins can moderate comments");
+    }
+
+    const body = JSON.parse(event.body || "{}");
+
+    const validationResult = validation.validateBulkModeration(body);
+    if (!validationResult.valid) {
+      return response.badRequest("Validation failed", validationResult.errors);
+    }
+
+    const commentIds = [...new Set(body.commentIds)];
+    const decision = {
+      status: body.status,
+      reason: body.reason,
+      moderatorId: authUserId,
+      now: new Date().toISOString(),
+    };
+
+    const moderated = [];
+    const failed = [];
+
+    // Par lots de 25 mises à jour en parallèle
+    for (let i = 0; i < commentIds.length; i += 25) {
+      const batch = commentIds.slice(i, i + 25);
+      await Promise.all(
+        batch.map(async (commentId) => {
+          try {
+            await applyModeration(commentId, decision);
+            moderated.push(commentId);
+          } catch (error) {
+            if (error.name !== "ConditionalCheckFailedException") {
+              throw error;
+            }
+            failed.push({ commentId: commentId, error: "Comment not found" });
+          }
+        })
+      );
+    }
+
+    console.log(`Bulk moderation by ${authUserId}: ${moderated.length} ${body.status}, ${failed.length} failed`);
+
+    return response.ok({
+      message: `${moderated.length} comments ${body.status}`,
+      status: body.status,
+      moderated: moderated,
+      failed: failed,
+    });
+  } catch (error) {
+    console.error("Error in bulkModerateComments:", error);
+    return response.handleError(error);
+  }
+};
+
+/**
+ * SYNC COMMENT STATS - Met à jour commentCount et lastCommentAt des articles
+ * Déclenché par le stream DynamoDB de la table Comments
+ *
+ * Un commentaire compte lorsqu'il est approuvé et non supprimé: création, modération
+ * et suppression ajustent le compteur de son article.
+ */
+module.exports.syncCommentStats = async (event) => {
+  console.log("=== SYNC COMMENT STATS ===");
+
+  try {
+    let incremented = 0;
+    let decremented = 0;
+
+    for (const record of event.Records || []) {
+      const oldComment = record.dynamodb?.OldImage ? unmarshall(record.dynamodb.OldImage) : null;
+      const newComment =
+        record.eventName !== "REMOVE" && record.dynamodb?.NewImage ? unmarshall(record.dynamodb.NewImage) : null;
+      const comment = newComment || oldComment;
+      const delta = commentStats.getDelta(oldComment, newComment);
+
+      if (!comment || delta === 0) {
+        continue;
+      }
+
+      if (delta > 0) {
+        await commentStats.incrementPost(comment.postId, comment.createdAt);
+        incremented++;
+      } else {
+        await commentStats.decrementPost(comment.postId, comment.createdAt);
+        decremented++;
+      }
+    }
+
+    console.log(`Comment stats synced: ${incremented} incremented, ${decremented} decremented`);
+
+    return {
+      incremented: incremented,
+      decremented: decremented,
+    };
+  } catch (error) {
+    console.error("Error in syncCommentStats:", error);
+    throw error;
+  }
+};
+
+/**
+ * REPAIR COMMENT STATS - Recalcule commentCount et lastCommentAt de tous les articles
+ * Job planifié (quotidien), invocable manuellement: serverless invoke -f repairCommentStats
+ *
+ * Parcourt la table Comments, puis corrige les articles dont les compteurs diffèrent
+ */
+module.exports.repairCommentStats = async () => {
+  console.log("=== REPAIR COMMENT STATS ===");
+
+  try {
+    // Compteurs attendus, calculés à partir des commentaires
+    const expected = new Map();
+    let lastKey;
+
+    do {
+      const result = await dynamodb.send(
+        new ScanCommand({
+          TableName: COMMENTS_TABLE,
+          ProjectionExpression: "postId, #status, deleted, createdAt",
+          ExpressionAttributeNames: {
+            "#status": "status",
+          },
+          ExclusiveStartKey: lastKey,
+        })
+      );
+
+      for (const comment of result.Items.filter(commentStats.isCounted)) {
+        const stats = expected.get(comment.postId) || { commentCount: 0, lastCommentAt: null };
+        stats.commentCount++;
+        if (!stats.lastCommentAt || comment.createdAt > stats.lastCommentAt) {
+          stats.lastCommentAt = comment.createdAt;
+        }
+        expected.set(comment.postId, stats);
+      }
+
+      lastKey = result.LastEvaluatedKey;
+    } while (lastKey);
+
+    // Correction des articles
+    let checked = 0;
+    let repaired = 0;
+
+    do {
+      const result = await dynamodb.send(
+        new ScanCommand({
+          TableName: POSTS_TABLE,
+          ProjectionExpression: "postId, commentCount, lastCommentAt",
+          ExclusiveStartKey: lastKey,
+        })
+      );
+
+      for (const post of result.Items) {
+        const stats = expected.get(post.postId) || { commentCount: 0, lastCommentAt: null };
+        checked++;
+
+        if (post.commentCount === stats.commentCount && (post.lastCommentAt || null) === stats.lastCommentAt) {
+          continue;
+        }
+
+        if (await commentStats.setPostStats(post.postId, stats)) {
+          console.log(
+            `Post ${post.postId}: commentCount ${post.commentCount ?? "-"} -> ${stats.commentCount}, ` +
+              `lastCommentAt ${post.lastCommentAt || "-"} -> ${stats.lastCommentAt || "-"}`
+          );
+          repaired++;
+        }
+      }
+
+      lastKey = result.LastEvaluatedKey;
+    } while (lastKey);
+
+    console.log(`Comment stats repair complete: ${checked} posts checked, ${repaired} repaired`);
+
+    return {
+      checked: checked,
+      repaired: repaired,
+    };
+  } catch (error) {
+    console.error("Error in repairCommentStats:", error);
+    throw error;
+  }
+};
@@ -0,0 +1,406 @@
+"use strict";
+
+const { DynamoDBClient } = require("@aws-sdk/client-dynamodb");
+const { DynamoDBDocumentClient, GetCommand, ScanCommand } = require("@aws-sdk/lib-dynamodb");
+const { unmarshall } = require("@aws-sdk/util-dynamodb");
+
+const response = require("../utils/response");
+const permissions = require("../utils/permissions");
+const clock = require("../utils/clock");
+const follows = require("../utils/follows");
+const feed = require("../utils/feed");
+
+/**
+ * FEED HANDLER
+ * ============
+ * Abonnements entre utilisateurs et fil d'actualité personnalisé
+ *
+ * Fonctionnalités:
+ * - Abonnement / désabonnement (idempotents)
+ * - Listes des abonnés et des abonnements d'un utilisateur
+ * - Fil des articles publiés par les auteurs suivis (GET /feed)
+ * - Alimentation du fil depuis le flux DynamoDB de la table Posts
+ *
+ * Les compteurs followerCount / followingCount sont renvoyés par getProfile
+ */
+
+const dynamoClient = new DynamoDBClient({});
+const dynamodb = DynamoDBDocumentClient.from(dynamoClient);
+
+const USERS_TABLE = process.env.USERS_TABLE;
+const POSTS_TABLE = process.env.POSTS_TABLE;
+
+/**
+ * Récupère un utilisateur
+ * @param {string} userId - ID de l'utilisateur
+ * @returns {Promise<object|null>} Utilisateur ou null
+ */
+async function getUser(userId) {
+  const result = await dynamodb.send(
+    new GetCommand({
+      TableName: USERS_TABLE,
+      Key: { userId: userId },
+    })
+  );
+  return result.Item || null;
+}
+
+/**
+ * Vérifie l'utilisateur connecté et l'utilisateur cible d'un abonnement
+ * @param {object} event - Événement API Gateway
+ * @returns {object} {followerId, followedId} ou {error: réponse HTTP}
+ */
+function prepareFollow(event) {
+  const followerId = event.requestContext?.authorizer?.userId;
+  const userRole = event.requestContext?.authorizer?.role;
+  const followedId = event.pathParameters?.userId;
+
+  if (!followedId) {
+    return { error: response.badRequest("User ID is required") };
+  }
+
+  if (!permissions.can(userRole, "user:follow")) {
+    return { error: response.forbidden("Your role does not allow following users") };
+  }
+
+  if (followedId === followerId) {
+    return { error: response.badRequest("You cannot follow yourself") };
+  }
+
+  return { followerId, followedId };
+}
+
+/**
+ * Page d'abonnés ou d'abonnements avec le nom et l'avatar de chaque utilisateur
+ * @param {object} event - Événement API Gateway
+ * @param {function} listPage - follows.listFollowers ou follows.listFollowing
+ * @param {string} field - Nom de la liste dans la réponse
+ * @returns {Promise<object>} Réponse HTTP
+ */
+async function listRelations(event, listPage, field) {
+  const userId = event.pathParameters?.userId;
+  const queryParams = event.queryStringParameters || {};
+  const limit = Math.min(parseInt(queryParams.limit) || 20, 100);
+  const lastKey = queryParams.lastKey ? JSON.parse(decodeURIComponent(queryParams.lastKey)) : null;
+
+  if (!userId) {
+    return response.badRequest("User ID is required");
+  }
+
+  const result = await listPage(userId, limit, lastKey);
+  const summaries = await follows.getUserSummaries(result.items.map((item) => item.userId));
+
+  const users = result.items
+    .filter((item) => summaries.has(item.userId))
+    .map((item) => {
+      const { followerCount, ...user } = summaries.get(item.userId);
+      return { ...user, followedAt: item.followedAt };
+    });
+
+  console.log(`Retrieved ${users.length} ${field} for user: ${userId}`);
+
+  const responseData = {
+    [field]: users,
+    count: users.length,
+    userId: userId,
+  };
+
+  if (result.lastEvaluatedKey) {
+    responseData.lastKey = encodeURIComponent(JSON.stringify(result.lastEvaluatedKey));
+    responseData.hasMore = true;
+  } else {
+    responseData.hasMore = false;
+  }
+
+  return response.ok(responseData);
+}
+
+/**
+ * FOLLOW USER - Suivre un utilisateur
+ * PUT /users/{userId}/follow
+ *
+ * Nécessite authentification
+ * Idempotent: suivre deux fois le même utilisateur ne compte qu'une fois
+ * Les articles récents de l'auteur sont ajoutés au fil (auteurs en fan-out à l'écriture)
+ */
+module.exports.followUser = async (event) => {
+  console.log("=== FOLLOW USER ===");
+
+  try {
+    const { followerId, followedId, error } = prepareFollow(event);
+    if (error) {
+      return error;
+    }
+
+    const followed = await getUser(followedId);
+    if (!followed || !followed.isActive) {
+      return response.notFound("User not found");
+    }
+
+    const result = await follows.follow(followerId, followedId, clock.nowISO());
+    if (result === "not_found") {
+      return response.notFound("User not found");
+    }
+
+    const followerCount = (followed.followerCount || 0) + (result === "followed" ? 1 : 0);
+
+    if (result === "followed" && feed.usesFanOut(followerCount, feed.getConfig())) {
+      const added = await feed.backfill(followerId, followedId, Math.floor(clock.now().getTime() / 1000));
+      console.log(`Backfilled ${added} posts into feed of ${followerId}`);
+    }
+
+    console.log(`User ${followerId} follows ${followedId}: ${result}`);
+
+    return response.ok({
+      message: result === "followed" ? "User followed" : "Already following user",
+      userId: followedId,
+      following: true,
+      followerCount: followerCount,
+    });
+  } catch (error) {
+    console.error("Error in followUser:", error);
+    return response.handleError(error);
+  }
+};
+
+/**
+ * UNFOLLOW USER - Ne plus suivre un utilisateur
+ * DELETE /users/{userId}/follow
+ *
+ * Nécessite authentification
+ * Idempotent: ne plus suivre un utilisateur non suivi ne change rien
+ * Les articles de l'auteur disparaissent immédiatement du fil (filtrés à la lecture)
+ */
+module.exports.unfollowUser = async (event) => {
+  console.log("=== UNFOLLOW USER ===");
+
+  try {
+    const { followerId, followedId, error } = prepareFollow(event);
+    if (error) {
+      return error;
+    }
+
+    const removed = await follows.unfollow(followerId, followedId);
+
+    console.log(`User ${followerId} unfollows ${followedId}: ${removed ? "removed" : "unchanged"}`);
+
+    return response.ok({
+      message: removed ? "User unfollowed" : "Not following user",
+      userId: followedId,
+      following: false,
+    });
+  } catch (error) {
+    console.error("Error in unfollowUser:", error);
+    return response.handleError(error);
+  }
+};
+
+/**
+ * LIST FOLLOWERS - Abonnés d'un utilisateur
+ * GET /users/{userId}/followers?limit=20&lastKey=xxx
+ *
+ * Public
+ * Du plus récent au plus ancien: {userId, name, avatarUrl, followedAt}
+ */
+module.exports.listFollowers = async (event) => {
+  console.log("=== LIST FOLLOWERS ===");
+
+  try {
+    return await listRelations(event, follows.listFollowers, "followers");
+  } catch (error) {
+    console.error("Error in listFollowers:", error);
+    return response.handleError(error);
+  }
+};
+
+/**
+ * LIST FOLLOWING - Utilisateurs suivis par un utilisateur
+ * GET /users/{userId}/following?limit=20&lastKey=xxx
+ *
+ * Public
+ * Du plus récent au plus ancien: {userId, name, avatarUrl, followedAt}
+ */
+module.exports.listFollowing = async (event) => {
+  console.log("=== LIST FOLLOWING ===");
+
+  try {
+    return await listRelations(event, follows.listFollowing, "following");
+  } catch (error) {
+    console.error("Error in listFollowing:", error);
+    return response.handleError(error);
+  }
+};
+
+/**
+ * GET FEED - Fil personnalisé de l'utilisateur connecté
+ * GET /feed?limit=20&lastKey=xxx
+ *
+ * Nécessite authentification
+ * Articles publiés des auteurs suivis, du plus récent au plus ancien (date de publication)
+ * Pagination par curseur: lastKey renvoyé par la page précédente
+ */
+module.exports.getFeed = async (event) => {
+  console.log("=== GET FEED ===");
+
+  try {
+    const userId = event.requestContext?.authorizer?.userId;
+    const queryParams = event.queryStringParameters || {};
+    const limit = Math.min(parseInt(queryParams.limit) || 20, 50);
+    const lastKey = queryParams.lastKey ? JSON.parse(decodeURIComponent(queryParams.lastKey)) : null;
+
+    const followingIds = await follows.getFollowingIds(userId);
+
+    if (followingIds.length === 0) {
+      return response.ok({
+        posts: [],
+        count: 0,
+        hasMore: false,
+      });
+    }
+
+    // Auteurs trop suivis pour le fan-out à l'écriture: leur chronologie est lue directement
+    const config = feed.getConfig();
+    const authors = await follows.getUserSummaries(followingIds);
+    const pullAuthorIds = followingIds.filter(
+      (authorId) => authors.has(authorId) && !feed.usesFanOut(authors.get(authorId).followerCount, config)
+    );
+
+    const page = await feed.getFeedPage({
+      userId: userId,
+      followingIds: followingIds,
+      pullAuthorIds: pullAuthorIds,
+      limit: limit,
+      before: lastKey?.feedKey || null,
+    });
+
+    console.log(
+      `Feed for user ${userId}: ${page.posts.length} posts (${followingIds.length} followed, ${pullAuthorIds.length} read on demand)`
+    );
+
+    const responseData = {
+      posts: page.posts,
+      count: page.posts.length,
+    };
+
+    if (page.hasMore) {
+      responseData.lastKey = encodeURIComponent(JSON.stringify({ feedKey: page.lastFeedKey }));
+      responseData.hasMore = true;
+    } else {
+      responseData.hasMore = false;
+    }
+
+    return response.ok(responseData);
+  } catch (error) {
+    console.error("Error in getFeed:", error);
+    return response.handleError(error);
+  }
+};
+
+/**
+ * FAN OUT POSTS - Alimenter les fils à partir du flux DynamoDB de la table Posts
+ * Appelé par postsStream.processPostsStream (stream PostsTable, NEW_AND_OLD_IMAGES)
+ *
+ * - Article publié: ajouté aux chronologies du site et de l'auteur, et au fil de ses abonnés
+ *   si l'auteur a au plus FEED_FANOUT_MAX_FOLLOWERS abonnés
+ * - Article dépublié ou supprimé: retiré des chronologies du site et de l'auteur
+ *   (les fils des abonnés le filtrent à la lecture, comme les entrées d'une date de publication modifiée)
+ */
+module.exports.fanOutPosts = async (event) => {
+  console.log("=== FAN OUT POSTS ===");
+
+  try {
+    const config = feed.getConfig();
+    let published = 0;
+    let delivered = 0;
+    let removed = 0;
+
+    for (const record of event.Records || []) {
+      const oldPost = record.dynamodb?.OldImage ? unmarshall(record.dynamodb.OldImage) : null;
+      const newPost = record.dynamodb?.NewImage ? unmarshall(record.dynamodb.NewImage) : null;
+
+      const wasPublished = Boolean(oldPost) && oldPost.status === "published";
+      const isPublished = record.eventName !== "REMOVE" && Boolean(newPost) && newPost.status === "published";
+
+      if (isPublished) {
+        if (wasPublished && oldPost.publishedAt === newPost.publishedAt) {
+          continue;
+        }
+        if (wasPublished) {
+          await feed.removeFromTimelines(oldPost);
+        }
+        await feed.addToTimelines(newPost);
+        published++;
+
+        const author = await getUser(newPost.authorId);
+        if (!feed.usesFanOut(author?.followerCount, config)) {
+          console.log(`Post ${newPost.postId}: author ${newPost.authorId} read on demand, no fan-out`);
+          continue;
+        }
+
+        const nowSeconds = Math.floor(clock.now().getTime() / 1000);
+        await follows.forEachFollowerPage(newPost.authorId, async (followerIds) => {
+          delivered += await feed.fanOut(newPost, followerIds, nowSeconds);
+        });
+        console.log(`Post ${newPost.postId} delivered to followers of ${newPost.authorId}`);
+      } else if (wasPublished) {
+        await feed.removeFromTimelines(oldPost);
+        removed++;
+        console.log(`Post removed from timelines: ${oldPost.postId}`);
+      }
+    }
+
+    console.log(`Feeds updated: ${published} published, ${delivered} deliveries, ${removed} removed`);
+
+    return {
+      published: published,
+      delivered: delivered,
+      removed: removed,
+    };
+  } catch (error) {
+    console.error("Error in fanOutPosts:", error);
+    throw error;
+  }
+};
+
+/**
+ * REBUILD TIMELINES - Reconstruire les chronologies du site et des auteurs à partir de la table Posts
+ * Invocation manuelle: serverless invoke -f rebuildTimelines
+ *
+ * Ajoute tous les articles publiés aux chronologies (ex: après déploiement initial).
+ * Les fils des abonnés ne sont pas rétro-alimentés.
+ */
+module.exports.rebuildTimelines = async () => {
+  console.log("=== REBUILD TIMELINES ===");
+
+  try {
+    let added = 0;
+    let lastKey;
+
+    do {
+      const result = await dynamodb.send(
+        new ScanCommand({
+          TableName: POSTS_TABLE,
+          ExclusiveStartKey: lastKey,
+        })
+      );
+
+      for (const post of result.Items) {
+        if (post.status === "published" && post.publishedAt) {
+          await feed.addToTimelines(post);
+          added++;
+        }
+      }
+
+      lastKey = result.LastEvaluatedKey;
+    } while (lastKey);
+
+    console.log(`Timelines rebuilt: ${added} posts`);
+
+    return {
+      added: added,
+    };
+  } catch (error) {
+    console.error("Error in rebuildTimelines:", error);
+    throw error;
+  }
+};
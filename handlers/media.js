@@ -1,19 +1,37 @@
 "use strict";
 
-const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require("@aws-sdk/client-s3");
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  DeleteObjectsCommand,
+  CreateMultipartUploadCommand,
+  UploadPartCommand,
+  ListPartsCommand,
+  CompleteMultipartUploadCommand,
+  AbortMultipartUploadCommand,
+} = require("@aws-sdk/client-s3");
 const { getSignedUrl } = require("@aws-sdk/s3-request-presigner");
 const { DynamoDBClient } = require("@aws-sdk/client-dynamodb");
+const { unmarshall } = require("@aws-sdk/util-dynamodb");
 const {
   DynamoDBDocumentClient,
-  PutCommand,
   GetCommand,
-  DeleteCommand,
+  UpdateCommand,
   QueryCommand,
+  ScanCommand,
 } = require("@aws-sdk/lib-dynamodb");
 const { v4: uuidv4 } = require("uuid");
 
 const response = require("../utils/response");
 const validation = require("../utils/validation");
+const permissions = require("../utils/permissions");
+const clock = require("../utils/clock");
+const images = require("../utils/images");
+const fileTypes = require("../utils/fileTypes");
+const storage = require("../utils/storage");
 
 /**
  * MEDIA HANDLER
@@ -21,10 +39,19 @@ const validation = require("../utils/validation");
  * Gestion des médias (images, vidéos)
  *
  * Fonctionnalités:
- * - Upload de fichiers vers S3
+ * - Upload direct vers S3 par URL présignée (upload-url puis complete)
+ * - Upload multipart reprenable pour les fichiers volumineux (vidéos)
+ * - Upload de petits fichiers en base64 via l'API
+ * - Variantes des images (miniature, tailles intermédiaires, WebP) sans métadonnées EXIF/GPS
  * - Récupération d'URL signées
  * - Liste des médias d'un utilisateur
  * - Suppression de médias
+ * - Quotas de stockage par utilisateur (utils/storage), vérifiés à chaque upload
+ *
+ * Un média en cours d'upload direct a le statut "pending" et n'a pas encore d'uploadedAt:
+ * il n'apparaît ni dans getMedia ni dans listUserMedia (index UserIndex sur uploadedAt).
+ * Les uploads abandonnés sont supprimés par cleanupStaleUploads (index PendingIndex).
+ * Les images sont traitées par processMedia (flux de la table Media) dès que le fichier est disponible.
  */
 
 const s3Client = new S3Client({ region: process.env.AWS_REGION || "eu-west-1" });
@@ -33,6 +60,351 @@ const dynamodb = DynamoDBDocumentClient.from(dynamoClient);
 
 const MEDIA_BUCKET = process.env.MEDIA_BUCKET;
 const MEDIA_TABLE = process.env.MEDIA_TABLE;
+const USERS_TABLE = process.env.USERS_TABLE;
+
+// Durée de validité d'une URL d'upload présignée (secondes)
+const UPLOAD_URL_EXPIRES_IN = 15 * 60;
+
+// Taille maximale d'un upload direct en une requête: au-delà, upload multipart
+const MAX_SINGLE_UPLOAD_SIZE = 100 * 1024 * 1024; // 100 MB
+
+// Durée pendant laquelle un upload multipart peut être poursuivi ou repris (secondes)
+const MULTIPART_UPLOAD_EXPIRES_IN = 24 * 60 * 60;
+
+// Taille des parties (S3: 5 MB minimum sauf la dernière, 10 000 parties au plus)
+const MULTIPART_PART_SIZE = 10 * 1024 * 1024; // 10 MB
+const MAX_MULTIPART_PARTS = 10000;
+
+// Nombre maximal d'URLs de parties signées par requête
+const MAX_PART_URLS = 100;
+
+// Durée de validité d'une URL d'envoi de partie (secondes)
+const PART_URL_EXPIRES_IN = 60 * 60;
+
+// Délai après expiration avant la suppression d'un upload abandonné (laisse le temps de le compléter)
+const STALE_UPLOAD_GRACE_MS = 60 * 60 * 1000;
+
+/**
+ * Clé S3 d'un média (l'extension vient du type de contenu, jamais du nom de fichier)
+ * @param {string} userId - ID du propriétaire
+ * @param {string} mediaId - ID du média
+ * @param {string} contentType - Type de contenu validé
+ * @returns {string} Clé S3
+ */
+function buildS3Key(userId, mediaId, contentType) {
+  return `media/${userId}/${mediaId}.${fileTypes.getExtension(contentType)}`;
+}
+
+/**
+ * Lit le début d'un objet S3 pour en détecter le type
+ * @param {string} s3Key - Clé S3
+ * @returns {Promise<string|null>} Type de contenu détecté, null si non reconnu
+ */
+async function detectStoredContentType(s3Key) {
+  const object = await s3Client.send(
+    new GetObjectCommand({
+      Bucket: MEDIA_BUCKET,
+      Key: s3Key,
+      Range: `bytes=0-${fileTypes.SIGNATURE_LENGTH - 1}`,
+    })
+  );
+  return fileTypes.detectContentType(Buffer.from(await object.Body.transformToByteArray()));
+}
+
+/**
+ * Clé S3 d'une variante d'image
+ * @param {object} media - Média
+ * @param {object} rendition - Variante {name, extension}
+ * @returns {string} Clé S3
+ */
+function buildVariantKey(media, rendition) {
+  return `media/${media.userId}/${media.mediaId}/${rendition.name}.${rendition.extension}`;
+}
+
+/**
+ * URL de lecture signée (1 heure)
+ * @param {string} s3Key - Clé S3
+ * @returns {Promise<string>} URL signée
+ */
+function getReadUrl(s3Key) {
+  return getSignedUrl(
+    s3Client,
+    new GetObjectCommand({
+      Bucket: MEDIA_BUCKET,
+      Key: s3Key,
+    }),
+    { expiresIn: 3600 } // 1 heure
+  );
+}
+
+/**
+ * Ajoute une URL de lecture signée (1 heure) à un média et à ses variantes
+ * @param {object} media - Média
+ * @returns {Promise<object>} Média avec "url"
+ */
+async function withSignedUrl(media) {
+  const result = {
+    ...media,
+    url: await getReadUrl(media.s3Key),
+  };
+
+  if (media.variants) {
+    const entries = await Promise.all(
+      Object.entries(media.variants).map(async ([name, variant]) => [
+        name,
+        { ...variant, url: await getReadUrl(variant.s3Key) },
+      ])
+    );
+    result.variants = Object.fromEntries(entries);
+  }
+
+  return result;
+}
+
+/**
+ * Récupère un média
+ * @param {string} mediaId - ID du média
+ * @returns {Promise<object|null>} Média ou null
+ */
+async function getMediaItem(mediaId) {
+  const result = await dynamodb.send(
+    new GetCommand({
+      TableName: MEDIA_TABLE,
+      Key: { mediaId: mediaId },
+    })
+  );
+  return result.Item || null;
+}
+
+/**
+ * Réponse 403 - quota de stockage dépassé
+ * @param {object|null} report - Usage et quota (storage.getStorageReport)
+ * @returns {object} Réponse HTTP 403
+ */
+function quotaExceeded(report) {
+  return response.error(403, "Storage quota exceeded", report && { usage: report.usage, quota: report.quota });
+}
+
+/**
+ * Charge un média appartenant à l'utilisateur authentifié
+ * @param {object} event - Event API Gateway
+ * @returns {Promise<object>} {media} si trouvé, {error: réponse HTTP} sinon
+ */
+async function loadOwnMedia(event) {
+  const mediaId = event.pathParameters?.mediaId;
+  const userId = event.requestContext?.authorizer?.userId;
+
+  if (!mediaId) {
+    return { error: response.badRequest("Media ID is required") };
+  }
+
+  const media = await getMediaItem(mediaId);
+
+  // Le média d'un autre utilisateur est traité comme inexistant
+  if (!media || media.userId !== userId) {
+    return { error: response.notFound("Media not found") };
+  }
+
+  return { media };
+}
+
+/**
+ * Valide la description d'un fichier à uploader directement vers S3
+ * @param {object} body - {filename, contentType, size}
+ * @returns {object|null} Réponse HTTP d'erreur, null si valide
+ */
+function checkUploadRequest(body) {
+  if (!body.filename || !body.contentType || body.size === undefined) {
+    return response.badRequest("filename, contentType, and size are required");
+  }
+
+  if (!Number.isInteger(body.size)) {
+    return response.badRequest("size must be an integer number of bytes");
+  }
+
+  const validationResult = validation.validateMedia({
+    filename: body.filename,
+    contentType: body.contentType,
+    size: body.size,
+  });
+
+  if (!validationResult.valid) {
+    return response.badRequest("Validation failed", validationResult.errors);
+  }
+
+  return null;
+}
+
+/**
+ * Vérifie qu'un upload multipart peut être poursuivi
+ * @param {object} media - Média
+ * @returns {object|null} Réponse HTTP d'erreur, null si l'upload est en cours
+ */
+function checkMultipartUpload(media) {
+  if (media.status !== "pending") {
+    return response.conflict("Upload already completed");
+  }
+  if (!media.uploadId) {
+    return response.badRequest("Media is not a multipart upload");
+  }
+  if (media.uploadExpiresAt <= clock.nowISO()) {
+    return response.error(410, "Upload has expired");
+  }
+  return null;
+}
+
+/**
+ * Taille attendue d'une partie (toutes font partSize sauf la dernière)
+ * @param {object} media - Média en cours d'upload multipart
+ * @param {number} partNumber - Numéro de partie (à partir de 1)
+ * @returns {number} Taille en octets
+ */
+function getPartSize(media, partNumber) {
+  return partNumber < media.partCount ? media.partSize : media.size - media.partSize * (media.partCount - 1);
+}
+
+/**
+ * Liste les parties déjà reçues par S3
+ * @param {object} media - Média en cours d'upload multipart
+ * @returns {Promise<array>} [{partNumber, size, etag}] par numéro croissant
+ */
+async function listUploadedParts(media) {
+  const parts = [];
+  let marker;
+
+  do {
+    const result = await s3Client.send(
+      new ListPartsCommand({
+        Bucket: MEDIA_BUCKET,
+        Key: media.s3Key,
+        UploadId: media.uploadId,
+        PartNumberMarker: marker,
+      })
+    );
+    for (const part of result.Parts || []) {
+      parts.push({ partNumber: part.PartNumber, size: part.Size, etag: part.ETag });
+    }
+    marker = result.IsTruncated ? result.NextPartNumberMarker : undefined;
+  } while (marker);
+
+  return parts;
+}
+
+/**
+ * Supprime les données S3 d'un média: fichier et variantes, ou upload multipart inachevé
+ * @param {object} media - Média
+ */
+async function removeFromS3(media) {
+  if (!media.uploadId && media.variants) {
+    await s3Client.send(
+      new DeleteObjectsCommand({
+        Bucket: MEDIA_BUCKET,
+        Delete: {
+          Objects: [media.s3Key, ...Object.values(media.variants).map((variant) => variant.s3Key)].map((key) => ({
+            Key: key,
+          })),
+          Quiet: true,
+        },
+      })
+    );
+    return;
+  }
+
+  if (!media.uploadId) {
+    await s3Client.send(
+      new DeleteObjectCommand({
+        Bucket: MEDIA_BUCKET,
+        Key: media.s3Key,
+      })
+    );
+    return;
+  }
+
+  try {
+    await s3Client.send(
+      new AbortMultipartUploadCommand({
+        Bucket: MEDIA_BUCKET,
+        Key: media.s3Key,
+        UploadId: media.uploadId,
+      })
+    );
+  } catch (error) {
+    // Déjà annulé ou complété
+    if (error.name !== "NoSuchUpload") {
+      throw error;
+    }
+  }
+}
+
+/**
+ * Enregistre le résultat du traitement d'une image (processedAt est ajouté), une seule fois par média,
+ * et reporte la variation de taille sur l'usage du propriétaire dans la même transaction
+ * @param {object} media - Média {mediaId, userId}
+ * @param {object} fields - Champs à enregistrer (dont processingStatus)
+ * @param {number} bytes - Variation de l'usage en octets
+ * @returns {Promise<boolean>} False si le média a été supprimé ou déjà traité entre-temps
+ */
+async function saveProcessingResult(media, fields, bytes = 0) {
+  const values = { ...fields, processedAt: clock.nowISO() };
+  const names = Object.keys(values);
+
+  return storage.updateMedia(
+    media,
+    {
+      UpdateExpression: `SET ${names.map((name) => `#${name} = :${name}`).join(", ")}`,
+      ConditionExpression: "attribute_exists(mediaId) AND attribute_not_exists(processingStatus)",
+      ExpressionAttributeNames: Object.fromEntries(names.map((name) => [`#${name}`, name])),
+      ExpressionAttributeValues: Object.fromEntries(names.map((name) => [`:${name}`, values[name]])),
+    },
+    bytes
+  );
+}
+
+/**
+ * Passe un média en attente au statut "ready"
+ * @param {string} mediaId - ID du média
+ * @returns {Promise<object>} Réponse HTTP (201, ou 200 si complété entre-temps par une requête concurrente)
+ */
+async function markUploaded(mediaId) {
+  try {
+    const result = await dynamodb.send(
+      new UpdateCommand({
+        TableName: MEDIA_TABLE,
+        Key: { mediaId: mediaId },
+        UpdateExpression:
+          "SET #status = :ready, uploadedAt = :now REMOVE uploadExpiresAt, uploadId, partSize, partCount",
+        ConditionExpression: "#status = :pending",
+        ExpressionAttributeNames: { "#status": "status" },
+        ExpressionAttributeValues: {
+          ":ready": "ready",
+          ":pending": "pending",
+          ":now": clock.nowISO(),
+        },
+        ReturnValues: "ALL_NEW",
+      })
+    );
+
+    console.log(`Upload completed: ${mediaId}`);
+
+    return response.created({
+      message: "Media uploaded successfully",
+      media: await withSignedUrl(result.Attributes),
+    });
+  } catch (error) {
+    if (error.name !== "ConditionalCheckFailedException") {
+      throw error;
+    }
+    // Complété entre-temps, ou supprimé par le nettoyage des uploads abandonnés
+    const current = await getMediaItem(mediaId);
+    if (!current || current.status === "pending") {
+      return response.notFound("Media not found");
+    }
+    return response.ok({
+      message: "Media already uploaded",
+      media: await withSignedUrl(current),
+    });
+  }
+}
 
 /**
  * UPLOAD MEDIA - Upload un fichier média vers S3
@@ -40,6 +412,8 @@ const MEDIA_TABLE = process.env.MEDIA_TABLE;
  *
  * Nécessite authentification
  * Le fichier doit être envoyé en base64 dans le body
+ * Limité par la taille maximale des requêtes API Gateway: pour les fichiers volumineux,
+ * utiliser l'upload direct (POST /media/upload-url puis POST /media/{mediaId}/complete)
  *
  * Body:
  * {
@@ -54,6 +428,11 @@ module.exports.uploadMedia = async (event) => {
   try {
     const userId = event.requestContext?.authorizer?.userId;
     const userName = event.requestContext?.authorizer?.name;
+    const userRole = event.requestContext?.authorizer?.role;
+
+    if (!permissions.can(userRole, "media:upload")) {
+      return response.forbidden("Your role does not allow uploading media");
+    }
 
     // Parse du body
     const body = JSON.parse(event.body || "{}");
@@ -76,10 +455,20 @@ module.exports.uploadMedia = async (event) => {
       return response.badRequest("Validation failed", validationResult.errors);
     }
 
+    // Le contenu doit correspondre au type déclaré
+    if (fileTypes.detectContentType(fileBuffer) !== body.contentType) {
+      return response.badRequest("File content does not match the declared content type");
+    }
+
+    // Vérification du quota avant d'envoyer le fichier (revérifié à l'enregistrement)
+    const quotaCheck = await storage.checkQuota(userId, fileBuffer.length);
+    if (!quotaCheck.allowed) {
+      return quotaExceeded(quotaCheck.report);
+    }
+
     // Générer un ID unique pour le média
     const mediaId = uuidv4();
-    const fileExtension = body.filename.split(".").pop();
-    const s3Key = `media/${userId}/${mediaId}.${fileExtension}`;
+    const s3Key = buildS3Key(userId, mediaId, body.contentType);
 
     // Upload vers S3
     await s3Client.send(
@@ -111,12 +500,13 @@ module.exports.uploadMedia = async (event) => {
       uploadedAt: now,
     };
 
-    await dynamodb.send(
-      new PutCommand({
-        TableName: MEDIA_TABLE,
-        Item: mediaItem,
-      })
-    );
+    const added = await storage.addMedia(mediaItem);
+
+    if (!added.created) {
+      // Quota atteint entre-temps (uploads simultanés)
+      await removeFromS3(mediaItem);
+      return quotaExceeded(added.report);
+    }
 
     console.log(`Media metadata saved: ${mediaId}`);
 
@@ -143,6 +533,586 @@ module.exports.uploadMedia = async (event) => {
   }
 };
 
+/**
+ * CREATE UPLOAD URL - Préparer un upload direct vers S3
+ * POST /media/upload-url
+ *
+ * Nécessite authentification
+ * Crée le média en statut "pending" et renvoie une URL PUT présignée (15 minutes).
+ * Content-Type et Content-Length font partie de la signature: S3 refuse un fichier
+ * d'un autre type ou d'une autre taille que ceux déclarés.
+ *
+ * Body:
+ * {
+ *   "filename": "video.mp4",
+ *   "contentType": "video/mp4",
+ *   "size": 7340032
+ * }
+ */
+module.exports.createUploadUrl = async (event) => {
+  console.log("=== CREATE UPLOAD URL ===");
+
+  try {
+    const userId = event.requestContext?.authorizer?.userId;
+    const userName = event.requestContext?.authorizer?.name;
+    const userRole = event.requestContext?.authorizer?.role;
+
+    if (!permissions.can(userRole, "media:upload")) {
+      return response.forbidden("Your role does not allow uploading media");
+    }
+
+    const body = JSON.parse(event.body || "{}");
+
+    const requestError = checkUploadRequest(body);
+    if (requestError) {
+      return requestError;
+    }
+
+    if (body.size > MAX_SINGLE_UPLOAD_SIZE) {
+      return response.badRequest(
+        `Files larger than ${MAX_SINGLE_UPLOAD_SIZE / (1024 * 1024)}MB must use a multipart upload (POST /media/multipart)`
+      );
+    }
+
+    const mediaId = uuidv4();
+    const s3Key = buildS3Key(userId, mediaId, body.contentType);
+    const now = clock.now();
+    const expiresAt = new Date(now.getTime() + UPLOAD_URL_EXPIRES_IN * 1000).toISOString();
+
+    // Le média en attente compte dans le quota dès maintenant
+    const added = await storage.addMedia({
+      mediaId: mediaId,
+      userId: userId,
+      userName: userName,
+      filename: body.filename,
+      s3Key: s3Key,
+      contentType: body.contentType,
+      size: body.size,
+      status: "pending",
+      createdAt: now.toISOString(),
+      uploadExpiresAt: expiresAt,
+    });
+
+    if (!added.created) {
+      return quotaExceeded(added.report);
+    }
+
+    const uploadUrl = await getSignedUrl(
+      s3Client,
+      new PutObjectCommand({
+        Bucket: MEDIA_BUCKET,
+        Key: s3Key,
+        ContentType: body.contentType,
+        ContentLength: body.size,
+      }),
+      {
+        expiresIn: UPLOAD_URL_EXPIRES_IN,
+        signableHeaders: new Set(["content-type", "content-length"]),
+      }
+    );
+
+    console.log(`Upload URL created for media: ${mediaId} (${body.size} bytes)`);
+
+    return response.created({
+      message: "Upload URL created",
+      mediaId: mediaId,
+      upload: {
+        method: "PUT",
+        url: uploadUrl,
+        headers: {
+          "Content-Type": body.contentType,
+        },
+        expiresAt: expiresAt,
+      },
+    });
+  } catch (error) {
+    console.error("Error in createUploadUrl:", error);
+    return response.handleError(error);
+  }
+};
+
+/**
+ * COMPLETE UPLOAD - Valider un upload direct
+ * POST /media/{mediaId}/complete
+ *
+ * Nécessite authentification (propriétaire du média)
+ * Vérifie l'objet S3: présent, de la taille et du type déclarés (HEAD), et dont la signature
+ * correspond au type déclaré. Un objet non conforme est supprimé et le média reste en attente.
+ * Idempotent: compléter un média déjà complété le renvoie tel quel.
+ */
+module.exports.completeUpload = async (event) => {
+  console.log("=== COMPLETE UPLOAD ===");
+
+  try {
+    const owned = await loadOwnMedia(event);
+    if (owned.error) {
+      return owned.error;
+    }
+    const media = owned.media;
+
+    if (media.status !== "pending") {
+      return response.ok({
+        message: "Media already uploaded",
+        media: await withSignedUrl(media),
+      });
+    }
+
+    if (media.uploadId) {
+      return response.badRequest("Multipart uploads are completed with POST /media/{mediaId}/multipart/complete");
+    }
+
+    let object;
+    try {
+      object = await s3Client.send(
+        new HeadObjectCommand({
+          Bucket: MEDIA_BUCKET,
+          Key: media.s3Key,
+        })
+      );
+    } catch (error) {
+      // Clé absente: 404 grâce à s3:ListBucket sur le bucket (403 sans cette permission)
+      if (error.name === "NotFound" || error.$metadata?.httpStatusCode === 404) {
+        return response.badRequest("File has not been uploaded yet");
+      }
+      throw error;
+    }
+
+    if (object.ContentLength !== media.size || object.ContentType !== media.contentType) {
+      await removeFromS3(media);
+      console.log(
+        `Uploaded object rejected for media ${media.mediaId}: ${object.ContentLength} bytes, ${object.ContentType}`
+      );
+      return response.badRequest("Uploaded file does not match the declared size and content type");
+    }
+
+    if ((await detectStoredContentType(media.s3Key)) !== media.contentType) {
+      await removeFromS3(media);
+      console.log(`Uploaded object rejected for media ${media.mediaId}: content does not match ${media.contentType}`);
+      return response.badRequest("File content does not match the declared content type");
+    }
+
+    return await markUploaded(media.mediaId);
+  } catch (error) {
+    console.error("Error in completeUpload:", error);
+    return response.handleError(error);
+  }
+};
+
+/**
+ * CREATE MULTIPART UPLOAD - Démarrer un upload multipart reprenable
+ * POST /media/multipart
+ *
+ * Nécessite authentification
+ * Crée l'upload multipart S3 et le média en statut "pending". Le fichier est découpé en
+ * partCount parties de partSize octets (la dernière est plus petite), envoyées avec les URLs
+ * de POST /media/{mediaId}/multipart/parts. L'upload peut être repris pendant 24 heures.
+ *
+ * Body:
+ * {
+ *   "filename": "video.mp4",
+ *   "contentType": "video/mp4",
+ *   "size": 524288000
+ * }
+ */
+module.exports.createMultipartUpload = async (event) => {
+  console.log("=== CREATE MULTIPART UPLOAD ===");
+
+  try {
+    const userId = event.requestContext?.authorizer?.userId;
+    const userName = event.requestContext?.authorizer?.name;
+    const userRole = event.requestContext?.authorizer?.role;
+
+    if (!permissions.can(userRole, "media:upload")) {
+      return response.forbidden("Your role does not allow uploading media");
+    }
+
+    const body = JSON.parse(event.body || "{}");
+
+    const requestError = checkUploadRequest(body);
+    if (requestError) {
+      return requestError;
+    }
+
+    const mediaId = uuidv4();
+    const s3Key = buildS3Key(userId, mediaId, body.contentType);
+    const now = clock.now();
+    const expiresAt = new Date(now.getTime() + MULTIPART_UPLOAD_EXPIRES_IN * 1000).toISOString();
+
+    // Parties plus grandes pour les fichiers qui dépasseraient la limite de parties S3
+    const partSize = Math.max(MULTIPART_PART_SIZE, Math.ceil(body.size / MAX_MULTIPART_PARTS));
+    const partCount = Math.ceil(body.size / partSize);
+
+    // Vérification du quota avant de démarrer l'upload S3 (revérifié à l'enregistrement)
+    const quotaCheck = await storage.checkQuota(userId, body.size);
+    if (!quotaCheck.allowed) {
+      return quotaExceeded(quotaCheck.report);
+    }
+
+    const upload = await s3Client.send(
+      new CreateMultipartUploadCommand({
+        Bucket: MEDIA_BUCKET,
+        Key: s3Key,
+        ContentType: body.contentType,
+      })
+    );
+
+    const mediaItem = {
+      mediaId: mediaId,
+      userId: userId,
+      userName: userName,
+      filename: body.filename,
+      s3Key: s3Key,
+      contentType: body.contentType,
+      size: body.size,
+      status: "pending",
+      uploadId: upload.UploadId,
+      partSize: partSize,
+      partCount: partCount,
+      createdAt: now.toISOString(),
+      uploadExpiresAt: expiresAt,
+    };
+
+    const added = await storage.addMedia(mediaItem);
+
+    if (!added.created) {
+      await removeFromS3(mediaItem);
+      return quotaExceeded(added.report);
+    }
+
+    console.log(`Multipart upload created for media: ${mediaId} (${body.size} bytes, ${partCount} parts)`);
+
+    return response.created({
+      message: "Multipart upload created",
+      mediaId: mediaId,
+      partSize: partSize,
+      partCount: partCount,
+      expiresAt: expiresAt,
+    });
+  } catch (error) {
+    console.error("Error in createMultipartUpload:", error);
+    return response.handleError(error);
+  }
+};
+
+/**
+ * SIGN MULTIPART PARTS - Obtenir les URLs d'envoi de parties
+ * POST /media/{mediaId}/multipart/parts
+ *
+ * Nécessite authentification (propriétaire du média)
+ * Chaque URL (PUT, valide 1 heure) est signée pour la taille exacte de sa partie.
+ * Une partie peut être renvoyée: la dernière version reçue remplace la précédente.
+ *
+ * Body:
+ * {
+ *   "partNumbers": [1, 2, 3]
+ * }
+ */
+module.exports.signMultipartParts = async (event) => {
+  console.log("=== SIGN MULTIPART PARTS ===");
+
+  try {
+    const owned = await loadOwnMedia(event);
+    if (owned.error) {
+      return owned.error;
+    }
+    const media = owned.media;
+
+    const uploadError = checkMultipartUpload(media);
+    if (uploadError) {
+      return uploadError;
+    }
+
+    const body = JSON.parse(event.body || "{}");
+    const partNumbers = body.partNumbers;
+
+    if (!Array.isArray(partNumbers) || partNumbers.length === 0) {
+      return response.badRequest("partNumbers must be a non-empty array");
+    }
+
+    if (partNumbers.length > MAX_PART_URLS) {
+      return response.badRequest(`At most ${MAX_PART_URLS} part URLs can be requested at once`);
+    }
+
+    if (!partNumbers.every((n) => Number.isInteger(n) && n >= 1 && n <= media.partCount)) {
+      return response.badRequest(`partNumbers must be integers between 1 and ${media.partCount}`);
+    }
+
+    const parts = await Promise.all(
+      [...new Set(partNumbers)].map(async (partNumber) => {
+        const size = getPartSize(media, partNumber);
+        const url = await getSignedUrl(
+          s3Client,
+          new UploadPartCommand({
+            Bucket: MEDIA_BUCKET,
+            Key: media.s3Key,
+            UploadId: media.uploadId,
+            PartNumber: partNumber,
+            ContentLength: size,
+          }),
+          {
+            expiresIn: PART_URL_EXPIRES_IN,
+            signableHeaders: new Set(["content-length"]),
+          }
+        );
+        return { partNumber, size, url };
+      })
+    );
+
+    return response.ok({
+      mediaId: media.mediaId,
+      parts: parts,
+      expiresAt: new Date(clock.now().getTime() + PART_URL_EXPIRES_IN * 1000).toISOString(),
+    });
+  } catch (error) {
+    console.error("Error in signMultipartParts:", error);
+    return response.handleError(error);
+  }
+};
+
+/**
+ * LIST MULTIPART PARTS - État d'un upload multipart, pour le reprendre
+ * GET /media/{mediaId}/multipart/parts
+ *
+ * Nécessite authentification (propriétaire du média)
+ * Retourne les parties déjà reçues et les numéros des parties restant à envoyer.
+ */
+module.exports.listMultipartParts = async (event) => {
+  console.log("=== LIST MULTIPART PARTS ===");
+
+  try {
+    const owned = await loadOwnMedia(event);
+    if (owned.error) {
+      return owned.error;
+    }
+    const media = owned.media;
+
+    const uploadError = checkMultipartUpload(media);
+    if (uploadError) {
+      return uploadError;
+    }
+
+    const parts = await listUploadedParts(media);
+
+    // Une partie de taille inattendue est à renvoyer
+    const received = new Set(
+      parts.filter((part) => part.size === getPartSize(media, part.partNumber)).map((part) => part.partNumber)
+    );
+    const missingPartNumbers = [];
+    for (let partNumber = 1; partNumber <= media.partCount; partNumber++) {
+      if (!received.has(partNumber)) {
+        missingPartNumbers.push(partNumber);
+      }
+    }
+
+    return response.ok({
+      mediaId: media.mediaId,
+      size: media.size,
+      partSize: media.partSize,
+      partCount: media.partCount,
+      parts: parts,
+      missingPartNumbers: missingPartNumbers,
+      expiresAt: media.uploadExpiresAt,
+    });
+  } catch (error) {
+    console.error("Error in listMultipartParts:", error);
+    return response.handleError(error);
+  }
+};
+
+/**
+ * COMPLETE MULTIPART UPLOAD - Assembler les parties et valider le média
+ * POST /media/{mediaId}/multipart/complete
+ *
+ * Nécessite authentification (propriétaire du média)
+ * Les parties sont relues dans S3: toutes doivent avoir été reçues avec la taille attendue.
+ * Après assemblage, un fichier dont la signature ne correspond pas au type déclaré est supprimé avec le média.
+ * Idempotent: compléter un média déjà complété le renvoie tel quel.
+ */
+module.exports.completeMultipartUpload = async (event) => {
+  console.log("=== COMPLETE MULTIPART UPLOAD ===");
+
+  try {
+    const owned = await loadOwnMedia(event);
+    if (owned.error) {
+      return owned.error;
+    }
+    const media = owned.media;
+
+    if (media.status !== "pending") {
+      return response.ok({
+        message: "Media already uploaded",
+        media: await withSignedUrl(media),
+      });
+    }
+
+    if (!media.uploadId) {
+      return response.badRequest("Media is not a multipart upload");
+    }
+
+    const parts = await listUploadedParts(media);
+    const byNumber = new Map(parts.map((part) => [part.partNumber, part]));
+    const missingPartNumbers = [];
+
+    for (let partNumber = 1; partNumber <= media.partCount; partNumber++) {
+      const part = byNumber.get(partNumber);
+      if (!part || part.size !== getPartSize(media, partNumber)) {
+        missingPartNumbers.push(partNumber);
+      }
+    }
+
+    if (missingPartNumbers.length > 0) {
+      return response.badRequest("Upload is incomplete", { missingPartNumbers });
+    }
+
+    try {
+      await s3Client.send(
+        new CompleteMultipartUploadCommand({
+          Bucket: MEDIA_BUCKET,
+          Key: media.s3Key,
+          UploadId: media.uploadId,
+          MultipartUpload: {
+            Parts: parts.map((part) => ({ PartNumber: part.partNumber, ETag: part.etag })),
+          },
+        })
+      );
+    } catch (error) {
+      if (error.name !== "NoSuchUpload") {
+        throw error;
+      }
+      // Upload complété ou annulé entre-temps par une requête concurrente
+      const current = await getMediaItem(media.mediaId);
+      if (current && current.status !== "pending") {
+        return response.ok({
+          message: "Media already uploaded",
+          media: await withSignedUrl(current),
+        });
+      }
+      return response.conflict("Upload is no longer in progress");
+    }
+
+    // L'upload est consommé: un contenu non conforme supprime le fichier et le média
+    if ((await detectStoredContentType(media.s3Key)) !== media.contentType) {
+      await storage.removeMedia(media, { pendingOnly: true });
+      await removeFromS3({ s3Key: media.s3Key });
+      console.log(`Multipart upload rejected for media ${media.mediaId}: content does not match ${media.contentType}`);
+      return response.badRequest("File content does not match the declared content type, upload discarded");
+    }
+
+    return await markUploaded(media.mediaId);
+  } catch (error) {
+    console.error("Error in completeMultipartUpload:", error);
+    return response.handleError(error);
+  }
+};
+
+/**
+ * ABORT MULTIPART UPLOAD - Annuler un upload multipart
+ * DELETE /media/{mediaId}/multipart
+ *
+ * Nécessite authentification (propriétaire du média)
+ * Les parties déjà reçues sont supprimées de S3, ainsi que le média en attente.
+ */
+module.exports.abortMultipartUpload = async (event) => {
+  console.log("=== ABORT MULTIPART UPLOAD ===");
+
+  try {
+    const owned = await loadOwnMedia(event);
+    if (owned.error) {
+      return owned.error;
+    }
+    const media = owned.media;
+
+    if (media.status !== "pending") {
+      return response.conflict("Upload already completed");
+    }
+
+    if (!media.uploadId) {
+      return response.badRequest("Media is not a multipart upload");
+    }
+
+    // Média supprimé avant les parties (comme le nettoyage des uploads abandonnés)
+    const removed = await storage.removeMedia(media, { pendingOnly: true });
+    if (!removed) {
+      return response.conflict("Upload is no longer in progress");
+    }
+
+    await removeFromS3(media);
+
+    console.log(`Multipart upload aborted: ${media.mediaId}`);
+
+    return response.ok({
+      message: "Upload aborted",
+      mediaId: media.mediaId,
+    });
+  } catch (error) {
+    console.error("Error in abortMultipartUpload:", error);
+    return response.handleError(error);
+  }
+};
+
+/**
+ * CLEANUP STALE UPLOADS - Supprimer les uploads directs abandonnés
+ * Déclenché par un événement planifié (voir serverless.yml)
+ *
+ * Utilise l'index PendingIndex (status + uploadExpiresAt) pour ne lire que les uploads expirés
+ * depuis plus d'une heure. Le média est supprimé avant les données S3: une complétion
+ * concurrente échoue alors sur sa condition au lieu de valider un fichier supprimé.
+ */
+module.exports.cleanupStaleUploads = async () => {
+  console.log("=== CLEANUP STALE UPLOADS ===");
+
+  try {
+    const cutoff = new Date(clock.now().getTime() - STALE_UPLOAD_GRACE_MS).toISOString();
+    const staleUploads = [];
+    let lastKey;
+
+    do {
+      const result = await dynamodb.send(
+        new QueryCommand({
+          TableName: MEDIA_TABLE,
+          IndexName: "PendingIndex",
+          KeyConditionExpression: "#status = :pending AND uploadExpiresAt <= :cutoff",
+          ExpressionAttributeNames: {
+            "#status": "status",
+          },
+          ExpressionAttributeValues: {
+            ":pending": "pending",
+            ":cutoff": cutoff,
+          },
+          ExclusiveStartKey: lastKey,
+        })
+      );
+      staleUploads.push(...result.Items);
+      lastKey = result.LastEvaluatedKey;
+    } while (lastKey);
+
+    let cleaned = 0;
+
+    for (const media of staleUploads) {
+      // Libère aussi le quota réservé par l'upload
+      const removed = await storage.removeMedia(media, { pendingOnly: true });
+      if (!removed) {
+        console.log(`Upload completed before cleanup, skipped: ${media.mediaId}`);
+        continue;
+      }
+
+      await removeFromS3(media);
+      cleaned++;
+      console.log(`Stale upload removed: ${media.mediaId} (expired: ${media.uploadExpiresAt})`);
+    }
+
+    console.log(`Removed ${cleaned} of ${staleUploads.length} stale uploads`);
+
+    return {
+      cleaned: cleaned,
+      stale: staleUploads.length,
+    };
+  } catch (error) {
+    console.error("Error in cleanupStaleUploads:", error);
+    throw error;
+  }
+};
+
 /**
  * GET MEDIA - Récupérer les informations d'un média
  * GET /media/{mediaId}
@@ -161,36 +1131,17 @@ module.exports.getMedia = async (event) => {
     }
 
     // Récupérer les métadonnées depuis DynamoDB
-    const result = await dynamodb.send(
-      new GetCommand({
-        TableName: MEDIA_TABLE,
-        Key: { mediaId: mediaId },
-      })
-    );
+    const media = await getMediaItem(mediaId);
 
-    if (!result.Item) {
+    // Un upload direct non complété n'est pas encore un média
+    if (!media || media.status === "pending") {
       return response.notFound("Media not found");
     }
 
-    const media = result.Item;
-
-    // Générer une URL signée
-    const signedUrl = await getSignedUrl(
-      s3Client,
-      new GetObjectCommand({
-        Bucket: MEDIA_BUCKET,
-        Key: media.s3Key,
-      }),
-      { expiresIn: 3600 } // 1 heure
-    );
-
     console.log(`Media retrieved: ${mediaId}`);
 
     return response.ok({
-      media: {
-        ...media,
-        url: signedUrl,
-      },
+      media: await withSignedUrl(media),
     });
   } catch (error) {
     console.error("Error in getMedia:", error);
@@ -218,7 +1169,7 @@ module.exports.listUserMedia = async (event) => {
     }
 
     // Vérification d'autorisation
-    if (userId !== authUserId && authUserRole !== "admin") {
+    if (!permissions.canActOn({ userId: authUserId, role: authUserRole }, "media:read", userId)) {
       return response.forbidden("You can only view your own media");
     }
 
@@ -247,23 +1198,7 @@ module.exports.listUserMedia = async (event) => {
     console.log(`Retrieved ${result.Items.length} media items for user: ${userId}`);
 
     // Générer des URLs signées pour chaque média
-    const mediaWithUrls = await Promise.all(
-      result.Items.map(async (item) => {
-        const signedUrl = await getSignedUrl(
-          s3Client,
-          new GetObjectCommand({
-            Bucket: MEDIA_BUCKET,
-            Key: item.s3Key,
-          }),
-          { expiresIn: 3600 }
-        );
-
-        return {
-          ...item,
-          url: signedUrl,
-        };
-      })
-    );
+    const mediaWithUrls = await Promise.all(result.Items.map(withSignedUrl));
 
     const responseData = {
       media: mediaWithUrls,
@@ -289,7 +1224,7 @@ module.exports.listUserMedia = async (event) => {
  * DELETE /media/{mediaId}
  *
  * Nécessite authentification
- * Seul le propriétaire ou un admin peut supprimer
+ * Seul le propriétaire ou un rôle avec "media:delete:any" (admin) peut supprimer
  */
 module.exports.deleteMedia = async (event) => {
   console.log("=== DELETE MEDIA ===");
@@ -318,27 +1253,17 @@ module.exports.deleteMedia = async (event) => {
     const media = result.Item;
 
     // Vérification d'autorisation
-    if (media.userId !== authUserId && authUserRole !== "admin") {
+    if (!permissions.canActOn({ userId: authUserId, role: authUserRole }, "media:delete", media.userId)) {
       return response.forbidden("You can only delete your own media");
     }
 
-    // Supprimer de S3
-    await s3Client.send(
-      new DeleteObjectCommand({
-        Bucket: MEDIA_BUCKET,
-        Key: media.s3Key,
-      })
-    );
+    // Supprimer de S3 (ou annuler l'upload multipart en cours)
+    await removeFromS3(media);
 
     console.log(`Media deleted from S3: ${media.s3Key}`);
 
-    // Supprimer de DynamoDB
-    await dynamodb.send(
-      new DeleteCommand({
-        TableName: MEDIA_TABLE,
-        Key: { mediaId: mediaId },
-      })
-    );
+    // Supprimer de DynamoDB et libérer le quota du propriétaire
+    await storage.removeMedia(media);
 
     console.log(`Media metadata deleted: ${mediaId}`);
 
@@ -351,3 +1276,199 @@ module.exports.deleteMedia = async (event) => {
     return response.handleError(error);
   }
 };
+
+/**
+ * PROCESS MEDIA - Générer les variantes d'une image après son upload
+ * Déclenché par le stream MediaTable (NEW_AND_OLD_IMAGES, voir serverless.yml)
+ *
+ * Traite une image quand son fichier devient disponible (uploadedAt renseigné):
+ * - l'original est réencodé sans métadonnées (EXIF, GPS) et remplace le fichier uploadé
+ * - les variantes configurées (utils/images) sont écrites sous media/{userId}/{mediaId}/
+ * - le média reçoit variants, width, height et processingStatus ("done", ou "failed" si illisible)
+ */
+module.exports.processMedia = async (event) => {
+  console.log("=== PROCESS MEDIA ===");
+
+  try {
+    const config = images.getConfig();
+    let processed = 0;
+    let failed = 0;
+
+    for (const record of event.Records || []) {
+      const oldMedia = record.dynamodb?.OldImage ? unmarshall(record.dynamodb.OldImage) : null;
+      const newMedia = record.dynamodb?.NewImage ? unmarshall(record.dynamodb.NewImage) : null;
+
+      // Une seule fois, au passage à "fichier disponible"
+      if (
+        record.eventName === "REMOVE" ||
+        !newMedia?.uploadedAt ||
+        oldMedia?.uploadedAt ||
+        !images.isProcessable(newMedia.contentType)
+      ) {
+        continue;
+      }
+
+      // Lot rejoué après un traitement enregistré (l'original est déjà réencodé), ou média supprimé
+      const current = await getMediaItem(newMedia.mediaId);
+      if (!current || current.processingStatus) {
+        continue;
+      }
+
+      const object = await s3Client.send(
+        new GetObjectCommand({
+          Bucket: MEDIA_BUCKET,
+          Key: newMedia.s3Key,
+        })
+      );
+      const buffer = Buffer.from(await object.Body.transformToByteArray());
+
+      let result;
+      try {
+        result = await images.processImage(buffer, newMedia.contentType, config);
+      } catch (error) {
+        // Fichier illisible: le média reste disponible, sans variantes
+        console.error(`Image processing failed for media ${newMedia.mediaId}:`, error.message);
+        await saveProcessingResult(newMedia, { processingStatus: "failed" });
+        failed++;
+        continue;
+      }
+
+      if (result.original.buffer) {
+        await s3Client.send(
+          new PutObjectCommand({
+            Bucket: MEDIA_BUCKET,
+            Key: newMedia.s3Key,
+            Body: result.original.buffer,
+            ContentType: newMedia.contentType,
+          })
+        );
+      }
+
+      const variants = {};
+      for (const rendition of result.renditions) {
+        const s3Key = buildVariantKey(newMedia, rendition);
+        await s3Client.send(
+          new PutObjectCommand({
+            Bucket: MEDIA_BUCKET,
+            Key: s3Key,
+            Body: rendition.buffer,
+            ContentType: rendition.contentType,
+          })
+        );
+        variants[rendition.name] = {
+          s3Key: s3Key,
+          contentType: rendition.contentType,
+          width: rendition.width,
+          height: rendition.height,
+          size: rendition.size,
+        };
+      }
+
+      // L'original réencodé remplace le fichier uploadé dans l'usage du propriétaire, les variantes s'y ajoutent
+      const processedSize = storage.getStoredSize({ size: result.original.size, variants });
+      const saved = await saveProcessingResult(
+        newMedia,
+        {
+          variants: variants,
+          width: result.original.width,
+          height: result.original.height,
+          size: result.original.size,
+          processingStatus: "done",
+        },
+        processedSize - storage.getStoredSize(newMedia)
+      );
+
+      if (!saved) {
+        // Supprimé pendant le traitement: les fichiers écrits seraient orphelins
+        // (traité entre-temps par une autre exécution: les fichiers sont les siens, ils sont conservés)
+        if (!(await getMediaItem(newMedia.mediaId))) {
+          await removeFromS3({ ...newMedia, variants });
+          console.log(`Media deleted during processing, files removed: ${newMedia.mediaId}`);
+        }
+        continue;
+      }
+
+      processed++;
+      console.log(`Media processed: ${newMedia.mediaId} (${result.renditions.length} variants)`);
+    }
+
+    console.log(`Media processing: ${processed} processed, ${failed} failed`);
+
+    return {
+      processed: processed,
+      failed: failed,
+    };
+  } catch (error) {
+    console.error("Error in processMedia:", error);
+    throw error;
+  }
+};
+
+/**
+ * RECOUNT STORAGE USAGE - Recalculer l'usage de stockage de chaque utilisateur
+ * Invocation manuelle: serverless invoke -f recountStorageUsage
+ *
+ * Recalcule storageBytes et storageFiles à partir de la table Media (ex: après le déploiement
+ * des quotas, pour les médias uploadés auparavant). Les médias en attente et les variantes sont comptés.
+ */
+module.exports.recountStorageUsage = async () => {
+  console.log("=== RECOUNT STORAGE USAGE ===");
+
+  try {
+    const usageByUser = new Map();
+    let mediaCount = 0;
+    let lastKey;
+
+    do {
+      const result = await dynamodb.send(
+        new ScanCommand({
+          TableName: MEDIA_TABLE,
+          ProjectionExpression: "userId, #size, variants",
+          ExpressionAttributeNames: { "#size": "size" },
+          ExclusiveStartKey: lastKey,
+        })
+      );
+
+      for (const media of result.Items) {
+        const usage = usageByUser.get(media.userId) || { bytes: 0, files: 0 };
+        usage.bytes += storage.getStoredSize(media);
+        usage.files += 1;
+        usageByUser.set(media.userId, usage);
+        mediaCount++;
+      }
+      lastKey = result.LastEvaluatedKey;
+    } while (lastKey);
+
+    let updated = 0;
+
+    do {
+      const result = await dynamodb.send(
+        new ScanCommand({
+          TableName: USERS_TABLE,
+          ProjectionExpression: "userId, storageBytes, storageFiles",
+          ExclusiveStartKey: lastKey,
+        })
+      );
+
+      for (const user of result.Items) {
+        const usage = usageByUser.get(user.userId) || { bytes: 0, files: 0 };
+        if (usage.bytes !== (user.storageBytes || 0) || usage.files !== (user.storageFiles || 0)) {
+          await storage.setUsage(user.userId, usage);
+          updated++;
+          console.log(`Storage usage of user ${user.userId}: ${usage.bytes} bytes, ${usage.files} files`);
+        }
+      }
+      lastKey = result.LastEvaluatedKey;
+    } while (lastKey);
+
+    console.log(`Storage usage recounted: ${mediaCount} media, ${updated} users updated`);
+
+    return {
+      media: mediaCount,
+      updated: updated,
+    };
+  } catch (error) {
+    console.error("Error in recountStorageUsage:", error);
+    throw error;
+  }
+};
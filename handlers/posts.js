@@ -9,12 +9,23 @@ const {
   UpdateCommand,
   DeleteCommand,
   QueryCommand,
-  ScanCommand,
 } = require("@aws-sdk/lib-dynamodb");
 const { v4: uuidv4 } = require("uuid");
 
 const response = require("../utils/response");
 const validation = require("../utils/validation");
+const permissions = require("../utils/permissions");
+const clock = require("../utils/clock");
+const revisions = require("../utils/revisions");
+const diff = require("../utils/diff");
+const search = require("../utils/search");
+const searchIndex = require("../utils/searchIndex");
+const slugs = require("../utils/slugs");
+const tags = require("../utils/tags");
+const categories = require("../utils/categories");
+const series = require("../utils/series");
+const markdown = require("../utils/markdown");
+const reactions = require("../utils/reactions");
 
 /**
  * POSTS HANDLER
@@ -23,12 +34,16 @@ const validation = require("../utils/validation");
  *
  * Fonctionnalités:
  * - Création d'articles
- * - Récupération d'un article
+ * - Récupération d'un article (par ID ou par slug, anciens slugs redirigés)
  * - Liste de tous les articles (avec pagination)
  * - Mise à jour d'articles
  * - Suppression d'articles
  * - Récupération des articles par auteur
- * - Recherche d'articles
+ * - Recherche plein texte d'articles (index inversé)
+ * - Publication programmée (status "scheduled" + publishAt)
+ * - Rattachement à une catégorie et à une série (navigation précédent / suivant)
+ * - Contenu en Markdown rendu en HTML nettoyé (table des matières, temps de lecture)
+ * - Historique des révisions (liste, détail, diff, restauration)
  */
 
 const dynamoClient = new DynamoDBClient({});
@@ -36,20 +51,182 @@ const dynamodb = DynamoDBDocumentClient.from(dynamoClient);
 
 const POSTS_TABLE = process.env.POSTS_TABLE;
 
+/**
+ * Indique si un article programmé n'a pas encore atteint sa date de publication
+ * @param {object} post - Article
+ * @returns {boolean} True si l'article doit rester caché
+ */
+function isHiddenScheduledPost(post) {
+  return post.status === "scheduled" && (!post.publishAt || new Date(post.publishAt) > clock.now());
+}
+
+/**
+ * Réserve le slug d'un article
+ * - slug demandé: utilisé tel quel (conflit s'il appartient à un autre article)
+ * - sinon: slug unique dérivé du titre ("mon-titre", "mon-titre-2", ...)
+ * @param {object} params - {postId, title, requestedSlug, now}
+ * @returns {Promise<object>} {slug} si réservé, {error: réponse HTTP} sinon
+ */
+async function assignSlug({ postId, title, requestedSlug, now }) {
+  if (requestedSlug === undefined) {
+    return { slug: await slugs.reserveUniqueSlug(slugs.slugify(title), postId, now) };
+  }
+
+  try {
+    await slugs.claimSlug(requestedSlug, postId, now);
+    return { slug: requestedSlug };
+  } catch (error) {
+    if (error.name === "ConditionalCheckFailedException") {
+      return { error: response.conflict("Slug is already used by another post") };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Valide la catégorie et la série demandées pour un article
+ * - categorySlug: catégorie existante, ou null pour la retirer
+ * - seriesId: série existante dont l'utilisateur est l'auteur (ou "post:update:any"), ou null pour la retirer
+ * - seriesPosition: entier positif; par défaut l'article est placé en fin de série
+ * @param {object} body - Body de la requête
+ * @param {object} existingPost - Article avant modification (null à la création)
+ * @param {object} user - Utilisateur authentifié {userId, role}
+ * @returns {Promise<object>} {fields} (valeur null = champ à retirer) ou {error: réponse HTTP}
+ */
+async function resolvePlacement(body, existingPost, user) {
+  const fields = {};
+
+  if (body.categorySlug !== undefined) {
+    if (body.categorySlug !== null && typeof body.categorySlug !== "string") {
+      return { error: response.badRequest("categorySlug must be a string or null") };
+    }
+    if (body.categorySlug !== null && !(await categories.getCategory(body.categorySlug))) {
+      return { error: response.badRequest("Category not found") };
+    }
+    fields.categorySlug = body.categorySlug;
+  }
+
+  if (body.seriesPosition !== undefined) {
+    const position = body.seriesPosition;
+    if (!Number.isInteger(position) || position < 1 || position > series.MAX_SERIES_POSITION) {
+      return {
+        error: response.badRequest(`seriesPosition must be an integer between 1 and ${series.MAX_SERIES_POSITION}`),
+      };
+    }
+  }
+
+  if (body.seriesId === undefined) {
+    if (body.seriesPosition !== undefined) {
+      if (!existingPost || !existingPost.seriesId) {
+        return { error: response.badRequest("seriesPosition requires the post to belong to a series") };
+      }
+      fields.seriesPosition = body.seriesPosition;
+    }
+    return { fields };
+  }
+
+  if (body.seriesId === null) {
+    fields.seriesId = null;
+    fields.seriesPosition = null;
+    return { fields };
+  }
+
+  if (typeof body.seriesId !== "string") {
+    return { error: response.badRequest("seriesId must be a string or null") };
+  }
+
+  const targetSeries = await series.getSeries(body.seriesId);
+  if (!targetSeries) {
+    return { error: response.badRequest("Series not found") };
+  }
+  if (!permissions.canActOn(user, "post:update", targetSeries.authorId)) {
+    return { error: response.forbidden("You can only add posts to your own series") };
+  }
+
+  fields.seriesId = body.seriesId;
+  if (body.seriesPosition !== undefined) {
+    fields.seriesPosition = body.seriesPosition;
+  } else if (existingPost && existingPost.seriesId === body.seriesId) {
+    fields.seriesPosition = existingPost.seriesPosition;
+  } else {
+    fields.seriesPosition = await series.getNextPosition(body.seriesId);
+  }
+
+  return { fields };
+}
+
+/**
+ * Champs dérivés du contenu Markdown d'un article
+ * @param {string} content - Markdown source
+ * @returns {object} {contentHtml, toc, readingTime, wordCount}
+ */
+function renderContent(content) {
+  const rendered = markdown.render(content);
+  return {
+    contentHtml: rendered.html,
+    toc: rendered.toc,
+    readingTime: rendered.readingTime,
+    wordCount: rendered.wordCount,
+  };
+}
+
+/**
+ * Renvoie un article consulté publiquement et incrémente son compteur de vues
+ * La réponse contient les compteurs de réactions; un article faisant partie d'une série
+ * est accompagné de sa navigation (précédent / suivant)
+ * @param {object} post - Article
+ * @returns {Promise<object>} Réponse HTTP
+ */
+async function viewPost(post) {
+  // Incrémenter le compteur de vues (asynchrone, ne pas attendre)
+  dynamodb
+    .send(
+      new UpdateCommand({
+        TableName: POSTS_TABLE,
+        Key: { postId: post.postId },
+        UpdateExpression: "SET viewCount = if_not_exists(viewCount, :zero) + :inc",
+        ExpressionAttributeValues: {
+          ":inc": 1,
+          ":zero": 0,
+        },
+      })
+    )
+    .catch((err) => console.error("Error updating view count:", err));
+
+  console.log(`Post retrieved: ${post.postId}`);
+
+  // Articles antérieurs au rendu Markdown: rendu à la volée
+  const responseData = {
+    post: post.contentHtml === undefined ? { ...post, ...renderContent(post.content) } : post,
+    reactions: await reactions.getCounts("post", post.postId),
+  };
+
+  if (post.seriesId) {
+    responseData.series = await series.getNavigation(post);
+  }
+
+  return response.ok(responseData);
+}
+
 /**
  * CREATE POST - Créer un nouvel article de blog
  * POST /posts
  *
- * Nécessite authentification
+ * Nécessite authentification (permission "post:create")
  *
  * Body:
  * {
  *   "title": "My Blog Post",
- *   "content": "Content here...",
+ *   "content": "## Introduction\n\nContenu en **Markdown**...",
  *   "excerpt": "Short description" (optionnel),
- *   "status": "draft" | "published" | "archived" (optionnel, défaut: draft),
+ *   "status": "draft" | "published" | "archived" | "scheduled" (optionnel, défaut: draft),
+ *   "publishAt": "2025-02-01T08:00:00.000Z" (requis si status = scheduled),
  *   "tags": ["tag1", "tag2"] (optionnel),
- *   "coverImageUrl": "https://..." (optionnel)
+ *   "coverImageUrl": "https://..." (optionnel),
+ *   "slug": "my-blog-post" (optionnel, généré à partir du titre sinon),
+ *   "categorySlug": "tutoriels" (optionnel),
+ *   "seriesId": "uuid" (optionnel, série de l'auteur),
+ *   "seriesPosition": 2 (optionnel, fin de série par défaut)
  * }
  */
 module.exports.createPost = async (event) => {
@@ -59,6 +236,11 @@ module.exports.createPost = async (event) => {
     const authorId = event.requestContext?.authorizer?.userId;
     const authorName = event.requestContext?.authorizer?.name;
     const authorEmail = event.requestContext?.authorizer?.email;
+    const authorRole = event.requestContext?.authorizer?.role;
+
+    if (!permissions.can(authorRole, "post:create")) {
+      return response.forbidden("Your role does not allow creating posts");
+    }
 
     // Parse et validation du body
     const body = JSON.parse(event.body || "{}");
@@ -68,35 +250,66 @@ module.exports.createPost = async (event) => {
       return response.badRequest("Validation failed", validationResult.errors);
     }
 
+    const placement = await resolvePlacement(body, null, { userId: authorId, role: authorRole });
+    if (placement.error) {
+      return placement.error;
+    }
+
     // Création du post
     const postId = uuidv4();
-    const now = new Date().toISOString();
+    const now = clock.nowISO();
+
+    // Réserver le slug avant d'écrire l'article (unicité garantie par la table des slugs)
+    const slugResult = await assignSlug({ postId, title: body.title, requestedSlug: body.slug, now });
+    if (slugResult.error) {
+      return slugResult.error;
+    }
 
     const post = {
       postId: postId,
+      slug: slugResult.slug,
       authorId: authorId,
       authorName: authorName,
       authorEmail: authorEmail,
       title: validation.sanitizeString(body.title),
-      content: validation.sanitizeString(body.content),
+      content: body.content.trim(),
+      ...renderContent(body.content),
       excerpt: body.excerpt ? validation.sanitizeString(body.excerpt) : "",
       status: body.status || "draft",
-      tags: body.tags || [],
+      tags: await tags.canonicalizeTags(body.tags),
       coverImageUrl: body.coverImageUrl || "",
       viewCount: 0,
+      commentCount: 0,
       createdAt: now,
       updatedAt: now,
       publishedAt: body.status === "published" ? now : null,
     };
 
-    // Sauvegarder dans DynamoDB
-    await dynamodb.send(
-      new PutCommand({
-        TableName: POSTS_TABLE,
-        Item: post,
-        ConditionExpression: "attribute_not_exists(postId)",
-      })
-    );
+    // Publication programmée: le publisher passera le post en "published" à publishAt
+    if (post.status === "scheduled") {
+      post.publishAt = new Date(body.publishAt).toISOString();
+    }
+
+    // Catégorie et série
+    for (const [field, value] of Object.entries(placement.fields)) {
+      if (value !== null) {
+        post[field] = value;
+      }
+    }
+
+    // Sauvegarder dans DynamoDB (en libérant le slug si l'écriture échoue)
+    try {
+      await dynamodb.send(
+        new PutCommand({
+          TableName: POSTS_TABLE,
+          Item: post,
+          ConditionExpression: "attribute_not_exists(postId)",
+        })
+      );
+    } catch (error) {
+      await slugs.releaseSlug(post.slug, postId);
+      throw error;
+    }
 
     console.log(`Post created successfully: ${postId}`);
 
@@ -116,6 +329,8 @@ module.exports.createPost = async (event) => {
  *
  * Public (pas d'authentification requise)
  * Incrémente le compteur de vues
+ * Renvoie le contenu rendu (contentHtml), la table des matières (toc) et le temps de lecture (readingTime, en minutes)
+ * Un article programmé reste introuvable tant que sa date de publication n'est pas atteinte
  */
 module.exports.getPost = async (event) => {
   console.log("=== GET POST ===");
@@ -141,39 +356,83 @@ module.exports.getPost = async (event) => {
 
     const post = result.Item;
 
-    // Incrémenter le compteur de vues (asynchrone, ne pas attendre)
-    dynamodb
-      .send(
-        new UpdateCommand({
-          TableName: POSTS_TABLE,
-          Key: { postId: postId },
-          UpdateExpression: "SET viewCount = if_not_exists(viewCount, :zero) + :inc",
-          ExpressionAttributeValues: {
-            ":inc": 1,
-            ":zero": 0,
-          },
-        })
-      )
-      .catch((err) => console.error("Error updating view count:", err));
-
-    console.log(`Post retrieved: ${postId}`);
+    if (isHiddenScheduledPost(post)) {
+      return response.notFound("Post not found");
+    }
 
-    return response.ok({
-      post: post,
-    });
+    return await viewPost(post);
   } catch (error) {
     console.error("Error in getPost:", error);
     return response.handleError(error);
   }
 };
 
+/**
+ * GET POST BY SLUG - Récupérer un article par son slug
+ * GET /posts/slug/{slug}
+ *
+ * Public (pas d'authentification requise)
+ * Un ancien slug (titre ou slug modifié depuis) renvoie une redirection 301
+ * vers le slug actuel, avec le détail dans le body:
+ * { "redirect": true, "slug": "nouveau-slug", "postId": "uuid", "location": "/posts/slug/nouveau-slug" }
+ */
+module.exports.getPostBySlug = async (event) => {
+  console.log("=== GET POST BY SLUG ===");
+
+  try {
+    const requestedSlug = event.pathParameters?.slug?.toLowerCase();
+
+    if (!requestedSlug) {
+      return response.badRequest("Slug is required");
+    }
+
+    const slugEntry = await slugs.getSlug(requestedSlug);
+
+    if (!slugEntry) {
+      return response.notFound("Post not found");
+    }
+
+    const result = await dynamodb.send(
+      new GetCommand({
+        TableName: POSTS_TABLE,
+        Key: { postId: slugEntry.postId },
+      })
+    );
+
+    const post = result.Item;
+
+    if (!post || isHiddenScheduledPost(post)) {
+      return response.notFound("Post not found");
+    }
+
+    // Ancien slug: rediriger vers le slug actuel
+    if (post.slug && post.slug !== requestedSlug) {
+      const location = `/posts/slug/${post.slug}`;
+
+      console.log(`Old slug redirected: ${requestedSlug} -> ${post.slug}`);
+
+      return response.movedPermanently(location, {
+        redirect: true,
+        slug: post.slug,
+        postId: post.postId,
+        location: location,
+      });
+    }
+
+    return await viewPost(post);
+  } catch (error) {
+    console.error("Error in getPostBySlug:", error);
+    return response.handleError(error);
+  }
+};
+
 /**
  * GET ALL POSTS - Lister tous les articles
  * GET /posts?status=published&limit=10&lastKey=xxx
  *
  * Public
  * Supporte la pagination avec lastKey
- * Peut filtrer par status
+ * Peut filtrer par status (sauf "scheduled": les articles programmés ne sont pas listés)
  */
 module.exports.getAllPosts = async (event) => {
   console.log("=== GET ALL POSTS ===");
@@ -184,6 +443,10 @@ module.exports.getAllPosts = async (event) => {
     const limit = parseInt(queryParams.limit) || 20;
     const lastKey = queryParams.lastKey ? JSON.parse(decodeURIComponent(queryParams.lastKey)) : null;
 
+    if (status === "scheduled") {
+      return response.badRequest("Scheduled posts are not listed before publication");
+    }
+
     // Query avec index StatusIndex pour filtrer par status et trier par date
     const params = {
       TableName: POSTS_TABLE,
@@ -232,16 +495,23 @@ module.exports.getAllPosts = async (event) => {
  * PUT /posts/{postId}
  *
  * Nécessite authentification
- * Seul l'auteur ou un admin peut modifier
+ * Seul l'auteur ou un rôle avec "post:update:any" (editor, admin) peut modifier
+ * Une révision est enregistrée si le titre, l'extrait, le contenu, les tags ou l'image changent
+ * Un changement de titre régénère le slug (sauf slug explicite); l'ancien slug redirige vers le nouveau
  *
  * Body: (tous les champs sont optionnels)
  * {
  *   "title": "Updated title",
- *   "content": "Updated content",
+ *   "content": "Updated content (Markdown)",
  *   "excerpt": "Updated excerpt",
  *   "status": "published",
+ *   "publishAt": "2025-02-01T08:00:00.000Z" (status scheduled),
  *   "tags": ["new", "tags"],
- *   "coverImageUrl": "https://..."
+ *   "coverImageUrl": "https://...",
+ *   "slug": "updated-slug",
+ *   "categorySlug": "tutoriels" | null,
+ *   "seriesId": "uuid" | null,
+ *   "seriesPosition": 3
  * }
  */
 module.exports.updatePost = async (event) => {
@@ -251,6 +521,7 @@ module.exports.updatePost = async (event) => {
     const postId = event.pathParameters?.postId;
     const authUserId = event.requestContext?.authorizer?.userId;
     const authUserRole = event.requestContext?.authorizer?.role;
+    const authUserName = event.requestContext?.authorizer?.name;
 
     if (!postId) {
       return response.badRequest("Post ID is required");
@@ -269,7 +540,7 @@ module.exports.updatePost = async (event) => {
     }
 
     // Vérification d'autorisation
-    if (existingPost.Item.authorId !== authUserId && authUserRole !== "admin") {
+    if (!permissions.canActOn({ userId: authUserId, role: authUserRole }, "post:update", existingPost.Item.authorId)) {
       return response.forbidden("You can only edit your own posts");
     }
 
@@ -278,6 +549,7 @@ module.exports.updatePost = async (event) => {
 
     // Construire l'expression de mise à jour dynamiquement
     const updates = [];
+    const removes = [];
     const expressionAttributeValues = {};
     const expressionAttributeNames = {};
 
@@ -301,9 +573,38 @@ module.exports.updatePost = async (event) => {
       if (typeof body.content !== "string" || body.content.trim().length < 10) {
         return response.badRequest("Content must be at least 10 characters long");
       }
+      if (body.content.length > markdown.MAX_SOURCE_LENGTH) {
+        return response.badRequest(`Content must not exceed ${markdown.MAX_SOURCE_LENGTH} characters`);
+      }
       updates.push("#content = :content");
       expressionAttributeNames["#content"] = "content";
-      expressionAttributeValues[":content"] = validation.sanitizeString(body.content);
+      expressionAttributeValues[":content"] = body.content.trim();
+
+      // Rendu HTML, table des matières et temps de lecture
+      for (const [field, value] of Object.entries(renderContent(body.content))) {
+        updates.push(`${field} = :${field}`);
+        expressionAttributeValues[`:${field}`] = value;
+      }
+    }
+
+    // Nouveau slug: explicite, ou dérivé du nouveau titre
+    let slugRequest = null;
+    if (body.slug !== undefined) {
+      const slugValidation = validation.validateSlug(body.slug);
+      if (!slugValidation.valid) {
+        return response.badRequest(slugValidation.message);
+      }
+      if (body.slug !== existingPost.Item.slug) {
+        slugRequest = { requestedSlug: body.slug };
+      }
+    } else if (body.title !== undefined && expressionAttributeValues[":title"] !== existingPost.Item.title) {
+      if (slugs.slugify(expressionAttributeValues[":title"]) !== existingPost.Item.slug) {
+        slugRequest = { title: expressionAttributeValues[":title"] };
+      }
+    }
+
+    if (slugRequest) {
+      updates.push("slug = :slug");
     }
 
     if (body.excerpt !== undefined) {
@@ -312,9 +613,8 @@ module.exports.updatePost = async (event) => {
     }
 
     if (body.status) {
-      const validStatuses = ["draft", "published", "archived"];
-      if (!validStatuses.includes(body.status)) {
-        return response.badRequest(`Status must be one of: ${validStatuses.join(", ")}`);
+      if (!validation.POST_STATUSES.includes(body.status)) {
+        return response.badRequest(`Status must be one of: ${validation.POST_STATUSES.join(", ")}`);
       }
       updates.push("#status = :status");
       expressionAttributeNames["#status"] = "status";
@@ -323,16 +623,36 @@ module.exports.updatePost = async (event) => {
       // Si on publie pour la première fois, définir publishedAt
       if (body.status === "published" && !existingPost.Item.publishedAt) {
         updates.push("publishedAt = :publishedAt");
-        expressionAttributeValues[":publishedAt"] = new Date().toISOString();
+        expressionAttributeValues[":publishedAt"] = clock.nowISO();
+      }
+
+      // En quittant le statut programmé, la date de publication prévue n'a plus de sens
+      if (body.status !== "scheduled" && existingPost.Item.publishAt) {
+        removes.push("publishAt");
       }
     }
 
+    // Programmation: nouveau statut "scheduled", ou nouvelle date pour un post déjà programmé
+    const targetStatus = body.status || existingPost.Item.status;
+    if (targetStatus === "scheduled" && (body.status === "scheduled" || body.publishAt !== undefined)) {
+      const publishAt = body.publishAt !== undefined ? body.publishAt : existingPost.Item.publishAt;
+      const publishAtValidation = validation.validatePublishAt(publishAt);
+      if (!publishAtValidation.valid) {
+        return response.badRequest(publishAtValidation.message);
+      }
+      updates.push("publishAt = :publishAt");
+      expressionAttributeValues[":publishAt"] = new Date(publishAt).toISOString();
+    } else if (body.publishAt !== undefined) {
+      return response.badRequest("publishAt can only be set on scheduled posts");
+    }
+
     if (body.tags) {
-      if (!Array.isArray(body.tags)) {
-        return response.badRequest("Tags must be an array");
+      const tagsValidation = validation.validateTags(body.tags);
+      if (!tagsValidation.valid) {
+        return response.badRequest(tagsValidation.message);
       }
       updates.push("tags = :tags");
-      expressionAttributeValues[":tags"] = body.tags;
+      expressionAttributeValues[":tags"] = await tags.canonicalizeTags(body.tags);
     }
 
     if (body.coverImageUrl !== undefined) {
@@ -340,32 +660,82 @@ module.exports.updatePost = async (event) => {
       expressionAttributeValues[":coverImageUrl"] = body.coverImageUrl;
     }
 
+    // Catégorie et série (null = retirer)
+    const placement = await resolvePlacement(body, existingPost.Item, { userId: authUserId, role: authUserRole });
+    if (placement.error) {
+      return placement.error;
+    }
+
+    for (const [field, value] of Object.entries(placement.fields)) {
+      if (value === null) {
+        if (existingPost.Item[field] !== undefined) {
+          removes.push(field);
+        }
+      } else {
+        updates.push(`${field} = :${field}`);
+        expressionAttributeValues[`:${field}`] = value;
+      }
+    }
+
     // Toujours mettre à jour updatedAt
     updates.push("updatedAt = :updatedAt");
-    expressionAttributeValues[":updatedAt"] = new Date().toISOString();
+    expressionAttributeValues[":updatedAt"] = clock.nowISO();
 
     if (updates.length === 1) {
       return response.badRequest("No valid fields to update");
     }
 
-    // Mettre à jour le post
-    const updateResult = await dynamodb.send(
-      new UpdateCommand({
-        TableName: POSTS_TABLE,
-        Key: { postId: postId },
-        UpdateExpression: `SET ${updates.join(", ")}`,
-        ExpressionAttributeNames:
-          Object.keys(expressionAttributeNames).length > 0 ? expressionAttributeNames : undefined,
-        ExpressionAttributeValues: expressionAttributeValues,
-        ReturnValues: "ALL_NEW",
-      })
+    // Nouvel état des champs versionnés, pour l'historique des révisions
+    const editedFields = {};
+    for (const field of revisions.REVISION_FIELDS) {
+      if (expressionAttributeValues[`:${field}`] !== undefined) {
+        editedFields[field] = expressionAttributeValues[`:${field}`];
+      }
+    }
+
+    const revisionData = revisions.prepareRevisions(
+      existingPost.Item,
+      editedFields,
+      { userId: authUserId, name: authUserName },
+      expressionAttributeValues[":updatedAt"]
     );
 
-    console.log(`Post updated: ${postId}`);
+    if (revisionData) {
+      updates.push("revisionCount = :revisionCount");
+      expressionAttributeValues[":revisionCount"] = revisionData.revisionCount;
+    }
+
+    // Réserver le nouveau slug; l'ancien reste enregistré et redirigera vers celui-ci
+    if (slugRequest) {
+      const slugResult = await assignSlug({ postId, now: expressionAttributeValues[":updatedAt"], ...slugRequest });
+      if (slugResult.error) {
+        return slugResult.error;
+      }
+      expressionAttributeValues[":slug"] = slugResult.slug;
+    }
+
+    const updateParams = {
+      TableName: POSTS_TABLE,
+      Key: { postId: postId },
+      UpdateExpression: `SET ${updates.join(", ")}` + (removes.length > 0 ? ` REMOVE ${removes.join(", ")}` : ""),
+      ExpressionAttributeNames: Object.keys(expressionAttributeNames).length > 0 ? expressionAttributeNames : undefined,
+      ExpressionAttributeValues: expressionAttributeValues,
+    };
+
+    // Mettre à jour le post (avec sa révision dans la même transaction si besoin)
+    let updatedPost;
+    if (revisionData) {
+      updatedPost = await revisions.updatePostWithRevisions(updateParams, existingPost.Item, revisionData);
+    } else {
+      const updateResult = await dynamodb.send(new UpdateCommand({ ...updateParams, ReturnValues: "ALL_NEW" }));
+      updatedPost = updateResult.Attributes;
+    }
+
+    console.log(`Post updated: ${postId}${revisionData ? ` (revision ${revisionData.revisionCount})` : ""}`);
 
     return response.ok({
       message: "Post updated successfully",
-      post: updateResult.Attributes,
+      post: updatedPost,
     });
   } catch (error) {
     console.error("Error in updatePost:", error);
@@ -378,7 +748,7 @@ module.exports.updatePost = async (event) => {
  * DELETE /posts/{postId}
  *
  * Nécessite authentification
- * Seul l'auteur ou un admin peut supprimer
+ * Seul l'auteur ou un rôle avec "post:delete:any" (admin) peut supprimer
  */
 module.exports.deletePost = async (event) => {
   console.log("=== DELETE POST ===");
@@ -405,7 +775,7 @@ module.exports.deletePost = async (event) => {
     }
 
     // Vérification d'autorisation
-    if (existingPost.Item.authorId !== authUserId && authUserRole !== "admin") {
+    if (!permissions.canActOn({ userId: authUserId, role: authUserRole }, "post:delete", existingPost.Item.authorId)) {
       return response.forbidden("You can only delete your own posts");
     }
 
@@ -417,6 +787,10 @@ module.exports.deletePost = async (event) => {
       })
     );
 
+    // Supprimer son historique de révisions et libérer ses slugs
+    await revisions.deleteAllForPost(postId);
+    await slugs.deleteAllForPost(postId);
+
     console.log(`Post deleted: ${postId}`);
 
     return response.ok({
@@ -434,7 +808,8 @@ module.exports.deletePost = async (event) => {
  * GET /posts/author/{userId}?limit=10&lastKey=xxx
  *
  * Public
- * Supporte la pagination
+ * Supporte la pagination (une page peut compter moins de "limit" articles)
+ * Les articles programmés n'apparaissent qu'une fois leur date de publication atteinte
  */
 module.exports.getPostsByAuthor = async (event) => {
   console.log("=== GET POSTS BY AUTHOR ===");
@@ -466,12 +841,13 @@ module.exports.getPostsByAuthor = async (event) => {
     }
 
     const result = await dynamodb.send(new QueryCommand(params));
+    const posts = result.Items.filter((post) => !isHiddenScheduledPost(post));
 
-    console.log(`Retrieved ${result.Items.length} posts for author: ${authorId}`);
+    console.log(`Retrieved ${posts.length} posts for author: ${authorId}`);
 
     const responseData = {
-      posts: result.Items,
-      count: result.Items.length,
+      posts: posts,
+      count: posts.length,
       authorId: authorId,
     };
 
@@ -490,12 +866,15 @@ module.exports.getPostsByAuthor = async (event) => {
 };
 
 /**
- * SEARCH POSTS - Rechercher des articles par titre ou contenu
- * GET /posts/search?q=keyword&limit=10
+ * SEARCH POSTS - Recherche plein texte dans les articles publiés
+ * GET /posts/search?q=keyword&limit=10&lastKey=...
  *
  * Public
- * Note: Utilise un scan, pas optimal pour une grosse base de données
- * Pour production, considérer ElasticSearch ou DynamoDB + Lambda Stream
+ * Interroge l'index inversé (SEARCH_INDEX_TABLE) alimenté par le flux de la table Posts:
+ * - insensible à la casse et aux accents, racinisation française / anglaise
+ * - classement par pertinence (titre > tags > extrait > contenu)
+ * - extraits avec les termes trouvés entourés de <mark>
+ * - pagination par curseur (lastKey)
  */
 module.exports.searchPosts = async (event) => {
   console.log("=== SEARCH POSTS ===");
@@ -503,42 +882,456 @@ module.exports.searchPosts = async (event) => {
   try {
     const queryParams = event.queryStringParameters || {};
     const searchQuery = queryParams.q;
-    const limit = parseInt(queryParams.limit) || 20;
+    const limit = Math.min(parseInt(queryParams.limit) || 20, 50);
+    const lastKey = queryParams.lastKey ? JSON.parse(decodeURIComponent(queryParams.lastKey)) : null;
 
     if (!searchQuery || searchQuery.trim().length < 2) {
       return response.badRequest("Search query must be at least 2 characters");
     }
 
-    const searchTerm = searchQuery.trim();
+    const queryTerms = search.analyzeQuery(searchQuery);
 
-    // Scan avec filtre (pas optimal mais simple pour commencer)
-    // Note: DynamoDB contains() est case-sensitive
-    const result = await dynamodb.send(
-      new ScanCommand({
-        TableName: POSTS_TABLE,
-        FilterExpression: "#status = :published AND (contains(#title, :search) OR contains(#content, :search))",
-        ExpressionAttributeNames: {
-          "#status": "status",
-          "#title": "title",
-          "#content": "content",
-        },
-        ExpressionAttributeValues: {
-          ":published": "published",
-          ":search": searchTerm,
-        },
-        Limit: limit,
+    if (queryTerms.length === 0) {
+      return response.ok({
+        posts: [],
+        count: 0,
+        total: 0,
+        query: searchQuery,
+        hasMore: false,
+      });
+    }
+
+    const ranked = await searchIndex.rankPosts(queryTerms);
+
+    // Reprendre après le dernier résultat de la page précédente (score décroissant, puis postId)
+    let start = 0;
+    if (lastKey) {
+      start = ranked.findIndex(
+        (result) => result.score < lastKey.score || (result.score === lastKey.score && result.postId > lastKey.postId)
+      );
+      if (start === -1) {
+        start = ranked.length;
+      }
+    }
+
+    const page = ranked.slice(start, start + limit);
+
+    const posts = await Promise.all(
+      page.map(async (result) => {
+        const postResult = await dynamodb.send(
+          new GetCommand({
+            TableName: POSTS_TABLE,
+            Key: { postId: result.postId },
+          })
+        );
+        const post = postResult.Item;
+
+        // L'index peut avoir un léger retard sur la table (flux asynchrone)
+        if (!post || post.status !== "published") {
+          return null;
+        }
+
+        const contentHighlight = search.highlight(post.content, queryTerms);
+        const excerptHighlight = search.highlight(post.excerpt, queryTerms);
+
+        return {
+          ...post,
+          score: result.score,
+          matchedTerms: result.matchedTerms,
+          highlights: {
+            title: search.highlight(post.title, queryTerms, 0).snippet,
+            snippet:
+              contentHighlight.matched || !excerptHighlight.matched
+                ? contentHighlight.snippet
+                : excerptHighlight.snippet,
+          },
+        };
       })
     );
 
-    console.log(`Search found ${result.Items.length} posts for query: ${searchQuery}`);
+    const results = posts.filter(Boolean);
 
-    return response.ok({
-      posts: result.Items,
-      count: result.Items.length,
+    console.log(`Search found ${ranked.length} posts for query: ${searchQuery}`);
+
+    const responseData = {
+      posts: results,
+      count: results.length,
+      total: ranked.length,
       query: searchQuery,
-    });
+    };
+
+    if (start + limit < ranked.length) {
+      const last = page[page.length - 1];
+      responseData.lastKey = encodeURIComponent(JSON.stringify({ score: last.score, postId: last.postId }));
+      responseData.hasMore = true;
+    } else {
+      responseData.hasMore = false;
+    }
+
+    return response.ok(responseData);
   } catch (error) {
     console.error("Error in searchPosts:", error);
     return response.handleError(error);
   }
 };
+
+/**
+ * PUBLISH SCHEDULED POSTS - Publier les articles programmés arrivés à échéance
+ * Déclenché par un événement planifié (voir serverless.yml)
+ *
+ * Utilise l'index ScheduledIndex (status + publishAt) pour ne lire que les posts dus.
+ * publishedAt prend la valeur de publishAt (heure prévue), pas l'heure d'exécution.
+ * L'horloge vient de utils/clock, remplaçable dans les tests.
+ */
+module.exports.publishScheduledPosts = async () => {
+  console.log("=== PUBLISH SCHEDULED POSTS ===");
+
+  try {
+    const now = clock.nowISO();
+    const duePosts = [];
+    let lastKey;
+
+    do {
+      const result = await dynamodb.send(
+        new QueryCommand({
+          TableName: POSTS_TABLE,
+          IndexName: "ScheduledIndex",
+          KeyConditionExpression: "#status = :scheduled AND publishAt <= :now",
+          ExpressionAttributeNames: {
+            "#status": "status",
+          },
+          ExpressionAttributeValues: {
+            ":scheduled": "scheduled",
+            ":now": now,
+          },
+          ExclusiveStartKey: lastKey,
+        })
+      );
+      duePosts.push(...result.Items);
+      lastKey = result.LastEvaluatedKey;
+    } while (lastKey);
+
+    let published = 0;
+
+    for (const post of duePosts) {
+      try {
+        // La condition évite de publier un post modifié entre-temps (reprogrammé, repassé en brouillon...)
+        await dynamodb.send(
+          new UpdateCommand({
+            TableName: POSTS_TABLE,
+            Key: { postId: post.postId },
+            UpdateExpression: "SET #status = :published, publishedAt = :publishAt, updatedAt = :now REMOVE publishAt",
+            ConditionExpression: "#status = :scheduled AND publishAt = :publishAt",
+            ExpressionAttributeNames: {
+              "#status": "status",
+            },
+            ExpressionAttributeValues: {
+              ":published": "published",
+              ":scheduled": "scheduled",
+              ":publishAt": post.publishAt,
+              ":now": now,
+            },
+          })
+        );
+        published++;
+        console.log(`Scheduled post published: ${post.postId} (publishAt: ${post.publishAt})`);
+      } catch (error) {
+        if (error.name !== "ConditionalCheckFailedException") {
+          throw error;
+        }
+        console.log(`Scheduled post changed before publication, skipped: ${post.postId}`);
+      }
+    }
+
+    console.log(`Published ${published} of ${duePosts.length} due scheduled posts`);
+
+    return {
+      published: published,
+      due: duePosts.length,
+    };
+  } catch (error) {
+    console.error("Error in publishScheduledPosts:", error);
+    throw error;
+  }
+};
+
+/**
+ * Vérifie l'accès à l'historique d'un article (mêmes règles que la modification)
+ * @param {object} event - Event API Gateway
+ * @param {string} postId - ID de l'article
+ * @returns {Promise<object>} {post} si autorisé, {error: réponse HTTP} sinon
+ */
+async function loadPostForHistory(event, postId) {
+  const authUserId = event.requestContext?.authorizer?.userId;
+  const authUserRole = event.requestContext?.authorizer?.role;
+
+  if (!postId) {
+    return { error: response.badRequest("Post ID is required") };
+  }
+
+  const result = await dynamodb.send(
+    new GetCommand({
+      TableName: POSTS_TABLE,
+      Key: { postId: postId },
+    })
+  );
+
+  if (!result.Item) {
+    return { error: response.notFound("Post not found") };
+  }
+
+  if (!permissions.canActOn({ userId: authUserId, role: authUserRole }, "post:update", result.Item.authorId)) {
+    return { error: response.forbidden("You can only view the history of posts you can edit") };
+  }
+
+  return { post: result.Item };
+}
+
+/**
+ * Convertit un numéro de révision reçu dans l'URL ou la query string
+ * @param {string} value - Valeur brute
+ * @returns {number|null} Numéro de révision ou null si invalide
+ */
+function parseRevisionNumber(value) {
+  const revision = Number(value);
+  return Number.isInteger(revision) && revision > 0 ? revision : null;
+}
+
+/**
+ * LIST REVISIONS - Lister les révisions d'un article
+ * GET /posts/{postId}/revisions?limit=20&lastKey=xxx
+ *
+ * Nécessite authentification (mêmes droits que la modification de l'article)
+ * Plus récente en premier, sans le contenu
+ */
+module.exports.listRevisions = async (event) => {
+  console.log("=== LIST POST REVISIONS ===");
+
+  try {
+    const postId = event.pathParameters?.postId;
+    const { post, error } = await loadPostForHistory(event, postId);
+    if (error) {
+      return error;
+    }
+
+    const queryParams = event.queryStringParameters || {};
+    const limit = parseInt(queryParams.limit) || 20;
+    const lastKey = queryParams.lastKey ? JSON.parse(decodeURIComponent(queryParams.lastKey)) : null;
+
+    const result = await revisions.listRevisions(postId, limit, lastKey);
+
+    console.log(`Retrieved ${result.items.length} revisions for post: ${postId}`);
+
+    const responseData = {
+      revisions: result.items,
+      count: result.items.length,
+      currentRevision: post.revisionCount || null,
+      postId: postId,
+    };
+
+    if (result.lastKey) {
+      responseData.lastKey = encodeURIComponent(JSON.stringify(result.lastKey));
+      responseData.hasMore = true;
+    } else {
+      responseData.hasMore = false;
+    }
+
+    return response.ok(responseData);
+  } catch (error) {
+    console.error("Error in listRevisions:", error);
+    return response.handleError(error);
+  }
+};
+
+/**
+ * GET REVISION - Récupérer une révision complète
+ * GET /posts/{postId}/revisions/{revisionId}
+ *
+ * Nécessite authentification (mêmes droits que la modification de l'article)
+ */
+module.exports.getRevision = async (event) => {
+  console.log("=== GET POST REVISION ===");
+
+  try {
+    const postId = event.pathParameters?.postId;
+    const revisionNumber = parseRevisionNumber(event.pathParameters?.revisionId);
+
+    if (!revisionNumber) {
+      return response.badRequest("Revision ID must be a positive integer");
+    }
+
+    const { error } = await loadPostForHistory(event, postId);
+    if (error) {
+      return error;
+    }
+
+    const revision = await revisions.getRevision(postId, revisionNumber);
+
+    if (!revision) {
+      return response.notFound("Revision not found");
+    }
+
+    return response.ok({
+      revision: revision,
+    });
+  } catch (error) {
+    console.error("Error in getRevision:", error);
+    return response.handleError(error);
+  }
+};
+
+/**
+ * DIFF REVISIONS - Comparer deux révisions
+ * GET /posts/{postId}/revisions/diff?from=1&to=3
+ *
+ * Nécessite authentification (mêmes droits que la modification de l'article)
+ * Diff ligne à ligne pour le titre, l'extrait et le contenu;
+ * tags ajoutés/retirés; ancienne et nouvelle valeur pour l'image de couverture
+ */
+module.exports.diffRevisions = async (event) => {
+  console.log("=== DIFF POST REVISIONS ===");
+
+  try {
+    const postId = event.pathParameters?.postId;
+    const queryParams = event.queryStringParameters || {};
+    const from = parseRevisionNumber(queryParams.from);
+    const to = parseRevisionNumber(queryParams.to);
+
+    if (!from || !to) {
+      return response.badRequest("Query parameters 'from' and 'to' must be positive revision numbers");
+    }
+
+    const { error } = await loadPostForHistory(event, postId);
+    if (error) {
+      return error;
+    }
+
+    const [fromRevision, toRevision] = await Promise.all([
+      revisions.getRevision(postId, from),
+      revisions.getRevision(postId, to),
+    ]);
+
+    if (!fromRevision || !toRevision) {
+      return response.notFound("Revision not found");
+    }
+
+    const fromTags = fromRevision.tags || [];
+    const toTags = toRevision.tags || [];
+
+    const changes = {
+      title: diff.diffLines(fromRevision.title, toRevision.title),
+      excerpt: diff.diffLines(fromRevision.excerpt, toRevision.excerpt),
+      content: diff.diffLines(fromRevision.content, toRevision.content),
+      tags: {
+        added: toTags.filter((tag) => !fromTags.includes(tag)),
+        removed: fromTags.filter((tag) => !toTags.includes(tag)),
+      },
+      coverImageUrl:
+        fromRevision.coverImageUrl !== toRevision.coverImageUrl
+          ? { from: fromRevision.coverImageUrl, to: toRevision.coverImageUrl }
+          : null,
+    };
+
+    return response.ok({
+      postId: postId,
+      from: from,
+      to: to,
+      changedFields: revisions.getChangedFields(fromRevision, toRevision),
+      diff: changes,
+    });
+  } catch (error) {
+    console.error("Error in diffRevisions:", error);
+    return response.handleError(error);
+  }
+};
+
+/**
+ * RESTORE REVISION - Restaurer une révision
+ * POST /posts/{postId}/revisions/{revisionId}/restore
+ *
+ * Nécessite authentification (mêmes droits que la modification de l'article)
+ * Réapplique les champs versionnés de la révision et crée une nouvelle révision
+ * (l'historique n'est jamais réécrit)
+ */
+module.exports.restoreRevision = async (event) => {
+  console.log("=== RESTORE POST REVISION ===");
+
+  try {
+    const postId = event.pathParameters?.postId;
+    const revisionNumber = parseRevisionNumber(event.pathParameters?.revisionId);
+    const authUserId = event.requestContext?.authorizer?.userId;
+    const authUserName = event.requestContext?.authorizer?.name;
+
+    if (!revisionNumber) {
+      return response.badRequest("Revision ID must be a positive integer");
+    }
+
+    const { post, error } = await loadPostForHistory(event, postId);
+    if (error) {
+      return error;
+    }
+
+    const revision = await revisions.getRevision(postId, revisionNumber);
+
+    if (!revision) {
+      return response.notFound("Revision not found");
+    }
+
+    const now = clock.nowISO();
+    const restoredFields = revisions.snapshot(revision);
+    // Tags renommés ou fusionnés depuis la révision: noms canoniques actuels
+    restoredFields.tags = await tags.canonicalizeTags(restoredFields.tags);
+    const revisionData = revisions.prepareRevisions(
+      post,
+      restoredFields,
+      { userId: authUserId, name: authUserName },
+      now,
+      revisionNumber
+    );
+
+    if (!revisionData) {
+      return response.badRequest("Post already matches this revision");
+    }
+
+    const updates = ["updatedAt = :updatedAt", "revisionCount = :revisionCount"];
+    const expressionAttributeNames = {};
+    const expressionAttributeValues = {
+      ":updatedAt": now,
+      ":revisionCount": revisionData.revisionCount,
+    };
+
+    for (const field of revisions.REVISION_FIELDS) {
+      updates.push(`#${field} = :${field}`);
+      expressionAttributeNames[`#${field}`] = field;
+      expressionAttributeValues[`:${field}`] = restoredFields[field];
+    }
+
+    for (const [field, value] of Object.entries(renderContent(restoredFields.content))) {
+      updates.push(`${field} = :${field}`);
+      expressionAttributeValues[`:${field}`] = value;
+    }
+
+    const updatedPost = await revisions.updatePostWithRevisions(
+      {
+        TableName: POSTS_TABLE,
+        Key: { postId: postId },
+        UpdateExpression: `SET ${updates.join(", ")}`,
+        ExpressionAttributeNames: expressionAttributeNames,
+        ExpressionAttributeValues: expressionAttributeValues,
+      },
+      post,
+      revisionData
+    );
+
+    console.log(`Post ${postId} restored to revision ${revisionNumber} (new revision ${revisionData.revisionCount})`);
+
+    return response.ok({
+      message: `Post restored to revision ${revisionNumber}`,
+      post: updatedPost,
+      revision: revisionData.revisionCount,
+    });
+  } catch (error) {
+    console.error("Error in restoreRevision:", error);
+    return response.handleError(error);
+  }
+};
@@ -0,0 +1,51 @@
+"use strict";
+
+const search = require("./search");
+const tags = require("./tags");
+const feed = require("./feed");
+
+/**
+ * POSTS STREAM HANDLER
+ * ====================
+ * Unique consommateur du flux DynamoDB de la table Posts
+ *
+ * Un flux DynamoDB ne supporte pas plus de deux lecteurs par shard sans limitation:
+ * l'index de recherche, les tags et les fils sont mis à jour par un seul Lambda.
+ *
+ * Chaque lot est transmis aux trois traitements, même si l'un d'eux échoue; l'erreur est
+ * ensuite relancée pour que le lot soit rejoué (traitements idempotents, voir serverless.yml
+ * pour la limite de tentatives et la file des lots en échec).
+ */
+
+// Traitements appliqués à chaque lot, dans l'ordre
+const CONSUMERS = {
+  search: search.indexPosts,
+  tags: tags.syncPostTags,
+  feed: feed.fanOutPosts,
+};
+
+/**
+ * PROCESS POSTS STREAM - Répercuter les modifications d'articles
+ * Déclenché par le stream PostsTable (NEW_AND_OLD_IMAGES, voir serverless.yml)
+ */
+module.exports.processPostsStream = async (event) => {
+  console.log("=== PROCESS POSTS STREAM ===");
+
+  const results = {};
+  let firstError = null;
+
+  for (const [name, consumer] of Object.entries(CONSUMERS)) {
+    try {
+      results[name] = await consumer(event);
+    } catch (error) {
+      console.error(`Posts stream consumer failed: ${name}`, error);
+      firstError = firstError || error;
+    }
+  }
+
+  if (firstError) {
+    throw firstError;
+  }
+
+  return results;
+};
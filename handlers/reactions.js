@@ -0,0 +1,212 @@
+"use strict";
+
+const { DynamoDBClient } = require("@aws-sdk/client-dynamodb");
+const { DynamoDBDocumentClient, GetCommand } = require("@aws-sdk/lib-dynamodb");
+
+const response = require("../utils/response");
+const permissions = require("../utils/permissions");
+const clock = require("../utils/clock");
+const reactions = require("../utils/reactions");
+
+/**
+ * REACTIONS HANDLER
+ * =================
+ * Réactions (like, clap, insightful, love, funny) sur les articles et les commentaires
+ *
+ * Fonctionnalités:
+ * - Ajout / retrait d'une réaction (idempotents, une réaction par utilisateur et par type)
+ * - Liste des réactions d'un utilisateur
+ *
+ * Les compteurs sont renvoyés par getPost ("reactions") et getComments (sur chaque commentaire)
+ */
+
+const dynamoClient = new DynamoDBClient({});
+const dynamodb = DynamoDBDocumentClient.from(dynamoClient);
+
+const POSTS_TABLE = process.env.POSTS_TABLE;
+const COMMENTS_TABLE = process.env.COMMENTS_TABLE;
+
+/**
+ * Identifie et vérifie la cible d'une réaction à partir du chemin
+ * Seuls les articles publiés et les commentaires approuvés acceptent des réactions
+ * @param {object} event - Événement API Gateway
+ * @returns {Promise<object>} {targetType, targetId} ou {error: réponse HTTP}
+ */
+async function resolveTarget(event) {
+  const postId = event.pathParameters?.postId;
+  const commentId = event.pathParameters?.commentId;
+
+  if (postId) {
+    const result = await dynamodb.send(
+      new GetCommand({
+        TableName: POSTS_TABLE,
+        Key: { postId: postId },
+      })
+    );
+    if (!result.Item || result.Item.status !== "published") {
+      return { error: response.notFound("Post not found") };
+    }
+    return { targetType: "post", targetId: postId };
+  }
+
+  if (commentId) {
+    const result = await dynamodb.send(
+      new GetCommand({
+        TableName: COMMENTS_TABLE,
+        Key: { commentId: commentId },
+      })
+    );
+    if (!result.Item || result.Item.status !== "approved" || result.Item.deleted) {
+      return { error: response.notFound("Comment not found") };
+    }
+    return { targetType: "comment", targetId: commentId };
+  }
+
+  return { error: response.badRequest("Post ID or comment ID is required") };
+}
+
+/**
+ * Vérifie l'utilisateur et le type de réaction, puis la cible
+ * @param {object} event - Événement API Gateway
+ * @returns {Promise<object>} {userId, type, targetType, targetId} ou {error: réponse HTTP}
+ */
+async function prepareReaction(event) {
+  const userId = event.requestContext?.authorizer?.userId;
+  const userRole = event.requestContext?.authorizer?.role;
+  const type = event.pathParameters?.type;
+
+  if (!permissions.can(userRole, "reaction:create")) {
+    return { error: response.forbidden("Your role does not allow reactions") };
+  }
+
+  if (!reactions.REACTION_TYPES.includes(type)) {
+    return { error: response.badRequest(`Reaction type must be one of: ${reactions.REACTION_TYPES.join(", ")}`) };
+  }
+
+  const target = await resolveTarget(event);
+  if (target.error) {
+    return target;
+  }
+
+  return { userId, type, ...target };
+}
+
+/**
+ * ADD REACTION - Réagir à un article ou à un commentaire
+ * PUT /posts/{postId}/reactions/{type}
+ * PUT /comments/{commentId}/reactions/{type}
+ *
+ * Nécessite authentification
+ * Idempotent: réagir deux fois avec le même type ne compte qu'une fois
+ */
+module.exports.addReaction = async (event) => {
+  console.log("=== ADD REACTION ===");
+
+  try {
+    const reaction = await prepareReaction(event);
+    if (reaction.error) {
+      return reaction.error;
+    }
+
+    const added = await reactions.addReaction({ ...reaction, now: clock.nowISO() });
+    const counts = await reactions.getCounts(reaction.targetType, reaction.targetId);
+
+    console.log(
+      `Reaction ${reaction.type} on ${reaction.targetType} ${reaction.targetId}: ${added ? "added" : "unchanged"}`
+    );
+
+    return response.ok({
+      message: added ? "Reaction added" : "Reaction already exists",
+      targetType: reaction.targetType,
+      targetId: reaction.targetId,
+      type: reaction.type,
+      reacted: true,
+      reactions: counts,
+    });
+  } catch (error) {
+    console.error("Error in addReaction:", error);
+    return response.handleError(error);
+  }
+};
+
+/**
+ * REMOVE REACTION - Retirer sa réaction
+ * DELETE /posts/{postId}/reactions/{type}
+ * DELETE /comments/{commentId}/reactions/{type}
+ *
+ * Nécessite authentification
+ * Idempotent: retirer une réaction absente ne change rien
+ */
+module.exports.removeReaction = async (event) => {
+  console.log("=== REMOVE REACTION ===");
+
+  try {
+    const reaction = await prepareReaction(event);
+    if (reaction.error) {
+      return reaction.error;
+    }
+
+    const removed = await reactions.removeReaction(reaction);
+    const counts = await reactions.getCounts(reaction.targetType, reaction.targetId);
+
+    console.log(
+      `Reaction ${reaction.type} on ${reaction.targetType} ${reaction.targetId}: ${removed ? "removed" : "unchanged"}`
+    );
+
+    return response.ok({
+      message: removed ? "Reaction removed" : "Reaction not found",
+      targetType: reaction.targetType,
+      targetId: reaction.targetId,
+      type: reaction.type,
+      reacted: false,
+      reactions: counts,
+    });
+  } catch (error) {
+    console.error("Error in removeReaction:", error);
+    return response.handleError(error);
+  }
+};
+
+/**
+ * LIST USER REACTIONS - Réactions d'un utilisateur
+ * GET /users/{userId}/reactions?limit=20&lastKey=xxx
+ *
+ * Public
+ * Réactions de la plus récente à la plus ancienne: {targetType, targetId, type, createdAt}
+ */
+module.exports.listUserReactions = async (event) => {
+  console.log("=== LIST USER REACTIONS ===");
+
+  try {
+    const userId = event.pathParameters?.userId;
+    const queryParams = event.queryStringParameters || {};
+    const limit = Math.min(parseInt(queryParams.limit) || 20, 100);
+    const lastKey = queryParams.lastKey ? JSON.parse(decodeURIComponent(queryParams.lastKey)) : null;
+
+    if (!userId) {
+      return response.badRequest("User ID is required");
+    }
+
+    const result = await reactions.listUserReactions(userId, limit, lastKey);
+
+    console.log(`Retrieved ${result.items.length} reactions for user: ${userId}`);
+
+    const responseData = {
+      reactions: result.items,
+      count: result.items.length,
+      userId: userId,
+    };
+
+    if (result.lastEvaluatedKey) {
+      responseData.lastKey = encodeURIComponent(JSON.stringify(result.lastEvaluatedKey));
+      responseData.hasMore = true;
+    } else {
+      responseData.hasMore = false;
+    }
+
+    return response.ok(responseData);
+  } catch (error) {
+    console.error("Error in listUserReactions:", error);
+    return response.handleError(error);
+  }
+};
@@ -0,0 +1,524 @@
+"use strict";
+
+const { v4: uuidv4 } = require("uuid");
+
+const response = require("../utils/response");
+const validation = require("../utils/validation");
+const clock = require("../utils/clock");
+const readingLists = require("../utils/readingLists");
+const postSummaries = require("../utils/postSummaries");
+
+/**
+ * READING LISTS HANDLER
+ * =====================
+ * Favoris et listes de lecture des utilisateurs connectés
+ *
+ * Fonctionnalités:
+ * - Favoris: liste par défaut, accessible via le listId "bookmarks"
+ * - Listes nommées, privées ou publiques (lien de partage)
+ * - Ajout, retrait et réordonnancement des articles
+ *
+ * Les articles archivés ou dépubliés sont ignorés à l'affichage (et réapparaissent s'ils sont republiés);
+ * les articles supprimés sont retirés de la liste lors de sa consultation par son propriétaire.
+ */
+
+// Tentatives en cas de modification concurrente d'une liste
+const MAX_SAVE_ATTEMPTS = 3;
+
+/**
+ * Résumé public d'une liste
+ * @param {object} list - Liste
+ * @returns {object} Liste sans les IDs d'articles
+ */
+function toListSummary(list) {
+  return {
+    listId: list.listId,
+    name: list.name,
+    description: list.description || "",
+    visibility: list.visibility,
+    isBookmarks: Boolean(list.isBookmarks),
+    shareUrl: list.shareToken ? `/shared/reading-lists/${list.shareToken}` : null,
+    postCount: list.postIds.length,
+    createdAt: list.createdAt,
+    updatedAt: list.updatedAt,
+  };
+}
+
+/**
+ * Charge une liste de l'utilisateur connecté ("bookmarks" = ses favoris)
+ * @param {object} event - Événement API Gateway
+ * @returns {Promise<object>} {list, userId} ou {error: réponse HTTP}
+ */
+async function loadOwnList(event) {
+  const userId = event.requestContext?.authorizer?.userId;
+  const listId = event.pathParameters?.listId;
+
+  if (!listId) {
+    return { error: response.badRequest("List ID is required") };
+  }
+
+  if (listId === readingLists.BOOKMARKS_ALIAS) {
+    return { list: await readingLists.getBookmarks(userId, clock.nowISO()), userId };
+  }
+
+  const list = await readingLists.getList(listId);
+
+  // Une liste d'un autre utilisateur est traitée comme inexistante
+  if (!list || list.userId !== userId) {
+    return { error: response.notFound("Reading list not found") };
+  }
+
+  return { list, userId };
+}
+
+/**
+ * Modifie une liste en réessayant si elle a été modifiée entre-temps
+ * @param {object} list - Liste chargée
+ * @param {function} mutate - (liste courante) => {changes} | {unchanged: true} | {error: réponse HTTP}
+ * @returns {Promise<object>} {list, changed} ou {error: réponse HTTP}
+ */
+async function modifyList(list, mutate) {
+  let current = list;
+
+  for (let attempt = 1; attempt <= MAX_SAVE_ATTEMPTS; attempt++) {
+    const result = mutate(current);
+    if (result.error) {
+      return result;
+    }
+    if (result.unchanged) {
+      return { list: current, changed: false };
+    }
+
+    try {
+      return { list: await readingLists.saveList(current, result.changes, clock.nowISO()), changed: true };
+    } catch (error) {
+      if (error.name !== "ConditionalCheckFailedException" || attempt === MAX_SAVE_ATTEMPTS) {
+        throw error;
+      }
+      current = current.isBookmarks
+        ? await readingLists.getBookmarks(current.userId, clock.nowISO())
+        : await readingLists.getList(current.listId);
+      if (!current) {
+        return { error: response.notFound("Reading list not found") };
+      }
+    }
+  }
+}
+
+/**
+ * Liste et ses articles publiés, dans l'ordre de la liste
+ * @param {object} list - Liste
+ * @param {boolean} pruneMissing - Retirer de la liste les articles supprimés (propriétaire uniquement)
+ * @returns {Promise<object>} Données de réponse {list, posts, count}
+ */
+async function withPosts(list, pruneMissing) {
+  const { posts, missingPostIds } = await postSummaries.loadPublishedPosts(list.postIds);
+  let current = list;
+
+  if (pruneMissing && missingPostIds.length > 0) {
+    try {
+      current = await readingLists.saveList(
+        list,
+        { postIds: list.postIds.filter((postId) => !missingPostIds.includes(postId)) },
+        clock.nowISO()
+      );
+      console.log(`Removed ${missingPostIds.length} deleted posts from list ${list.listId}`);
+    } catch (error) {
+      // Nettoyage opportuniste: une modification concurrente l'emporte
+      if (error.name !== "ConditionalCheckFailedException") {
+        throw error;
+      }
+    }
+  }
+
+  return {
+    list: toListSummary(current),
+    posts: posts,
+    count: posts.length,
+  };
+}
+
+/**
+ * LIST READING LISTS - Listes de l'utilisateur connecté
+ * GET /reading-lists
+ *
+ * Nécessite authentification
+ * Les favoris sont toujours renvoyés en premier
+ */
+module.exports.listReadingLists = async (event) => {
+  console.log("=== LIST READING LISTS ===");
+
+  try {
+    const userId = event.requestContext?.authorizer?.userId;
+
+    const lists = await readingLists.listUserLists(userId);
+    const bookmarks = lists.find((list) => list.isBookmarks) || (await readingLists.getBookmarks(userId, null));
+    const namedLists = lists.filter((list) => !list.isBookmarks).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+    const summaries = [bookmarks, ...namedLists].map(toListSummary);
+
+    console.log(`Retrieved ${summaries.length} reading lists for user: ${userId}`);
+
+    return response.ok({
+      lists: summaries,
+      count: summaries.length,
+    });
+  } catch (error) {
+    console.error("Error in listReadingLists:", error);
+    return response.handleError(error);
+  }
+};
+
+/**
+ * CREATE READING LIST - Créer une liste de lecture
+ * POST /reading-lists
+ *
+ * Nécessite authentification
+ *
+ * Body:
+ * {
+ *   "name": "À lire ce week-end",
+ *   "description": "..." (optionnel),
+ *   "visibility": "private" | "public" (optionnel, défaut: private)
+ * }
+ */
+module.exports.createReadingList = async (event) => {
+  console.log("=== CREATE READING LIST ===");
+
+  try {
+    const userId = event.requestContext?.authorizer?.userId;
+    const body = JSON.parse(event.body || "{}");
+
+    const validationResult = validation.validateReadingList(body, true);
+    if (!validationResult.valid) {
+      return response.badRequest("Validation failed", validationResult.errors);
+    }
+
+    const existingLists = await readingLists.listUserLists(userId);
+    if (existingLists.filter((list) => !list.isBookmarks).length >= readingLists.MAX_LISTS_PER_USER) {
+      return response.badRequest(`You cannot have more than ${readingLists.MAX_LISTS_PER_USER} reading lists`);
+    }
+
+    const now = clock.nowISO();
+    const list = await readingLists.saveList(
+      {
+        listId: uuidv4(),
+        userId: userId,
+        name: validation.sanitizeString(body.name),
+        description: body.description ? validation.sanitizeString(body.description) : "",
+        visibility: body.visibility || "private",
+        postIds: [],
+        createdAt: now,
+        updatedAt: null,
+      },
+      {},
+      now
+    );
+
+    console.log(`Reading list created: ${list.listId}`);
+
+    return response.created({
+      message: "Reading list created successfully",
+      list: toListSummary(list),
+    });
+  } catch (error) {
+    console.error("Error in createReadingList:", error);
+    return response.handleError(error);
+  }
+};
+
+/**
+ * GET READING LIST - Une liste de l'utilisateur connecté et ses articles
+ * GET /reading-lists/{listId}
+ *
+ * Nécessite authentification (propriétaire); listId "bookmarks" = favoris
+ */
+module.exports.getReadingList = async (event) => {
+  console.log("=== GET READING LIST ===");
+
+  try {
+    const { list, error } = await loadOwnList(event);
+    if (error) {
+      return error;
+    }
+
+    const responseData = await withPosts(list, Boolean(list.updatedAt));
+
+    console.log(`Reading list retrieved: ${list.listId} (${responseData.count} posts)`);
+
+    return response.ok(responseData);
+  } catch (error) {
+    console.error("Error in getReadingList:", error);
+    return response.handleError(error);
+  }
+};
+
+/**
+ * UPDATE READING LIST - Renommer, changer la visibilité ou réordonner une liste
+ * PUT /reading-lists/{listId}
+ *
+ * Nécessite authentification (propriétaire)
+ * Les favoris ne peuvent être que réordonnés.
+ *
+ * Body: (tous les champs sont optionnels)
+ * {
+ *   "name": "À lire",
+ *   "description": "...",
+ *   "visibility": "public",
+ *   "postIds": ["uuid2", "uuid1"] (nouvel ordre: mêmes articles que la liste)
+ * }
+ */
+module.exports.updateReadingList = async (event) => {
+  console.log("=== UPDATE READING LIST ===");
+
+  try {
+    const { list, error } = await loadOwnList(event);
+    if (error) {
+      return error;
+    }
+
+    const body = JSON.parse(event.body || "{}");
+
+    if (
+      body.name === undefined &&
+      body.description === undefined &&
+      body.visibility === undefined &&
+      body.postIds === undefined
+    ) {
+      return response.badRequest("No valid fields to update");
+    }
+
+    const validationResult = validation.validateReadingList(body, false);
+    if (!validationResult.valid) {
+      return response.badRequest("Validation failed", validationResult.errors);
+    }
+
+    if (list.isBookmarks && (body.name !== undefined || body.description !== undefined || body.visibility)) {
+      return response.badRequest("Bookmarks can only be reordered");
+    }
+
+    if (body.postIds !== undefined && !Array.isArray(body.postIds)) {
+      return response.badRequest("postIds must be an array");
+    }
+
+    const result = await modifyList(list, (current) => {
+      const changes = {};
+
+      if (body.postIds !== undefined) {
+        const reordered = [...new Set(body.postIds)];
+        const sameItems =
+          reordered.length === current.postIds.length &&
+          reordered.length === body.postIds.length &&
+          reordered.every((postId) => current.postIds.includes(postId));
+
+        if (!sameItems) {
+          return { error: response.badRequest("postIds must contain exactly the posts of the list") };
+        }
+        changes.postIds = reordered;
+      }
+
+      if (body.name !== undefined) {
+        changes.name = validation.sanitizeString(body.name);
+      }
+      if (body.description !== undefined) {
+        changes.description = validation.sanitizeString(body.description);
+      }
+      if (body.visibility !== undefined) {
+        changes.visibility = body.visibility;
+      }
+
+      return { changes };
+    });
+
+    if (result.error) {
+      return result.error;
+    }
+
+    console.log(`Reading list updated: ${result.list.listId}`);
+
+    return response.ok({
+      message: "Reading list updated successfully",
+      list: toListSummary(result.list),
+    });
+  } catch (error) {
+    console.error("Error in updateReadingList:", error);
+    return response.handleError(error);
+  }
+};
+
+/**
+ * DELETE READING LIST - Supprimer une liste
+ * DELETE /reading-lists/{listId}
+ *
+ * Nécessite authentification (propriétaire); les favoris ne peuvent pas être supprimés
+ */
+module.exports.deleteReadingList = async (event) => {
+  console.log("=== DELETE READING LIST ===");
+
+  try {
+    const { list, error } = await loadOwnList(event);
+    if (error) {
+      return error;
+    }
+
+    if (list.isBookmarks) {
+      return response.badRequest("Bookmarks cannot be deleted");
+    }
+
+    await readingLists.deleteList(list.listId);
+
+    console.log(`Reading list deleted: ${list.listId}`);
+
+    return response.ok({
+      message: "Reading list deleted successfully",
+      listId: list.listId,
+    });
+  } catch (error) {
+    console.error("Error in deleteReadingList:", error);
+    return response.handleError(error);
+  }
+};
+
+/**
+ * ADD TO READING LIST - Ajouter un article à une liste
+ * POST /reading-lists/{listId}/posts
+ *
+ * Nécessite authentification (propriétaire); listId "bookmarks" = favoris
+ * Seul un article publié peut être ajouté. Ajouter un article déjà présent ne change rien.
+ *
+ * Body:
+ * {
+ *   "postId": "uuid",
+ *   "position": 1 (optionnel, 1 = début de liste; fin de liste par défaut)
+ * }
+ */
+module.exports.addToReadingList = async (event) => {
+  console.log("=== ADD TO READING LIST ===");
+
+  try {
+    const { list, error } = await loadOwnList(event);
+    if (error) {
+      return error;
+    }
+
+    const body = JSON.parse(event.body || "{}");
+
+    if (!body.postId || typeof body.postId !== "string") {
+      return response.badRequest("postId is required");
+    }
+
+    if (body.position !== undefined && (!Number.isInteger(body.position) || body.position < 1)) {
+      return response.badRequest("position must be a positive integer");
+    }
+
+    const { posts } = await postSummaries.loadPublishedPosts([body.postId]);
+    if (posts.length === 0) {
+      return response.notFound("Post not found");
+    }
+
+    const result = await modifyList(list, (current) => {
+      if (current.postIds.includes(body.postId)) {
+        return { unchanged: true };
+      }
+      if (current.postIds.length >= readingLists.MAX_POSTS_PER_LIST) {
+        return {
+          error: response.badRequest(
+            `A reading list cannot contain more than ${readingLists.MAX_POSTS_PER_LIST} posts`
+          ),
+        };
+      }
+
+      const postIds = [...current.postIds];
+      const index = body.position !== undefined ? Math.min(body.position - 1, postIds.length) : postIds.length;
+      postIds.splice(index, 0, body.postId);
+      return { changes: { postIds } };
+    });
+
+    if (result.error) {
+      return result.error;
+    }
+
+    console.log(`Post ${body.postId} ${result.changed ? "added to" : "already in"} list ${result.list.listId}`);
+
+    return response.ok({
+      message: result.changed ? "Post added to reading list" : "Post already in reading list",
+      list: toListSummary(result.list),
+    });
+  } catch (error) {
+    console.error("Error in addToReadingList:", error);
+    return response.handleError(error);
+  }
+};
+
+/**
+ * REMOVE FROM READING LIST - Retirer un article d'une liste
+ * DELETE /reading-lists/{listId}/posts/{postId}
+ *
+ * Nécessite authentification (propriétaire); listId "bookmarks" = favoris
+ * Retirer un article absent ne change rien.
+ */
+module.exports.removeFromReadingList = async (event) => {
+  console.log("=== REMOVE FROM READING LIST ===");
+
+  try {
+    const postId = event.pathParameters?.postId;
+
+    const { list, error } = await loadOwnList(event);
+    if (error) {
+      return error;
+    }
+
+    const result = await modifyList(list, (current) =>
+      current.postIds.includes(postId)
+        ? { changes: { postIds: current.postIds.filter((id) => id !== postId) } }
+        : { unchanged: true }
+    );
+
+    if (result.error) {
+      return result.error;
+    }
+
+    console.log(`Post ${postId} ${result.changed ? "removed from" : "not in"} list ${result.list.listId}`);
+
+    return response.ok({
+      message: result.changed ? "Post removed from reading list" : "Post not in reading list",
+      list: toListSummary(result.list),
+    });
+  } catch (error) {
+    console.error("Error in removeFromReadingList:", error);
+    return response.handleError(error);
+  }
+};
+
+/**
+ * GET SHARED READING LIST - Liste publique via son lien de partage
+ * GET /shared/reading-lists/{shareToken}
+ *
+ * Public
+ */
+module.exports.getSharedReadingList = async (event) => {
+  console.log("=== GET SHARED READING LIST ===");
+
+  try {
+    const shareToken = event.pathParameters?.shareToken;
+
+    if (!shareToken) {
+      return response.badRequest("Share token is required");
+    }
+
+    const list = await readingLists.getListByShareToken(shareToken);
+
+    if (!list) {
+      return response.notFound("Reading list not found");
+    }
+
+    const responseData = await withPosts(list, false);
+
+    console.log(`Shared reading list retrieved: ${list.listId}`);
+
+    return response.ok(responseData);
+  } catch (error) {
+    console.error("Error in getSharedReadingList:", error);
+    return response.handleError(error);
+  }
+};
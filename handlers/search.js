@@ -0,0 +1,142 @@
+"use strict";
+
+const { DynamoDBClient } = require("@aws-sdk/client-dynamodb");
+const { DynamoDBDocumentClient, ScanCommand } = require("@aws-sdk/lib-dynamodb");
+const { unmarshall } = require("@aws-sdk/util-dynamodb");
+
+const searchIndex = require("../utils/searchIndex");
+
+/**
+ * SEARCH HANDLER
+ * ==============
+ * Maintenance de l'index de recherche plein texte
+ *
+ * Fonctionnalités:
+ * - Indexation au fil de l'eau depuis le flux DynamoDB de la table Posts
+ * - Réindexation complète (invocation manuelle, ex: après déploiement initial)
+ *
+ * La recherche elle-même est servie par posts.searchPosts (GET /posts/search)
+ */
+
+const dynamoClient = new DynamoDBClient({});
+const dynamodb = DynamoDBDocumentClient.from(dynamoClient);
+
+const POSTS_TABLE = process.env.POSTS_TABLE;
+
+// Champs dont la modification nécessite une réindexation
+const INDEXED_FIELDS = ["status", "title", "excerpt", "content", "tags"];
+
+/**
+ * Indique si une modification d'article touche les champs indexés
+ * (évite de réindexer à chaque incrément de viewCount)
+ * @param {object} oldPost - Article avant modification
+ * @param {object} newPost - Article après modification
+ * @returns {boolean} True si réindexation nécessaire
+ */
+function hasIndexedChanges(oldPost, newPost) {
+  return INDEXED_FIELDS.some((field) => JSON.stringify(oldPost[field]) !== JSON.stringify(newPost[field]));
+}
+
+/**
+ * INDEX POSTS - Mettre à jour l'index à partir du flux DynamoDB de la table Posts
+ * Appelé par postsStream.processPostsStream (stream PostsTable, NEW_AND_OLD_IMAGES)
+ *
+ * - Article publié (créé ou modifié): indexé / réindexé
+ * - Article dépublié ou supprimé: retiré de l'index
+ */
+module.exports.indexPosts = async (event) => {
+  console.log("=== INDEX POSTS ===");
+
+  try {
+    let indexed = 0;
+    let removed = 0;
+
+    for (const record of event.Records || []) {
+      const oldPost = record.dynamodb?.OldImage ? unmarshall(record.dynamodb.OldImage) : null;
+      const newPost = record.dynamodb?.NewImage ? unmarshall(record.dynamodb.NewImage) : null;
+      const postId = (newPost || oldPost)?.postId;
+
+      if (!postId) {
+        continue;
+      }
+
+      const wasIndexed = searchIndex.isIndexable(oldPost);
+      const isIndexed = record.eventName !== "REMOVE" && searchIndex.isIndexable(newPost);
+
+      if (isIndexed) {
+        if (wasIndexed && !hasIndexedChanges(oldPost, newPost)) {
+          continue;
+        }
+        const termCount = await searchIndex.indexPost(newPost);
+        if (!wasIndexed) {
+          await searchIndex.adjustDocumentCount(1);
+        }
+        indexed++;
+        console.log(`Post indexed: ${postId} (${termCount} terms)`);
+      } else if (wasIndexed) {
+        await searchIndex.removePost(postId);
+        await searchIndex.adjustDocumentCount(-1);
+        removed++;
+        console.log(`Post removed from index: ${postId}`);
+      }
+    }
+
+    console.log(`Search index updated: ${indexed} indexed, ${removed} removed`);
+
+    return {
+      indexed: indexed,
+      removed: removed,
+    };
+  } catch (error) {
+    console.error("Error in indexPosts:", error);
+    throw error;
+  }
+};
+
+/**
+ * REINDEX POSTS - Reconstruire l'index à partir de la table Posts
+ * Invocation manuelle: serverless invoke -f reindexPosts
+ *
+ * Indexe tous les articles publiés, retire les autres et recalcule le nombre d'articles indexés
+ */
+module.exports.reindexPosts = async () => {
+  console.log("=== REINDEX POSTS ===");
+
+  try {
+    let indexed = 0;
+    let removed = 0;
+    let lastKey;
+
+    do {
+      const result = await dynamodb.send(
+        new ScanCommand({
+          TableName: POSTS_TABLE,
+          ExclusiveStartKey: lastKey,
+        })
+      );
+
+      for (const post of result.Items) {
+        if (searchIndex.isIndexable(post)) {
+          await searchIndex.indexPost(post);
+          indexed++;
+        } else if ((await searchIndex.removePost(post.postId)) > 0) {
+          removed++;
+        }
+      }
+
+      lastKey = result.LastEvaluatedKey;
+    } while (lastKey);
+
+    await searchIndex.setDocumentCount(indexed);
+
+    console.log(`Reindex complete: ${indexed} indexed, ${removed} removed`);
+
+    return {
+      indexed: indexed,
+      removed: removed,
+    };
+  } catch (error) {
+    console.error("Error in reindexPosts:", error);
+    throw error;
+  }
+};
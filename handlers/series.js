@@ -0,0 +1,131 @@
+"use strict";
+
+const { v4: uuidv4 } = require("uuid");
+
+const response = require("../utils/response");
+const validation = require("../utils/validation");
+const permissions = require("../utils/permissions");
+const clock = require("../utils/clock");
+const series = require("../utils/series");
+
+/**
+ * SERIES HANDLER
+ * ==============
+ * Séries d'articles ordonnées
+ *
+ * Fonctionnalités:
+ * - Création d'une série par un auteur
+ * - Récupération d'une série avec ses articles publiés dans l'ordre
+ *
+ * Un article est ajouté à une série via "seriesId" / "seriesPosition" (createPost / updatePost)
+ */
+
+/**
+ * CREATE SERIES - Créer une série
+ * POST /series
+ *
+ * Nécessite authentification (permission "post:create")
+ *
+ * Body:
+ * {
+ *   "title": "Serverless de A à Z",
+ *   "description": "Tutoriel en plusieurs parties" (optionnel)
+ * }
+ */
+module.exports.createSeries = async (event) => {
+  console.log("=== CREATE SERIES ===");
+
+  try {
+    const authorId = event.requestContext?.authorizer?.userId;
+    const authorName = event.requestContext?.authorizer?.name;
+    const authorRole = event.requestContext?.authorizer?.role;
+
+    if (!permissions.can(authorRole, "post:create")) {
+      return response.forbidden("Your role does not allow creating series");
+    }
+
+    const body = JSON.parse(event.body || "{}");
+    const errors = [];
+
+    if (!body.title || typeof body.title !== "string" || body.title.trim().length < 3) {
+      errors.push("Title must be at least 3 characters long");
+    } else if (body.title.length > 200) {
+      errors.push("Title must not exceed 200 characters");
+    }
+
+    if (body.description !== undefined && (typeof body.description !== "string" || body.description.length > 1000)) {
+      errors.push("Description must be a string of at most 1000 characters");
+    }
+
+    if (errors.length > 0) {
+      return response.badRequest("Validation failed", errors);
+    }
+
+    const now = clock.nowISO();
+    const newSeries = {
+      seriesId: uuidv4(),
+      title: validation.sanitizeString(body.title),
+      description: body.description ? validation.sanitizeString(body.description) : "",
+      authorId: authorId,
+      authorName: authorName,
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    await series.createSeries(newSeries);
+
+    console.log(`Series created: ${newSeries.seriesId}`);
+
+    return response.created({
+      message: "Series created successfully",
+      series: newSeries,
+    });
+  } catch (error) {
+    console.error("Error in createSeries:", error);
+    return response.handleError(error);
+  }
+};
+
+/**
+ * GET SERIES - Récupérer une série et ses articles publiés dans l'ordre
+ * GET /series/{seriesId}
+ *
+ * Public
+ */
+module.exports.getSeries = async (event) => {
+  console.log("=== GET SERIES ===");
+
+  try {
+    const seriesId = event.pathParameters?.seriesId;
+
+    if (!seriesId) {
+      return response.badRequest("Series ID is required");
+    }
+
+    const found = await series.getSeries(seriesId);
+
+    if (!found) {
+      return response.notFound("Series not found");
+    }
+
+    const posts = (await series.listSeriesPosts(seriesId))
+      .filter((post) => post.status === "published")
+      .map((post, index) => ({
+        ...series.toSeriesEntry(post),
+        part: index + 1,
+        excerpt: post.excerpt || "",
+        publishedAt: post.publishedAt || null,
+      }));
+
+    console.log(`Series retrieved: ${seriesId} (${posts.length} published posts)`);
+
+    return response.ok({
+      series: found,
+      posts: posts,
+      count: posts.length,
+    });
+  } catch (error) {
+    console.error("Error in getSeries:", error);
+    return response.handleError(error);
+  }
+};
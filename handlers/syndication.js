@@ -0,0 +1,237 @@
+"use strict";
+
+const { DynamoDBClient } = require("@aws-sdk/client-dynamodb");
+const { DynamoDBDocumentClient, GetCommand } = require("@aws-sdk/lib-dynamodb");
+
+const response = require("../utils/response");
+const markdown = require("../utils/markdown");
+const postSummaries = require("../utils/postSummaries");
+const feed = require("../utils/feed");
+const tags = require("../utils/tags");
+const syndication = require("../utils/syndication");
+
+/**
+ * SYNDICATION HANDLER
+ * ===================
+ * Flux RSS, Atom et JSON Feed des articles publiés
+ *
+ * Fonctionnalités:
+ * - Flux du site: /feed.rss, /feed.atom, /feed.json
+ * - Flux d'un auteur: /users/{userId}/feed.{rss,atom,json}
+ * - Flux d'un tag: /tags/{slug}/feed.{rss,atom,json}
+ *
+ * Le format est déduit de l'extension du chemin. Les réponses portent ETag et Last-Modified
+ * et répondent 304 aux requêtes conditionnelles (If-None-Match, If-Modified-Since).
+ */
+
+const dynamoClient = new DynamoDBClient({});
+const dynamodb = DynamoDBDocumentClient.from(dynamoClient);
+
+const USERS_TABLE = process.env.USERS_TABLE;
+const SITE_URL = process.env.SITE_URL;
+
+const SITE_TITLE = "Blogify";
+
+// Nombre d'articles par flux
+const FEED_SIZE = 20;
+
+// Durée de mise en cache des flux par les clients et proxys (secondes)
+const CACHE_MAX_AGE = 300;
+
+/**
+ * Format demandé, d'après l'extension du chemin
+ * @param {object} event - Événement API Gateway
+ * @returns {string} "rss", "atom" ou "json"
+ */
+function getFormat(event) {
+  const match = /\.(rss|atom|json)$/.exec(event.resource || event.path || "");
+  return match ? match[1] : "rss";
+}
+
+/**
+ * URL publique du site (SITE_URL, à défaut le domaine de l'API)
+ * @param {object} event - Événement API Gateway
+ * @returns {string} URL sans slash final
+ */
+function getSiteUrl(event) {
+  return (SITE_URL || `https://${event.requestContext?.domainName}`).replace(/\/+$/, "");
+}
+
+/**
+ * URL du flux demandé (lien "self")
+ * @param {object} event - Événement API Gateway
+ * @returns {string} URL absolue
+ */
+function getFeedUrl(event) {
+  return `https://${event.requestContext?.domainName}${event.requestContext?.path || event.path}`;
+}
+
+/**
+ * Charge des articles publiés et les convertit en entrées de flux
+ * @param {array} postIds - IDs, du plus récent au plus ancien
+ * @param {string} siteUrl - URL du site
+ * @returns {Promise<array>} Entrées de flux
+ */
+async function loadItems(postIds, siteUrl) {
+  const { posts } = await postSummaries.loadPublishedPosts(postIds, ["contentHtml", "content", "tags", "updatedAt"]);
+
+  return posts.map((post) => ({
+    id: post.postId,
+    title: post.title,
+    url: `${siteUrl}/posts/${encodeURIComponent(post.slug || post.postId)}`,
+    summary: post.excerpt || "",
+    // Articles antérieurs au rendu Markdown: rendu à la volée
+    contentHtml: post.contentHtml ?? (post.content ? markdown.render(post.content).html : ""),
+    authorName: post.authorName || SITE_TITLE,
+    tags: post.tags || [],
+    publishedAt: post.publishedAt,
+    updatedAt: post.updatedAt || null,
+  }));
+}
+
+/**
+ * Construit la réponse d'un flux, ou 304 si la copie du client est à jour
+ * @param {object} event - Événement API Gateway
+ * @param {object} channel - {title, description, siteUrl}
+ * @param {array} items - Entrées de flux
+ * @returns {object} Réponse HTTP
+ */
+function feedResponse(event, channel, items) {
+  const format = getFormat(event);
+  const lastModified = syndication.getLastModified(items);
+  const body = syndication.render(format, { ...channel, feedUrl: getFeedUrl(event), updated: lastModified }, items);
+  const etag = syndication.computeETag(body);
+
+  const headers = {
+    ETag: etag,
+    "Cache-Control": `public, max-age=${CACHE_MAX_AGE}`,
+  };
+  if (lastModified) {
+    headers["Last-Modified"] = syndication.toHttpDate(lastModified);
+  }
+
+  if (syndication.isNotModified(event.headers, etag, lastModified)) {
+    console.log(`Feed not modified (${format})`);
+    return response.notModified(headers);
+  }
+
+  console.log(`Feed generated (${format}): ${items.length} items`);
+
+  return response.raw(body, syndication.FORMATS[format], headers);
+}
+
+/**
+ * GET SITE FEED - Derniers articles publiés du site
+ * GET /feed.rss, /feed.atom, /feed.json
+ *
+ * Public
+ */
+module.exports.getSiteFeed = async (event) => {
+  console.log("=== GET SITE FEED ===");
+
+  try {
+    const siteUrl = getSiteUrl(event);
+    const postIds = await feed.listTimelinePostIds(feed.SITE_TIMELINE, FEED_SIZE);
+    const items = await loadItems(postIds, siteUrl);
+
+    return feedResponse(
+      event,
+      {
+        title: SITE_TITLE,
+        description: `Derniers articles publiés sur ${SITE_TITLE}`,
+        siteUrl: siteUrl,
+      },
+      items
+    );
+  } catch (error) {
+    console.error("Error in getSiteFeed:", error);
+    return response.handleError(error);
+  }
+};
+
+/**
+ * GET AUTHOR FEED - Derniers articles publiés d'un auteur
+ * GET /users/{userId}/feed.rss, /users/{userId}/feed.atom, /users/{userId}/feed.json
+ *
+ * Public
+ */
+module.exports.getAuthorFeed = async (event) => {
+  console.log("=== GET AUTHOR FEED ===");
+
+  try {
+    const userId = event.pathParameters?.userId;
+
+    if (!userId) {
+      return response.badRequest("User ID is required");
+    }
+
+    const result = await dynamodb.send(
+      new GetCommand({
+        TableName: USERS_TABLE,
+        Key: { userId: userId },
+      })
+    );
+
+    if (!result.Item) {
+      return response.notFound("User not found");
+    }
+
+    const siteUrl = getSiteUrl(event);
+    const postIds = await feed.listTimelinePostIds(feed.getAuthorTimelineId(userId), FEED_SIZE);
+    const items = await loadItems(postIds, siteUrl);
+
+    return feedResponse(
+      event,
+      {
+        title: `${result.Item.name} - ${SITE_TITLE}`,
+        description: `Derniers articles de ${result.Item.name}`,
+        siteUrl: `${siteUrl}/authors/${encodeURIComponent(userId)}`,
+      },
+      items
+    );
+  } catch (error) {
+    console.error("Error in getAuthorFeed:", error);
+    return response.handleError(error);
+  }
+};
+
+/**
+ * GET TAG FEED - Derniers articles publiés d'un tag
+ * GET /tags/{slug}/feed.rss, /tags/{slug}/feed.atom, /tags/{slug}/feed.json
+ *
+ * Public
+ */
+module.exports.getTagFeed = async (event) => {
+  console.log("=== GET TAG FEED ===");
+
+  try {
+    const slug = event.pathParameters?.slug?.toLowerCase();
+
+    if (!slug) {
+      return response.badRequest("Tag slug is required");
+    }
+
+    const tag = await tags.getTag(slug);
+
+    if (!tag) {
+      return response.notFound("Tag not found");
+    }
+
+    const siteUrl = getSiteUrl(event);
+    const page = await tags.listPublishedPostIds(slug, FEED_SIZE);
+    const items = await loadItems(page.postIds, siteUrl);
+
+    return feedResponse(
+      event,
+      {
+        title: `${tag.name} - ${SITE_TITLE}`,
+        description: tag.description || `Derniers articles du tag ${tag.name}`,
+        siteUrl: `${siteUrl}/tags/${encodeURIComponent(slug)}`,
+      },
+      items
+    );
+  } catch (error) {
+    console.error("Error in getTagFeed:", error);
+    return response.handleError(error);
+  }
+};
@@ -0,0 +1,477 @@
+"use strict";
+
+const { DynamoDBClient } = require("@aws-sdk/client-dynamodb");
+const { DynamoDBDocumentClient, GetCommand, UpdateCommand } = require("@aws-sdk/lib-dynamodb");
+const { unmarshall } = require("@aws-sdk/util-dynamodb");
+
+const response = require("../utils/response");
+const permissions = require("../utils/permissions");
+const clock = require("../utils/clock");
+const tags = require("../utils/tags");
+const audit = require("../utils/audit");
+const validation = require("../utils/validation");
+
+/**
+ * TAGS HANDLER
+ * ============
+ * Taxonomie des tags
+ *
+ * Fonctionnalités:
+ * - Liste des tags avec le nombre d'articles publiés
+ * - Articles publiés d'un tag (paginés)
+ * - Renommage / description d'un tag (admin)
+ * - Fusion de deux tags (admin)
+ * - Synchronisation des appartenances et compteurs depuis le flux de la table Posts
+ *
+ * Le renommage et la fusion réécrivent les tags des articles concernés;
+ * le flux répercute ensuite ces modifications sur les appartenances et compteurs.
+ */
+
+const dynamoClient = new DynamoDBClient({});
+const dynamodb = DynamoDBDocumentClient.from(dynamoClient);
+
+const POSTS_TABLE = process.env.POSTS_TABLE;
+
+// Nombre de tentatives de réécriture d'un article modifié en parallèle
+const RETAG_ATTEMPTS = 3;
+
+/**
+ * Valide les champs modifiables d'un tag
+ * @param {object} data - {name, description}
+ * @returns {array} Erreurs
+ */
+function validateTagChanges(data) {
+  const errors = [];
+
+  if (data.name !== undefined) {
+    if (typeof data.name !== "string" || !tags.tagSlug(data.name)) {
+      errors.push("Tag name must contain at least one letter or digit");
+    } else if (tags.cleanTagName(data.name).length > tags.MAX_TAG_LENGTH) {
+      errors.push(`Tag name must not exceed ${tags.MAX_TAG_LENGTH} characters`);
+    }
+  }
+
+  if (data.description !== undefined && (typeof data.description !== "string" || data.description.length > 500)) {
+    errors.push("Description must be a string of at most 500 characters");
+  }
+
+  return errors;
+}
+
+/**
+ * Remplace un tag par un autre dans tous les articles qui le portent
+ * La mise à jour est conditionnée à updatedAt: un article modifié entre-temps est relu
+ * @param {string} fromSlug - Slug du tag remplacé
+ * @param {string} toName - Nom canonique du tag de remplacement
+ * @returns {Promise<number>} Nombre d'articles modifiés
+ */
+async function retagPosts(fromSlug, toName) {
+  const postIds = await tags.listPostIds(fromSlug);
+  let updated = 0;
+
+  for (const postId of postIds) {
+    for (let attempt = 1; attempt <= RETAG_ATTEMPTS; attempt++) {
+      const result = await dynamodb.send(
+        new GetCommand({
+          TableName: POSTS_TABLE,
+          Key: { postId: postId },
+          ProjectionExpression: "postId, tags, updatedAt",
+        })
+      );
+
+      if (!result.Item) {
+        break;
+      }
+
+      const currentTags = result.Item.tags || [];
+      const newTags = tags.replaceTag(currentTags, fromSlug, toName);
+
+      if (JSON.stringify(newTags) === JSON.stringify(currentTags)) {
+        break;
+      }
+
+      try {
+        await dynamodb.send(
+          new UpdateCommand({
+            TableName: POSTS_TABLE,
+            Key: { postId: postId },
+            UpdateExpression: "SET tags = :newTags",
+            ConditionExpression: "updatedAt = :updatedAt",
+            ExpressionAttributeValues: {
+              ":newTags": newTags,
+              ":updatedAt": result.Item.updatedAt,
+            },
+          })
+        );
+        updated++;
+        break;
+      } catch (error) {
+        if (error.name !== "ConditionalCheckFailedException" || attempt === RETAG_ATTEMPTS) {
+          throw error;
+        }
+      }
+    }
+  }
+
+  return updated;
+}
+
+/**
+ * LIST TAGS - Lister les tags utilisés par des articles publiés
+ * GET /tags
+ *
+ * Public
+ * Tri par nombre d'articles décroissant, puis par nom
+ */
+module.exports.listTags = async () => {
+  console.log("=== LIST TAGS ===");
+
+  try {
+    const allTags = await tags.listTags();
+
+    const usedTags = allTags
+      .filter((tag) => (tag.postCount || 0) > 0)
+      .sort((a, b) => b.postCount - a.postCount || a.name.localeCompare(b.name));
+
+    console.log(`Retrieved ${usedTags.length} tags`);
+
+    return response.ok({
+      tags: usedTags,
+      count: usedTags.length,
+    });
+  } catch (error) {
+    console.error("Error in listTags:", error);
+    return response.handleError(error);
+  }
+};
+
+/**
+ * GET TAG POSTS - Articles publiés d'un tag
+ * GET /tags/{slug}/posts?limit=20&lastKey=xxx
+ *
+ * Public
+ * Plus récent en premier (date de publication), paginé
+ */
+module.exports.getTagPosts = async (event) => {
+  console.log("=== GET TAG POSTS ===");
+
+  try {
+    const slug = event.pathParameters?.slug?.toLowerCase();
+    const queryParams = event.queryStringParameters || {};
+    const limit = parseInt(queryParams.limit) || 20;
+    const lastKey = queryParams.lastKey ? JSON.parse(decodeURIComponent(queryParams.lastKey)) : null;
+
+    if (!slug) {
+      return response.badRequest("Tag slug is required");
+    }
+
+    const tag = await tags.getTag(slug);
+
+    if (!tag) {
+      return response.notFound("Tag not found");
+    }
+
+    const page = await tags.listPublishedPostIds(slug, limit, lastKey);
+
+    const posts = await Promise.all(
+      page.postIds.map(async (postId) => {
+        const result = await dynamodb.send(
+          new GetCommand({
+            TableName: POSTS_TABLE,
+            Key: { postId: postId },
+          })
+        );
+        return result.Item;
+      })
+    );
+
+    // Les appartenances sont mises à jour par le flux: ignorer un article dépublié entre-temps
+    const publishedPosts = posts.filter((post) => post && post.status === "published");
+
+    console.log(`Retrieved ${publishedPosts.length} posts for tag: ${slug}`);
+
+    const responseData = {
+      tag: tag,
+      posts: publishedPosts,
+      count: publishedPosts.length,
+    };
+
+    if (page.lastKey) {
+      responseData.lastKey = encodeURIComponent(JSON.stringify(page.lastKey));
+      responseData.hasMore = true;
+    } else {
+      responseData.hasMore = false;
+    }
+
+    return response.ok(responseData);
+  } catch (error) {
+    console.error("Error in getTagPosts:", error);
+    return response.handleError(error);
+  }
+};
+
+/**
+ * UPDATE TAG - Renommer un tag et/ou modifier sa description
+ * PUT /admin/tags/{slug}
+ *
+ * Nécessite la permission "tag:manage" (admin)
+ * Si le nouveau nom change le slug, le tag est recréé sous le nouveau slug
+ * (409 si ce slug existe déjà: utiliser la fusion). Les articles sont mis à jour.
+ *
+ * Body:
+ * {
+ *   "name": "JavaScript" (optionnel),
+ *   "description": "Articles sur JavaScript" (optionnel)
+ * }
+ */
+module.exports.updateTag = async (event) => {
+  console.log("=== UPDATE TAG ===");
+
+  try {
+    const authUserId = event.requestContext?.authorizer?.userId;
+    const authUserRole = event.requestContext?.authorizer?.role;
+    const slug = event.pathParameters?.slug;
+
+    if (!permissions.can(authUserRole, "tag:manage")) {
+      return response.forbidden("Admin access required");
+    }
+
+    if (!slug) {
+      return response.badRequest("Tag slug is required");
+    }
+
+    const body = JSON.parse(event.body || "{}");
+
+    if (body.name === undefined && body.description === undefined) {
+      return response.badRequest("No valid fields to update");
+    }
+
+    const errors = validateTagChanges(body);
+    if (errors.length > 0) {
+      return response.badRequest("Validation failed", errors);
+    }
+
+    const tag = await tags.getTag(slug);
+
+    if (!tag) {
+      return response.notFound("Tag not found");
+    }
+
+    const now = clock.nowISO();
+    const name = body.name !== undefined ? tags.cleanTagName(body.name) : tag.name;
+    const description = body.description !== undefined ? validation.sanitizeString(body.description) : undefined;
+    const newSlug = tags.tagSlug(name);
+    let updatedTag;
+
+    if (newSlug === slug) {
+      updatedTag = await tags.updateTag(slug, { name: name, description: description }, now);
+    } else {
+      // Nouveau slug: créer le tag cible avant de réécrire les articles
+      updatedTag = {
+        slug: newSlug,
+        name: name,
+        description: description !== undefined ? description : tag.description || "",
+        postCount: 0,
+        createdAt: tag.createdAt,
+        updatedAt: now,
+      };
+
+      try {
+        await tags.createTag(updatedTag);
+      } catch (error) {
+        if (error.name === "ConditionalCheckFailedException") {
+          return response.conflict(`Tag "${newSlug}" already exists, merge the tags instead`);
+        }
+        throw error;
+      }
+    }
+
+    // Réécrire les tags des articles avec le nouveau nom canonique
+    const postsUpdated = name !== tag.name ? await retagPosts(slug, name) : 0;
+
+    if (newSlug !== slug) {
+      await tags.deleteTag(slug);
+    }
+
+    await audit.record({
+      actorId: authUserId,
+      actorRole: authUserRole,
+      action: "tag.update",
+      targetType: "tag",
+      targetId: slug,
+      changes: {
+        ...(name !== tag.name && { name: { from: tag.name, to: name } }),
+        ...(newSlug !== slug && { slug: { from: slug, to: newSlug } }),
+        ...(description !== undefined && { description: { from: tag.description || "", to: description } }),
+      },
+    });
+
+    console.log(`Tag updated: ${slug}${newSlug !== slug ? ` -> ${newSlug}` : ""} (${postsUpdated} posts updated)`);
+
+    return response.ok({
+      message: "Tag updated successfully",
+      tag: updatedTag,
+      postsUpdated: postsUpdated,
+    });
+  } catch (error) {
+    console.error("Error in updateTag:", error);
+    return response.handleError(error);
+  }
+};
+
+/**
+ * MERGE TAG - Fusionner un tag dans un autre
+ * POST /admin/tags/{slug}/merge
+ *
+ * Nécessite la permission "tag:manage" (admin)
+ * Les articles du tag {slug} reçoivent le tag cible, puis le tag {slug} est supprimé
+ *
+ * Body:
+ * {
+ *   "into": "javascript"
+ * }
+ */
+module.exports.mergeTag = async (event) => {
+  console.log("=== MERGE TAG ===");
+
+  try {
+    const authUserId = event.requestContext?.authorizer?.userId;
+    const authUserRole = event.requestContext?.authorizer?.role;
+    const slug = event.pathParameters?.slug;
+
+    if (!permissions.can(authUserRole, "tag:manage")) {
+      return response.forbidden("Admin access required");
+    }
+
+    if (!slug) {
+      return response.badRequest("Tag slug is required");
+    }
+
+    const body = JSON.parse(event.body || "{}");
+
+    if (!body.into || typeof body.into !== "string") {
+      return response.badRequest("Target tag slug (into) is required");
+    }
+
+    if (body.into === slug) {
+      return response.badRequest("Cannot merge a tag into itself");
+    }
+
+    const [source, target] = await Promise.all([tags.getTag(slug), tags.getTag(body.into)]);
+
+    if (!source) {
+      return response.notFound("Tag not found");
+    }
+
+    if (!target) {
+      return response.notFound("Target tag not found");
+    }
+
+    const postsUpdated = await retagPosts(slug, target.name);
+
+    await tags.deleteTag(slug);
+
+    await audit.record({
+      actorId: authUserId,
+      actorRole: authUserRole,
+      action: "tag.merge",
+      targetType: "tag",
+      targetId: slug,
+      changes: { mergedInto: { from: slug, to: target.slug } },
+    });
+
+    console.log(`Tag merged: ${slug} -> ${target.slug} (${postsUpdated} posts updated)`);
+
+    return response.ok({
+      message: "Tags merged successfully",
+      tag: target,
+      postsUpdated: postsUpdated,
+    });
+  } catch (error) {
+    console.error("Error in mergeTag:", error);
+    return response.handleError(error);
+  }
+};
+
+/**
+ * Calcule l'état de chaque tag d'un article
+ * @param {object} post - Article (ou null)
+ * @returns {Map} slug -> {name, state: "published"|"member", publishedAt}
+ */
+function getTagStates(post) {
+  const states = new Map();
+
+  if (!post) {
+    return states;
+  }
+
+  for (const name of post.tags || []) {
+    const slug = tags.tagSlug(name);
+    if (slug && !states.has(slug)) {
+      states.set(slug, {
+        name: tags.cleanTagName(name),
+        state: post.status === "published" ? "published" : "member",
+        publishedAt: post.publishedAt || null,
+      });
+    }
+  }
+
+  return states;
+}
+
+/**
+ * SYNC POST TAGS - Maintenir les appartenances et compteurs de tags
+ * Appelé par postsStream.processPostsStream (stream PostsTable, NEW_AND_OLD_IMAGES)
+ */
+module.exports.syncPostTags = async (event) => {
+  console.log("=== SYNC POST TAGS ===");
+
+  try {
+    let synced = 0;
+
+    for (const record of event.Records || []) {
+      const oldPost = record.dynamodb?.OldImage ? unmarshall(record.dynamodb.OldImage) : null;
+      const newPost =
+        record.eventName !== "REMOVE" && record.dynamodb?.NewImage ? unmarshall(record.dynamodb.NewImage) : null;
+      const postId = (newPost || oldPost)?.postId;
+
+      if (!postId) {
+        continue;
+      }
+
+      const before = getTagStates(oldPost);
+      const after = getTagStates(newPost);
+      const now = clock.nowISO();
+
+      for (const slug of new Set([...before.keys(), ...after.keys()])) {
+        const previous = before.get(slug);
+        const next = after.get(slug);
+        const previousState = previous ? previous.state : "none";
+        const nextState = next ? next.state : "none";
+
+        if (previousState === nextState && (nextState !== "published" || previous.publishedAt === next.publishedAt)) {
+          continue;
+        }
+
+        await tags.syncMembership({
+          slug: slug,
+          name: (next || previous).name,
+          postId: postId,
+          state: nextState,
+          publishedAt: next ? next.publishedAt : null,
+          now: now,
+        });
+        synced++;
+      }
+    }
+
+    console.log(`Tag memberships synced: ${synced}`);
+
+    return {
+      synced: synced,
+    };
+  } catch (error) {
+    console.error("Error in syncPostTags:", error);
+    throw error;
+  }
+};
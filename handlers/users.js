@@ -5,6 +5,8 @@ const { DynamoDBDocumentClient, GetCommand, UpdateCommand } = require("@aws-sdk/
 
 const response = require("../utils/response");
 const validation = require("../utils/validation");
+const permissions = require("../utils/permissions");
+const storage = require("../utils/storage");
 
 /**
  * USERS HANDLER
@@ -14,6 +16,7 @@ const validation = require("../utils/validation");
  * Fonctionnalités:
  * - Récupération du profil utilisateur
  * - Mise à jour du profil (nom, bio, etc.)
+ * - Usage et quota de stockage des médias
  */
 
 const dynamoClient = new DynamoDBClient({});
@@ -27,6 +30,7 @@ const USERS_TABLE = process.env.USERS_TABLE;
  *
  * Accessible publiquement pour permettre de voir les auteurs
  * Les données sensibles sont filtrées
+ * Inclut le nombre d'abonnés (followerCount) et d'abonnements (followingCount)
  */
 module.exports.getProfile = async (event) => {
   console.log("=== GET USER PROFILE ===");
@@ -52,13 +56,27 @@ module.exports.getProfile = async (event) => {
 
     const user = result.Item;
 
-    // Filtrer les données sensibles
-    const { passwordHash, passwordSalt, ...publicProfile } = user;
+    // Filtrer les données sensibles (et le stockage, visible du seul propriétaire via /storage)
+    const {
+      passwordHash,
+      passwordSalt,
+      resetTokenId,
+      tokenVersion,
+      passwordResetRequired,
+      storageBytes,
+      storageFiles,
+      storageQuota,
+      ...publicProfile
+    } = user;
 
     console.log(`Profile retrieved for user: ${userId}`);
 
     return response.ok({
-      user: publicProfile,
+      user: {
+        ...publicProfile,
+        followerCount: user.followerCount || 0,
+        followingCount: user.followingCount || 0,
+      },
     });
   } catch (error) {
     console.error("Error in getProfile:", error);
@@ -94,7 +112,7 @@ module.exports.updateProfile = async (event) => {
 
     // Vérification d'autorisation
     // Un utilisateur peut modifier son propre profil, ou un admin peut modifier n'importe quel profil
-    if (userId !== authUserId && authUserRole !== "admin") {
+    if (!permissions.canActOn({ userId: authUserId, role: authUserRole }, "user:update", userId)) {
       return response.forbidden("You can only update your own profile");
     }
 
@@ -164,7 +182,8 @@ module.exports.updateProfile = async (event) => {
     const updatedUser = updateResult.Attributes;
 
     // Filtrer les données sensibles
-    const { passwordHash, passwordSalt, ...publicProfile } = updatedUser;
+    const { passwordHash, passwordSalt, resetTokenId, tokenVersion, passwordResetRequired, ...publicProfile } =
+      updatedUser;
 
     console.log(`Profile updated for user: ${userId}`);
 
@@ -177,3 +196,49 @@ module.exports.updateProfile = async (event) => {
     return response.handleError(error);
   }
 };
+
+/**
+ * GET STORAGE USAGE - Usage et quota de stockage des médias d'un utilisateur
+ * GET /users/{userId}/storage
+ *
+ * Nécessite authentification
+ * Un utilisateur peut consulter son propre stockage (admin: tous les utilisateurs)
+ * Les limites valent null quand elles sont illimitées
+ */
+module.exports.getStorageUsage = async (event) => {
+  console.log("=== GET STORAGE USAGE ===");
+
+  try {
+    const userId = event.pathParameters?.userId;
+    const authUserId = event.requestContext?.authorizer?.userId;
+    const authUserRole = event.requestContext?.authorizer?.role;
+
+    if (!userId) {
+      return response.badRequest("User ID is required");
+    }
+
+    if (!permissions.canActOn({ userId: authUserId, role: authUserRole }, "media:read", userId)) {
+      return response.forbidden("You can only view your own storage usage");
+    }
+
+    const result = await dynamodb.send(
+      new GetCommand({
+        TableName: USERS_TABLE,
+        Key: { userId: userId },
+      })
+    );
+
+    if (!result.Item) {
+      return response.notFound("User not found");
+    }
+
+    return response.ok({
+      userId: userId,
+      role: result.Item.role,
+      ...storage.getStorageReport(result.Item),
+    });
+  } catch (error) {
+    console.error("Error in getStorageUsage:", error);
+    return response.handleError(error);
+  }
+};
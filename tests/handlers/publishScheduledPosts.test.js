@@ -0,0 +1,135 @@
+"use strict";
+
+process.env.POSTS_TABLE = "posts";
+process.env.REACTIONS_TABLE = "reactions";
+
+const { DynamoDBDocumentClient } = require("@aws-sdk/lib-dynamodb");
+
+const clock = require("../../utils/clock");
+const posts = require("../../handlers/posts");
+
+const PUBLISH_AT = "2025-03-01T08:00:00.000Z";
+
+/**
+ * Table Posts en mémoire (index StatusIndex, ScheduledIndex et AuthorIndex)
+ * @param {array} items - Articles initiaux
+ * @returns {function} Implémentation de DynamoDBDocumentClient.send
+ */
+function fakePostsTable(items) {
+  const table = new Map(items.map((item) => [item.postId, { ...item }]));
+
+  return async (command) => {
+    const input = command.input;
+    const name = command.constructor.name;
+
+    if (input.TableName !== "posts") {
+      return {};
+    }
+
+    if (name === "GetCommand") {
+      const item = table.get(input.Key.postId);
+      return { Item: item ? { ...item } : undefined };
+    }
+
+    if (name === "QueryCommand") {
+      const values = input.ExpressionAttributeValues;
+      const matches = {
+        ScheduledIndex: (item) => item.status === values[":scheduled"] && item.publishAt <= values[":now"],
+        StatusIndex: (item) => item.status === values[":status"],
+        AuthorIndex: (item) => item.authorId === values[":authorId"],
+      }[input.IndexName];
+      const found = [...table.values()].filter(matches);
+      return { Items: found.map((item) => ({ ...item })) };
+    }
+
+    if (name === "UpdateCommand" && input.UpdateExpression.includes(":published")) {
+      const item = table.get(input.Key.postId);
+      const values = input.ExpressionAttributeValues;
+      if (!item || item.status !== values[":scheduled"] || item.publishAt !== values[":publishAt"]) {
+        const error = new Error("The conditional request failed");
+        error.name = "ConditionalCheckFailedException";
+        throw error;
+      }
+      item.status = values[":published"];
+      item.publishedAt = values[":publishAt"];
+      item.updatedAt = values[":now"];
+      delete item.publishAt;
+      return {};
+    }
+
+    return {};
+  };
+}
+
+const listPublished = async () => {
+  const result = await posts.getAllPosts({ queryStringParameters: { status: "published" } });
+  return JSON.parse(result.body).posts.map((post) => post.postId);
+};
+
+const listByAuthor = async (userId) => {
+  const result = await posts.getPostsByAuthor({ pathParameters: { userId } });
+  return JSON.parse(result.body).posts.map((post) => post.postId);
+};
+
+const getPost = (postId) => posts.getPost({ pathParameters: { postId } });
+
+describe("publishScheduledPosts", () => {
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(DynamoDBDocumentClient.prototype, "send").mockImplementation(
+      fakePostsTable([
+        {
+          postId: "scheduled-post",
+          authorId: "author-1",
+          title: "Scheduled",
+          content: "Contenu",
+          contentHtml: "<p>Contenu</p>",
+          status: "scheduled",
+          publishAt: PUBLISH_AT,
+          createdAt: "2025-02-20T10:00:00.000Z",
+        },
+      ])
+    );
+  });
+
+  afterEach(() => {
+    clock.resetClock();
+    jest.restoreAllMocks();
+  });
+
+  test("keeps the post hidden before publishAt", async () => {
+    clock.setClock("2025-03-01T07:59:00.000Z");
+
+    await expect(posts.publishScheduledPosts()).resolves.toEqual({ published: 0, due: 0 });
+
+    expect(await listPublished()).toEqual([]);
+    expect(await listByAuthor("author-1")).toEqual([]);
+    expect((await getPost("scheduled-post")).statusCode).toBe(404);
+  });
+
+  test("publishes the post once publishAt is reached", async () => {
+    clock.setClock("2025-03-01T07:59:00.000Z");
+    await posts.publishScheduledPosts();
+
+    clock.setClock("2025-03-01T08:05:00.000Z");
+
+    await expect(posts.publishScheduledPosts()).resolves.toEqual({ published: 1, due: 1 });
+
+    expect(await listPublished()).toEqual(["scheduled-post"]);
+    expect(await listByAuthor("author-1")).toEqual(["scheduled-post"]);
+
+    const result = await getPost("scheduled-post");
+    expect(result.statusCode).toBe(200);
+
+    const post = JSON.parse(result.body).post;
+    expect(post.status).toBe("published");
+    expect(post.publishedAt).toBe(PUBLISH_AT);
+    expect(post.publishAt).toBeUndefined();
+  });
+
+  test("shows a scheduled post once its date has passed, before the publisher runs", async () => {
+    clock.setClock("2025-03-01T08:00:30.000Z");
+
+    expect((await getPost("scheduled-post")).statusCode).toBe(200);
+  });
+});
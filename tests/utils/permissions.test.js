@@ -0,0 +1,113 @@
+"use strict";
+
+const permissions = require("../../utils/permissions");
+
+// Actions soumises à la propriété: "<action>:own" ou "<action>:any"
+const ACTIONS = [
+  "post:update",
+  "post:delete",
+  "comment:update",
+  "comment:delete",
+  "media:read",
+  "media:delete",
+  "user:update",
+];
+
+// Actions autorisées par rôle sur ses propres ressources
+const OWN = {
+  reader: ["comment:update", "comment:delete", "user:update"],
+  author: [
+    "post:update",
+    "post:delete",
+    "comment:update",
+    "comment:delete",
+    "media:read",
+    "media:delete",
+    "user:update",
+  ],
+  editor: [
+    "post:update",
+    "post:delete",
+    "comment:update",
+    "comment:delete",
+    "media:read",
+    "media:delete",
+    "user:update",
+  ],
+  moderator: ["comment:update", "comment:delete", "user:update"],
+  admin: ACTIONS,
+};
+
+// Actions autorisées par rôle sur les ressources des autres
+const ANY = {
+  reader: [],
+  author: [],
+  editor: ["post:update"],
+  moderator: ["comment:delete"],
+  // Un admin peut supprimer le commentaire d'un autre, pas le modifier
+  admin: ACTIONS.filter((action) => action !== "comment:update"),
+};
+
+// Permissions sans portée
+const GLOBAL = {
+  reader: ["comment:create", "reaction:create", "user:follow"],
+  author: ["comment:create", "reaction:create", "user:follow", "post:create", "media:upload"],
+  editor: ["comment:create", "reaction:create", "user:follow", "post:create", "media:upload"],
+  moderator: ["comment:create", "reaction:create", "user:follow", "comment:moderate"],
+  admin: [
+    "comment:create",
+    "reaction:create",
+    "user:follow",
+    "post:create",
+    "media:upload",
+    "comment:moderate",
+    "tag:manage",
+    "category:manage",
+    "user:manage",
+  ],
+};
+
+const ALL_GLOBAL = [...new Set(Object.values(GLOBAL).flat())];
+
+describe("permissions", () => {
+  test("every role is covered", () => {
+    expect(Object.keys(OWN).sort()).toEqual([...permissions.ROLES].sort());
+  });
+
+  describe.each(permissions.ROLES)("role %s", (role) => {
+    const owner = { userId: "user-1", role };
+
+    test.each(ACTIONS)("%s on own resource", (action) => {
+      expect(permissions.canActOn(owner, action, "user-1")).toBe(OWN[role].includes(action));
+    });
+
+    test.each(ACTIONS)("%s on another user's resource", (action) => {
+      expect(permissions.canActOn(owner, action, "user-2")).toBe(ANY[role].includes(action));
+    });
+
+    test.each(ACTIONS)("can() with %s:own and :any", (action) => {
+      expect(permissions.can(role, `${action}:own`)).toBe(OWN[role].includes(action));
+      expect(permissions.can(role, `${action}:any`)).toBe(ANY[role].includes(action));
+    });
+
+    test.each(ALL_GLOBAL)("can() with %s", (permission) => {
+      expect(permissions.can(role, permission)).toBe(GLOBAL[role].includes(permission));
+    });
+  });
+
+  describe("canActOn", () => {
+    test("refuses an unauthenticated user", () => {
+      expect(permissions.canActOn(null, "post:update", "user-1")).toBe(false);
+      expect(permissions.canActOn({ role: "admin" }, "post:update", "user-1")).toBe(false);
+    });
+
+    test("refuses ownership without owner ID", () => {
+      expect(permissions.canActOn({ userId: "user-1", role: "author" }, "post:update", undefined)).toBe(false);
+    });
+
+    test("refuses an unknown role", () => {
+      expect(permissions.canActOn({ userId: "user-1", role: "root" }, "post:update", "user-1")).toBe(false);
+      expect(permissions.can("root", "user:manage")).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,83 @@
+"use strict";
+
+const { DynamoDBClient } = require("@aws-sdk/client-dynamodb");
+const { DynamoDBDocumentClient, PutCommand, QueryCommand } = require("@aws-sdk/lib-dynamodb");
+const { v4: uuidv4 } = require("uuid");
+
+/**
+ * AUDIT UTILITY
+ * =============
+ * Journal d'audit des actions d'administration
+ * Chaque enregistrement indique qui a fait quoi, sur quelle ressource, et quand
+ */
+
+const dynamoClient = new DynamoDBClient({});
+const dynamodb = DynamoDBDocumentClient.from(dynamoClient);
+
+const AUDIT_TABLE = process.env.AUDIT_TABLE;
+
+/**
+ * Enregistre une action dans le journal d'audit
+ * @param {object} entry - {actorId, actorRole, action, targetType, targetId, changes, reason}
+ * @returns {Promise<object>} Enregistrement créé
+ */
+async function record(entry) {
+  const auditItem = {
+    auditId: uuidv4(),
+    actorId: entry.actorId,
+    actorRole: entry.actorRole,
+    action: entry.action, // ex: "user.role.update"
+    targetType: entry.targetType, // ex: "user"
+    targetId: entry.targetId,
+    changes: entry.changes || {}, // {champ: {from, to}}
+    reason: entry.reason || null,
+    createdAt: new Date().toISOString(),
+  };
+
+  await dynamodb.send(
+    new PutCommand({
+      TableName: AUDIT_TABLE,
+      Item: auditItem,
+    })
+  );
+
+  console.log(`Audit: ${auditItem.actorId} -> ${auditItem.action} on ${auditItem.targetType}:${auditItem.targetId}`);
+
+  return auditItem;
+}
+
+/**
+ * Liste les enregistrements d'audit d'une ressource (plus récent en premier)
+ * @param {string} targetId - ID de la ressource
+ * @param {number} limit - Nombre maximum d'enregistrements
+ * @param {object} lastKey - Clé de pagination (optionnel)
+ * @returns {Promise<object>} {items, lastKey}
+ */
+async function listForTarget(targetId, limit = 20, lastKey = null) {
+  const params = {
+    TableName: AUDIT_TABLE,
+    IndexName: "TargetIndex",
+    KeyConditionExpression: "targetId = :targetId",
+    ExpressionAttributeValues: {
+      ":targetId": targetId,
+    },
+    Limit: limit,
+    ScanIndexForward: false,
+  };
+
+  if (lastKey) {
+    params.ExclusiveStartKey = lastKey;
+  }
+
+  const result = await dynamodb.send(new QueryCommand(params));
+
+  return {
+    items: result.Items,
+    lastKey: result.LastEvaluatedKey || null,
+  };
+}
+
+module.exports = {
+  record,
+  listForTarget,
+};
@@ -0,0 +1,203 @@
+"use strict";
+
+const { DynamoDBClient } = require("@aws-sdk/client-dynamodb");
+const { DynamoDBDocumentClient, GetCommand, PutCommand, UpdateCommand, ScanCommand } = require("@aws-sdk/lib-dynamodb");
+
+/**
+ * CATEGORIES UTILITY
+ * ==================
+ * Catégories hiérarchiques des articles
+ *
+ * Table CATEGORIES_TABLE: une catégorie par slug { slug, name, description, parentSlug }
+ * parentSlug est null pour une catégorie racine. Un article appartient à une seule
+ * catégorie (post.categorySlug), à n'importe quel niveau de l'arbre.
+ */
+
+const dynamoClient = new DynamoDBClient({});
+const dynamodb = DynamoDBDocumentClient.from(dynamoClient);
+
+const CATEGORIES_TABLE = process.env.CATEGORIES_TABLE;
+
+// Profondeur maximale de l'arbre (une catégorie racine est au niveau 1)
+const MAX_CATEGORY_DEPTH = 4;
+
+/**
+ * Récupère une catégorie
+ * @param {string} slug - Slug de la catégorie
+ * @returns {Promise<object|null>} Catégorie ou null
+ */
+async function getCategory(slug) {
+  const result = await dynamodb.send(
+    new GetCommand({
+      TableName: CATEGORIES_TABLE,
+      Key: { slug: slug },
+    })
+  );
+  return result.Item || null;
+}
+
+/**
+ * Liste toutes les catégories
+ * @returns {Promise<array>} Catégories
+ */
+async function listCategories() {
+  const items = [];
+  let lastKey;
+
+  do {
+    const result = await dynamodb.send(
+      new ScanCommand({
+        TableName: CATEGORIES_TABLE,
+        ExclusiveStartKey: lastKey,
+      })
+    );
+    items.push(...result.Items);
+    lastKey = result.LastEvaluatedKey;
+  } while (lastKey);
+
+  return items;
+}
+
+/**
+ * Construit l'arbre des catégories (enfants triés par nom)
+ * Une catégorie dont le parent n'existe plus est rattachée à la racine
+ * @param {array} categories - Catégories à plat
+ * @returns {array} Catégories racines avec leurs "children"
+ */
+function buildTree(categories) {
+  const nodes = new Map(categories.map((category) => [category.slug, { ...category, children: [] }]));
+  const roots = [];
+
+  for (const node of nodes.values()) {
+    const parent = node.parentSlug ? nodes.get(node.parentSlug) : null;
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  }
+
+  const sortNodes = (list) => {
+    list.sort((a, b) => a.name.localeCompare(b.name));
+    list.forEach((node) => sortNodes(node.children));
+    return list;
+  };
+
+  return sortNodes(roots);
+}
+
+/**
+ * Calcule la profondeur d'une catégorie (1 = racine)
+ * @param {Map} bySlug - Catégories indexées par slug
+ * @param {string} slug - Slug de la catégorie
+ * @returns {number} Profondeur
+ */
+function getDepth(bySlug, slug) {
+  let depth = 0;
+  let current = bySlug.get(slug);
+  while (current && depth <= bySlug.size) {
+    depth++;
+    current = current.parentSlug ? bySlug.get(current.parentSlug) : null;
+  }
+  return depth;
+}
+
+/**
+ * Calcule la hauteur du sous-arbre d'une catégorie (1 = pas d'enfant)
+ * @param {array} categories - Catégories à plat
+ * @param {string} slug - Slug de la catégorie
+ * @returns {number} Hauteur
+ */
+function getSubtreeHeight(categories, slug) {
+  const children = categories.filter((category) => category.parentSlug === slug);
+  return 1 + Math.max(0, ...children.map((child) => getSubtreeHeight(categories, child.slug)));
+}
+
+/**
+ * Vérifie si une catégorie est descendante d'une autre (ou la même)
+ * @param {Map} bySlug - Catégories indexées par slug
+ * @param {string} slug - Catégorie testée
+ * @param {string} ancestorSlug - Ancêtre supposé
+ * @returns {boolean} True si slug est dans le sous-arbre de ancestorSlug
+ */
+function isDescendant(bySlug, slug, ancestorSlug) {
+  let current = bySlug.get(slug);
+  let steps = 0;
+  while (current && steps <= bySlug.size) {
+    if (current.slug === ancestorSlug) {
+      return true;
+    }
+    current = current.parentSlug ? bySlug.get(current.parentSlug) : null;
+    steps++;
+  }
+  return false;
+}
+
+/**
+ * Crée une catégorie (échoue avec ConditionalCheckFailedException si le slug existe déjà)
+ * @param {object} category - {slug, name, description, parentSlug, createdAt, updatedAt}
+ */
+async function createCategory(category) {
+  await dynamodb.send(
+    new PutCommand({
+      TableName: CATEGORIES_TABLE,
+      Item: category,
+      ConditionExpression: "attribute_not_exists(slug)",
+    })
+  );
+}
+
+/**
+ * Met à jour une catégorie
+ * @param {string} slug - Slug de la catégorie
+ * @param {object} changes - {name, description, parentSlug}
+ * @param {string} now - Date ISO
+ * @returns {Promise<object>} Catégorie mise à jour
+ */
+async function updateCategory(slug, changes, now) {
+  const updates = ["updatedAt = :now"];
+  const expressionAttributeValues = { ":now": now };
+  const expressionAttributeNames = {};
+
+  if (changes.name !== undefined) {
+    updates.push("#name = :name");
+    expressionAttributeNames["#name"] = "name";
+    expressionAttributeValues[":name"] = changes.name;
+  }
+
+  if (changes.description !== undefined) {
+    updates.push("description = :description");
+    expressionAttributeValues[":description"] = changes.description;
+  }
+
+  if (changes.parentSlug !== undefined) {
+    updates.push("parentSlug = :parentSlug");
+    expressionAttributeValues[":parentSlug"] = changes.parentSlug;
+  }
+
+  const result = await dynamodb.send(
+    new UpdateCommand({
+      TableName: CATEGORIES_TABLE,
+      Key: { slug: slug },
+      UpdateExpression: `SET ${updates.join(", ")}`,
+      ConditionExpression: "attribute_exists(slug)",
+      ExpressionAttributeNames: Object.keys(expressionAttributeNames).length > 0 ? expressionAttributeNames : undefined,
+      ExpressionAttributeValues: expressionAttributeValues,
+      ReturnValues: "ALL_NEW",
+    })
+  );
+
+  return result.Attributes;
+}
+
+module.exports = {
+  MAX_CATEGORY_DEPTH,
+  getCategory,
+  listCategories,
+  buildTree,
+  getDepth,
+  getSubtreeHeight,
+  isDescendant,
+  createCategory,
+  updateCategory,
+};
@@ -0,0 +1,59 @@
+"use strict";
+
+/**
+ * CLOCK UTILITY
+ * =============
+ * Source de l'heure courante pour la logique dépendante du temps
+ * (publication programmée, etc.)
+ *
+ * Remplaçable dans les tests pour simuler le passage du temps sans attendre
+ */
+
+// Fonction retournant l'heure courante (Date)
+let currentClock = () => new Date();
+
+/**
+ * Retourne l'heure courante
+ * @returns {Date} Date courante
+ */
+function now() {
+  return currentClock();
+}
+
+/**
+ * Retourne l'heure courante au format ISO 8601
+ * @returns {string} Date ISO
+ */
+function nowISO() {
+  return now().toISOString();
+}
+
+/**
+ * Remplace l'horloge (ex: horloge fixe dans les tests)
+ * @param {function|Date|string} clock - Fonction retournant une Date, ou date fixe
+ */
+function setClock(clock) {
+  if (typeof clock === "function") {
+    currentClock = clock;
+  } else {
+    const fixed = new Date(clock);
+    if (isNaN(fixed.getTime())) {
+      throw new Error("Clock must be a function or a valid date");
+    }
+    currentClock = () => new Date(fixed.getTime());
+  }
+}
+
+/**
+ * Revient à l'horloge système
+ */
+function resetClock() {
+  currentClock = () => new Date();
+}
+
+module.exports = {
+  now,
+  nowISO,
+  setClock,
+  resetClock,
+};
@@ -0,0 +1,224 @@
+"use strict";
+
+const { DynamoDBClient } = require("@aws-sdk/client-dynamodb");
+const { DynamoDBDocumentClient, UpdateCommand, QueryCommand } = require("@aws-sdk/lib-dynamodb");
+
+/**
+ * COMMENT STATS UTILITY
+ * =====================
+ * Compteurs de commentaires dénormalisés sur les articles
+ *
+ * Chaque article porte:
+ * - commentCount: nombre de commentaires approuvés (placeholders "[deleted]" exclus)
+ * - lastCommentAt: date du dernier commentaire approuvé
+ *
+ * Les compteurs sont mis à jour à partir du stream de la table Comments
+ * (création, modération, suppression) et peuvent être recalculés par le job de réparation.
+ * Ils ne modifient pas updatedAt: l'article lui-même n'est pas modifié.
+ */
+
+const dynamoClient = new DynamoDBClient({});
+const dynamodb = DynamoDBDocumentClient.from(dynamoClient);
+
+const POSTS_TABLE = process.env.POSTS_TABLE;
+const COMMENTS_TABLE = process.env.COMMENTS_TABLE;
+
+/**
+ * Indique si un commentaire compte dans commentCount
+ * @param {object|null} comment - Commentaire
+ * @returns {boolean} True si approuvé et non supprimé
+ */
+function isCounted(comment) {
+  return Boolean(comment) && comment.status === "approved" && !comment.deleted;
+}
+
+/**
+ * Variation du compteur entre deux états d'un commentaire
+ * @param {object|null} before - État avant (null si création)
+ * @param {object|null} after - État après (null si suppression)
+ * @returns {number} -1, 0 ou 1
+ */
+function getDelta(before, after) {
+  return Number(isCounted(after)) - Number(isCounted(before));
+}
+
+/**
+ * Compte un commentaire approuvé sur son article
+ * @param {string} postId - ID de l'article
+ * @param {string} createdAt - Date du commentaire
+ * @returns {Promise<boolean>} False si l'article n'existe plus
+ */
+async function incrementPost(postId, createdAt) {
+  try {
+    await dynamodb.send(
+      new UpdateCommand({
+        TableName: POSTS_TABLE,
+        Key: { postId: postId },
+        UpdateExpression: "ADD commentCount :one",
+        ConditionExpression: "attribute_exists(postId)",
+        ExpressionAttributeValues: {
+          ":one": 1,
+        },
+      })
+    );
+  } catch (error) {
+    if (error.name === "ConditionalCheckFailedException") {
+      return false;
+    }
+    throw error;
+  }
+
+  // lastCommentAt ne recule jamais (les événements peuvent arriver dans le désordre)
+  try {
+    await dynamodb.send(
+      new UpdateCommand({
+        TableName: POSTS_TABLE,
+        Key: { postId: postId },
+        UpdateExpression: "SET lastCommentAt = :createdAt",
+        ConditionExpression:
+          "attribute_exists(postId) AND (attribute_not_exists(lastCommentAt) OR lastCommentAt < :createdAt)",
+        ExpressionAttributeValues: {
+          ":createdAt": createdAt,
+        },
+      })
+    );
+  } catch (error) {
+    if (error.name !== "ConditionalCheckFailedException") {
+      throw error;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Retire un commentaire approuvé du compteur de son article
+ * Si c'était le dernier commentaire, lastCommentAt est recalculé
+ * @param {string} postId - ID de l'article
+ * @param {string} createdAt - Date du commentaire
+ * @returns {Promise<boolean>} False si l'article n'existe plus ou si le compteur est déjà à 0
+ */
+async function decrementPost(postId, createdAt) {
+  let post;
+  try {
+    const result = await dynamodb.send(
+      new UpdateCommand({
+        TableName: POSTS_TABLE,
+        Key: { postId: postId },
+        UpdateExpression: "ADD commentCount :minusOne",
+        ConditionExpression: "attribute_exists(postId) AND commentCount > :zero",
+        ExpressionAttributeValues: {
+          ":minusOne": -1,
+          ":zero": 0,
+        },
+        ReturnValues: "ALL_NEW",
+      })
+    );
+    post = result.Attributes;
+  } catch (error) {
+    if (error.name === "ConditionalCheckFailedException") {
+      return false;
+    }
+    throw error;
+  }
+
+  if (post.lastCommentAt && post.lastCommentAt <= createdAt) {
+    await setLastCommentAt(postId, await findLatestCommentAt(postId));
+  }
+
+  return true;
+}
+
+/**
+ * Date du dernier commentaire approuvé d'un article
+ * @param {string} postId - ID de l'article
+ * @returns {Promise<string|null>} Date ISO ou null
+ */
+async function findLatestCommentAt(postId) {
+  let lastKey;
+
+  do {
+    const result = await dynamodb.send(
+      new QueryCommand({
+        TableName: COMMENTS_TABLE,
+        IndexName: "PostIndex",
+        KeyConditionExpression: "postId = :postId",
+        ExpressionAttributeValues: {
+          ":postId": postId,
+        },
+        ScanIndexForward: false,
+        ExclusiveStartKey: lastKey,
+      })
+    );
+
+    const latest = result.Items.find(isCounted);
+    if (latest) {
+      return latest.createdAt;
+    }
+    lastKey = result.LastEvaluatedKey;
+  } while (lastKey);
+
+  return null;
+}
+
+/**
+ * Enregistre lastCommentAt (null = retirer)
+ * @param {string} postId - ID de l'article
+ * @param {string|null} lastCommentAt - Date ISO
+ */
+async function setLastCommentAt(postId, lastCommentAt) {
+  try {
+    await dynamodb.send(
+      new UpdateCommand({
+        TableName: POSTS_TABLE,
+        Key: { postId: postId },
+        UpdateExpression: lastCommentAt ? "SET lastCommentAt = :lastCommentAt" : "REMOVE lastCommentAt",
+        ConditionExpression: "attribute_exists(postId)",
+        ExpressionAttributeValues: lastCommentAt ? { ":lastCommentAt": lastCommentAt } : undefined,
+      })
+    );
+  } catch (error) {
+    if (error.name !== "ConditionalCheckFailedException") {
+      throw error;
+    }
+  }
+}
+
+/**
+ * Remplace les compteurs d'un article (job de réparation)
+ * @param {string} postId - ID de l'article
+ * @param {object} stats - {commentCount, lastCommentAt}
+ * @returns {Promise<boolean>} False si l'article n'existe plus
+ */
+async function setPostStats(postId, { commentCount, lastCommentAt }) {
+  try {
+    await dynamodb.send(
+      new UpdateCommand({
+        TableName: POSTS_TABLE,
+        Key: { postId: postId },
+        UpdateExpression: lastCommentAt
+          ? "SET commentCount = :commentCount, lastCommentAt = :lastCommentAt"
+          : "SET commentCount = :commentCount REMOVE lastCommentAt",
+        ConditionExpression: "attribute_exists(postId)",
+        ExpressionAttributeValues: lastCommentAt
+          ? { ":commentCount": commentCount, ":lastCommentAt": lastCommentAt }
+          : { ":commentCount": commentCount },
+      })
+    );
+    return true;
+  } catch (error) {
+    if (error.name === "ConditionalCheckFailedException") {
+      return false;
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  isCounted,
+  getDelta,
+  incrementPost,
+  decrementPost,
+  findLatestCommentAt,
+  setPostStats,
+};
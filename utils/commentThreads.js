@@ -0,0 +1,143 @@
+"use strict";
+
+/**
+ * COMMENT THREADS UTILITY
+ * =======================
+ * Fils de discussion des commentaires (réponses imbriquées)
+ *
+ * Un commentaire racine a parentCommentId = null et depth = 0; une réponse
+ * a le parentCommentId de son parent et depth = parent.depth + 1.
+ * Un commentaire supprimé qui a des réponses reste en place sous forme de
+ * placeholder "[deleted]" pour ne pas casser le fil.
+ */
+
+// Nombre maximal de niveaux d'un fil (commentaire racine compris)
+const MAX_COMMENT_DEPTH = 5;
+
+const DELETED_PLACEHOLDER = "[deleted]";
+
+/**
+ * Version publique d'un commentaire (sans le détail du score de spam, réservé à la modération)
+ * @param {object} comment - Commentaire
+ * @returns {object} Commentaire sans spamScore, spamReasons ni autoModerated
+ */
+function toPublicComment(comment) {
+  const { spamScore, spamReasons, autoModerated, ...publicComment } = comment;
+  return publicComment;
+}
+
+/**
+ * Version publique d'un commentaire supprimé (sans auteur ni contenu)
+ * @param {object} comment - Commentaire supprimé
+ * @returns {object} Placeholder
+ */
+function toPlaceholder(comment) {
+  return {
+    commentId: comment.commentId,
+    postId: comment.postId,
+    parentCommentId: comment.parentCommentId || null,
+    depth: comment.depth || 0,
+    content: DELETED_PLACEHOLDER,
+    deleted: true,
+    replyCount: comment.replyCount || 0,
+    createdAt: comment.createdAt,
+  };
+}
+
+/**
+ * Construit les fils de discussion d'un article
+ * - Seuls les commentaires du statut demandé sont conservés, avec leurs réponses
+ * - Une réponse dont le parent n'est pas visible (en attente, rejeté) est masquée
+ * - Un commentaire supprimé n'apparaît (en placeholder) que s'il a des réponses visibles
+ * Les commentaires d'un même niveau sont triés par date de création.
+ * @param {array} comments - Tous les commentaires de l'article
+ * @param {string} status - Statut des commentaires à afficher
+ * @returns {array} Commentaires racines, chacun avec ses "replies"
+ */
+function buildThreads(comments, status) {
+  const childrenByParent = new Map();
+
+  for (const comment of comments) {
+    const parentId = comment.parentCommentId || null;
+    if (!childrenByParent.has(parentId)) {
+      childrenByParent.set(parentId, []);
+    }
+    childrenByParent.get(parentId).push(comment);
+  }
+
+  const visit = (comment) => {
+    const replies = collect(comment.commentId);
+
+    if (comment.deleted) {
+      return replies.length > 0 ? { ...toPlaceholder(comment), replies: replies } : null;
+    }
+    if (comment.status !== status) {
+      return null;
+    }
+    return {
+      ...toPublicComment(comment),
+      parentCommentId: comment.parentCommentId || null,
+      depth: comment.depth || 0,
+      replies,
+    };
+  };
+
+  const collect = (parentId) =>
+    (childrenByParent.get(parentId) || [])
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt) || a.commentId.localeCompare(b.commentId))
+      .map(visit)
+      .filter(Boolean);
+
+  return collect(null);
+}
+
+/**
+ * Aplatit des fils de discussion dans l'ordre de lecture (parent puis ses réponses)
+ * @param {array} threads - Fils construits par buildThreads
+ * @returns {array} Commentaires sans "replies"
+ */
+function flattenThreads(threads) {
+  const flat = [];
+
+  const walk = (nodes) => {
+    for (const { replies, ...comment } of nodes) {
+      flat.push(comment);
+      walk(replies);
+    }
+  };
+
+  walk(threads);
+  return flat;
+}
+
+/**
+ * Parcourt tous les commentaires d'un ensemble de fils (réponses comprises)
+ * @param {array} threads - Fils construits par buildThreads
+ * @param {function} callback - Appelée avec chaque commentaire
+ */
+function forEachComment(threads, callback) {
+  for (const node of threads) {
+    callback(node);
+    forEachComment(node.replies, callback);
+  }
+}
+
+/**
+ * Compte les commentaires d'un ensemble de fils
+ * @param {array} threads - Fils construits par buildThreads
+ * @returns {number} Nombre de commentaires (placeholders compris)
+ */
+function countComments(threads) {
+  return threads.reduce((total, node) => total + 1 + countComments(node.replies), 0);
+}
+
+module.exports = {
+  MAX_COMMENT_DEPTH,
+  DELETED_PLACEHOLDER,
+  toPublicComment,
+  toPlaceholder,
+  buildThreads,
+  flattenThreads,
+  forEachComment,
+  countComments,
+};
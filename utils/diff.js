@@ -0,0 +1,171 @@
+"use strict";
+
+/**
+ * DIFF UTILITY
+ * ============
+ * Différence ligne à ligne entre deux textes
+ * Implémente l'algorithme de Myers (plus courte séquence d'éditions)
+ */
+
+// Nombre maximal d'éditions recherchées: borne la mémoire (O(D²)) et le temps (O((N+M)·D))
+// des révisions très différentes, présentées au-delà comme remplacées
+const MAX_EDIT_DISTANCE = 5000;
+
+/**
+ * Découpe un texte en lignes
+ * @param {string} text - Texte à découper
+ * @returns {array} Lignes
+ */
+function splitLines(text) {
+  if (text === undefined || text === null || text === "") {
+    return [];
+  }
+  return String(text).split(/\r?\n/);
+}
+
+/**
+ * Plus courte séquence d'éditions entre deux listes de lignes (Myers)
+ * @param {array} a - Lignes d'origine
+ * @param {array} b - Nouvelles lignes
+ * @param {number} maxEdits - Nombre maximal d'éditions recherchées
+ * @returns {array|null} Éditions dans l'ordre (numéros de ligne à partir de 1), null au-delà de maxEdits
+ */
+function shortestEdit(a, b, maxEdits) {
+  const n = a.length;
+  const m = b.length;
+
+  // trace[d][k + d + 1] = x le plus loin atteint sur la diagonale k avant l'étape d
+  const trace = [];
+  let v = new Int32Array(3); // diagonales -1, 0, 1 pour d = 0
+  let found = false;
+
+  for (let d = 0; d <= n + m && !found; d++) {
+    if (d > maxEdits) {
+      return null;
+    }
+
+    trace.push(v);
+    const next = new Int32Array(2 * d + 5);
+
+    for (let k = -d; k <= d; k += 2) {
+      const down = k === -d || (k !== d && v[k - 1 + d + 1] < v[k + 1 + d + 1]);
+      let x = down ? v[k + 1 + d + 1] : v[k - 1 + d + 1] + 1;
+      let y = x - k;
+
+      // Suivre la diagonale tant que les lignes sont identiques
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+
+      next[k + d + 2] = x;
+
+      if (x >= n && y >= m) {
+        found = true;
+        break;
+      }
+    }
+
+    v = next;
+  }
+
+  // Remonter la trace pour reconstruire les éditions (de la fin vers le début)
+  const changes = [];
+  let x = n;
+  let y = m;
+
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const snapshot = trace[d];
+    const k = x - y;
+    const down = k === -d || (k !== d && snapshot[k - 1 + d + 1] < snapshot[k + 1 + d + 1]);
+    const prevK = down ? k + 1 : k - 1;
+    const prevX = d === 0 ? 0 : snapshot[prevK + d + 1];
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      changes.push({ type: "equal", line: a[x - 1], oldLine: x, newLine: y });
+      x--;
+      y--;
+    }
+
+    if (d > 0) {
+      if (x === prevX) {
+        changes.push({ type: "added", line: b[y - 1], newLine: y });
+      } else {
+        changes.push({ type: "removed", line: a[x - 1], oldLine: x });
+      }
+    }
+
+    x = prevX;
+    y = prevY;
+  }
+
+  return changes.reverse();
+}
+
+/**
+ * Calcule la différence ligne à ligne entre deux textes
+ * Au-delà de MAX_EDIT_DISTANCE éditions, la partie modifiée est présentée comme remplacée
+ * (toutes ses lignes retirées puis ajoutées, replaced: true)
+ * @param {string} oldText - Texte d'origine
+ * @param {string} newText - Nouveau texte
+ * @returns {object} {changes: [{type: "equal"|"added"|"removed", line, oldLine, newLine}], added, removed, replaced}
+ */
+function diffLines(oldText, newText) {
+  const a = splitLines(oldText);
+  const b = splitLines(newText);
+
+  // Début et fin communs, hors recherche des éditions
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const changes = [];
+  for (let i = 0; i < start; i++) {
+    changes.push({ type: "equal", line: a[i], oldLine: i + 1, newLine: i + 1 });
+  }
+
+  const middle = shortestEdit(a.slice(start, endA), b.slice(start, endB), MAX_EDIT_DISTANCE);
+
+  if (middle) {
+    for (const change of middle) {
+      changes.push({
+        ...change,
+        ...(change.oldLine !== undefined && { oldLine: change.oldLine + start }),
+        ...(change.newLine !== undefined && { newLine: change.newLine + start }),
+      });
+    }
+  } else {
+    for (let i = start; i < endA; i++) {
+      changes.push({ type: "removed", line: a[i], oldLine: i + 1 });
+    }
+    for (let i = start; i < endB; i++) {
+      changes.push({ type: "added", line: b[i], newLine: i + 1 });
+    }
+  }
+
+  for (let i = 0; i < a.length - endA; i++) {
+    changes.push({ type: "equal", line: a[endA + i], oldLine: endA + i + 1, newLine: endB + i + 1 });
+  }
+
+  return {
+    changes: changes,
+    added: changes.filter((change) => change.type === "added").length,
+    removed: changes.filter((change) => change.type === "removed").length,
+    replaced: !middle,
+  };
+}
+
+module.exports = {
+  MAX_EDIT_DISTANCE,
+  splitLines,
+  diffLines,
+};
@@ -0,0 +1,369 @@
+"use strict";
+
+const { DynamoDBClient } = require("@aws-sdk/client-dynamodb");
+const {
+  DynamoDBDocumentClient,
+  PutCommand,
+  DeleteCommand,
+  QueryCommand,
+  BatchWriteCommand,
+} = require("@aws-sdk/lib-dynamodb");
+
+const postSummaries = require("./postSummaries");
+
+/**
+ * FEED UTILITY
+ * ============
+ * Fil d'actualité personnalisé: articles publiés des auteurs suivis, du plus récent au plus ancien
+ *
+ * Table FEEDS_TABLE (feedId + feedKey), feedKey = "<publishedAt>#<postId>":
+ * - "site": chronologie de tous les articles publiés (flux RSS / Atom / JSON)
+ * - "author#<authorId>": chronologie de l'auteur (tous ses articles publiés)
+ * - "user#<userId>": fil reçu par un abonné { ..., expiresAt } (TTL DynamoDB)
+ *
+ * Stratégie selon le nombre d'abonnés de l'auteur au moment de la publication:
+ * - au plus fanoutMaxFollowers: l'article est copié dans le fil de chaque abonné (fan-out à l'écriture)
+ * - au-delà: il n'est écrit que dans la chronologie de l'auteur, lue à la demande (fan-out à la lecture)
+ * La lecture fusionne le fil de l'utilisateur et les chronologies des auteurs populaires qu'il suit.
+ * Les entrées ne sont jamais corrigées après coup: articles dépubliés ou supprimés, entrées périmées
+ * (article republié à une autre date) et auteurs qui ne sont plus suivis sont filtrés à la lecture.
+ */
+
+const dynamoClient = new DynamoDBClient({});
+const dynamodb = DynamoDBDocumentClient.from(dynamoClient);
+
+const FEEDS_TABLE = process.env.FEEDS_TABLE;
+
+const DEFAULTS = {
+  fanoutMaxFollowers: 1000,
+};
+
+// Chronologie de tous les articles publiés
+const SITE_TIMELINE = "site";
+
+// Durée de conservation des entrées dans le fil d'un abonné
+const FEED_RETENTION_DAYS = 30;
+
+// Articles récents copiés dans le fil d'un nouvel abonné
+const BACKFILL_SIZE = 20;
+
+// Taille maximale d'un BatchWriteCommand
+const BATCH_SIZE = 25;
+
+/**
+ * Configuration du fil
+ * Variable: FEED_FANOUT_MAX_FOLLOWERS
+ * @param {object} env - Variables d'environnement
+ * @returns {object} Configuration
+ */
+function getConfig(env = process.env) {
+  const fanoutMaxFollowers = parseInt(env.FEED_FANOUT_MAX_FOLLOWERS);
+  return {
+    fanoutMaxFollowers: Number.isInteger(fanoutMaxFollowers) ? fanoutMaxFollowers : DEFAULTS.fanoutMaxFollowers,
+  };
+}
+
+/**
+ * Indique si les articles d'un auteur sont copiés dans le fil de ses abonnés
+ * @param {number} followerCount - Nombre d'abonnés de l'auteur
+ * @param {object} config - Configuration (getConfig)
+ * @returns {boolean} True pour le fan-out à l'écriture
+ */
+function usesFanOut(followerCount, config) {
+  return (followerCount || 0) <= config.fanoutMaxFollowers;
+}
+
+/**
+ * Clé de tri d'un article dans un fil
+ * @param {object} post - Article publié {postId, publishedAt}
+ * @returns {string} feedKey
+ */
+function getFeedKey(post) {
+  return `${post.publishedAt}#${post.postId}`;
+}
+
+/**
+ * Entrée de fil pour un article
+ * @param {string} feedId - "site", "author#<id>" ou "user#<id>"
+ * @param {object} post - Article publié
+ * @returns {object} Entrée
+ */
+function toEntry(feedId, post) {
+  return {
+    feedId: feedId,
+    feedKey: getFeedKey(post),
+    postId: post.postId,
+    authorId: post.authorId,
+    publishedAt: post.publishedAt,
+  };
+}
+
+/**
+ * Date d'expiration (epoch en secondes) d'une entrée du fil d'un abonné
+ * @param {string} publishedAt - Date ISO de publication
+ * @returns {number} expiresAt
+ */
+function getExpiresAt(publishedAt) {
+  return Math.floor(new Date(publishedAt).getTime() / 1000) + FEED_RETENTION_DAYS * 24 * 60 * 60;
+}
+
+/**
+ * Écrit des entrées par lots, en rejouant les éléments non traités
+ * @param {array} items - Entrées à écrire
+ */
+async function batchPut(items) {
+  for (let i = 0; i < items.length; i += BATCH_SIZE) {
+    let pending = items.slice(i, i + BATCH_SIZE).map((item) => ({ PutRequest: { Item: item } }));
+    let attempt = 0;
+
+    while (pending.length > 0) {
+      const result = await dynamodb.send(
+        new BatchWriteCommand({
+          RequestItems: { [FEEDS_TABLE]: pending },
+        })
+      );
+
+      pending = result.UnprocessedItems?.[FEEDS_TABLE] || [];
+      if (pending.length > 0) {
+        attempt++;
+        if (attempt > 5) {
+          throw new Error("Feed batch write failed after retries");
+        }
+        await new Promise((resolve) => setTimeout(resolve, 50 * 2 ** attempt));
+      }
+    }
+  }
+}
+
+/**
+ * Partition de la chronologie d'un auteur
+ * @param {string} authorId - ID de l'auteur
+ * @returns {string} feedId
+ */
+function getAuthorTimelineId(authorId) {
+  return `author#${authorId}`;
+}
+
+/**
+ * Ajoute un article publié à la chronologie du site et à celle de son auteur
+ * @param {object} post - Article publié
+ */
+async function addToTimelines(post) {
+  for (const feedId of [SITE_TIMELINE, getAuthorTimelineId(post.authorId)]) {
+    await dynamodb.send(
+      new PutCommand({
+        TableName: FEEDS_TABLE,
+        Item: toEntry(feedId, post),
+      })
+    );
+  }
+}
+
+/**
+ * Retire un article des chronologies du site et de son auteur (dépublication, suppression)
+ * @param {object} post - Article tel qu'il était publié
+ */
+async function removeFromTimelines(post) {
+  for (const feedId of [SITE_TIMELINE, getAuthorTimelineId(post.authorId)]) {
+    await dynamodb.send(
+      new DeleteCommand({
+        TableName: FEEDS_TABLE,
+        Key: { feedId: feedId, feedKey: getFeedKey(post) },
+      })
+    );
+  }
+}
+
+/**
+ * IDs des articles les plus récents d'une chronologie
+ * @param {string} feedId - SITE_TIMELINE ou getAuthorTimelineId(authorId)
+ * @param {number} limit - Nombre maximal d'articles
+ * @returns {Promise<array>} IDs, du plus récent au plus ancien
+ */
+async function listTimelinePostIds(feedId, limit) {
+  const result = await dynamodb.send(
+    new QueryCommand({
+      TableName: FEEDS_TABLE,
+      KeyConditionExpression: "feedId = :feedId",
+      ExpressionAttributeValues: {
+        ":feedId": feedId,
+      },
+      ScanIndexForward: false,
+      Limit: limit,
+    })
+  );
+  return result.Items.map((item) => item.postId);
+}
+
+/**
+ * Copie un article dans le fil d'abonnés
+ * @param {object} post - Article publié
+ * @param {array} followerIds - IDs des abonnés
+ * @param {number} nowSeconds - Epoch courant en secondes (les entrées déjà expirées ne sont pas écrites)
+ * @returns {Promise<number>} Nombre d'entrées écrites
+ */
+async function fanOut(post, followerIds, nowSeconds) {
+  const expiresAt = getExpiresAt(post.publishedAt);
+  if (expiresAt <= nowSeconds) {
+    return 0;
+  }
+
+  await batchPut(followerIds.map((followerId) => ({ ...toEntry(`user#${followerId}`, post), expiresAt })));
+  return followerIds.length;
+}
+
+/**
+ * Copie les articles récents d'un auteur dans le fil d'un nouvel abonné
+ * @param {string} followerId - ID de l'abonné
+ * @param {string} authorId - ID de l'auteur suivi
+ * @param {number} nowSeconds - Epoch courant en secondes
+ * @returns {Promise<number>} Nombre d'entrées écrites
+ */
+async function backfill(followerId, authorId, nowSeconds) {
+  const result = await dynamodb.send(
+    new QueryCommand({
+      TableName: FEEDS_TABLE,
+      KeyConditionExpression: "feedId = :feedId",
+      ExpressionAttributeValues: {
+        ":feedId": getAuthorTimelineId(authorId),
+      },
+      ScanIndexForward: false,
+      Limit: BACKFILL_SIZE,
+    })
+  );
+
+  const items = result.Items.map((item) => ({
+    ...toEntry(`user#${followerId}`, item),
+    expiresAt: getExpiresAt(item.publishedAt),
+  })).filter((item) => item.expiresAt > nowSeconds);
+
+  await batchPut(items);
+  return items.length;
+}
+
+/**
+ * Source de lecture d'un fil (fil d'un utilisateur ou chronologie d'un auteur), lue page par page
+ * @param {string} feedId - Partition lue
+ * @param {string|null} before - feedKey exclusif de reprise
+ * @returns {object} Source
+ */
+function createSource(feedId, before) {
+  return { feedId, before, buffer: [], lastKey: undefined, done: false };
+}
+
+/**
+ * Charge la page suivante d'une source si son tampon est vide
+ * @param {object} source - Source (createSource)
+ * @param {number} pageSize - Taille de page
+ */
+async function fillSource(source, pageSize) {
+  if (source.buffer.length > 0 || source.done) {
+    return;
+  }
+
+  const result = await dynamodb.send(
+    new QueryCommand({
+      TableName: FEEDS_TABLE,
+      KeyConditionExpression: source.before ? "feedId = :feedId AND feedKey < :before" : "feedId = :feedId",
+      ExpressionAttributeValues: source.before
+        ? { ":feedId": source.feedId, ":before": source.before }
+        : { ":feedId": source.feedId },
+      ScanIndexForward: false,
+      Limit: pageSize,
+      ExclusiveStartKey: source.lastKey,
+    })
+  );
+
+  source.buffer.push(...result.Items);
+  source.lastKey = result.LastEvaluatedKey;
+  source.done = !result.LastEvaluatedKey;
+}
+
+/**
+ * Page du fil d'un utilisateur
+ * @param {object} params
+ * @param {string} params.userId - ID du lecteur
+ * @param {array} params.followingIds - IDs des auteurs suivis
+ * @param {array} params.pullAuthorIds - Auteurs suivis lus à la demande (fan-out à la lecture)
+ * @param {number} params.limit - Nombre d'articles par page
+ * @param {string|null} params.before - feedKey de reprise (dernier élément de la page précédente)
+ * @returns {Promise<object>} {posts, lastFeedKey, hasMore}
+ */
+async function getFeedPage({ userId, followingIds, pullAuthorIds, limit, before }) {
+  const following = new Set(followingIds);
+  const sources = [
+    createSource(`user#${userId}`, before),
+    ...pullAuthorIds.map((authorId) => createSource(getAuthorTimelineId(authorId), before)),
+  ];
+  const seen = new Set();
+  const posts = [];
+  let lastFeedKey = null;
+
+  // Prochaine entrée de la fusion (la plus récente parmi les têtes des sources)
+  const next = async () => {
+    await Promise.all(sources.map((source) => fillSource(source, limit)));
+    let newest = null;
+    for (const source of sources) {
+      if (source.buffer.length > 0 && (!newest || source.buffer[0].feedKey > newest.buffer[0].feedKey)) {
+        newest = source;
+      }
+    }
+    return newest ? newest.buffer.shift() : null;
+  };
+
+  let exhausted = false;
+
+  while (posts.length < limit && !exhausted) {
+    const candidates = [];
+
+    while (candidates.length < limit - posts.length) {
+      const entry = await next();
+      if (!entry) {
+        exhausted = true;
+        break;
+      }
+      // Doublon (fil et chronologie) ou auteur qui n'est plus suivi
+      if (seen.has(entry.feedKey) || !following.has(entry.authorId)) {
+        continue;
+      }
+      seen.add(entry.feedKey);
+      candidates.push(entry);
+    }
+
+    if (candidates.length === 0) {
+      break;
+    }
+
+    const loaded = await postSummaries.loadPublishedPosts(candidates.map((entry) => entry.postId));
+    const postsById = new Map(loaded.posts.map((post) => [post.postId, post]));
+
+    // Entrée périmée (article republié depuis à une autre date): seule l'entrée à jour est conservée
+    for (const entry of candidates) {
+      const post = postsById.get(entry.postId);
+      if (post && post.publishedAt === entry.publishedAt) {
+        posts.push(post);
+      }
+    }
+    lastFeedKey = candidates[candidates.length - 1].feedKey;
+  }
+
+  return {
+    posts: posts,
+    lastFeedKey: lastFeedKey,
+    hasMore: !exhausted && sources.some((source) => source.buffer.length > 0 || !source.done),
+  };
+}
+
+module.exports = {
+  SITE_TIMELINE,
+  FEED_RETENTION_DAYS,
+  getConfig,
+  usesFanOut,
+  getAuthorTimelineId,
+  addToTimelines,
+  removeFromTimelines,
+  listTimelinePostIds,
+  fanOut,
+  backfill,
+  getFeedPage,
+};
@@ -0,0 +1,137 @@
+"use strict";
+
+/**
+ * FILE TYPES UTILITY
+ * ==================
+ * Détection du type réel des fichiers uploadés d'après leur signature (magic bytes)
+ *
+ * Le type de contenu et le nom de fichier fournis par le client ne sont pas fiables:
+ * - le type déclaré doit correspondre à la signature du fichier
+ * - l'extension du nom de fichier doit correspondre au type et ne peut pas être dangereuse
+ * - l'extension de la clé S3 est dérivée du type, jamais du nom de fichier
+ */
+
+// Extensions acceptées par type de contenu (la première est celle de la clé S3)
+const EXTENSIONS = {
+  "image/jpeg": ["jpg", "jpeg"],
+  "image/png": ["png"],
+  "image/gif": ["gif"],
+  "image/webp": ["webp"],
+  "video/mp4": ["mp4", "m4v"],
+};
+
+// Extensions refusées à toute position du nom (ex: "photo.php.jpg")
+const DANGEROUS_EXTENSIONS = [
+  "html",
+  "htm",
+  "xhtml",
+  "svg",
+  "xml",
+  "js",
+  "mjs",
+  "php",
+  "phtml",
+  "asp",
+  "aspx",
+  "jsp",
+  "cgi",
+  "pl",
+  "py",
+  "sh",
+  "exe",
+  "dll",
+  "com",
+  "bat",
+  "cmd",
+  "ps1",
+  "vbs",
+  "scr",
+  "msi",
+  "jar",
+  "hta",
+];
+
+// Marques ISO BMFF (boîte ftyp) reconnues comme MP4
+const MP4_BRANDS = ["isom", "iso2", "iso4", "iso5", "iso6", "mp41", "mp42", "avc1", "M4V ", "dash", "mmp4"];
+
+// Nombre d'octets nécessaires à la détection
+const SIGNATURE_LENGTH = 12;
+
+/**
+ * Indique si un buffer commence par une suite d'octets à une position donnée
+ * @param {Buffer} buffer - Début du fichier
+ * @param {array|string} bytes - Octets attendus (tableau ou chaîne ASCII)
+ * @param {number} offset - Position
+ * @returns {boolean} True si les octets correspondent
+ */
+function matches(buffer, bytes, offset = 0) {
+  const expected = typeof bytes === "string" ? Buffer.from(bytes, "ascii") : Buffer.from(bytes);
+  return (
+    buffer.length >= offset + expected.length && buffer.subarray(offset, offset + expected.length).equals(expected)
+  );
+}
+
+/**
+ * Détecte le type de contenu d'un fichier d'après sa signature
+ * @param {Buffer} buffer - Début du fichier (au moins SIGNATURE_LENGTH octets)
+ * @returns {string|null} Type de contenu, null si non reconnu
+ */
+function detectContentType(buffer) {
+  if (matches(buffer, [0xff, 0xd8, 0xff])) {
+    return "image/jpeg";
+  }
+  if (matches(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) {
+    return "image/png";
+  }
+  if (matches(buffer, "GIF87a") || matches(buffer, "GIF89a")) {
+    return "image/gif";
+  }
+  if (matches(buffer, "RIFF") && matches(buffer, "WEBP", 8)) {
+    return "image/webp";
+  }
+  if (matches(buffer, "ftyp", 4) && MP4_BRANDS.includes(buffer.subarray(8, 12).toString("latin1"))) {
+    return "video/mp4";
+  }
+  return null;
+}
+
+/**
+ * Extension de la clé S3 pour un type de contenu
+ * @param {string} contentType - Type de contenu accepté
+ * @returns {string} Extension (sans point)
+ */
+function getExtension(contentType) {
+  return EXTENSIONS[contentType][0];
+}
+
+/**
+ * Vérifie l'extension d'un nom de fichier
+ * @param {string} filename - Nom de fichier fourni par le client
+ * @param {string} contentType - Type de contenu déclaré
+ * @returns {array} Erreurs (vide si valide)
+ */
+function checkFilename(filename, contentType) {
+  const parts = filename.toLowerCase().split(".");
+  const extension = parts.length > 1 ? parts.pop().trim() : "";
+
+  if (!extension) {
+    return ["Filename must have an extension"];
+  }
+
+  if ([...parts.slice(1), extension].some((part) => DANGEROUS_EXTENSIONS.includes(part.trim()))) {
+    return ["Filename has a forbidden extension"];
+  }
+
+  if (EXTENSIONS[contentType] && !EXTENSIONS[contentType].includes(extension)) {
+    return [`File extension .${extension} does not match ${contentType}`];
+  }
+
+  return [];
+}
+
+module.exports = {
+  SIGNATURE_LENGTH,
+  detectContentType,
+  getExtension,
+  checkFilename,
+};
@@ -0,0 +1,281 @@
+"use strict";
+
+const { DynamoDBClient } = require("@aws-sdk/client-dynamodb");
+const {
+  DynamoDBDocumentClient,
+  QueryCommand,
+  BatchGetCommand,
+  TransactWriteCommand,
+} = require("@aws-sdk/lib-dynamodb");
+
+/**
+ * FOLLOWS UTILITY
+ * ===============
+ * Abonnements entre utilisateurs
+ *
+ * Table FOLLOWS_TABLE (followerId + followedId): { followerId, followedId, createdAt }
+ * - Index FollowerIndex (followerId + createdAt): abonnements d'un utilisateur, du plus récent au plus ancien
+ * - Index FollowedIndex (followedId + createdAt): abonnés d'un utilisateur
+ * Les compteurs followerCount / followingCount sont portés par les utilisateurs (USERS_TABLE)
+ * et mis à jour dans la même transaction que l'abonnement.
+ */
+
+const dynamoClient = new DynamoDBClient({});
+const dynamodb = DynamoDBDocumentClient.from(dynamoClient);
+
+const FOLLOWS_TABLE = process.env.FOLLOWS_TABLE;
+const USERS_TABLE = process.env.USERS_TABLE;
+
+// Nombre maximal de clés par BatchGet
+const BATCH_GET_SIZE = 100;
+
+/**
+ * Indique quel élément d'une transaction annulée a échoué sur sa condition
+ * @param {Error} error - Erreur DynamoDB
+ * @returns {number} Index de l'élément, ou -1
+ */
+function getFailedConditionIndex(error) {
+  if (error.name !== "TransactionCanceledException") {
+    return -1;
+  }
+  return (error.CancellationReasons || []).findIndex((reason) => reason?.Code === "ConditionalCheckFailed");
+}
+
+/**
+ * Mise à jour d'un compteur d'utilisateur dans une transaction
+ * @param {string} userId - ID de l'utilisateur
+ * @param {string} counter - "followerCount" ou "followingCount"
+ * @param {number} delta - +1 ou -1
+ * @returns {object} Élément de transaction
+ */
+function counterUpdate(userId, counter, delta) {
+  return {
+    Update: {
+      TableName: USERS_TABLE,
+      Key: { userId: userId },
+      UpdateExpression: "ADD #counter :delta",
+      ConditionExpression: "attribute_exists(userId)",
+      ExpressionAttributeNames: { "#counter": counter },
+      ExpressionAttributeValues: { ":delta": delta },
+    },
+  };
+}
+
+/**
+ * Abonne un utilisateur à un autre
+ * @param {string} followerId - ID de l'abonné
+ * @param {string} followedId - ID de l'utilisateur suivi
+ * @param {string} now - Date ISO
+ * @returns {Promise<string>} "followed", "unchanged" (déjà abonné) ou "not_found" (utilisateur inexistant)
+ */
+async function follow(followerId, followedId, now) {
+  try {
+    await dynamodb.send(
+      new TransactWriteCommand({
+        TransactItems: [
+          {
+            Put: {
+              TableName: FOLLOWS_TABLE,
+              Item: { followerId: followerId, followedId: followedId, createdAt: now },
+              ConditionExpression: "attribute_not_exists(followedId)",
+            },
+          },
+          counterUpdate(followedId, "followerCount", 1),
+          counterUpdate(followerId, "followingCount", 1),
+        ],
+      })
+    );
+    return "followed";
+  } catch (error) {
+    const failedIndex = getFailedConditionIndex(error);
+    if (failedIndex === 0) {
+      return "unchanged";
+    }
+    if (failedIndex > 0) {
+      return "not_found";
+    }
+    throw error;
+  }
+}
+
+/**
+ * Désabonne un utilisateur
+ * @param {string} followerId - ID de l'abonné
+ * @param {string} followedId - ID de l'utilisateur suivi
+ * @returns {Promise<boolean>} False si l'utilisateur n'était pas abonné
+ */
+async function unfollow(followerId, followedId) {
+  try {
+    await dynamodb.send(
+      new TransactWriteCommand({
+        TransactItems: [
+          {
+            Delete: {
+              TableName: FOLLOWS_TABLE,
+              Key: { followerId: followerId, followedId: followedId },
+              ConditionExpression: "attribute_exists(followedId)",
+            },
+          },
+          counterUpdate(followedId, "followerCount", -1),
+          counterUpdate(followerId, "followingCount", -1),
+        ],
+      })
+    );
+    return true;
+  } catch (error) {
+    if (getFailedConditionIndex(error) === 0) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Page d'abonnés ou d'abonnements d'un utilisateur, du plus récent au plus ancien
+ * @param {string} indexName - "FollowedIndex" (abonnés) ou "FollowerIndex" (abonnements)
+ * @param {string} userId - ID de l'utilisateur
+ * @param {number} limit - Nombre maximal de résultats
+ * @param {object|null} lastKey - Clé de pagination
+ * @returns {Promise<object>} {items: [{userId, followedAt}], lastEvaluatedKey}
+ */
+async function listPage(indexName, userId, limit, lastKey) {
+  const keyAttribute = indexName === "FollowedIndex" ? "followedId" : "followerId";
+  const otherAttribute = indexName === "FollowedIndex" ? "followerId" : "followedId";
+
+  const result = await dynamodb.send(
+    new QueryCommand({
+      TableName: FOLLOWS_TABLE,
+      IndexName: indexName,
+      KeyConditionExpression: `${keyAttribute} = :userId`,
+      ExpressionAttributeValues: {
+        ":userId": userId,
+      },
+      ScanIndexForward: false,
+      Limit: limit,
+      ExclusiveStartKey: lastKey || undefined,
+    })
+  );
+
+  return {
+    items: result.Items.map((item) => ({ userId: item[otherAttribute], followedAt: item.createdAt })),
+    lastEvaluatedKey: result.LastEvaluatedKey,
+  };
+}
+
+/**
+ * Abonnés d'un utilisateur
+ * @param {string} userId - ID de l'utilisateur suivi
+ * @param {number} limit - Nombre maximal de résultats
+ * @param {object|null} lastKey - Clé de pagination
+ * @returns {Promise<object>} {items: [{userId, followedAt}], lastEvaluatedKey}
+ */
+async function listFollowers(userId, limit, lastKey) {
+  return listPage("FollowedIndex", userId, limit, lastKey);
+}
+
+/**
+ * Abonnements d'un utilisateur
+ * @param {string} userId - ID de l'abonné
+ * @param {number} limit - Nombre maximal de résultats
+ * @param {object|null} lastKey - Clé de pagination
+ * @returns {Promise<object>} {items: [{userId, followedAt}], lastEvaluatedKey}
+ */
+async function listFollowing(userId, limit, lastKey) {
+  return listPage("FollowerIndex", userId, limit, lastKey);
+}
+
+/**
+ * Parcourt tous les abonnés d'un utilisateur, page par page
+ * @param {string} userId - ID de l'utilisateur suivi
+ * @param {function} callback - Appelée avec chaque page d'IDs d'abonnés
+ */
+async function forEachFollowerPage(userId, callback) {
+  let lastKey;
+
+  do {
+    const page = await listPage("FollowedIndex", userId, 500, lastKey);
+    if (page.items.length > 0) {
+      await callback(page.items.map((item) => item.userId));
+    }
+    lastKey = page.lastEvaluatedKey;
+  } while (lastKey);
+}
+
+/**
+ * IDs de tous les utilisateurs suivis
+ * @param {string} userId - ID de l'abonné
+ * @returns {Promise<array>} IDs des utilisateurs suivis
+ */
+async function getFollowingIds(userId) {
+  const followedIds = [];
+  let lastKey;
+
+  do {
+    const result = await dynamodb.send(
+      new QueryCommand({
+        TableName: FOLLOWS_TABLE,
+        KeyConditionExpression: "followerId = :userId",
+        ExpressionAttributeValues: {
+          ":userId": userId,
+        },
+        ProjectionExpression: "followedId",
+        ExclusiveStartKey: lastKey,
+      })
+    );
+    followedIds.push(...result.Items.map((item) => item.followedId));
+    lastKey = result.LastEvaluatedKey;
+  } while (lastKey);
+
+  return followedIds;
+}
+
+/**
+ * Résumés publics de plusieurs utilisateurs
+ * @param {array} userIds - IDs des utilisateurs
+ * @returns {Promise<Map>} userId -> {userId, name, avatarUrl, followerCount}
+ */
+async function getUserSummaries(userIds) {
+  const summaries = new Map();
+  const uniqueIds = [...new Set(userIds)];
+
+  for (let i = 0; i < uniqueIds.length; i += BATCH_GET_SIZE) {
+    let keys = uniqueIds.slice(i, i + BATCH_GET_SIZE).map((userId) => ({ userId: userId }));
+
+    for (let attempt = 0; keys.length > 0 && attempt < 3; attempt++) {
+      const result = await dynamodb.send(
+        new BatchGetCommand({
+          RequestItems: {
+            [USERS_TABLE]: {
+              Keys: keys,
+              ProjectionExpression: "userId, #name, avatarUrl, followerCount",
+              ExpressionAttributeNames: { "#name": "name" },
+            },
+          },
+        })
+      );
+
+      for (const user of result.Responses?.[USERS_TABLE] || []) {
+        summaries.set(user.userId, {
+          userId: user.userId,
+          name: user.name,
+          avatarUrl: user.avatarUrl || null,
+          followerCount: user.followerCount || 0,
+        });
+      }
+
+      keys = result.UnprocessedKeys?.[USERS_TABLE]?.Keys || [];
+    }
+  }
+
+  return summaries;
+}
+
+module.exports = {
+  follow,
+  unfollow,
+  listFollowers,
+  listFollowing,
+  forEachFollowerPage,
+  getFollowingIds,
+  getUserSummaries,
+};
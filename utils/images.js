@@ -0,0 +1,169 @@
+"use strict";
+
+const sharp = require("sharp");
+
+/**
+ * IMAGES UTILITY
+ * ==============
+ * Traitement des images uploadées: variantes redimensionnées et suppression des métadonnées
+ *
+ * - Chaque variante (ex: thumbnail, medium, large) est produite dans le format d'origine,
+ *   et en WebP sous le nom "<variante>Webp" si l'option est activée
+ * - Les images sont orientées d'après l'EXIF puis réencodées sans métadonnées (EXIF, GPS, XMP)
+ * - Une variante n'agrandit jamais l'image d'origine
+ * - Les GIF animés restent animés
+ *
+ * Variantes configurables (voir getConfig): "nom:largeur" (redimensionnée dans la largeur)
+ * ou "nom:largeurxhauteur" (recadrée aux dimensions exactes).
+ */
+
+const DEFAULTS = {
+  variants: [
+    { name: "thumbnail", width: 200, height: 200 },
+    { name: "medium", width: 800, height: null },
+    { name: "large", width: 1600, height: null },
+  ],
+  webp: true,
+  quality: 80,
+};
+
+// Qualité de réencodage de l'original (suppression des métadonnées)
+const ORIGINAL_QUALITY = 90;
+
+// Formats traités (type de contenu -> format sharp et extension)
+const FORMATS = {
+  "image/jpeg": { format: "jpeg", extension: "jpg" },
+  "image/png": { format: "png", extension: "png" },
+  "image/gif": { format: "gif", extension: "gif" },
+  "image/webp": { format: "webp", extension: "webp" },
+};
+
+/**
+ * Lit la liste des variantes ("thumbnail:200x200,medium:800")
+ * @param {string} spec - Liste brute
+ * @returns {array|null} [{name, width, height}], null si la liste est invalide
+ */
+function parseVariants(spec) {
+  const variants = [];
+
+  for (const entry of spec.split(",")) {
+    const match = /^\s*([a-zA-Z][a-zA-Z0-9]*)\s*:\s*(\d+)(?:x(\d+))?\s*$/.exec(entry);
+    if (!match || parseInt(match[2]) <= 0 || (match[3] && parseInt(match[3]) <= 0)) {
+      return null;
+    }
+    variants.push({
+      name: match[1],
+      width: parseInt(match[2]),
+      height: match[3] ? parseInt(match[3]) : null,
+    });
+  }
+
+  return variants;
+}
+
+/**
+ * Configuration du traitement des images
+ * Variables: MEDIA_IMAGE_VARIANTS, MEDIA_IMAGE_WEBP
+ * @param {object} env - Variables d'environnement
+ * @returns {object} Configuration
+ */
+function getConfig(env = process.env) {
+  return {
+    ...DEFAULTS,
+    variants: (env.MEDIA_IMAGE_VARIANTS && parseVariants(env.MEDIA_IMAGE_VARIANTS)) || DEFAULTS.variants,
+    webp: env.MEDIA_IMAGE_WEBP ? env.MEDIA_IMAGE_WEBP !== "false" : DEFAULTS.webp,
+  };
+}
+
+/**
+ * Indique si un type de contenu est traité
+ * @param {string} contentType - Type de contenu
+ * @returns {boolean} True pour une image traitée
+ */
+function isProcessable(contentType) {
+  return Boolean(FORMATS[contentType]);
+}
+
+/**
+ * Encode une image dans un format, sans métadonnées
+ * @param {object} pipeline - Pipeline sharp
+ * @param {string} format - Format sharp
+ * @param {number} quality - Qualité (formats avec perte)
+ * @returns {Promise<object>} {buffer, width, height, size}
+ */
+async function encode(pipeline, format, quality) {
+  const options = format === "png" || format === "gif" ? {} : { quality };
+  const { data, info } = await pipeline.toFormat(format, options).toBuffer({ resolveWithObject: true });
+  return {
+    buffer: data,
+    width: info.width,
+    // Hauteur d'une image (et non de la pile d'images) pour un GIF animé
+    height: info.pageHeight || info.height,
+    size: data.length,
+  };
+}
+
+/**
+ * Produit l'original nettoyé et les variantes d'une image
+ * @param {Buffer} buffer - Fichier d'origine
+ * @param {string} contentType - Type de contenu (voir isProcessable)
+ * @param {object} config - Configuration (getConfig)
+ * @returns {Promise<object>} {original, renditions: [{name, contentType, extension, buffer, width, height, size}]},
+ *   original.buffer valant null si l'original est conservé tel quel
+ */
+async function processImage(buffer, contentType, config) {
+  const { format, extension } = FORMATS[contentType];
+  const animated = format === "gif" || format === "webp";
+  const load = () => sharp(buffer, { animated }).rotate();
+
+  let original;
+  if (format === "gif") {
+    // Le GIF ne porte pas d'EXIF: l'original est conservé tel quel
+    const metadata = await sharp(buffer, { animated }).metadata();
+    original = {
+      buffer: null,
+      width: metadata.width,
+      height: metadata.pageHeight || metadata.height,
+      size: buffer.length,
+    };
+  } else {
+    original = await encode(load(), format, ORIGINAL_QUALITY);
+  }
+
+  const renditions = [];
+
+  for (const variant of config.variants) {
+    const resize = () =>
+      load().resize({
+        width: variant.width,
+        height: variant.height || undefined,
+        fit: variant.height ? "cover" : "inside",
+        withoutEnlargement: true,
+      });
+
+    renditions.push({
+      name: variant.name,
+      contentType: contentType,
+      extension: extension,
+      ...(await encode(resize(), format, config.quality)),
+    });
+
+    if (config.webp && format !== "webp") {
+      renditions.push({
+        name: `${variant.name}Webp`,
+        contentType: "image/webp",
+        extension: "webp",
+        ...(await encode(resize(), "webp", config.quality)),
+      });
+    }
+  }
+
+  return { original, renditions };
+}
+
+module.exports = {
+  getConfig,
+  parseVariants,
+  isProcessable,
+  processImage,
+};
@@ -63,6 +63,7 @@ function generateToken(payload, secret, expiresIn = "24h") {
   // Payload avec claims standards
   const claims = {
     ...payload,
+    jti: payload.jti || crypto.randomUUID(), // Identifiant unique (permet la révocation)
     iat: now, // Issued at
     exp: expiration, // Expiration
   };
@@ -180,6 +181,7 @@ function createUserPayload(user) {
     email: user.email,
     role: user.role || "author",
     name: user.name,
+    tokenVersion: user.tokenVersion || 0, // Incrémenté pour invalider toutes les sessions
   };
 }
 
@@ -187,13 +189,17 @@ function createUserPayload(user) {
  * Génère un token de réinitialisation de mot de passe
  * @param {string} userId - ID de l'utilisateur
  * @param {string} secret - Clé secrète
+ * @param {string} resetId - Identifiant unique du reset, stocké côté serveur pour l'usage unique (optionnel)
  * @returns {string} Token de reset
  */
-function generateResetToken(userId, secret) {
+function generateResetToken(userId, secret, resetId) {
   const payload = {
     userId: userId,
     type: "password_reset",
   };
+  if (resetId) {
+    payload.resetId = resetId;
+  }
   return generateToken(payload, secret, "1h"); // Expire en 1h
 }
 
@@ -203,4 +209,5 @@ module.exports = {
   extractTokenFromHeader,
   createUserPayload,
   generateResetToken,
+  calculateExpiration,
 };
@@ -0,0 +1,155 @@
+"use strict";
+
+const fs = require("fs");
+
+/**
+ * MAILER UTILITY
+ * ==============
+ * Envoi d'emails via une interface interchangeable
+ *
+ * Un mailer est un simple objet exposant send({ to, subject, text, html }).
+ * Le transport est choisi par la variable MAILER_TRANSPORT:
+ * - "console": affiche l'email dans les logs (défaut, pratique en dev)
+ * - "file": ajoute chaque email en JSON dans un fichier (tests locaux)
+ * - "ses": envoie réellement l'email via Amazon SES
+ */
+
+// Mailer courant (créé à la première utilisation, remplaçable pour les tests)
+let currentMailer = null;
+
+/**
+ * Crée un mailer qui écrit les emails dans la console
+ * @returns {object} Mailer
+ */
+function createConsoleMailer() {
+  return {
+    name: "console",
+    async send(message) {
+      console.log("=== EMAIL (console mailer) ===");
+      console.log(`To: ${message.to}`);
+      console.log(`Subject: ${message.subject}`);
+      console.log(message.text);
+      return { messageId: `console-${Date.now()}` };
+    },
+  };
+}
+
+/**
+ * Crée un mailer qui ajoute les emails dans un fichier (une ligne JSON par email)
+ * @param {string} filePath - Chemin du fichier (défaut: /tmp/blogify-mail.log)
+ * @returns {object} Mailer
+ */
+function createFileMailer(filePath = "/tmp/blogify-mail.log") {
+  return {
+    name: "file",
+    async send(message) {
+      const entry = {
+        ...message,
+        sentAt: new Date().toISOString(),
+      };
+      await fs.promises.appendFile(filePath, JSON.stringify(entry) + "\n");
+      return { messageId: `file-${Date.now()}` };
+    },
+  };
+}
+
+/**
+ * Crée un mailer Amazon SES
+ * Le client SES n'est chargé que si ce transport est utilisé
+ * @param {string} from - Adresse d'expédition vérifiée dans SES
+ * @returns {object} Mailer
+ */
+function createSesMailer(from) {
+  const { SESClient, SendEmailCommand } = require("@aws-sdk/client-ses");
+  const sesClient = new SESClient({ region: process.env.AWS_REGION || "eu-west-1" });
+
+  return {
+    name: "ses",
+    async send(message) {
+      const body = {
+        Text: { Data: message.text, Charset: "UTF-8" },
+      };
+      if (message.html) {
+        body.Html = { Data: message.html, Charset: "UTF-8" };
+      }
+
+      const result = await sesClient.send(
+        new SendEmailCommand({
+          Source: from,
+          Destination: { ToAddresses: [message.to] },
+          Message: {
+            Subject: { Data: message.subject, Charset: "UTF-8" },
+            Body: body,
+          },
+        })
+      );
+
+      return { messageId: result.MessageId };
+    },
+  };
+}
+
+/**
+ * Crée le mailer correspondant à la configuration d'environnement
+ * @returns {object} Mailer
+ */
+function createMailerFromEnv() {
+  const transport = process.env.MAILER_TRANSPORT || "console";
+
+  switch (transport) {
+    case "console":
+      return createConsoleMailer();
+    case "file":
+      return createFileMailer(process.env.MAILER_FILE_PATH);
+    case "ses":
+      if (!process.env.MAILER_FROM) {
+        throw new Error("MAILER_FROM environment variable is not set");
+      }
+      return createSesMailer(process.env.MAILER_FROM);
+    default:
+      throw new Error(`Unknown mailer transport: ${transport}`);
+  }
+}
+
+/**
+ * Retourne le mailer courant
+ * @returns {object} Mailer
+ */
+function getMailer() {
+  if (!currentMailer) {
+    currentMailer = createMailerFromEnv();
+  }
+  return currentMailer;
+}
+
+/**
+ * Remplace le mailer courant (ex: mailer factice dans les tests)
+ * @param {object|null} mailer - Objet exposant send(), ou null pour revenir à la config d'environnement
+ */
+function setMailer(mailer) {
+  if (mailer && typeof mailer.send !== "function") {
+    throw new Error("Mailer must implement send(message)");
+  }
+  currentMailer = mailer;
+}
+
+/**
+ * Envoie un email avec le mailer courant
+ * @param {object} message - {to, subject, text, html (optionnel)}
+ * @returns {Promise<object>} {messageId}
+ */
+async function sendMail(message) {
+  if (!message || !message.to || !message.subject || !message.text) {
+    throw new Error("Email requires to, subject and text");
+  }
+  return getMailer().send(message);
+}
+
+module.exports = {
+  createConsoleMailer,
+  createFileMailer,
+  createSesMailer,
+  getMailer,
+  setMailer,
+  sendMail,
+};
@@ -0,0 +1,177 @@
+"use strict";
+
+const { Marked } = require("marked");
+const sanitizeHtml = require("sanitize-html");
+const { slugify } = require("./slugs");
+
+/**
+ * MARKDOWN UTILITY
+ * ================
+ * Rendu du contenu des articles (Markdown -> HTML)
+ *
+ * - Le Markdown (GFM) est rendu côté serveur puis nettoyé par liste blanche:
+ *   seuls les balises et attributs listés ci-dessous sont conservés, les URLs
+ *   sont limitées à http(s) et mailto (pas de javascript:, pas d'attributs on*)
+ * - Les titres reçoivent un id (ancre) et alimentent la table des matières
+ * - Le temps de lecture est estimé à partir du texte rendu
+ */
+
+// Longueur maximale du Markdown source d'un article
+const MAX_SOURCE_LENGTH = 50000;
+
+// Vitesse de lecture moyenne (mots par minute)
+const WORDS_PER_MINUTE = 200;
+
+// Niveaux de titres repris dans la table des matières
+const TOC_MIN_LEVEL = 1;
+const TOC_MAX_LEVEL = 3;
+
+const SANITIZE_OPTIONS = {
+  allowedTags: [
+    "h1",
+    "h2",
+    "h3",
+    "h4",
+    "h5",
+    "h6",
+    "p",
+    "br",
+    "hr",
+    "blockquote",
+    "ul",
+    "ol",
+    "li",
+    "strong",
+    "b",
+    "em",
+    "i",
+    "del",
+    "sup",
+    "sub",
+    "code",
+    "pre",
+    "a",
+    "img",
+    "table",
+    "thead",
+    "tbody",
+    "tr",
+    "th",
+    "td",
+  ],
+  allowedAttributes: {
+    a: ["href", "title", "rel"],
+    img: ["src", "alt", "title"],
+    h1: ["id"],
+    h2: ["id"],
+    h3: ["id"],
+    h4: ["id"],
+    h5: ["id"],
+    h6: ["id"],
+    code: ["class"],
+    ol: ["start"],
+    th: ["align"],
+    td: ["align"],
+  },
+  allowedClasses: {
+    code: ["language-*"],
+  },
+  allowedSchemes: ["http", "https", "mailto"],
+  allowedSchemesByTag: {
+    img: ["http", "https"],
+  },
+  allowProtocolRelative: false,
+  transformTags: {
+    a: sanitizeHtml.simpleTransform("a", { rel: "nofollow noopener noreferrer" }),
+  },
+};
+
+/**
+ * Texte brut d'une liste de tokens inline (titres)
+ * @param {array} tokens - Tokens marked
+ * @returns {string} Texte sans mise en forme
+ */
+function plainText(tokens) {
+  return tokens
+    .map((token) => {
+      if (token.tokens) {
+        return plainText(token.tokens);
+      }
+      return token.type === "html" ? "" : token.text || "";
+    })
+    .join("");
+}
+
+/**
+ * Texte brut d'un fragment HTML (toutes les balises retirées)
+ * @param {string} html - HTML
+ * @returns {string} Texte
+ */
+function htmlToText(html) {
+  return sanitizeHtml(html, { allowedTags: [], allowedAttributes: {} });
+}
+
+/**
+ * Compte les mots d'un texte
+ * @param {string} text - Texte
+ * @returns {number} Nombre de mots
+ */
+function countWords(text) {
+  const words = text.match(/[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*/gu);
+  return words ? words.length : 0;
+}
+
+/**
+ * Estime le temps de lecture
+ * @param {number} wordCount - Nombre de mots
+ * @returns {number} Minutes (au moins 1)
+ */
+function estimateReadingTime(wordCount) {
+  return Math.max(1, Math.ceil(wordCount / WORDS_PER_MINUTE));
+}
+
+/**
+ * Rend le Markdown d'un article en HTML sûr
+ * @param {string} source - Markdown
+ * @returns {object} {html, toc: [{level, text, id}], wordCount, readingTime}
+ */
+function render(source) {
+  const toc = [];
+  const usedIds = new Map();
+
+  const renderer = {
+    heading({ tokens, depth }) {
+      const text = plainText(tokens).trim();
+      const baseId = slugify(text, 60, "section");
+      const count = (usedIds.get(baseId) || 0) + 1;
+      usedIds.set(baseId, count);
+      const id = count === 1 ? baseId : `${baseId}-${count}`;
+
+      if (depth >= TOC_MIN_LEVEL && depth <= TOC_MAX_LEVEL) {
+        toc.push({ level: depth, text: text, id: id });
+      }
+
+      return `<h${depth} id="${id}">${this.parser.parseInline(tokens)}</h${depth}>\n`;
+    },
+  };
+
+  const markdown = new Marked({ gfm: true, renderer });
+  const html = sanitizeHtml(markdown.parse(source || ""), SANITIZE_OPTIONS).trim();
+  const wordCount = countWords(htmlToText(html));
+
+  return {
+    html: html,
+    toc: toc,
+    wordCount: wordCount,
+    readingTime: estimateReadingTime(wordCount),
+  };
+}
+
+module.exports = {
+  MAX_SOURCE_LENGTH,
+  WORDS_PER_MINUTE,
+  render,
+  htmlToText,
+  countWords,
+  estimateReadingTime,
+};
@@ -0,0 +1,83 @@
+"use strict";
+
+const { DynamoDBClient } = require("@aws-sdk/client-dynamodb");
+const { DynamoDBDocumentClient, UpdateCommand } = require("@aws-sdk/lib-dynamodb");
+const { v4: uuidv4 } = require("uuid");
+
+const jwt = require("./jwt");
+const secrets = require("./secrets");
+const mailer = require("./mailer");
+
+/**
+ * PASSWORD RESET UTILITY
+ * ======================
+ * Émission des tokens de réinitialisation de mot de passe et envoi de l'email
+ * Utilisé par "mot de passe oublié" et par le reset forcé par un admin
+ */
+
+const dynamoClient = new DynamoDBClient({});
+const dynamodb = DynamoDBDocumentClient.from(dynamoClient);
+
+const USERS_TABLE = process.env.USERS_TABLE;
+const RESET_PASSWORD_URL = process.env.RESET_PASSWORD_URL;
+
+/**
+ * Construit l'email de réinitialisation du mot de passe
+ * @param {object} user - Utilisateur destinataire
+ * @param {string} resetToken - Token de reset
+ * @returns {object} Message pour le mailer
+ */
+function buildResetEmail(user, resetToken) {
+  const resetLink = RESET_PASSWORD_URL ? `${RESET_PASSWORD_URL}?token=${encodeURIComponent(resetToken)}` : null;
+
+  const lines = [
+    `Bonjour ${user.name},`,
+    "",
+    "Une réinitialisation de votre mot de passe Blogify a été demandée.",
+    resetLink
+      ? `Cliquez sur ce lien pour choisir un nouveau mot de passe: ${resetLink}`
+      : `Votre token de réinitialisation: ${resetToken}`,
+    "",
+    "Ce lien expire dans 1 heure et ne peut être utilisé qu'une seule fois.",
+    "Si vous n'êtes pas à l'origine de cette demande, ignorez simplement cet email.",
+  ];
+
+  return {
+    to: user.email,
+    subject: "Réinitialisation de votre mot de passe Blogify",
+    text: lines.join("\n"),
+  };
+}
+
+/**
+ * Émet un token de reset à usage unique et l'envoie par email
+ * Le nouvel identifiant remplace le précédent: les anciens tokens ne sont plus acceptés
+ * @param {object} user - Utilisateur (userId, email, name)
+ * @returns {Promise<string>} Identifiant du reset émis
+ */
+async function sendPasswordReset(user) {
+  const resetId = uuidv4();
+
+  await dynamodb.send(
+    new UpdateCommand({
+      TableName: USERS_TABLE,
+      Key: { userId: user.userId },
+      UpdateExpression: "SET resetTokenId = :resetTokenId, updatedAt = :updatedAt",
+      ExpressionAttributeValues: {
+        ":resetTokenId": resetId,
+        ":updatedAt": new Date().toISOString(),
+      },
+    })
+  );
+
+  const jwtSecret = await secrets.getJWTSecret();
+  const resetToken = jwt.generateResetToken(user.userId, jwtSecret, resetId);
+
+  await mailer.sendMail(buildResetEmail(user, resetToken));
+
+  return resetId;
+}
+
+module.exports = {
+  sendPasswordReset,
+};
@@ -0,0 +1,107 @@
+"use strict";
+
+/**
+ * PERMISSIONS UTILITY
+ * ===================
+ * Moteur de permissions basé sur les rôles
+ * Centralise toutes les règles d'autorisation des handlers
+ *
+ * Une permission a la forme "ressource:action" ou "ressource:action:portée":
+ * - "own": l'utilisateur agit sur une ressource qui lui appartient
+ * - "any": l'utilisateur agit sur n'importe quelle ressource
+ */
+
+// Rôles disponibles, du moins au plus privilégié
+const ROLES = ["reader", "author", "editor", "moderator", "admin"];
+
+// Permissions communes à tous les utilisateurs connectés
+const BASE_PERMISSIONS = [
+  "comment:create",
+  "comment:update:own",
+  "comment:delete:own",
+  "reaction:create",
+  "user:follow",
+  "user:update:own",
+];
+
+// Permissions des auteurs de contenu
+const AUTHOR_PERMISSIONS = [
+  "post:create",
+  "post:update:own",
+  "post:delete:own",
+  "media:upload",
+  "media:read:own",
+  "media:delete:own",
+];
+
+/**
+ * Carte déclarative rôle -> permissions
+ */
+const ROLE_PERMISSIONS = {
+  reader: [...BASE_PERMISSIONS],
+  author: [...BASE_PERMISSIONS, ...AUTHOR_PERMISSIONS],
+  editor: [...BASE_PERMISSIONS, ...AUTHOR_PERMISSIONS, "post:update:any"],
+  moderator: [...BASE_PERMISSIONS, "comment:moderate", "comment:delete:any"],
+  admin: [
+    ...BASE_PERMISSIONS,
+    ...AUTHOR_PERMISSIONS,
+    "post:update:any",
+    "post:delete:any",
+    "tag:manage",
+    "category:manage",
+    "comment:moderate",
+    "comment:delete:any",
+    "media:read:any",
+    "media:delete:any",
+    "user:update:any",
+    "user:manage",
+  ],
+};
+
+/**
+ * Vérifie si un rôle est valide
+ * @param {string} role - Rôle à vérifier
+ * @returns {boolean} True si le rôle existe
+ */
+function isValidRole(role) {
+  return ROLES.includes(role);
+}
+
+/**
+ * Vérifie si un rôle possède une permission
+ * @param {string} role - Rôle de l'utilisateur
+ * @param {string} permission - Permission exacte (ex: "comment:moderate")
+ * @returns {boolean} True si autorisé
+ */
+function can(role, permission) {
+  const permissions = ROLE_PERMISSIONS[role];
+  return Boolean(permissions && permissions.includes(permission));
+}
+
+/**
+ * Vérifie si un utilisateur peut effectuer une action sur une ressource
+ * Autorisé avec "<action>:any", ou avec "<action>:own" si l'utilisateur est le propriétaire
+ * @param {object} user - Utilisateur authentifié {userId, role}
+ * @param {string} action - Action sans portée (ex: "post:update")
+ * @param {string} ownerId - ID du propriétaire de la ressource
+ * @returns {boolean} True si autorisé
+ */
+function canActOn(user, action, ownerId) {
+  if (!user || !user.userId) {
+    return false;
+  }
+
+  if (can(user.role, `${action}:any`)) {
+    return true;
+  }
+
+  return Boolean(ownerId) && ownerId === user.userId && can(user.role, `${action}:own`);
+}
+
+module.exports = {
+  ROLES,
+  ROLE_PERMISSIONS,
+  isValidRole,
+  can,
+  canActOn,
+};
@@ -0,0 +1,84 @@
+"use strict";
+
+const { DynamoDBClient } = require("@aws-sdk/client-dynamodb");
+const { DynamoDBDocumentClient, BatchGetCommand } = require("@aws-sdk/lib-dynamodb");
+
+/**
+ * POST SUMMARIES UTILITY
+ * ======================
+ * Chargement groupé de résumés d'articles publiés (listes de lecture, fil d'actualité)
+ */
+
+const dynamoClient = new DynamoDBClient({});
+const dynamodb = DynamoDBDocumentClient.from(dynamoClient);
+
+const POSTS_TABLE = process.env.POSTS_TABLE;
+
+// Nombre maximal de clés par BatchGet
+const BATCH_GET_SIZE = 100;
+
+// Attributs des articles renvoyés dans un résumé
+const POST_SUMMARY_FIELDS = [
+  "postId",
+  "slug",
+  "title",
+  "excerpt",
+  "authorId",
+  "authorName",
+  "coverImageUrl",
+  "readingTime",
+  "publishedAt",
+  "status",
+];
+
+/**
+ * Charge des articles publiés dans l'ordre demandé
+ * Les articles non publiés (archivés, brouillons) sont ignorés; les articles supprimés sont signalés
+ * @param {array} postIds - IDs ordonnés
+ * @param {array} extraFields - Attributs à charger en plus du résumé (ex: contentHtml)
+ * @returns {Promise<object>} {posts, missingPostIds}
+ */
+async function loadPublishedPosts(postIds, extraFields = []) {
+  const fields = [...POST_SUMMARY_FIELDS, ...extraFields];
+  const found = new Map();
+  const unresolved = new Set();
+  const uniqueIds = [...new Set(postIds)];
+
+  for (let i = 0; i < uniqueIds.length; i += BATCH_GET_SIZE) {
+    let keys = uniqueIds.slice(i, i + BATCH_GET_SIZE).map((postId) => ({ postId: postId }));
+
+    for (let attempt = 0; keys.length > 0 && attempt < 3; attempt++) {
+      const result = await dynamodb.send(
+        new BatchGetCommand({
+          RequestItems: {
+            [POSTS_TABLE]: {
+              Keys: keys,
+              ProjectionExpression: fields.map((field) => `#${field}`).join(", "),
+              ExpressionAttributeNames: Object.fromEntries(fields.map((field) => [`#${field}`, field])),
+            },
+          },
+        })
+      );
+
+      for (const post of result.Responses?.[POSTS_TABLE] || []) {
+        found.set(post.postId, post);
+      }
+
+      keys = result.UnprocessedKeys?.[POSTS_TABLE]?.Keys || [];
+    }
+
+    keys.forEach((key) => unresolved.add(key.postId));
+  }
+
+  return {
+    posts: postIds
+      .map((postId) => found.get(postId))
+      .filter((post) => post && post.status === "published")
+      .map(({ status, ...post }) => post),
+    missingPostIds: postIds.filter((postId) => !found.has(postId) && !unresolved.has(postId)),
+  };
+}
+
+module.exports = {
+  loadPublishedPosts,
+};
@@ -0,0 +1,255 @@
+"use strict";
+
+const { DynamoDBClient } = require("@aws-sdk/client-dynamodb");
+const {
+  DynamoDBDocumentClient,
+  GetCommand,
+  QueryCommand,
+  BatchGetCommand,
+  TransactWriteCommand,
+} = require("@aws-sdk/lib-dynamodb");
+
+/**
+ * REACTIONS UTILITY
+ * =================
+ * Réactions des utilisateurs sur les articles et les commentaires
+ *
+ * Table REACTIONS_TABLE (targetKey + reactionKey), targetKey = "post#<postId>" ou "comment#<commentId>":
+ * - une réaction par utilisateur et par type: reactionKey = "<userId>#<type>"
+ *   { targetKey, reactionKey, targetType, targetId, userId, type, createdAt }
+ * - un compteur par cible: reactionKey = "#counts" { like: 3, clap: 1, ... }
+ * L'ajout et le retrait écrivent la réaction et le compteur dans la même transaction,
+ * et sont idempotents (réagir deux fois ne compte qu'une fois).
+ * Index UserIndex (userId + createdAt): réactions d'un utilisateur (le compteur n'y figure pas).
+ */
+
+const dynamoClient = new DynamoDBClient({});
+const dynamodb = DynamoDBDocumentClient.from(dynamoClient);
+
+const REACTIONS_TABLE = process.env.REACTIONS_TABLE;
+
+const REACTION_TYPES = ["like", "clap", "insightful", "love", "funny"];
+const TARGET_TYPES = ["post", "comment"];
+
+const COUNTS_KEY = "#counts";
+
+// Nombre maximal de clés par BatchGet
+const BATCH_GET_SIZE = 100;
+
+/**
+ * Clé de partition d'une cible
+ * @param {string} targetType - "post" ou "comment"
+ * @param {string} targetId - ID de la cible
+ * @returns {string} targetKey
+ */
+function getTargetKey(targetType, targetId) {
+  return `${targetType}#${targetId}`;
+}
+
+/**
+ * Indique si une transaction a échoué sur la condition de son premier élément
+ * @param {Error} error - Erreur DynamoDB
+ * @returns {boolean} True si la réaction existait déjà (ou n'existait pas)
+ */
+function isConditionFailure(error) {
+  return (
+    error.name === "TransactionCanceledException" && error.CancellationReasons?.[0]?.Code === "ConditionalCheckFailed"
+  );
+}
+
+/**
+ * Ajoute la réaction d'un utilisateur
+ * @param {object} params - {targetType, targetId, userId, type, now}
+ * @returns {Promise<boolean>} False si l'utilisateur avait déjà cette réaction
+ */
+async function addReaction({ targetType, targetId, userId, type, now }) {
+  const targetKey = getTargetKey(targetType, targetId);
+
+  try {
+    await dynamodb.send(
+      new TransactWriteCommand({
+        TransactItems: [
+          {
+            Put: {
+              TableName: REACTIONS_TABLE,
+              Item: {
+                targetKey: targetKey,
+                reactionKey: `${userId}#${type}`,
+                targetType: targetType,
+                targetId: targetId,
+                userId: userId,
+                type: type,
+                createdAt: now,
+              },
+              ConditionExpression: "attribute_not_exists(reactionKey)",
+            },
+          },
+          {
+            Update: {
+              TableName: REACTIONS_TABLE,
+              Key: { targetKey: targetKey, reactionKey: COUNTS_KEY },
+              UpdateExpression: "ADD #type :one",
+              ExpressionAttributeNames: { "#type": type },
+              ExpressionAttributeValues: { ":one": 1 },
+            },
+          },
+        ],
+      })
+    );
+    return true;
+  } catch (error) {
+    if (isConditionFailure(error)) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Retire la réaction d'un utilisateur
+ * @param {object} params - {targetType, targetId, userId, type}
+ * @returns {Promise<boolean>} False si l'utilisateur n'avait pas cette réaction
+ */
+async function removeReaction({ targetType, targetId, userId, type }) {
+  const targetKey = getTargetKey(targetType, targetId);
+
+  try {
+    await dynamodb.send(
+      new TransactWriteCommand({
+        TransactItems: [
+          {
+            Delete: {
+              TableName: REACTIONS_TABLE,
+              Key: { targetKey: targetKey, reactionKey: `${userId}#${type}` },
+              ConditionExpression: "attribute_exists(reactionKey)",
+            },
+          },
+          {
+            Update: {
+              TableName: REACTIONS_TABLE,
+              Key: { targetKey: targetKey, reactionKey: COUNTS_KEY },
+              UpdateExpression: "ADD #type :minusOne",
+              ExpressionAttributeNames: { "#type": type },
+              ExpressionAttributeValues: { ":minusOne": -1 },
+            },
+          },
+        ],
+      })
+    );
+    return true;
+  } catch (error) {
+    if (isConditionFailure(error)) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Extrait les compteurs d'un élément compteur
+ * @param {object|undefined} item - Élément "#counts"
+ * @returns {object} {type: nombre} (types à 0 omis)
+ */
+function toCounts(item) {
+  const counts = {};
+  for (const type of REACTION_TYPES) {
+    if (item && item[type] > 0) {
+      counts[type] = item[type];
+    }
+  }
+  return counts;
+}
+
+/**
+ * Compteurs de réactions d'une cible
+ * @param {string} targetType - "post" ou "comment"
+ * @param {string} targetId - ID de la cible
+ * @returns {Promise<object>} {like: 3, clap: 1, ...}
+ */
+async function getCounts(targetType, targetId) {
+  const result = await dynamodb.send(
+    new GetCommand({
+      TableName: REACTIONS_TABLE,
+      Key: { targetKey: getTargetKey(targetType, targetId), reactionKey: COUNTS_KEY },
+    })
+  );
+  return toCounts(result.Item);
+}
+
+/**
+ * Compteurs de réactions de plusieurs cibles du même type
+ * @param {string} targetType - "post" ou "comment"
+ * @param {array} targetIds - IDs des cibles
+ * @returns {Promise<Map>} targetId -> compteurs
+ */
+async function getCountsBatch(targetType, targetIds) {
+  const countsById = new Map(targetIds.map((targetId) => [targetId, {}]));
+  const uniqueIds = [...countsById.keys()];
+
+  for (let i = 0; i < uniqueIds.length; i += BATCH_GET_SIZE) {
+    let keys = uniqueIds
+      .slice(i, i + BATCH_GET_SIZE)
+      .map((targetId) => ({ targetKey: getTargetKey(targetType, targetId), reactionKey: COUNTS_KEY }));
+
+    for (let attempt = 0; keys.length > 0 && attempt < 3; attempt++) {
+      const result = await dynamodb.send(
+        new BatchGetCommand({
+          RequestItems: {
+            [REACTIONS_TABLE]: { Keys: keys },
+          },
+        })
+      );
+
+      for (const item of result.Responses?.[REACTIONS_TABLE] || []) {
+        countsById.set(item.targetKey.slice(targetType.length + 1), toCounts(item));
+      }
+
+      keys = result.UnprocessedKeys?.[REACTIONS_TABLE]?.Keys || [];
+    }
+  }
+
+  return countsById;
+}
+
+/**
+ * Réactions d'un utilisateur, de la plus récente à la plus ancienne
+ * @param {string} userId - ID de l'utilisateur
+ * @param {number} limit - Nombre maximal de réactions
+ * @param {object|null} lastKey - Clé de pagination
+ * @returns {Promise<object>} {items, lastEvaluatedKey}
+ */
+async function listUserReactions(userId, limit, lastKey) {
+  const result = await dynamodb.send(
+    new QueryCommand({
+      TableName: REACTIONS_TABLE,
+      IndexName: "UserIndex",
+      KeyConditionExpression: "userId = :userId",
+      ExpressionAttributeValues: {
+        ":userId": userId,
+      },
+      ScanIndexForward: false,
+      Limit: limit,
+      ExclusiveStartKey: lastKey || undefined,
+    })
+  );
+
+  return {
+    items: result.Items.map((item) => ({
+      targetType: item.targetType,
+      targetId: item.targetId,
+      type: item.type,
+      createdAt: item.createdAt,
+    })),
+    lastEvaluatedKey: result.LastEvaluatedKey,
+  };
+}
+
+module.exports = {
+  REACTION_TYPES,
+  TARGET_TYPES,
+  addReaction,
+  removeReaction,
+  getCounts,
+  getCountsBatch,
+  listUserReactions,
+};
@@ -0,0 +1,203 @@
+"use strict";
+
+const crypto = require("crypto");
+const { DynamoDBClient } = require("@aws-sdk/client-dynamodb");
+const {
+  DynamoDBDocumentClient,
+  GetCommand,
+  PutCommand,
+  DeleteCommand,
+  QueryCommand,
+} = require("@aws-sdk/lib-dynamodb");
+
+/**
+ * READING LISTS UTILITY
+ * =====================
+ * Favoris et listes de lecture des utilisateurs
+ *
+ * Table READING_LISTS_TABLE: une liste par listId
+ *   { listId, userId, name, description, visibility, shareToken, postIds, isBookmarks, createdAt, updatedAt }
+ * - postIds est ordonné (ordre choisi par l'utilisateur)
+ * - Les favoris sont la liste par défaut de l'utilisateur (listId "bookmarks-<userId>"),
+ *   créée au premier ajout et toujours privée
+ * - Une liste publique porte un shareToken (lien de partage); repasser en privé révoque le lien
+ * - Index UserIndex (userId + createdAt) et ShareIndex (shareToken, creux)
+ *
+ * Les modifications sont conditionnées à updatedAt (verrou optimiste).
+ */
+
+const dynamoClient = new DynamoDBClient({});
+const dynamodb = DynamoDBDocumentClient.from(dynamoClient);
+
+const READING_LISTS_TABLE = process.env.READING_LISTS_TABLE;
+
+const MAX_LISTS_PER_USER = 50;
+const MAX_POSTS_PER_LIST = 500;
+
+// Identifiant de chemin désignant les favoris de l'utilisateur connecté
+const BOOKMARKS_ALIAS = "bookmarks";
+
+/**
+ * ID de la liste des favoris d'un utilisateur
+ * @param {string} userId - ID de l'utilisateur
+ * @returns {string} listId
+ */
+function getBookmarksListId(userId) {
+  return `${BOOKMARKS_ALIAS}-${userId}`;
+}
+
+/**
+ * Génère un jeton de partage
+ * @returns {string} Jeton hexadécimal
+ */
+function generateShareToken() {
+  return crypto.randomBytes(16).toString("hex");
+}
+
+/**
+ * Récupère une liste
+ * @param {string} listId - ID de la liste
+ * @returns {Promise<object|null>} Liste ou null
+ */
+async function getList(listId) {
+  const result = await dynamodb.send(
+    new GetCommand({
+      TableName: READING_LISTS_TABLE,
+      Key: { listId: listId },
+    })
+  );
+  return result.Item || null;
+}
+
+/**
+ * Récupère la liste des favoris d'un utilisateur (sans la créer)
+ * @param {string} userId - ID de l'utilisateur
+ * @param {string} now - Date ISO
+ * @returns {Promise<object>} Liste existante, ou liste vide non enregistrée
+ */
+async function getBookmarks(userId, now) {
+  const existing = await getList(getBookmarksListId(userId));
+  return (
+    existing || {
+      listId: getBookmarksListId(userId),
+      userId: userId,
+      name: "Bookmarks",
+      description: "",
+      visibility: "private",
+      isBookmarks: true,
+      postIds: [],
+      createdAt: now,
+      updatedAt: null,
+    }
+  );
+}
+
+/**
+ * Listes d'un utilisateur (favoris compris), de la plus ancienne à la plus récente
+ * @param {string} userId - ID de l'utilisateur
+ * @returns {Promise<array>} Listes
+ */
+async function listUserLists(userId) {
+  const lists = [];
+  let lastKey;
+
+  do {
+    const result = await dynamodb.send(
+      new QueryCommand({
+        TableName: READING_LISTS_TABLE,
+        IndexName: "UserIndex",
+        KeyConditionExpression: "userId = :userId",
+        ExpressionAttributeValues: {
+          ":userId": userId,
+        },
+        ExclusiveStartKey: lastKey,
+      })
+    );
+    lists.push(...result.Items);
+    lastKey = result.LastEvaluatedKey;
+  } while (lastKey);
+
+  return lists;
+}
+
+/**
+ * Récupère une liste publique par son jeton de partage
+ * @param {string} shareToken - Jeton
+ * @returns {Promise<object|null>} Liste ou null
+ */
+async function getListByShareToken(shareToken) {
+  const result = await dynamodb.send(
+    new QueryCommand({
+      TableName: READING_LISTS_TABLE,
+      IndexName: "ShareIndex",
+      KeyConditionExpression: "shareToken = :shareToken",
+      ExpressionAttributeValues: {
+        ":shareToken": shareToken,
+      },
+      Limit: 1,
+    })
+  );
+  if (result.Items.length === 0) {
+    return null;
+  }
+
+  const list = await getList(result.Items[0].listId);
+  return list && list.visibility === "public" && list.shareToken === shareToken ? list : null;
+}
+
+/**
+ * Enregistre une liste (verrou optimiste sur updatedAt)
+ * Une liste jamais enregistrée (updatedAt null) est créée; c'est le cas des favoris au premier ajout.
+ * @param {object} list - Liste avant modification
+ * @param {object} changes - Champs modifiés {name, description, visibility, postIds}
+ * @param {string} now - Date ISO
+ * @returns {Promise<object>} Liste mise à jour (ConditionalCheckFailedException si modifiée entre-temps)
+ */
+async function saveList(list, changes, now) {
+  const updated = { ...list, ...changes, updatedAt: now };
+
+  // Lien de partage: créé au passage en public, révoqué au retour en privé
+  if (updated.visibility === "public" && !updated.shareToken) {
+    updated.shareToken = generateShareToken();
+  }
+  if (updated.visibility !== "public") {
+    delete updated.shareToken;
+  }
+
+  await dynamodb.send(
+    new PutCommand({
+      TableName: READING_LISTS_TABLE,
+      Item: updated,
+      ConditionExpression: list.updatedAt ? "updatedAt = :previous" : "attribute_not_exists(listId)",
+      ExpressionAttributeValues: list.updatedAt ? { ":previous": list.updatedAt } : undefined,
+    })
+  );
+
+  return updated;
+}
+
+/**
+ * Supprime une liste
+ * @param {string} listId - ID de la liste
+ */
+async function deleteList(listId) {
+  await dynamodb.send(
+    new DeleteCommand({
+      TableName: READING_LISTS_TABLE,
+      Key: { listId: listId },
+    })
+  );
+}
+
+module.exports = {
+  MAX_LISTS_PER_USER,
+  MAX_POSTS_PER_LIST,
+  BOOKMARKS_ALIAS,
+  getBookmarksListId,
+  getList,
+  getBookmarks,
+  listUserLists,
+  getListByShareToken,
+  saveList,
+  deleteList,
+};
@@ -45,6 +45,53 @@ function created(data) {
   return success(201, data);
 }
 
+/**
+ * Réponse de redirection permanente avec code 301
+ * @param {string} location - Nouvelle URL de la ressource
+ * @param {object} data - Données à renvoyer
+ * @returns {object} Réponse HTTP 301
+ */
+function movedPermanently(location, data) {
+  return success(301, data, { Location: location });
+}
+
+/**
+ * Réponse de succès avec un corps non JSON (flux XML, texte...)
+ * @param {string} body - Corps déjà sérialisé
+ * @param {string} contentType - Type de contenu (ex: "application/rss+xml; charset=utf-8")
+ * @param {object} headers - Headers HTTP additionnels (optionnel)
+ * @returns {object} Réponse HTTP 200
+ */
+function raw(body, contentType, headers = {}) {
+  return {
+    statusCode: 200,
+    headers: {
+      "Content-Type": contentType,
+      "Access-Control-Allow-Origin": "*",
+      "Access-Control-Allow-Credentials": true,
+      ...headers,
+    },
+    body: body,
+  };
+}
+
+/**
+ * Réponse 304 - Not Modified (requête conditionnelle, corps vide)
+ * @param {object} headers - Headers de validation (ETag, Last-Modified)
+ * @returns {object} Réponse HTTP 304
+ */
+function notModified(headers = {}) {
+  return {
+    statusCode: 304,
+    headers: {
+      "Access-Control-Allow-Origin": "*",
+      "Access-Control-Allow-Credentials": true,
+      ...headers,
+    },
+    body: "",
+  };
+}
+
 /**
  * Réponse d'erreur formatée
  * @param {number} statusCode - Code d'erreur HTTP
@@ -156,6 +203,10 @@ function handleError(err) {
     return conflict("Resource already exists or condition not met");
   }
 
+  if (err.name === "TransactionCanceledException") {
+    return conflict("Resource was modified concurrently, please retry");
+  }
+
   // Erreurs S3
   if (err.name === "NoSuchKey") {
     return notFound("File not found in storage");
@@ -169,6 +220,9 @@ module.exports = {
   success,
   ok,
   created,
+  movedPermanently,
+  raw,
+  notModified,
   error,
   badRequest,
   unauthorized,
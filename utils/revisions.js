@@ -0,0 +1,282 @@
+"use strict";
+
+const { DynamoDBClient } = require("@aws-sdk/client-dynamodb");
+const {
+  DynamoDBDocumentClient,
+  GetCommand,
+  QueryCommand,
+  DeleteCommand,
+  TransactWriteCommand,
+} = require("@aws-sdk/lib-dynamodb");
+
+/**
+ * REVISIONS UTILITY
+ * =================
+ * Historique des versions des articles
+ *
+ * Chaque révision est un instantané complet des champs éditoriaux d'un article
+ * après une modification. Les révisions sont numérotées (1, 2, 3...) par article;
+ * le dernier numéro est conservé sur l'article dans "revisionCount".
+ */
+
+const dynamoClient = new DynamoDBClient({});
+const dynamodb = DynamoDBDocumentClient.from(dynamoClient);
+
+const POST_REVISIONS_TABLE = process.env.POST_REVISIONS_TABLE;
+
+// Champs versionnés d'un article
+const REVISION_FIELDS = ["title", "excerpt", "content", "tags", "coverImageUrl"];
+
+/**
+ * Extrait les champs versionnés d'un article
+ * @param {object} post - Article
+ * @returns {object} Instantané des champs versionnés
+ */
+function snapshot(post) {
+  const fields = {};
+  for (const field of REVISION_FIELDS) {
+    fields[field] = post[field] !== undefined ? post[field] : field === "tags" ? [] : "";
+  }
+  return fields;
+}
+
+/**
+ * Liste les champs versionnés qui diffèrent entre deux états d'un article
+ * @param {object} before - État avant modification
+ * @param {object} after - État après modification
+ * @returns {array} Noms des champs modifiés
+ */
+function getChangedFields(before, after) {
+  const beforeSnapshot = snapshot(before);
+  const afterSnapshot = snapshot(after);
+  return REVISION_FIELDS.filter(
+    (field) => JSON.stringify(beforeSnapshot[field]) !== JSON.stringify(afterSnapshot[field])
+  );
+}
+
+/**
+ * Construit l'enregistrement d'une révision
+ * @param {object} params - {post, revision, editorId, editorName, changedFields, createdAt, restoredFrom}
+ * @returns {object} Révision prête à être stockée
+ */
+function buildRevision(params) {
+  const item = {
+    postId: params.post.postId,
+    revision: params.revision,
+    ...snapshot(params.post),
+    editorId: params.editorId,
+    editorName: params.editorName || null,
+    changedFields: params.changedFields,
+    createdAt: params.createdAt,
+  };
+
+  if (params.restoredFrom) {
+    item.restoredFrom = params.restoredFrom;
+  }
+
+  return item;
+}
+
+/**
+ * Prépare les révisions à écrire pour une modification d'article
+ * Un article antérieur au versionnage reçoit d'abord une révision de son état actuel
+ * @param {object} before - Article avant modification
+ * @param {object} after - Champs modifiés
+ * @param {object} editor - {userId, name}
+ * @param {string} now - Date ISO de la modification
+ * @param {number} restoredFrom - Révision restaurée (optionnel)
+ * @returns {object} {items, revisionCount} ou null si aucun champ versionné n'a changé
+ */
+function prepareRevisions(before, after, editor, now, restoredFrom = null) {
+  const updatedPost = { ...before, ...after };
+  const changedFields = getChangedFields(before, updatedPost);
+
+  if (changedFields.length === 0) {
+    return null;
+  }
+
+  const items = [];
+  let revisionCount = before.revisionCount || 0;
+
+  // Article créé avant le versionnage: conserver son état d'origine comme révision 1
+  if (revisionCount === 0) {
+    revisionCount = 1;
+    items.push(
+      buildRevision({
+        post: before,
+        revision: revisionCount,
+        editorId: before.authorId,
+        editorName: before.authorName,
+        changedFields: [],
+        createdAt: before.updatedAt || before.createdAt,
+      })
+    );
+  }
+
+  revisionCount++;
+  items.push(
+    buildRevision({
+      post: updatedPost,
+      revision: revisionCount,
+      editorId: editor.userId,
+      editorName: editor.name,
+      changedFields: changedFields,
+      createdAt: now,
+      restoredFrom: restoredFrom,
+    })
+  );
+
+  return { items, revisionCount };
+}
+
+/**
+ * Applique une mise à jour d'article et écrit ses révisions dans une même transaction
+ * La mise à jour doit inclure "revisionCount = :revisionCount".
+ * La transaction échoue si l'article a été versionné entre-temps (revisionCount différent)
+ * @param {object} update - Paramètres UpdateCommand de l'article (TableName, Key, UpdateExpression, ...)
+ * @param {object} before - Article avant modification
+ * @param {object} revisionData - Résultat de prepareRevisions
+ * @returns {Promise<object>} Article mis à jour
+ */
+async function updatePostWithRevisions(update, before, revisionData) {
+  const expressionAttributeValues = { ...update.ExpressionAttributeValues };
+
+  let conditionExpression = "attribute_not_exists(revisionCount)";
+  if (before.revisionCount) {
+    conditionExpression = "revisionCount = :previousRevisionCount";
+    expressionAttributeValues[":previousRevisionCount"] = before.revisionCount;
+  }
+
+  await dynamodb.send(
+    new TransactWriteCommand({
+      TransactItems: [
+        {
+          Update: {
+            TableName: update.TableName,
+            Key: update.Key,
+            UpdateExpression: update.UpdateExpression,
+            ConditionExpression: conditionExpression,
+            ExpressionAttributeNames: update.ExpressionAttributeNames,
+            ExpressionAttributeValues: expressionAttributeValues,
+          },
+        },
+        ...revisionData.items.map((item) => ({
+          Put: {
+            TableName: POST_REVISIONS_TABLE,
+            Item: item,
+            ConditionExpression: "attribute_not_exists(revision)",
+          },
+        })),
+      ],
+    })
+  );
+
+  // Les transactions ne renvoient pas l'élément modifié
+  const result = await dynamodb.send(
+    new GetCommand({
+      TableName: update.TableName,
+      Key: update.Key,
+      ConsistentRead: true,
+    })
+  );
+
+  return result.Item;
+}
+
+/**
+ * Récupère une révision
+ * @param {string} postId - ID de l'article
+ * @param {number} revision - Numéro de révision
+ * @returns {Promise<object|null>} Révision ou null
+ */
+async function getRevision(postId, revision) {
+  const result = await dynamodb.send(
+    new GetCommand({
+      TableName: POST_REVISIONS_TABLE,
+      Key: { postId: postId, revision: revision },
+    })
+  );
+  return result.Item || null;
+}
+
+/**
+ * Liste les révisions d'un article (plus récente en premier, sans le contenu)
+ * @param {string} postId - ID de l'article
+ * @param {number} limit - Nombre maximum de révisions
+ * @param {object} lastKey - Clé de pagination (optionnel)
+ * @returns {Promise<object>} {items, lastKey}
+ */
+async function listRevisions(postId, limit = 20, lastKey = null) {
+  const params = {
+    TableName: POST_REVISIONS_TABLE,
+    KeyConditionExpression: "postId = :postId",
+    ProjectionExpression: "postId, revision, editorId, editorName, changedFields, createdAt, restoredFrom",
+    ExpressionAttributeValues: {
+      ":postId": postId,
+    },
+    Limit: limit,
+    ScanIndexForward: false,
+  };
+
+  if (lastKey) {
+    params.ExclusiveStartKey = lastKey;
+  }
+
+  const result = await dynamodb.send(new QueryCommand(params));
+
+  return {
+    items: result.Items,
+    lastKey: result.LastEvaluatedKey || null,
+  };
+}
+
+/**
+ * Supprime toutes les révisions d'un article
+ * @param {string} postId - ID de l'article
+ * @returns {Promise<number>} Nombre de révisions supprimées
+ */
+async function deleteAllForPost(postId) {
+  let deleted = 0;
+  let lastKey;
+
+  do {
+    const result = await dynamodb.send(
+      new QueryCommand({
+        TableName: POST_REVISIONS_TABLE,
+        KeyConditionExpression: "postId = :postId",
+        ProjectionExpression: "postId, revision",
+        ExpressionAttributeValues: {
+          ":postId": postId,
+        },
+        ExclusiveStartKey: lastKey,
+      })
+    );
+
+    await Promise.all(
+      result.Items.map((item) =>
+        dynamodb.send(
+          new DeleteCommand({
+            TableName: POST_REVISIONS_TABLE,
+            Key: { postId: item.postId, revision: item.revision },
+          })
+        )
+      )
+    );
+
+    deleted += result.Items.length;
+    lastKey = result.LastEvaluatedKey;
+  } while (lastKey);
+
+  return deleted;
+}
+
+module.exports = {
+  REVISION_FIELDS,
+  snapshot,
+  getChangedFields,
+  prepareRevisions,
+  updatePostWithRevisions,
+  getRevision,
+  listRevisions,
+  deleteAllForPost,
+};
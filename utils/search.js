@@ -0,0 +1,371 @@
+"use strict";
+
+/**
+ * SEARCH UTILITY
+ * ==============
+ * Analyse de texte pour l'index de recherche plein texte
+ *
+ * - Normalisation: minuscules, suppression des accents
+ * - Découpage en mots, suppression des mots vides (français et anglais)
+ * - Racinisation légère (stemming) française ou anglaise selon la langue détectée
+ * - Pondération par champ (titre > tags > extrait > contenu)
+ * - Mise en évidence des termes trouvés dans un extrait
+ */
+
+// Poids de chaque champ indexé
+const FIELD_WEIGHTS = {
+  title: 3,
+  tags: 2.5,
+  excerpt: 1.5,
+  content: 1,
+};
+
+const MIN_TOKEN_LENGTH = 2;
+const MAX_TOKEN_LENGTH = 40;
+
+const STOPWORDS = {
+  en: new Set(
+    (
+      "a about all an and any are as at be but by can do does for from had has have he her his how i if in into is " +
+      "it its more most no not of on or our out over she so than that the their then there they this to up was we " +
+      "were what which who will with you your"
+    ).split(" ")
+  ),
+  fr: new Set(
+    (
+      "a au aux avec avoir c ce ces cet cette comme d dans de des donc dont du elle elles en entre est et etait etre " +
+      "il ils j je l la le les leur leurs m mais n ne ni nous on ou par pas plus pour qu que qui quoi s sa sans se " +
+      "ses son sont sous sur t tous tout tu un une vous y"
+    ).split(" ")
+  ),
+};
+
+// Suffixes retirés par la racinisation, du plus long au plus court
+const FRENCH_SUFFIXES = [
+  "issements",
+  "issement",
+  "atrices",
+  "atrice",
+  "ateurs",
+  "ateur",
+  "ations",
+  "ation",
+  "ements",
+  "ement",
+  "euses",
+  "euse",
+  "eurs",
+  "eur",
+  "ments",
+  "ment",
+  "iques",
+  "ique",
+  "istes",
+  "iste",
+  "ismes",
+  "isme",
+  "ables",
+  "able",
+  "ites",
+  "ite",
+  "ees",
+  "ee",
+  "er",
+  "ez",
+  "es",
+  "e",
+];
+
+const ENGLISH_SUFFIXES = [
+  "fulness",
+  "iveness",
+  "ational",
+  "ization",
+  "ations",
+  "ation",
+  "ements",
+  "ement",
+  "ments",
+  "ment",
+  "ness",
+  "ingly",
+  "edly",
+  "ing",
+  "ers",
+  "er",
+  "ed",
+  "ly",
+];
+
+/**
+ * Normalise un texte: minuscules et suppression des accents
+ * @param {string} text - Texte brut
+ * @returns {string} Texte normalisé
+ */
+function normalize(text) {
+  return String(text || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase();
+}
+
+/**
+ * Découpe un texte en mots normalisés (mots vides inclus)
+ * @param {string} text - Texte brut
+ * @returns {array} Mots normalisés
+ */
+function tokenize(text) {
+  return normalize(text)
+    .split(/[^a-z0-9]+/)
+    .filter((token) => token.length >= 1 && token.length <= MAX_TOKEN_LENGTH);
+}
+
+/**
+ * Vérifie si un mot est un mot vide dans l'une des langues
+ * @param {string} token - Mot normalisé
+ * @returns {boolean} True si mot vide
+ */
+function isStopword(token) {
+  return STOPWORDS.fr.has(token) || STOPWORDS.en.has(token);
+}
+
+/**
+ * Retire le premier suffixe applicable en gardant une racine d'au moins 3 lettres
+ * @param {string} word - Mot normalisé
+ * @param {array} suffixes - Suffixes candidats
+ * @returns {string} Mot sans suffixe
+ */
+function stripSuffix(word, suffixes) {
+  for (const suffix of suffixes) {
+    if (word.endsWith(suffix) && word.length - suffix.length >= 3) {
+      return word.slice(0, -suffix.length);
+    }
+  }
+  return word;
+}
+
+/**
+ * Racinisation légère française
+ * @param {string} word - Mot normalisé
+ * @returns {string} Racine
+ */
+function stemFrench(word) {
+  if (word.length <= 3 || /^\d+$/.test(word)) {
+    return word;
+  }
+
+  let stem = word;
+
+  // Pluriels: "chevaux" -> "cheval", "articles" -> "article"
+  if (stem.endsWith("aux") && stem.length > 4) {
+    stem = stem.slice(0, -3) + "al";
+  } else if ((stem.endsWith("s") || stem.endsWith("x")) && stem.length > 4) {
+    stem = stem.slice(0, -1);
+  }
+
+  return stripSuffix(stem, FRENCH_SUFFIXES);
+}
+
+/**
+ * Racinisation légère anglaise
+ * @param {string} word - Mot normalisé
+ * @returns {string} Racine
+ */
+function stemEnglish(word) {
+  if (word.length <= 3 || /^\d+$/.test(word)) {
+    return word;
+  }
+
+  let stem = word;
+
+  // Pluriels: "stories" -> "story", "classes" -> "class", "posts" -> "post"
+  if (stem.endsWith("ies") && stem.length > 4) {
+    stem = stem.slice(0, -3) + "y";
+  } else if (stem.endsWith("sses")) {
+    stem = stem.slice(0, -2);
+  } else if (stem.endsWith("s") && !/(ss|us|is)$/.test(stem)) {
+    stem = stem.slice(0, -1);
+  }
+
+  const stripped = stripSuffix(stem, ENGLISH_SUFFIXES);
+
+  // "running" -> "runn" -> "run"
+  if (stripped !== stem && /([^aeiouylsz])\1$/.test(stripped)) {
+    return stripped.slice(0, -1);
+  }
+
+  return stripped;
+}
+
+/**
+ * Racinise un mot selon la langue
+ * @param {string} token - Mot normalisé
+ * @param {string} language - "fr" ou "en"
+ * @returns {string} Racine
+ */
+function stem(token, language) {
+  return language === "fr" ? stemFrench(token) : stemEnglish(token);
+}
+
+/**
+ * Détecte la langue d'une liste de mots (français ou anglais) par les mots vides
+ * @param {array} tokens - Mots normalisés
+ * @returns {string} "fr" ou "en"
+ */
+function detectLanguage(tokens) {
+  let fr = 0;
+  let en = 0;
+  for (const token of tokens) {
+    if (STOPWORDS.fr.has(token)) fr++;
+    if (STOPWORDS.en.has(token)) en++;
+  }
+  return fr >= en ? "fr" : "en";
+}
+
+/**
+ * Analyse un article: termes indexés et poids associés
+ * @param {object} post - Article (title, excerpt, content, tags)
+ * @returns {object} {language, terms: {terme: {weight, fields}}}
+ */
+function analyzeDocument(post) {
+  const fieldTokens = {
+    title: tokenize(post.title),
+    tags: tokenize((post.tags || []).join(" ")),
+    excerpt: tokenize(post.excerpt),
+    content: tokenize(post.content),
+  };
+
+  const language = detectLanguage([...fieldTokens.title, ...fieldTokens.excerpt, ...fieldTokens.content]);
+  const terms = {};
+
+  for (const [field, tokens] of Object.entries(fieldTokens)) {
+    // Fréquence de chaque racine dans le champ
+    const counts = {};
+    for (const token of tokens) {
+      if (token.length < MIN_TOKEN_LENGTH || isStopword(token)) {
+        continue;
+      }
+      const term = stem(token, language);
+      counts[term] = (counts[term] || 0) + 1;
+    }
+
+    for (const [term, count] of Object.entries(counts)) {
+      if (!terms[term]) {
+        terms[term] = { weight: 0, fields: [] };
+      }
+      terms[term].weight += FIELD_WEIGHTS[field] * (1 + Math.log(count));
+      terms[term].fields.push(field);
+    }
+  }
+
+  for (const entry of Object.values(terms)) {
+    entry.weight = Math.round(entry.weight * 1000) / 1000;
+  }
+
+  return { language, terms };
+}
+
+/**
+ * Analyse une requête de recherche
+ * Chaque mot produit ses racines française et anglaise (la langue de l'article est inconnue)
+ * @param {string} query - Requête brute
+ * @returns {array} [{token, variants: [racines]}]
+ */
+function analyzeQuery(query) {
+  const seen = new Set();
+  const terms = [];
+
+  for (const token of tokenize(query)) {
+    if (token.length < MIN_TOKEN_LENGTH || isStopword(token) || seen.has(token)) {
+      continue;
+    }
+    seen.add(token);
+    terms.push({
+      token: token,
+      variants: [...new Set([stemFrench(token), stemEnglish(token)])],
+    });
+  }
+
+  return terms;
+}
+
+/**
+ * Échappe le HTML d'un texte
+ * @param {string} text - Texte brut
+ * @returns {string} Texte échappé
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * Construit un extrait avec les termes recherchés entourés de <mark>
+ * Le texte est échappé: l'extrait peut être inséré tel quel dans du HTML
+ * @param {string} text - Texte source
+ * @param {array} queryTerms - Résultat de analyzeQuery
+ * @param {number} maxLength - Longueur maximale de l'extrait (0 = texte entier)
+ * @returns {object} {snippet, matched}
+ */
+function highlight(text, queryTerms, maxLength = 160) {
+  const source = String(text || "");
+  const variants = new Set(queryTerms.flatMap((term) => term.variants));
+
+  // Repérer les mots correspondant à une racine recherchée
+  const matches = [];
+  const wordRegex = /[\p{L}\p{N}]+/gu;
+  let match;
+  while ((match = wordRegex.exec(source)) !== null) {
+    const token = normalize(match[0]);
+    if (variants.has(stemFrench(token)) || variants.has(stemEnglish(token))) {
+      matches.push({ start: match.index, end: match.index + match[0].length });
+    }
+  }
+
+  // Fenêtre centrée sur la première occurrence
+  let start = 0;
+  let end = source.length;
+  if (maxLength > 0 && source.length > maxLength) {
+    const anchor = matches.length > 0 ? matches[0].start : 0;
+    start = Math.max(0, anchor - Math.floor(maxLength / 3));
+    end = Math.min(source.length, start + maxLength);
+    start = Math.max(0, end - maxLength);
+
+    // Éviter de couper un mot en début ou fin d'extrait
+    while (start > 0 && /[\p{L}\p{N}]/u.test(source[start - 1])) start++;
+    while (end < source.length && /[\p{L}\p{N}]/u.test(source[end])) end--;
+  }
+
+  let snippet = "";
+  let cursor = start;
+  for (const { start: matchStart, end: matchEnd } of matches) {
+    if (matchStart < start || matchEnd > end) {
+      continue;
+    }
+    snippet += escapeHtml(source.slice(cursor, matchStart));
+    snippet += `<mark>${escapeHtml(source.slice(matchStart, matchEnd))}</mark>`;
+    cursor = matchEnd;
+  }
+  snippet += escapeHtml(source.slice(cursor, end));
+
+  return {
+    snippet: (start > 0 ? "…" : "") + snippet.trim() + (end < source.length ? "…" : ""),
+    matched: matches.length > 0,
+  };
+}
+
+module.exports = {
+  FIELD_WEIGHTS,
+  normalize,
+  tokenize,
+  stem,
+  detectLanguage,
+  analyzeDocument,
+  analyzeQuery,
+  escapeHtml,
+  highlight,
+};
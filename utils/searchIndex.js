@@ -0,0 +1,279 @@
+"use strict";
+
+const { DynamoDBClient } = require("@aws-sdk/client-dynamodb");
+const {
+  DynamoDBDocumentClient,
+  GetCommand,
+  PutCommand,
+  QueryCommand,
+  UpdateCommand,
+  BatchWriteCommand,
+} = require("@aws-sdk/lib-dynamodb");
+
+const search = require("./search");
+
+/**
+ * SEARCH INDEX UTILITY
+ * ====================
+ * Index inversé des articles publiés, stocké dans DynamoDB
+ *
+ * Une entrée par couple (terme, article): { term, postId, weight, fields }
+ * - term (HASH) + postId (RANGE): liste des articles contenant un terme
+ * - index PostIndex (postId): termes d'un article, pour la mise à jour et la suppression
+ * - une entrée de statistiques (STATS_KEY) conserve le nombre d'articles indexés
+ *
+ * Alimenté par le flux DynamoDB de la table Posts (voir handlers/search.js)
+ */
+
+const dynamoClient = new DynamoDBClient({});
+const dynamodb = DynamoDBDocumentClient.from(dynamoClient);
+
+const SEARCH_INDEX_TABLE = process.env.SEARCH_INDEX_TABLE;
+
+// Entrée réservée aux statistiques de l'index ("#" n'est jamais produit par la tokenisation)
+const STATS_KEY = { term: "#stats", postId: "#stats" };
+
+// Nombre maximum d'articles lus pour un terme (borne le coût des termes très fréquents)
+const MAX_POSTINGS_PER_TERM = 5000;
+
+// Taille maximale d'un BatchWriteCommand
+const BATCH_SIZE = 25;
+
+/**
+ * Indique si un article doit figurer dans l'index (seuls les articles publiés sont cherchables)
+ * @param {object} post - Article
+ * @returns {boolean} True si indexable
+ */
+function isIndexable(post) {
+  return Boolean(post) && post.status === "published";
+}
+
+/**
+ * Écrit des requêtes par lots, en rejouant les éléments non traités
+ * @param {array} requests - Requêtes PutRequest / DeleteRequest
+ */
+async function batchWrite(requests) {
+  for (let i = 0; i < requests.length; i += BATCH_SIZE) {
+    let pending = requests.slice(i, i + BATCH_SIZE);
+    let attempt = 0;
+
+    while (pending.length > 0) {
+      const result = await dynamodb.send(
+        new BatchWriteCommand({
+          RequestItems: { [SEARCH_INDEX_TABLE]: pending },
+        })
+      );
+
+      pending = result.UnprocessedItems?.[SEARCH_INDEX_TABLE] || [];
+      if (pending.length > 0) {
+        attempt++;
+        if (attempt > 5) {
+          throw new Error("Search index batch write failed after retries");
+        }
+        await new Promise((resolve) => setTimeout(resolve, 50 * 2 ** attempt));
+      }
+    }
+  }
+}
+
+/**
+ * Liste les termes indexés pour un article
+ * @param {string} postId - ID de l'article
+ * @returns {Promise<array>} Termes
+ */
+async function listTermsForPost(postId) {
+  const terms = [];
+  let lastKey;
+
+  do {
+    const result = await dynamodb.send(
+      new QueryCommand({
+        TableName: SEARCH_INDEX_TABLE,
+        IndexName: "PostIndex",
+        KeyConditionExpression: "postId = :postId",
+        ExpressionAttributeValues: {
+          ":postId": postId,
+        },
+        ExclusiveStartKey: lastKey,
+      })
+    );
+    terms.push(...result.Items.map((item) => item.term));
+    lastKey = result.LastEvaluatedKey;
+  } while (lastKey);
+
+  return terms;
+}
+
+/**
+ * Indexe (ou réindexe) un article
+ * Les termes qui ne figurent plus dans l'article sont retirés de l'index
+ * @param {object} post - Article publié
+ * @returns {Promise<number>} Nombre de termes indexés
+ */
+async function indexPost(post) {
+  const { language, terms } = search.analyzeDocument(post);
+  const previousTerms = await listTermsForPost(post.postId);
+
+  const requests = Object.entries(terms).map(([term, entry]) => ({
+    PutRequest: {
+      Item: {
+        term: term,
+        postId: post.postId,
+        weight: entry.weight,
+        fields: entry.fields,
+        language: language,
+      },
+    },
+  }));
+
+  for (const term of previousTerms) {
+    if (!terms[term]) {
+      requests.push({ DeleteRequest: { Key: { term: term, postId: post.postId } } });
+    }
+  }
+
+  await batchWrite(requests);
+
+  return Object.keys(terms).length;
+}
+
+/**
+ * Retire un article de l'index
+ * @param {string} postId - ID de l'article
+ * @returns {Promise<number>} Nombre de termes retirés
+ */
+async function removePost(postId) {
+  const terms = await listTermsForPost(postId);
+  await batchWrite(terms.map((term) => ({ DeleteRequest: { Key: { term: term, postId: postId } } })));
+  return terms.length;
+}
+
+/**
+ * Modifie le nombre d'articles indexés
+ * @param {number} delta - Variation (+1 / -1)
+ */
+async function adjustDocumentCount(delta) {
+  await dynamodb.send(
+    new UpdateCommand({
+      TableName: SEARCH_INDEX_TABLE,
+      Key: STATS_KEY,
+      UpdateExpression: "ADD documentCount :delta",
+      ExpressionAttributeValues: {
+        ":delta": delta,
+      },
+    })
+  );
+}
+
+/**
+ * Fixe le nombre d'articles indexés (après une réindexation complète)
+ * @param {number} count - Nombre d'articles
+ */
+async function setDocumentCount(count) {
+  await dynamodb.send(
+    new PutCommand({
+      TableName: SEARCH_INDEX_TABLE,
+      Item: { ...STATS_KEY, documentCount: count },
+    })
+  );
+}
+
+/**
+ * Retourne le nombre d'articles indexés
+ * @returns {Promise<number>} Nombre d'articles
+ */
+async function getDocumentCount() {
+  const result = await dynamodb.send(
+    new GetCommand({
+      TableName: SEARCH_INDEX_TABLE,
+      Key: STATS_KEY,
+    })
+  );
+  return Math.max(result.Item?.documentCount || 0, 0);
+}
+
+/**
+ * Liste les articles contenant un terme
+ * @param {string} term - Terme (racine)
+ * @returns {Promise<array>} [{postId, weight}]
+ */
+async function getPostings(term) {
+  const postings = [];
+  let lastKey;
+
+  do {
+    const result = await dynamodb.send(
+      new QueryCommand({
+        TableName: SEARCH_INDEX_TABLE,
+        KeyConditionExpression: "term = :term",
+        ProjectionExpression: "postId, weight",
+        ExpressionAttributeValues: {
+          ":term": term,
+        },
+        ExclusiveStartKey: lastKey,
+      })
+    );
+    postings.push(...result.Items);
+    lastKey = result.LastEvaluatedKey;
+  } while (lastKey && postings.length < MAX_POSTINGS_PER_TERM);
+
+  return postings;
+}
+
+/**
+ * Classe les articles correspondant à une requête
+ *
+ * Score = somme, pour chaque mot de la requête, de poids(terme, article) × idf(terme),
+ * multipliée par la proportion de mots de la requête présents dans l'article
+ * (les articles contenant tous les mots passent devant).
+ *
+ * @param {array} queryTerms - Résultat de search.analyzeQuery
+ * @returns {Promise<array>} [{postId, score, matchedTerms}] triés par pertinence décroissante
+ */
+async function rankPosts(queryTerms) {
+  const documentCount = await getDocumentCount();
+  const scores = new Map();
+
+  for (const queryTerm of queryTerms) {
+    // Poids du mot par article: meilleur poids parmi ses racines FR / EN
+    const weights = new Map();
+    const postingLists = await Promise.all(queryTerm.variants.map((variant) => getPostings(variant)));
+    for (const postings of postingLists) {
+      for (const posting of postings) {
+        weights.set(posting.postId, Math.max(weights.get(posting.postId) || 0, posting.weight));
+      }
+    }
+
+    // idf BM25: les termes rares pèsent plus que les termes fréquents
+    const df = weights.size;
+    const total = Math.max(documentCount, df);
+    const idf = Math.log(1 + (total - df + 0.5) / (df + 0.5));
+
+    for (const [postId, weight] of weights) {
+      const entry = scores.get(postId) || { postId: postId, score: 0, matchedTerms: [] };
+      entry.score += weight * idf;
+      entry.matchedTerms.push(queryTerm.token);
+      scores.set(postId, entry);
+    }
+  }
+
+  const ranked = [...scores.values()].map((entry) => ({
+    postId: entry.postId,
+    score: Math.round(entry.score * (entry.matchedTerms.length / queryTerms.length) * 10000) / 10000,
+    matchedTerms: entry.matchedTerms,
+  }));
+
+  ranked.sort((a, b) => b.score - a.score || (a.postId < b.postId ? -1 : a.postId > b.postId ? 1 : 0));
+
+  return ranked;
+}
+
+module.exports = {
+  isIndexable,
+  indexPost,
+  removePost,
+  adjustDocumentCount,
+  setDocumentCount,
+  getDocumentCount,
+  rankPosts,
+};
@@ -0,0 +1,148 @@
+"use strict";
+
+const { DynamoDBClient } = require("@aws-sdk/client-dynamodb");
+const { DynamoDBDocumentClient, GetCommand, PutCommand, QueryCommand } = require("@aws-sdk/lib-dynamodb");
+
+/**
+ * SERIES UTILITY
+ * ==============
+ * Séries d'articles ordonnées (ex: tutoriel en plusieurs parties)
+ *
+ * Table SERIES_TABLE: { seriesId, title, description, authorId, authorName }
+ * Les articles d'une série portent seriesId et seriesPosition (1, 2, 3...);
+ * l'index SeriesIndex de la table Posts (seriesId + seriesPosition) les renvoie dans l'ordre.
+ */
+
+const dynamoClient = new DynamoDBClient({});
+const dynamodb = DynamoDBDocumentClient.from(dynamoClient);
+
+const SERIES_TABLE = process.env.SERIES_TABLE;
+const POSTS_TABLE = process.env.POSTS_TABLE;
+
+const MAX_SERIES_POSITION = 1000;
+
+/**
+ * Récupère une série
+ * @param {string} seriesId - ID de la série
+ * @returns {Promise<object|null>} Série ou null
+ */
+async function getSeries(seriesId) {
+  const result = await dynamodb.send(
+    new GetCommand({
+      TableName: SERIES_TABLE,
+      Key: { seriesId: seriesId },
+    })
+  );
+  return result.Item || null;
+}
+
+/**
+ * Crée une série
+ * @param {object} series - {seriesId, title, description, authorId, authorName, createdAt, updatedAt}
+ */
+async function createSeries(series) {
+  await dynamodb.send(
+    new PutCommand({
+      TableName: SERIES_TABLE,
+      Item: series,
+      ConditionExpression: "attribute_not_exists(seriesId)",
+    })
+  );
+}
+
+/**
+ * Liste les articles d'une série dans l'ordre (tous statuts)
+ * @param {string} seriesId - ID de la série
+ * @returns {Promise<array>} Articles (attributs projetés par SeriesIndex)
+ */
+async function listSeriesPosts(seriesId) {
+  const posts = [];
+  let lastKey;
+
+  do {
+    const result = await dynamodb.send(
+      new QueryCommand({
+        TableName: POSTS_TABLE,
+        IndexName: "SeriesIndex",
+        KeyConditionExpression: "seriesId = :seriesId",
+        ExpressionAttributeValues: {
+          ":seriesId": seriesId,
+        },
+        ExclusiveStartKey: lastKey,
+      })
+    );
+    posts.push(...result.Items);
+    lastKey = result.LastEvaluatedKey;
+  } while (lastKey);
+
+  return posts;
+}
+
+/**
+ * Position à attribuer à un article ajouté en fin de série
+ * @param {string} seriesId - ID de la série
+ * @returns {Promise<number>} Position suivant la dernière
+ */
+async function getNextPosition(seriesId) {
+  const result = await dynamodb.send(
+    new QueryCommand({
+      TableName: POSTS_TABLE,
+      IndexName: "SeriesIndex",
+      KeyConditionExpression: "seriesId = :seriesId",
+      ExpressionAttributeValues: {
+        ":seriesId": seriesId,
+      },
+      ScanIndexForward: false,
+      Limit: 1,
+    })
+  );
+  return result.Items.length > 0 ? result.Items[0].seriesPosition + 1 : 1;
+}
+
+/**
+ * Résumé d'un article pour la navigation dans une série
+ * @param {object} post - Article
+ * @returns {object} {postId, slug, title, seriesPosition}
+ */
+function toSeriesEntry(post) {
+  return {
+    postId: post.postId,
+    slug: post.slug || null,
+    title: post.title,
+    seriesPosition: post.seriesPosition,
+  };
+}
+
+/**
+ * Navigation d'un article dans sa série (parmi les articles publiés)
+ * @param {object} post - Article (avec seriesId)
+ * @returns {Promise<object|null>} {seriesId, title, position, total, previous, next} ou null
+ */
+async function getNavigation(post) {
+  const series = await getSeries(post.seriesId);
+  if (!series) {
+    return null;
+  }
+
+  const published = (await listSeriesPosts(post.seriesId)).filter((entry) => entry.status === "published");
+  const index = published.findIndex((entry) => entry.postId === post.postId);
+
+  return {
+    seriesId: series.seriesId,
+    title: series.title,
+    position: index === -1 ? null : index + 1,
+    total: published.length,
+    previous: index > 0 ? toSeriesEntry(published[index - 1]) : null,
+    next: index !== -1 && index < published.length - 1 ? toSeriesEntry(published[index + 1]) : null,
+  };
+}
+
+module.exports = {
+  MAX_SERIES_POSITION,
+  getSeries,
+  createSeries,
+  listSeriesPosts,
+  getNextPosition,
+  toSeriesEntry,
+  getNavigation,
+};
@@ -0,0 +1,218 @@
+"use strict";
+
+const crypto = require("crypto");
+const { DynamoDBClient } = require("@aws-sdk/client-dynamodb");
+const {
+  DynamoDBDocumentClient,
+  GetCommand,
+  PutCommand,
+  QueryCommand,
+  DeleteCommand,
+} = require("@aws-sdk/lib-dynamodb");
+
+/**
+ * SLUG UTILITY
+ * ============
+ * Slugs des articles (URLs lisibles: /posts/slug/mon-premier-article)
+ *
+ * Table POST_SLUGS_TABLE: une entrée par slug attribué { slug, postId, createdAt }
+ * - La clé "slug" garantit l'unicité (écriture conditionnelle)
+ * - Les anciens slugs d'un article restent enregistrés: ils redirigent vers le slug actuel
+ * - Index PostIndex (postId): slugs d'un article, pour les libérer à la suppression
+ */
+
+const dynamoClient = new DynamoDBClient({});
+const dynamodb = DynamoDBDocumentClient.from(dynamoClient);
+
+const POST_SLUGS_TABLE = process.env.POST_SLUGS_TABLE;
+
+const MAX_SLUG_LENGTH = 80;
+
+// Slug numéroté essayé avant de recourir à un suffixe aléatoire ("titre-2" ... "titre-10")
+const MAX_NUMBERED_SUFFIX = 10;
+
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+// Lettres non décomposées par la normalisation Unicode
+const SPECIAL_LETTERS = {
+  œ: "oe",
+  æ: "ae",
+  ß: "ss",
+  ø: "o",
+  đ: "d",
+  ł: "l",
+};
+
+/**
+ * Génère un slug à partir d'un texte
+ * "L'été à Montréal : où manger ?" -> "l-ete-a-montreal-ou-manger"
+ * @param {string} text - Texte source (titre)
+ * @param {number} maxLength - Longueur maximale
+ * @param {string} fallback - Valeur renvoyée si le texte ne contient aucun caractère utilisable
+ * @returns {string} Slug
+ */
+function slugify(text, maxLength = MAX_SLUG_LENGTH, fallback = "post") {
+  let slug = String(text || "")
+    .toLowerCase()
+    .replace(/[œæßøđł]/g, (letter) => SPECIAL_LETTERS[letter])
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+  // Couper sur une frontière de mot
+  if (slug.length > maxLength) {
+    slug = slug.slice(0, maxLength);
+    const lastDash = slug.lastIndexOf("-");
+    if (lastDash > maxLength / 2) {
+      slug = slug.slice(0, lastDash);
+    }
+    slug = slug.replace(/-+$/g, "");
+  }
+
+  return slug || fallback;
+}
+
+/**
+ * Vérifie le format d'un slug (minuscules, chiffres, tirets simples)
+ * @param {string} slug - Slug
+ * @returns {boolean} True si valide
+ */
+function isValidSlug(slug) {
+  return typeof slug === "string" && slug.length <= MAX_SLUG_LENGTH && SLUG_PATTERN.test(slug);
+}
+
+/**
+ * Enregistre un slug pour un article
+ * Échoue (ConditionalCheckFailedException) si le slug appartient à un autre article
+ * Un article peut reprendre l'un de ses anciens slugs
+ * @param {string} slug - Slug
+ * @param {string} postId - ID de l'article
+ * @param {string} now - Date ISO
+ */
+async function claimSlug(slug, postId, now) {
+  await dynamodb.send(
+    new PutCommand({
+      TableName: POST_SLUGS_TABLE,
+      Item: {
+        slug: slug,
+        postId: postId,
+        createdAt: now,
+      },
+      ConditionExpression: "attribute_not_exists(slug) OR postId = :postId",
+      ExpressionAttributeValues: {
+        ":postId": postId,
+      },
+    })
+  );
+}
+
+/**
+ * Réserve un slug unique dérivé d'un slug de base
+ * Essaie "base", puis "base-2" ... "base-10", puis "base-<aléatoire>"
+ * @param {string} base - Slug souhaité
+ * @param {string} postId - ID de l'article
+ * @param {string} now - Date ISO
+ * @returns {Promise<string>} Slug réservé
+ */
+async function reserveUniqueSlug(base, postId, now) {
+  const candidates = [base];
+  for (let n = 2; n <= MAX_NUMBERED_SUFFIX; n++) {
+    candidates.push(`${slugify(base, MAX_SLUG_LENGTH - String(n).length - 1)}-${n}`);
+  }
+  candidates.push(`${slugify(base, MAX_SLUG_LENGTH - 7)}-${crypto.randomBytes(3).toString("hex")}`);
+
+  for (const candidate of candidates) {
+    try {
+      await claimSlug(candidate, postId, now);
+      return candidate;
+    } catch (error) {
+      if (error.name !== "ConditionalCheckFailedException") {
+        throw error;
+      }
+    }
+  }
+
+  throw new Error(`Could not reserve a unique slug for "${base}"`);
+}
+
+/**
+ * Récupère l'entrée d'un slug
+ * @param {string} slug - Slug
+ * @returns {Promise<object|null>} {slug, postId, createdAt} ou null
+ */
+async function getSlug(slug) {
+  const result = await dynamodb.send(
+    new GetCommand({
+      TableName: POST_SLUGS_TABLE,
+      Key: { slug: slug },
+    })
+  );
+  return result.Item || null;
+}
+
+/**
+ * Libère un slug réservé par un article (ex: échec de création de l'article)
+ * @param {string} slug - Slug
+ * @param {string} postId - ID de l'article
+ */
+async function releaseSlug(slug, postId) {
+  try {
+    await dynamodb.send(
+      new DeleteCommand({
+        TableName: POST_SLUGS_TABLE,
+        Key: { slug: slug },
+        ConditionExpression: "postId = :postId",
+        ExpressionAttributeValues: {
+          ":postId": postId,
+        },
+      })
+    );
+  } catch (error) {
+    if (error.name !== "ConditionalCheckFailedException") {
+      throw error;
+    }
+  }
+}
+
+/**
+ * Libère tous les slugs (actuel et anciens) d'un article
+ * @param {string} postId - ID de l'article
+ * @returns {Promise<number>} Nombre de slugs libérés
+ */
+async function deleteAllForPost(postId) {
+  let deleted = 0;
+  let lastKey;
+
+  do {
+    const result = await dynamodb.send(
+      new QueryCommand({
+        TableName: POST_SLUGS_TABLE,
+        IndexName: "PostIndex",
+        KeyConditionExpression: "postId = :postId",
+        ExpressionAttributeValues: {
+          ":postId": postId,
+        },
+        ExclusiveStartKey: lastKey,
+      })
+    );
+
+    await Promise.all(result.Items.map((item) => releaseSlug(item.slug, postId)));
+
+    deleted += result.Items.length;
+    lastKey = result.LastEvaluatedKey;
+  } while (lastKey);
+
+  return deleted;
+}
+
+module.exports = {
+  MAX_SLUG_LENGTH,
+  slugify,
+  isValidSlug,
+  claimSlug,
+  reserveUniqueSlug,
+  getSlug,
+  releaseSlug,
+  deleteAllForPost,
+};
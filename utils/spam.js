@@ -0,0 +1,182 @@
+"use strict";
+
+/**
+ * SPAM UTILITY
+ * ============
+ * Score de spam des nouveaux commentaires (règles locales, sans service externe)
+ *
+ * Chaque règle déclenchée ajoute des points et une raison:
+ * - links: liens dans le contenu (au-delà de maxLinks, pénalité supplémentaire)
+ * - blocked_word: mots ou expressions interdits
+ * - duplicate: contenu identique à un commentaire récent du même utilisateur
+ * - rate: trop de commentaires de l'utilisateur sur une courte période
+ * - new_account: compte créé récemment
+ *
+ * Décision: score < approveBelow -> approved, score >= rejectAt -> rejected, sinon pending.
+ * Les seuils et les points de chaque règle sont configurables par variables d'environnement (voir getConfig).
+ */
+
+const DEFAULT_BLOCKED_WORDS = ["viagra", "cialis", "casino", "porn", "escort", "payday loan", "free money"];
+
+const DEFAULTS = {
+  approveBelow: 1,
+  rejectAt: 5,
+  maxLinks: 2,
+  linkPoints: 1,
+  excessLinksPoints: 3,
+  blockedWords: DEFAULT_BLOCKED_WORDS,
+  blockedWordPoints: 3,
+  duplicatePoints: 4,
+  duplicateWindowHours: 24,
+  rateLimit: 5,
+  rateWindowMinutes: 10,
+  ratePoints: 3,
+  newAccountHours: 24,
+  newAccountPoints: 1,
+};
+
+/**
+ * Lit un nombre dans l'environnement
+ * @param {string} value - Valeur brute
+ * @param {number} fallback - Valeur par défaut
+ * @returns {number} Nombre
+ */
+function readNumber(value, fallback) {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+}
+
+/**
+ * Configuration du score de spam
+ * Variables: SPAM_APPROVE_BELOW, SPAM_REJECT_AT, SPAM_MAX_LINKS, SPAM_LINK_POINTS, SPAM_EXCESS_LINKS_POINTS,
+ * SPAM_BLOCKED_WORDS (liste séparée par des virgules), SPAM_BLOCKED_WORD_POINTS, SPAM_DUPLICATE_POINTS,
+ * SPAM_DUPLICATE_WINDOW_HOURS, SPAM_RATE_LIMIT, SPAM_RATE_WINDOW_MINUTES, SPAM_RATE_POINTS,
+ * SPAM_NEW_ACCOUNT_HOURS, SPAM_NEW_ACCOUNT_POINTS
+ * @param {object} env - Variables d'environnement
+ * @returns {object} Configuration
+ */
+function getConfig(env = process.env) {
+  return {
+    ...DEFAULTS,
+    approveBelow: readNumber(env.SPAM_APPROVE_BELOW, DEFAULTS.approveBelow),
+    rejectAt: readNumber(env.SPAM_REJECT_AT, DEFAULTS.rejectAt),
+    maxLinks: readNumber(env.SPAM_MAX_LINKS, DEFAULTS.maxLinks),
+    linkPoints: readNumber(env.SPAM_LINK_POINTS, DEFAULTS.linkPoints),
+    excessLinksPoints: readNumber(env.SPAM_EXCESS_LINKS_POINTS, DEFAULTS.excessLinksPoints),
+    blockedWords: env.SPAM_BLOCKED_WORDS
+      ? env.SPAM_BLOCKED_WORDS.split(",")
+          .map((word) => normalizeText(word))
+          .filter(Boolean)
+      : DEFAULTS.blockedWords,
+    blockedWordPoints: readNumber(env.SPAM_BLOCKED_WORD_POINTS, DEFAULTS.blockedWordPoints),
+    duplicatePoints: readNumber(env.SPAM_DUPLICATE_POINTS, DEFAULTS.duplicatePoints),
+    duplicateWindowHours: readNumber(env.SPAM_DUPLICATE_WINDOW_HOURS, DEFAULTS.duplicateWindowHours),
+    rateLimit: readNumber(env.SPAM_RATE_LIMIT, DEFAULTS.rateLimit),
+    rateWindowMinutes: readNumber(env.SPAM_RATE_WINDOW_MINUTES, DEFAULTS.rateWindowMinutes),
+    ratePoints: readNumber(env.SPAM_RATE_POINTS, DEFAULTS.ratePoints),
+    newAccountHours: readNumber(env.SPAM_NEW_ACCOUNT_HOURS, DEFAULTS.newAccountHours),
+    newAccountPoints: readNumber(env.SPAM_NEW_ACCOUNT_POINTS, DEFAULTS.newAccountPoints),
+  };
+}
+
+/**
+ * Normalise un texte pour la comparaison (minuscules, sans accents ni ponctuation)
+ * @param {string} text - Texte
+ * @returns {string} Texte normalisé
+ */
+function normalizeText(text) {
+  return (text || "")
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+/**
+ * Compte les liens d'un texte
+ * @param {string} text - Texte
+ * @returns {number} Nombre de liens
+ */
+function countLinks(text) {
+  const links = (text || "").match(/\b(?:https?:\/\/|www\.)[^\s<>"]+/gi);
+  return links ? links.length : 0;
+}
+
+/**
+ * Calcule le score de spam d'un commentaire
+ * @param {object} input - {content, recentComments: [{content, createdAt}], accountCreatedAt, now}
+ *   recentComments: commentaires récents du même utilisateur (au moins sur duplicateWindowHours)
+ * @param {object} config - Configuration (getConfig)
+ * @returns {object} {score, reasons: [{rule, points, detail}], decision}
+ */
+function scoreComment({ content, recentComments = [], accountCreatedAt, now }, config = getConfig()) {
+  const reasons = [];
+  const nowMs = new Date(now).getTime();
+
+  const links = countLinks(content);
+  if (links > 0) {
+    const excess = links > config.maxLinks ? config.excessLinksPoints : 0;
+    reasons.push({ rule: "links", points: links * config.linkPoints + excess, detail: `${links} link(s)` });
+  }
+
+  const normalized = normalizeText(content);
+  const padded = ` ${normalized} `;
+  const blocked = config.blockedWords.filter((word) => padded.includes(` ${word} `));
+  if (blocked.length > 0) {
+    reasons.push({
+      rule: "blocked_word",
+      points: blocked.length * config.blockedWordPoints,
+      detail: `Blocked words: ${blocked.join(", ")}`,
+    });
+  }
+
+  const duplicateSince = nowMs - config.duplicateWindowHours * 3600 * 1000;
+  const duplicate = recentComments.some(
+    (comment) =>
+      new Date(comment.createdAt).getTime() >= duplicateSince && normalizeText(comment.content) === normalized
+  );
+  if (duplicate && normalized.length > 0) {
+    reasons.push({ rule: "duplicate", points: config.duplicatePoints, detail: "Same content posted recently" });
+  }
+
+  const rateSince = nowMs - config.rateWindowMinutes * 60 * 1000;
+  const recentCount = recentComments.filter((comment) => new Date(comment.createdAt).getTime() >= rateSince).length;
+  if (recentCount >= config.rateLimit) {
+    reasons.push({
+      rule: "rate",
+      points: config.ratePoints,
+      detail: `${recentCount} comments in the last ${config.rateWindowMinutes} minutes`,
+    });
+  }
+
+  if (accountCreatedAt) {
+    const accountAgeHours = (nowMs - new Date(accountCreatedAt).getTime()) / (3600 * 1000);
+    if (accountAgeHours < config.newAccountHours) {
+      reasons.push({
+        rule: "new_account",
+        points: config.newAccountPoints,
+        detail: `Account created ${Math.floor(accountAgeHours)} hour(s) ago`,
+      });
+    }
+  }
+
+  const score = reasons.reduce((total, reason) => total + reason.points, 0);
+
+  let decision = "pending";
+  if (score >= config.rejectAt) {
+    decision = "rejected";
+  } else if (score < config.approveBelow) {
+    decision = "approved";
+  }
+
+  return { score, reasons, decision };
+}
+
+module.exports = {
+  DEFAULTS,
+  getConfig,
+  normalizeText,
+  countLinks,
+  scoreComment,
+};
@@ -0,0 +1,313 @@
+"use strict";
+
+const { DynamoDBClient } = require("@aws-sdk/client-dynamodb");
+const { DynamoDBDocumentClient, GetCommand, UpdateCommand, TransactWriteCommand } = require("@aws-sdk/lib-dynamodb");
+
+/**
+ * STORAGE UTILITY
+ * ===============
+ * Quotas de stockage des médias par utilisateur
+ *
+ * Chaque utilisateur (USERS_TABLE) porte son usage: storageBytes (octets) et storageFiles (fichiers).
+ * Les compteurs sont mis à jour dans la même transaction que l'ajout ou la suppression du média,
+ * la condition de quota étant vérifiée à l'ajout. Un média en cours d'upload direct compte déjà.
+ * La taille d'un média comprend ses variantes (images), ajoutées à l'usage après leur génération.
+ *
+ * Le quota vient du rôle (ROLE_QUOTAS), sauf surcharge par un administrateur:
+ * storageQuota { maxBytes, maxFiles } sur l'utilisateur, champ par champ.
+ * Une limite null signifie illimité.
+ */
+
+const dynamoClient = new DynamoDBClient({});
+const dynamodb = DynamoDBDocumentClient.from(dynamoClient);
+
+const USERS_TABLE = process.env.USERS_TABLE;
+const MEDIA_TABLE = process.env.MEDIA_TABLE;
+
+const GB = 1024 * 1024 * 1024;
+
+// Quotas par rôle (null = illimité)
+const ROLE_QUOTAS = {
+  reader: { maxBytes: 0, maxFiles: 0 },
+  author: { maxBytes: 1 * GB, maxFiles: 1000 },
+  editor: { maxBytes: 5 * GB, maxFiles: 5000 },
+  moderator: { maxBytes: 0, maxFiles: 0 },
+  admin: { maxBytes: null, maxFiles: null },
+};
+
+/**
+ * Quota applicable à un utilisateur
+ * @param {object} user - Utilisateur
+ * @returns {object} {maxBytes, maxFiles, overridden}
+ */
+function getQuota(user) {
+  const roleQuota = ROLE_QUOTAS[user.role] || { maxBytes: 0, maxFiles: 0 };
+  const override = user.storageQuota || {};
+
+  return {
+    maxBytes: override.maxBytes !== undefined ? override.maxBytes : roleQuota.maxBytes,
+    maxFiles: override.maxFiles !== undefined ? override.maxFiles : roleQuota.maxFiles,
+    overridden: user.storageQuota !== undefined,
+  };
+}
+
+/**
+ * Usage et quota d'un utilisateur
+ * @param {object} user - Utilisateur
+ * @returns {object} {usage: {bytes, files}, quota: {maxBytes, maxFiles, overridden}, remaining: {bytes, files}}
+ */
+function getStorageReport(user) {
+  const usage = {
+    bytes: user.storageBytes || 0,
+    files: user.storageFiles || 0,
+  };
+  const quota = getQuota(user);
+
+  return {
+    usage: usage,
+    quota: quota,
+    remaining: {
+      bytes: quota.maxBytes === null ? null : Math.max(quota.maxBytes - usage.bytes, 0),
+      files: quota.maxFiles === null ? null : Math.max(quota.maxFiles - usage.files, 0),
+    },
+  };
+}
+
+/**
+ * Indique si un fichier tient dans le quota restant
+ * @param {object} report - Rapport (getStorageReport)
+ * @param {number} size - Taille du fichier
+ * @returns {boolean} True si le fichier peut être ajouté
+ */
+function fits(report, size) {
+  return (
+    (report.remaining.bytes === null || size <= report.remaining.bytes) &&
+    (report.remaining.files === null || report.remaining.files >= 1)
+  );
+}
+
+/**
+ * Taille stockée d'un média: fichier et variantes
+ * @param {object} media - Média {size, variants}
+ * @returns {number} Taille en octets
+ */
+function getStoredSize(media) {
+  return Object.values(media.variants || {}).reduce((total, variant) => total + (variant.size || 0), media.size || 0);
+}
+
+/**
+ * Récupère un utilisateur
+ * @param {string} userId - ID de l'utilisateur
+ * @returns {Promise<object|null>} Utilisateur ou null
+ */
+async function getUser(userId) {
+  const result = await dynamodb.send(
+    new GetCommand({
+      TableName: USERS_TABLE,
+      Key: { userId: userId },
+    })
+  );
+  return result.Item || null;
+}
+
+/**
+ * Vérifie le quota avant un upload (lecture simple: addMedia reste la vérification qui fait foi)
+ * @param {string} userId - ID de l'utilisateur
+ * @param {number} size - Taille du fichier
+ * @returns {Promise<object>} {allowed, report}
+ */
+async function checkQuota(userId, size) {
+  const user = await getUser(userId);
+  if (!user) {
+    return { allowed: false, report: null };
+  }
+  const report = getStorageReport(user);
+  return { allowed: fits(report, size), report };
+}
+
+/**
+ * Enregistre un média et l'ajoute à l'usage de son propriétaire, si le quota le permet
+ * @param {object} media - Média à créer {mediaId, userId, size, ...}
+ * @returns {Promise<object>} {created: true} ou {created: false, report}
+ */
+async function addMedia(media) {
+  const user = await getUser(media.userId);
+  if (!user) {
+    return { created: false, report: null };
+  }
+
+  const report = getStorageReport(user);
+  if (!fits(report, media.size)) {
+    return { created: false, report };
+  }
+
+  // Le quota est revérifié par la condition: deux uploads simultanés ne peuvent pas le dépasser
+  const quota = report.quota;
+  const conditions = ["attribute_exists(userId)"];
+  const values = { ":size": media.size, ":one": 1 };
+
+  if (quota.maxBytes !== null) {
+    conditions.push("(attribute_not_exists(storageBytes) OR storageBytes <= :maxUsedBytes)");
+    values[":maxUsedBytes"] = quota.maxBytes - media.size;
+  }
+  if (quota.maxFiles !== null) {
+    conditions.push("(attribute_not_exists(storageFiles) OR storageFiles < :maxFiles)");
+    values[":maxFiles"] = quota.maxFiles;
+  }
+
+  try {
+    await dynamodb.send(
+      new TransactWriteCommand({
+        TransactItems: [
+          {
+            Put: {
+              TableName: MEDIA_TABLE,
+              Item: media,
+              ConditionExpression: "attribute_not_exists(mediaId)",
+            },
+          },
+          {
+            Update: {
+              TableName: USERS_TABLE,
+              Key: { userId: media.userId },
+              UpdateExpression: "ADD storageBytes :size, storageFiles :one",
+              ConditionExpression: conditions.join(" AND "),
+              ExpressionAttributeValues: values,
+            },
+          },
+        ],
+      })
+    );
+    return { created: true };
+  } catch (error) {
+    const quotaFailed =
+      error.name === "TransactionCanceledException" &&
+      error.CancellationReasons?.[1]?.Code === "ConditionalCheckFailed";
+    if (!quotaFailed) {
+      throw error;
+    }
+    const current = await getUser(media.userId);
+    return { created: false, report: current ? getStorageReport(current) : null };
+  }
+}
+
+/**
+ * Supprime un média et le retire de l'usage de son propriétaire (fichier et variantes)
+ * @param {object} media - Média {mediaId, userId, size, variants}
+ * @param {object} options
+ * @param {boolean} options.pendingOnly - Ne supprimer que si l'upload est toujours en attente
+ * @returns {Promise<boolean>} False si le média n'existait plus (ou n'était plus en attente)
+ */
+async function removeMedia(media, { pendingOnly = false } = {}) {
+  const deleteItem = {
+    TableName: MEDIA_TABLE,
+    Key: { mediaId: media.mediaId },
+    ConditionExpression: "attribute_exists(mediaId)",
+  };
+
+  if (pendingOnly) {
+    deleteItem.ConditionExpression = "#status = :pending";
+    deleteItem.ExpressionAttributeNames = { "#status": "status" };
+    deleteItem.ExpressionAttributeValues = { ":pending": "pending" };
+  }
+
+  try {
+    await dynamodb.send(
+      new TransactWriteCommand({
+        TransactItems: [
+          { Delete: deleteItem },
+          {
+            Update: {
+              TableName: USERS_TABLE,
+              Key: { userId: media.userId },
+              UpdateExpression: "ADD storageBytes :size, storageFiles :one",
+              ConditionExpression: "attribute_exists(userId)",
+              ExpressionAttributeValues: { ":size": -getStoredSize(media), ":one": -1 },
+            },
+          },
+        ],
+      })
+    );
+    return true;
+  } catch (error) {
+    if (
+      error.name === "TransactionCanceledException" &&
+      error.CancellationReasons?.[0]?.Code === "ConditionalCheckFailed"
+    ) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Met à jour un média et reporte la variation de sa taille sur l'usage de son propriétaire, en une transaction
+ * (une mise à jour conditionnelle rejouée ne compte pas deux fois la variation)
+ * @param {object} media - Média {mediaId, userId}
+ * @param {object} update - Mise à jour du média {UpdateExpression, ConditionExpression, ExpressionAttributeNames, ...}
+ * @param {number} bytes - Variation en octets
+ * @returns {Promise<boolean>} False si la condition de la mise à jour du média a échoué
+ */
+async function updateMedia(media, update, bytes) {
+  const transactItems = [{ Update: { TableName: MEDIA_TABLE, Key: { mediaId: media.mediaId }, ...update } }];
+
+  if (bytes !== 0) {
+    transactItems.push({
+      Update: {
+        TableName: USERS_TABLE,
+        Key: { userId: media.userId },
+        UpdateExpression: "ADD storageBytes :bytes",
+        ConditionExpression: "attribute_exists(userId)",
+        ExpressionAttributeValues: { ":bytes": bytes },
+      },
+    });
+  }
+
+  try {
+    await dynamodb.send(new TransactWriteCommand({ TransactItems: transactItems }));
+    return true;
+  } catch (error) {
+    if (
+      error.name === "TransactionCanceledException" &&
+      error.CancellationReasons?.[0]?.Code === "ConditionalCheckFailed"
+    ) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Remplace l'usage d'un utilisateur (recalcul complet)
+ * @param {string} userId - ID de l'utilisateur
+ * @param {object} usage - {bytes, files}
+ */
+async function setUsage(userId, usage) {
+  try {
+    await dynamodb.send(
+      new UpdateCommand({
+        TableName: USERS_TABLE,
+        Key: { userId: userId },
+        UpdateExpression: "SET storageBytes = :bytes, storageFiles = :files",
+        ConditionExpression: "attribute_exists(userId)",
+        ExpressionAttributeValues: { ":bytes": usage.bytes, ":files": usage.files },
+      })
+    );
+  } catch (error) {
+    if (error.name !== "ConditionalCheckFailedException") {
+      throw error;
+    }
+  }
+}
+
+module.exports = {
+  ROLE_QUOTAS,
+  getQuota,
+  getStorageReport,
+  getStoredSize,
+  checkQuota,
+  addMedia,
+  removeMedia,
+  updateMedia,
+  setUsage,
+};
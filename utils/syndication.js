@@ -0,0 +1,233 @@
+"use strict";
+
+const crypto = require("crypto");
+
+/**
+ * SYNDICATION UTILITY
+ * ===================
+ * Génération des flux RSS 2.0, Atom 1.0 et JSON Feed 1.1, et requêtes conditionnelles
+ *
+ * Un flux est décrit par:
+ * - channel: { title, description, siteUrl, feedUrl, updated }
+ * - items: [{ id, title, url, summary, contentHtml, authorName, tags, publishedAt, updatedAt }]
+ * Les dates sont des dates ISO; updated vaut null pour un flux vide.
+ */
+
+// Formats disponibles (extension de l'URL -> type de contenu)
+const FORMATS = {
+  rss: "application/rss+xml; charset=utf-8",
+  atom: "application/atom+xml; charset=utf-8",
+  json: "application/feed+json; charset=utf-8",
+};
+
+// Date de référence d'un flux Atom vide (updated est obligatoire)
+const EPOCH = "1970-01-01T00:00:00.000Z";
+
+// Caractères interdits en XML 1.0
+const INVALID_XML_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+
+/**
+ * Échappe une valeur pour un contenu ou un attribut XML
+ * @param {*} value - Valeur (convertie en chaîne)
+ * @returns {string} Valeur échappée
+ */
+function escapeXml(value) {
+  return String(value ?? "")
+    .replace(INVALID_XML_CHARS, "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+/**
+ * Date au format RFC 822 (RSS, en-têtes HTTP)
+ * @param {string} iso - Date ISO
+ * @returns {string} Date RFC 822
+ */
+function toHttpDate(iso) {
+  return new Date(iso).toUTCString();
+}
+
+/**
+ * Construit un flux RSS 2.0
+ * @param {object} channel - Description du flux
+ * @param {array} items - Articles
+ * @returns {string} Document XML
+ */
+function buildRss(channel, items) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">',
+    "<channel>",
+    `<title>${escapeXml(channel.title)}</title>`,
+    `<link>${escapeXml(channel.siteUrl)}</link>`,
+    `<description>${escapeXml(channel.description)}</description>`,
+    `<atom:link href="${escapeXml(channel.feedUrl)}" rel="self" type="application/rss+xml"/>`,
+  ];
+
+  if (channel.updated) {
+    lines.push(`<lastBuildDate>${toHttpDate(channel.updated)}</lastBuildDate>`);
+  }
+
+  for (const item of items) {
+    lines.push(
+      "<item>",
+      `<title>${escapeXml(item.title)}</title>`,
+      `<link>${escapeXml(item.url)}</link>`,
+      `<guid isPermaLink="false">urn:uuid:${escapeXml(item.id)}</guid>`,
+      `<pubDate>${toHttpDate(item.publishedAt)}</pubDate>`,
+      `<dc:creator>${escapeXml(item.authorName)}</dc:creator>`,
+      ...item.tags.map((tag) => `<category>${escapeXml(tag)}</category>`),
+      `<description>${escapeXml(item.summary)}</description>`,
+      `<content:encoded>${escapeXml(item.contentHtml)}</content:encoded>`,
+      "</item>"
+    );
+  }
+
+  lines.push("</channel>", "</rss>");
+  return lines.join("\n");
+}
+
+/**
+ * Construit un flux Atom 1.0
+ * @param {object} channel - Description du flux
+ * @param {array} items - Articles
+ * @returns {string} Document XML
+ */
+function buildAtom(channel, items) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `<id>${escapeXml(channel.feedUrl)}</id>`,
+    `<title>${escapeXml(channel.title)}</title>`,
+    `<subtitle>${escapeXml(channel.description)}</subtitle>`,
+    `<link rel="self" type="application/atom+xml" href="${escapeXml(channel.feedUrl)}"/>`,
+    `<link rel="alternate" type="text/html" href="${escapeXml(channel.siteUrl)}"/>`,
+    `<updated>${channel.updated || EPOCH}</updated>`,
+  ];
+
+  for (const item of items) {
+    lines.push(
+      "<entry>",
+      `<id>urn:uuid:${escapeXml(item.id)}</id>`,
+      `<title>${escapeXml(item.title)}</title>`,
+      `<link rel="alternate" type="text/html" href="${escapeXml(item.url)}"/>`,
+      `<published>${item.publishedAt}</published>`,
+      `<updated>${item.updatedAt || item.publishedAt}</updated>`,
+      `<author><name>${escapeXml(item.authorName)}</name></author>`,
+      ...item.tags.map((tag) => `<category term="${escapeXml(tag)}"/>`),
+      `<summary>${escapeXml(item.summary)}</summary>`,
+      `<content type="html">${escapeXml(item.contentHtml)}</content>`,
+      "</entry>"
+    );
+  }
+
+  lines.push("</feed>");
+  return lines.join("\n");
+}
+
+/**
+ * Construit un flux JSON Feed 1.1
+ * @param {object} channel - Description du flux
+ * @param {array} items - Articles
+ * @returns {string} Document JSON
+ */
+function buildJsonFeed(channel, items) {
+  return JSON.stringify({
+    version: "https://jsonfeed.org/version/1.1",
+    title: channel.title,
+    description: channel.description,
+    home_page_url: channel.siteUrl,
+    feed_url: channel.feedUrl,
+    items: items.map((item) => ({
+      id: item.id,
+      url: item.url,
+      title: item.title,
+      summary: item.summary,
+      content_html: item.contentHtml,
+      date_published: item.publishedAt,
+      date_modified: item.updatedAt || item.publishedAt,
+      authors: [{ name: item.authorName }],
+      tags: item.tags,
+    })),
+  });
+}
+
+/**
+ * Construit un flux dans le format demandé
+ * @param {string} format - "rss", "atom" ou "json"
+ * @param {object} channel - Description du flux
+ * @param {array} items - Articles
+ * @returns {string} Corps de la réponse
+ */
+function render(format, channel, items) {
+  if (format === "atom") {
+    return buildAtom(channel, items);
+  }
+  if (format === "json") {
+    return buildJsonFeed(channel, items);
+  }
+  return buildRss(channel, items);
+}
+
+/**
+ * Date de dernière modification d'un ensemble d'articles
+ * @param {array} items - Articles
+ * @returns {string|null} Date ISO la plus récente (publication ou modification), null si vide
+ */
+function getLastModified(items) {
+  return items.reduce((latest, item) => {
+    const date = item.updatedAt && item.updatedAt > item.publishedAt ? item.updatedAt : item.publishedAt;
+    return !latest || date > latest ? date : latest;
+  }, null);
+}
+
+/**
+ * ETag fort d'un corps de réponse
+ * @param {string} body - Corps de la réponse
+ * @returns {string} ETag entre guillemets
+ */
+function computeETag(body) {
+  return `"${crypto.createHash("sha256").update(body).digest("base64url").slice(0, 27)}"`;
+}
+
+/**
+ * Indique si la copie du client est à jour (If-None-Match prioritaire sur If-Modified-Since)
+ * @param {object} requestHeaders - En-têtes de la requête
+ * @param {string} etag - ETag de la réponse
+ * @param {string|null} lastModified - Date ISO de dernière modification
+ * @returns {boolean} True pour répondre 304 Not Modified
+ */
+function isNotModified(requestHeaders, etag, lastModified) {
+  const headers = Object.fromEntries(
+    Object.entries(requestHeaders || {}).map(([name, value]) => [name.toLowerCase(), value])
+  );
+
+  if (headers["if-none-match"]) {
+    return headers["if-none-match"]
+      .split(",")
+      .map((tag) => tag.trim().replace(/^W\//, ""))
+      .some((tag) => tag === "*" || tag === etag);
+  }
+
+  if (headers["if-modified-since"] && lastModified) {
+    const since = Date.parse(headers["if-modified-since"]);
+    // Les dates HTTP sont à la seconde près. Égalité stricte: la date peut reculer quand l'article
+    // le plus récent est retiré, et la copie du client n'est alors plus à jour
+    return !isNaN(since) && Math.floor(Date.parse(lastModified) / 1000) === Math.floor(since / 1000);
+  }
+
+  return false;
+}
+
+module.exports = {
+  FORMATS,
+  escapeXml,
+  toHttpDate,
+  render,
+  getLastModified,
+  computeETag,
+  isNotModified,
+};
@@ -0,0 +1,402 @@
+"use strict";
+
+const { DynamoDBClient } = require("@aws-sdk/client-dynamodb");
+const {
+  DynamoDBDocumentClient,
+  GetCommand,
+  PutCommand,
+  UpdateCommand,
+  DeleteCommand,
+  QueryCommand,
+  ScanCommand,
+} = require("@aws-sdk/lib-dynamodb");
+
+const slugs = require("./slugs");
+
+/**
+ * TAGS UTILITY
+ * ============
+ * Taxonomie des tags
+ *
+ * - TAGS_TABLE: un tag par slug { slug, name (nom canonique), description, postCount }
+ *   postCount = nombre d'articles publiés portant le tag
+ * - POST_TAGS_TABLE: appartenance article <-> tag { tagSlug, postId, publishedTag?, publishedAt? }
+ *   publishedTag n'est renseigné que pour les articles publiés: l'index PublishedIndex
+ *   (publishedTag + publishedAt) ne contient donc que les articles publiés
+ *
+ * Les articles conservent leurs tags sous forme de noms canoniques (post.tags).
+ * Les appartenances et compteurs sont maintenus à partir du flux de la table Posts.
+ */
+
+const dynamoClient = new DynamoDBClient({});
+const dynamodb = DynamoDBDocumentClient.from(dynamoClient);
+
+const TAGS_TABLE = process.env.TAGS_TABLE;
+const POST_TAGS_TABLE = process.env.POST_TAGS_TABLE;
+
+const MAX_TAG_LENGTH = 50;
+
+/**
+ * Nettoie un nom de tag (espaces superflus)
+ * @param {string} name - Nom saisi
+ * @returns {string} Nom nettoyé
+ */
+function cleanTagName(name) {
+  return String(name || "")
+    .trim()
+    .replace(/\s+/g, " ");
+}
+
+/**
+ * Calcule le slug d'un tag ("Node.js" -> "node-js")
+ * @param {string} name - Nom du tag
+ * @returns {string|null} Slug, ou null si le nom ne contient ni lettre ni chiffre
+ */
+function tagSlug(name) {
+  return slugs.slugify(cleanTagName(name), MAX_TAG_LENGTH, null);
+}
+
+/**
+ * Récupère un tag
+ * @param {string} slug - Slug du tag
+ * @returns {Promise<object|null>} Tag ou null
+ */
+async function getTag(slug) {
+  const result = await dynamodb.send(
+    new GetCommand({
+      TableName: TAGS_TABLE,
+      Key: { slug: slug },
+    })
+  );
+  return result.Item || null;
+}
+
+/**
+ * Remplace les noms de tags saisis par leurs noms canoniques
+ * Les doublons (même slug) sont retirés; un tag inconnu garde le nom saisi
+ * @param {array} names - Noms de tags saisis
+ * @returns {Promise<array>} Noms canoniques
+ */
+async function canonicalizeTags(names) {
+  const unique = new Map();
+  for (const name of names || []) {
+    const slug = tagSlug(name);
+    if (slug && !unique.has(slug)) {
+      unique.set(slug, cleanTagName(name));
+    }
+  }
+
+  return Promise.all(
+    [...unique.entries()].map(async ([slug, name]) => {
+      const tag = await getTag(slug);
+      return tag ? tag.name : name;
+    })
+  );
+}
+
+/**
+ * Remplace un tag par un autre dans une liste de noms (sans doublon)
+ * @param {array} names - Tags d'un article
+ * @param {string} fromSlug - Slug du tag à remplacer
+ * @param {string} toName - Nom canonique du tag de remplacement
+ * @returns {array} Nouvelle liste
+ */
+function replaceTag(names, fromSlug, toName) {
+  const toSlug = tagSlug(toName);
+  const result = [];
+  const seen = new Set();
+
+  for (const name of names || []) {
+    const slug = tagSlug(name);
+    const replaced = slug === fromSlug || slug === toSlug ? toName : name;
+    const replacedSlug = tagSlug(replaced);
+    if (!seen.has(replacedSlug)) {
+      seen.add(replacedSlug);
+      result.push(replaced);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Crée un tag (échoue avec ConditionalCheckFailedException si le slug existe déjà)
+ * @param {object} tag - {slug, name, description, postCount, createdAt, updatedAt}
+ */
+async function createTag(tag) {
+  await dynamodb.send(
+    new PutCommand({
+      TableName: TAGS_TABLE,
+      Item: tag,
+      ConditionExpression: "attribute_not_exists(slug)",
+    })
+  );
+}
+
+/**
+ * Met à jour le nom et/ou la description d'un tag
+ * @param {string} slug - Slug du tag
+ * @param {object} changes - {name, description}
+ * @param {string} now - Date ISO
+ * @returns {Promise<object>} Tag mis à jour
+ */
+async function updateTag(slug, changes, now) {
+  const updates = ["updatedAt = :now"];
+  const expressionAttributeValues = { ":now": now };
+  const expressionAttributeNames = {};
+
+  if (changes.name !== undefined) {
+    updates.push("#name = :name");
+    expressionAttributeNames["#name"] = "name";
+    expressionAttributeValues[":name"] = changes.name;
+  }
+
+  if (changes.description !== undefined) {
+    updates.push("description = :description");
+    expressionAttributeValues[":description"] = changes.description;
+  }
+
+  const result = await dynamodb.send(
+    new UpdateCommand({
+      TableName: TAGS_TABLE,
+      Key: { slug: slug },
+      UpdateExpression: `SET ${updates.join(", ")}`,
+      ConditionExpression: "attribute_exists(slug)",
+      ExpressionAttributeNames: Object.keys(expressionAttributeNames).length > 0 ? expressionAttributeNames : undefined,
+      ExpressionAttributeValues: expressionAttributeValues,
+      ReturnValues: "ALL_NEW",
+    })
+  );
+
+  return result.Attributes;
+}
+
+/**
+ * Supprime un tag (les appartenances sont retirées par le flux à la mise à jour des articles)
+ * @param {string} slug - Slug du tag
+ */
+async function deleteTag(slug) {
+  await dynamodb.send(
+    new DeleteCommand({
+      TableName: TAGS_TABLE,
+      Key: { slug: slug },
+    })
+  );
+}
+
+/**
+ * Liste tous les tags
+ * @returns {Promise<array>} Tags
+ */
+async function listTags() {
+  const items = [];
+  let lastKey;
+
+  do {
+    const result = await dynamodb.send(
+      new ScanCommand({
+        TableName: TAGS_TABLE,
+        ExclusiveStartKey: lastKey,
+      })
+    );
+    items.push(...result.Items);
+    lastKey = result.LastEvaluatedKey;
+  } while (lastKey);
+
+  return items;
+}
+
+/**
+ * Liste les IDs de tous les articles portant un tag (publiés ou non)
+ * @param {string} slug - Slug du tag
+ * @returns {Promise<array>} IDs d'articles
+ */
+async function listPostIds(slug) {
+  const postIds = [];
+  let lastKey;
+
+  do {
+    const result = await dynamodb.send(
+      new QueryCommand({
+        TableName: POST_TAGS_TABLE,
+        KeyConditionExpression: "tagSlug = :tagSlug",
+        ProjectionExpression: "postId",
+        ExpressionAttributeValues: {
+          ":tagSlug": slug,
+        },
+        ExclusiveStartKey: lastKey,
+      })
+    );
+    postIds.push(...result.Items.map((item) => item.postId));
+    lastKey = result.LastEvaluatedKey;
+  } while (lastKey);
+
+  return postIds;
+}
+
+/**
+ * Liste les articles publiés d'un tag (plus récent en premier)
+ * @param {string} slug - Slug du tag
+ * @param {number} limit - Nombre maximum d'articles
+ * @param {object} lastKey - Clé de pagination (optionnel)
+ * @returns {Promise<object>} {postIds, lastKey}
+ */
+async function listPublishedPostIds(slug, limit = 20, lastKey = null) {
+  const params = {
+    TableName: POST_TAGS_TABLE,
+    IndexName: "PublishedIndex",
+    KeyConditionExpression: "publishedTag = :tagSlug",
+    ExpressionAttributeValues: {
+      ":tagSlug": slug,
+    },
+    Limit: limit,
+    ScanIndexForward: false,
+  };
+
+  if (lastKey) {
+    params.ExclusiveStartKey = lastKey;
+  }
+
+  const result = await dynamodb.send(new QueryCommand(params));
+
+  return {
+    postIds: result.Items.map((item) => item.postId),
+    lastKey: result.LastEvaluatedKey || null,
+  };
+}
+
+/**
+ * Ajuste le compteur d'articles publiés d'un tag, en créant le tag s'il n'existe pas
+ * @param {string} slug - Slug du tag
+ * @param {string} name - Nom à utiliser si le tag est créé
+ * @param {number} delta - Variation (0 pour seulement garantir l'existence du tag)
+ * @param {string} now - Date ISO
+ */
+async function ensureTag(slug, name, delta, now) {
+  await dynamodb.send(
+    new UpdateCommand({
+      TableName: TAGS_TABLE,
+      Key: { slug: slug },
+      UpdateExpression:
+        "SET #name = if_not_exists(#name, :name), description = if_not_exists(description, :empty), " +
+        "createdAt = if_not_exists(createdAt, :now), updatedAt = if_not_exists(updatedAt, :now) ADD postCount :delta",
+      ExpressionAttributeNames: {
+        "#name": "name",
+      },
+      ExpressionAttributeValues: {
+        ":name": name,
+        ":empty": "",
+        ":now": now,
+        ":delta": delta,
+      },
+    })
+  );
+}
+
+/**
+ * Exécute une écriture conditionnelle
+ * @param {object} command - Commande DynamoDB
+ * @returns {Promise<boolean>} False si la condition a échoué
+ */
+async function sendConditional(command) {
+  try {
+    await dynamodb.send(command);
+    return true;
+  } catch (error) {
+    if (error.name === "ConditionalCheckFailedException") {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Décrémente le compteur d'un tag (ignoré si le tag a été supprimé, ex: après une fusion)
+ * @param {string} slug - Slug du tag
+ */
+async function decrementTag(slug) {
+  await sendConditional(
+    new UpdateCommand({
+      TableName: TAGS_TABLE,
+      Key: { slug: slug },
+      UpdateExpression: "ADD postCount :delta",
+      ConditionExpression: "attribute_exists(slug)",
+      ExpressionAttributeValues: {
+        ":delta": -1,
+      },
+    })
+  );
+}
+
+/**
+ * Met l'appartenance d'un article à un tag dans l'état voulu et ajuste le compteur
+ * Les écritures conditionnelles sur publishedTag rendent l'opération rejouable
+ * (un même événement du flux traité deux fois ne compte pas deux fois)
+ * @param {object} params - {slug, name, postId, state: "published"|"member"|"none", publishedAt, now}
+ */
+async function syncMembership({ slug, name, postId, state, publishedAt, now }) {
+  const key = { tagSlug: slug, postId: postId };
+
+  if (state === "published") {
+    const item = { ...key, publishedTag: slug, publishedAt: publishedAt || now };
+    const counted = await sendConditional(
+      new PutCommand({
+        TableName: POST_TAGS_TABLE,
+        Item: item,
+        ConditionExpression: "attribute_not_exists(publishedTag)",
+      })
+    );
+    if (counted) {
+      await ensureTag(slug, name, 1, now);
+    } else {
+      // Déjà compté: rafraîchir la date de publication
+      await dynamodb.send(new PutCommand({ TableName: POST_TAGS_TABLE, Item: item }));
+    }
+    return;
+  }
+
+  const unpublished =
+    state === "member"
+      ? await sendConditional(
+          new PutCommand({
+            TableName: POST_TAGS_TABLE,
+            Item: key,
+            ConditionExpression: "attribute_exists(publishedTag)",
+          })
+        )
+      : await sendConditional(
+          new DeleteCommand({
+            TableName: POST_TAGS_TABLE,
+            Key: key,
+            ConditionExpression: "attribute_exists(publishedTag)",
+          })
+        );
+
+  if (unpublished) {
+    await decrementTag(slug);
+  } else if (state === "member") {
+    await dynamodb.send(new PutCommand({ TableName: POST_TAGS_TABLE, Item: key }));
+  } else {
+    await dynamodb.send(new DeleteCommand({ TableName: POST_TAGS_TABLE, Key: key }));
+  }
+
+  if (state === "member") {
+    await ensureTag(slug, name, 0, now);
+  }
+}
+
+module.exports = {
+  MAX_TAG_LENGTH,
+  cleanTagName,
+  tagSlug,
+  getTag,
+  canonicalizeTags,
+  replaceTag,
+  createTag,
+  updateTag,
+  deleteTag,
+  listTags,
+  listPostIds,
+  listPublishedPostIds,
+  syncMembership,
+};
@@ -0,0 +1,272 @@
+"use strict";
+
+const { DynamoDBClient } = require("@aws-sdk/client-dynamodb");
+const {
+  DynamoDBDocumentClient,
+  PutCommand,
+  GetCommand,
+  UpdateCommand,
+  QueryCommand,
+} = require("@aws-sdk/lib-dynamodb");
+const crypto = require("crypto");
+const { v4: uuidv4 } = require("uuid");
+
+const jwt = require("./jwt");
+const secrets = require("./secrets");
+
+/**
+ * TOKENS UTILITY
+ * ==============
+ * Émission des paires access token / refresh token
+ *
+ * - Access token: JWT court (ACCESS_TOKEN_TTL, défaut 15m), vérifié par l'authorizer
+ * - Refresh token: valeur opaque aléatoire, stockée hashée dans la table RefreshTokens
+ *
+ * Chaque refresh token appartient à une "famille" créée au login.
+ * À chaque rafraîchissement, le token utilisé passe en "rotated" et un nouveau
+ * token de la même famille est émis. Si un token déjà utilisé est présenté à
+ * nouveau, c'est qu'il a fuité: toute la famille est révoquée.
+ *
+ * Les access tokens révoqués avant leur expiration (logout) sont inscrits
+ * dans la table RevokedTokens par leur claim "jti", jusqu'à leur expiration.
+ */
+
+const dynamoClient = new DynamoDBClient({});
+const dynamodb = DynamoDBDocumentClient.from(dynamoClient);
+
+const REFRESH_TOKENS_TABLE = process.env.REFRESH_TOKENS_TABLE;
+const REVOKED_TOKENS_TABLE = process.env.REVOKED_TOKENS_TABLE;
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+/**
+ * Hash un refresh token (seul le hash est stocké en base)
+ * @param {string} refreshToken - Refresh token en clair
+ * @returns {string} Hash SHA256 hexadécimal
+ */
+function hashRefreshToken(refreshToken) {
+  return crypto.createHash("sha256").update(refreshToken).digest("hex");
+}
+
+/**
+ * Crée et stocke un nouveau refresh token
+ * @param {string} userId - ID de l'utilisateur
+ * @param {string} familyId - Famille du token
+ * @returns {Promise<object>} {refreshToken, tokenHash, expiresAt}
+ */
+async function createRefreshToken(userId, familyId) {
+  const refreshToken = crypto.randomBytes(48).toString("base64url");
+  const tokenHash = hashRefreshToken(refreshToken);
+  const now = Math.floor(Date.now() / 1000);
+  const expiresAt = now + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60;
+
+  await dynamodb.send(
+    new PutCommand({
+      TableName: REFRESH_TOKENS_TABLE,
+      Item: {
+        tokenHash: tokenHash,
+        userId: userId,
+        familyId: familyId,
+        status: "active", // active, rotated, revoked
+        createdAt: new Date(now * 1000).toISOString(),
+        expiresAt: expiresAt, // Utilisé aussi comme TTL DynamoDB
+      },
+      ConditionExpression: "attribute_not_exists(tokenHash)",
+    })
+  );
+
+  return { refreshToken, tokenHash, expiresAt };
+}
+
+/**
+ * Génère une paire access token / refresh token pour un utilisateur
+ * @param {object} user - Utilisateur authentifié
+ * @param {string} familyId - Famille existante (rotation) ou undefined (nouvelle session)
+ * @returns {Promise<object>} {token, refreshToken, expiresIn, tokenHash}
+ */
+async function issueTokenPair(user, familyId = uuidv4()) {
+  const jwtSecret = await secrets.getJWTSecret();
+  const token = jwt.generateToken(jwt.createUserPayload(user), jwtSecret, ACCESS_TOKEN_TTL);
+  const { refreshToken, tokenHash } = await createRefreshToken(user.userId, familyId);
+
+  return {
+    token: token,
+    refreshToken: refreshToken,
+    expiresIn: jwt.calculateExpiration(0, ACCESS_TOKEN_TTL),
+    tokenHash: tokenHash,
+  };
+}
+
+/**
+ * Récupère l'enregistrement d'un refresh token
+ * @param {string} refreshToken - Refresh token en clair
+ * @returns {Promise<object|null>} Enregistrement ou null
+ */
+async function findRefreshToken(refreshToken) {
+  const result = await dynamodb.send(
+    new GetCommand({
+      TableName: REFRESH_TOKENS_TABLE,
+      Key: { tokenHash: hashRefreshToken(refreshToken) },
+    })
+  );
+  return result.Item || null;
+}
+
+/**
+ * Marque un refresh token comme utilisé, uniquement s'il est encore actif
+ * @param {string} tokenHash - Hash du token
+ * @returns {Promise<boolean>} False si le token avait déjà été utilisé ou révoqué
+ */
+async function markRotated(tokenHash) {
+  try {
+    await dynamodb.send(
+      new UpdateCommand({
+        TableName: REFRESH_TOKENS_TABLE,
+        Key: { tokenHash: tokenHash },
+        UpdateExpression: "SET #status = :rotated, rotatedAt = :now",
+        ConditionExpression: "#status = :active",
+        ExpressionAttributeNames: {
+          "#status": "status",
+        },
+        ExpressionAttributeValues: {
+          ":rotated": "rotated",
+          ":active": "active",
+          ":now": new Date().toISOString(),
+        },
+      })
+    );
+    return true;
+  } catch (error) {
+    if (error.name === "ConditionalCheckFailedException") {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Révoque une liste d'enregistrements de refresh tokens
+ * @param {array} items - Enregistrements à révoquer
+ * @returns {Promise<number>} Nombre de tokens révoqués
+ */
+async function revokeItems(items) {
+  const now = new Date().toISOString();
+  const toRevoke = items.filter((item) => item.status !== "revoked");
+
+  await Promise.all(
+    toRevoke.map((item) =>
+      dynamodb.send(
+        new UpdateCommand({
+          TableName: REFRESH_TOKENS_TABLE,
+          Key: { tokenHash: item.tokenHash },
+          UpdateExpression: "SET #status = :revoked, revokedAt = :now",
+          ExpressionAttributeNames: {
+            "#status": "status",
+          },
+          ExpressionAttributeValues: {
+            ":revoked": "revoked",
+            ":now": now,
+          },
+        })
+      )
+    )
+  );
+
+  return toRevoke.length;
+}
+
+/**
+ * Récupère tous les éléments d'une requête sur un index (toutes les pages)
+ * @param {string} indexName - Nom de l'index
+ * @param {string} keyName - Attribut clé de l'index
+ * @param {string} keyValue - Valeur recherchée
+ * @returns {Promise<array>} Enregistrements
+ */
+async function queryAll(indexName, keyName, keyValue) {
+  const items = [];
+  let lastKey;
+
+  do {
+    const result = await dynamodb.send(
+      new QueryCommand({
+        TableName: REFRESH_TOKENS_TABLE,
+        IndexName: indexName,
+        KeyConditionExpression: `${keyName} = :value`,
+        ExpressionAttributeValues: {
+          ":value": keyValue,
+        },
+        ExclusiveStartKey: lastKey,
+      })
+    );
+    items.push(...result.Items);
+    lastKey = result.LastEvaluatedKey;
+  } while (lastKey);
+
+  return items;
+}
+
+/**
+ * Révoque tous les refresh tokens d'une famille
+ * @param {string} familyId - Famille à révoquer
+ * @returns {Promise<number>} Nombre de tokens révoqués
+ */
+async function revokeFamily(familyId) {
+  const items = await queryAll("FamilyIndex", "familyId", familyId);
+  return revokeItems(items);
+}
+
+/**
+ * Révoque tous les refresh tokens d'un utilisateur
+ * @param {string} userId - ID de l'utilisateur
+ * @returns {Promise<number>} Nombre de tokens révoqués
+ */
+async function revokeAllForUser(userId) {
+  const items = await queryAll("UserIndex", "userId", userId);
+  return revokeItems(items);
+}
+
+/**
+ * Révoque un access token jusqu'à son expiration
+ * @param {string} jti - Identifiant du token (claim jti)
+ * @param {string} userId - ID du propriétaire
+ * @param {number} exp - Expiration du token (timestamp en secondes)
+ */
+async function revokeAccessToken(jti, userId, exp) {
+  await dynamodb.send(
+    new PutCommand({
+      TableName: REVOKED_TOKENS_TABLE,
+      Item: {
+        jti: jti,
+        userId: userId,
+        revokedAt: new Date().toISOString(),
+        expiresAt: exp, // TTL DynamoDB: l'entrée disparaît quand le token expire
+      },
+    })
+  );
+}
+
+/**
+ * Vérifie si un access token a été révoqué
+ * @param {string} jti - Identifiant du token (claim jti)
+ * @returns {Promise<boolean>} True si révoqué
+ */
+async function isAccessTokenRevoked(jti) {
+  const result = await dynamodb.send(
+    new GetCommand({
+      TableName: REVOKED_TOKENS_TABLE,
+      Key: { jti: jti },
+    })
+  );
+  return Boolean(result.Item);
+}
+
+module.exports = {
+  hashRefreshToken,
+  issueTokenPair,
+  findRefreshToken,
+  markRotated,
+  revokeFamily,
+  revokeAllForUser,
+  revokeAccessToken,
+  isAccessTokenRevoked,
+};
@@ -1,5 +1,11 @@
 "use strict";
 
+const clock = require("./clock");
+const slugs = require("./slugs");
+const tags = require("./tags");
+const markdown = require("./markdown");
+const fileTypes = require("./fileTypes");
+
 /**
  * VALIDATION UTILITY
  * ==================
@@ -7,6 +13,27 @@
  * Prévention des injections et données malformées
  */
 
+// Statuts possibles d'un article
+const POST_STATUSES = ["draft", "published", "archived", "scheduled"];
+
+// Statuts de modération d'un commentaire
+const COMMENT_MODERATION_STATUSES = ["approved", "rejected", "pending"];
+
+// Nombre maximal de commentaires par modération groupée
+const MAX_BULK_MODERATION = 100;
+
+// Visibilité d'une liste de lecture
+const READING_LIST_VISIBILITIES = ["private", "public"];
+
+// Taille maximale par type de média (octets)
+const MEDIA_SIZE_LIMITS = {
+  "image/jpeg": 10 * 1024 * 1024, // 10 MB
+  "image/png": 10 * 1024 * 1024, // 10 MB
+  "image/gif": 20 * 1024 * 1024, // 20 MB
+  "image/webp": 10 * 1024 * 1024, // 10 MB
+  "video/mp4": 2 * 1024 * 1024 * 1024, // 2 GB
+};
+
 /**
  * Valide une adresse email
  * @param {string} email - Email à valider
@@ -101,6 +128,114 @@ function validateLogin(data) {
   };
 }
 
+/**
+ * Valide une demande de réinitialisation de mot de passe
+ * @param {object} data - Données de la demande
+ * @returns {object} {valid: boolean, errors: array}
+ */
+function validateForgotPassword(data) {
+  const errors = [];
+
+  if (!data.email || !isValidEmail(data.email)) {
+    errors.push("Valid email is required");
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors: errors,
+  };
+}
+
+/**
+ * Valide la réinitialisation d'un mot de passe
+ * @param {object} data - Token de reset et nouveau mot de passe
+ * @returns {object} {valid: boolean, errors: array}
+ */
+function validateResetPassword(data) {
+  const errors = [];
+
+  if (!data.token || typeof data.token !== "string") {
+    errors.push("Reset token is required");
+  }
+
+  const passwordValidation = validatePassword(data.password);
+  if (!passwordValidation.valid) {
+    errors.push(passwordValidation.message);
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors: errors,
+  };
+}
+
+/**
+ * Valide la date de publication d'un article programmé
+ * Critères: date ISO 8601 valide, dans le futur
+ * @param {string} publishAt - Date de publication
+ * @returns {object} {valid: boolean, message: string}
+ */
+function validatePublishAt(publishAt) {
+  if (!publishAt || typeof publishAt !== "string") {
+    return { valid: false, message: "publishAt is required for scheduled posts" };
+  }
+
+  const date = new Date(publishAt);
+  if (isNaN(date.getTime())) {
+    return { valid: false, message: "publishAt must be a valid ISO 8601 date" };
+  }
+
+  if (date <= clock.now()) {
+    return { valid: false, message: "publishAt must be in the future" };
+  }
+
+  return { valid: true, message: "publishAt is valid" };
+}
+
+/**
+ * Valide un slug d'article
+ * Critères: minuscules, chiffres et tirets simples, 80 caractères maximum
+ * @param {string} slug - Slug
+ * @returns {object} {valid: boolean, message: string}
+ */
+function validateSlug(slug) {
+  if (!slugs.isValidSlug(slug)) {
+    return {
+      valid: false,
+      message: `Slug must contain only lowercase letters, digits and single hyphens (max ${slugs.MAX_SLUG_LENGTH} characters)`,
+    };
+  }
+
+  return { valid: true, message: "Slug is valid" };
+}
+
+/**
+ * Valide les tags d'un article
+ * Critères: tableau de 10 tags maximum, chaque tag contient une lettre ou un chiffre (50 caractères max)
+ * @param {array} postTags - Tags
+ * @returns {object} {valid: boolean, message: string}
+ */
+function validateTags(postTags) {
+  if (!Array.isArray(postTags)) {
+    return { valid: false, message: "Tags must be an array" };
+  }
+
+  if (postTags.length > 10) {
+    return { valid: false, message: "Maximum 10 tags allowed" };
+  }
+
+  for (const tag of postTags) {
+    if (typeof tag !== "string" || !tags.tagSlug(tag)) {
+      return { valid: false, message: "Each tag must be a string containing at least one letter or digit" };
+    }
+    if (tags.cleanTagName(tag).length > tags.MAX_TAG_LENGTH) {
+      return { valid: false, message: `Tags must not exceed ${tags.MAX_TAG_LENGTH} characters` };
+    }
+  }
+
+  return { valid: true, message: "Tags are valid" };
+}
+
 /**
  * Valide les données d'un article de blog
  * @param {object} data - Données du post
@@ -119,20 +254,36 @@ function validatePost(data) {
 
   if (!data.content || typeof data.content !== "string" || data.content.trim().length < 10) {
     errors.push("Content must be at least 10 characters long");
+  } else if (data.content.length > markdown.MAX_SOURCE_LENGTH) {
+    errors.push(`Content must not exceed ${markdown.MAX_SOURCE_LENGTH} characters`);
   }
 
   // Validation du statut
-  const validStatuses = ["draft", "published", "archived"];
-  if (data.status && !validStatuses.includes(data.status)) {
-    errors.push(`Status must be one of: ${validStatuses.join(", ")}`);
+  if (data.status && !POST_STATUSES.includes(data.status)) {
+    errors.push(`Status must be one of: ${POST_STATUSES.join(", ")}`);
+  }
+
+  // Un article programmé doit avoir une date de publication future
+  if (data.status === "scheduled") {
+    const publishAtValidation = validatePublishAt(data.publishAt);
+    if (!publishAtValidation.valid) {
+      errors.push(publishAtValidation.message);
+    }
   }
 
   // Validation des tags (optionnel)
   if (data.tags) {
-    if (!Array.isArray(data.tags)) {
-      errors.push("Tags must be an array");
-    } else if (data.tags.length > 10) {
-      errors.push("Maximum 10 tags allowed");
+    const tagsValidation = validateTags(data.tags);
+    if (!tagsValidation.valid) {
+      errors.push(tagsValidation.message);
+    }
+  }
+
+  // Slug explicite (optionnel, généré à partir du titre sinon)
+  if (data.slug !== undefined) {
+    const slugValidation = validateSlug(data.slug);
+    if (!slugValidation.valid) {
+      errors.push(slugValidation.message);
     }
   }
 
@@ -158,6 +309,92 @@ function validateComment(data) {
     errors.push("Comment must not exceed 1000 characters");
   }
 
+  if (data.parentCommentId !== undefined && data.parentCommentId !== null && typeof data.parentCommentId !== "string") {
+    errors.push("parentCommentId must be a string");
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors: errors,
+  };
+}
+
+/**
+ * Valide les données d'une liste de lecture
+ * @param {object} data - {name, description, visibility}
+ * @param {boolean} isCreation - True si création (nom requis)
+ * @returns {object} {valid: boolean, errors: array}
+ */
+function validateReadingList(data, isCreation) {
+  const errors = [];
+
+  if (isCreation || data.name !== undefined) {
+    if (!data.name || typeof data.name !== "string" || data.name.trim().length < 1) {
+      errors.push("Name is required");
+    } else if (data.name.length > 100) {
+      errors.push("Name must not exceed 100 characters");
+    }
+  }
+
+  if (data.description !== undefined && (typeof data.description !== "string" || data.description.length > 500)) {
+    errors.push("Description must be a string of at most 500 characters");
+  }
+
+  if (data.visibility !== undefined && !READING_LIST_VISIBILITIES.includes(data.visibility)) {
+    errors.push(`Visibility must be one of: ${READING_LIST_VISIBILITIES.join(", ")}`);
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors: errors,
+  };
+}
+
+/**
+ * Valide une décision de modération
+ * @param {object} data - {status, reason}
+ * @param {array} allowedStatuses - Statuts acceptés
+ * @returns {object} {valid: boolean, errors: array}
+ */
+function validateModeration(data, allowedStatuses = COMMENT_MODERATION_STATUSES) {
+  const errors = [];
+
+  if (!data.status || !allowedStatuses.includes(data.status)) {
+    errors.push(`Status must be one of: ${allowedStatuses.join(", ")}`);
+  }
+
+  if (data.reason !== undefined && data.reason !== null) {
+    if (typeof data.reason !== "string" || data.reason.trim().length === 0) {
+      errors.push("Reason must be a non-empty string");
+    } else if (data.reason.length > 500) {
+      errors.push("Reason must not exceed 500 characters");
+    } else if (data.status !== "rejected") {
+      errors.push("A reason can only be given when rejecting a comment");
+    }
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors: errors,
+  };
+}
+
+/**
+ * Valide une modération groupée
+ * @param {object} data - {commentIds, status, reason}
+ * @returns {object} {valid: boolean, errors: array}
+ */
+function validateBulkModeration(data) {
+  const { errors } = validateModeration(data, ["approved", "rejected"]);
+
+  if (!Array.isArray(data.commentIds) || data.commentIds.length === 0) {
+    errors.push("commentIds must be a non-empty array");
+  } else if (data.commentIds.length > MAX_BULK_MODERATION) {
+    errors.push(`At most ${MAX_BULK_MODERATION} comments can be moderated at once`);
+  } else if (data.commentIds.some((commentId) => typeof commentId !== "string" || commentId.length === 0)) {
+    errors.push("commentIds must contain only comment IDs");
+  }
+
   return {
     valid: errors.length === 0,
     errors: errors,
@@ -203,8 +440,8 @@ function validateProfileUpdate(data) {
  */
 function validateMedia(file) {
   const errors = [];
-  const maxSize = 10 * 1024 * 1024; // 10 MB
-  const allowedTypes = ["image/jpeg", "image/png", "image/gif", "image/webp", "video/mp4"];
+  const allowedTypes = Object.keys(MEDIA_SIZE_LIMITS);
+  const maxSize = MEDIA_SIZE_LIMITS[file.contentType];
 
   if (!file.contentType) {
     errors.push("Content type is required");
@@ -214,12 +451,37 @@ function validateMedia(file) {
 
   if (!file.size || file.size <= 0) {
     errors.push("File size is required");
-  } else if (file.size > maxSize) {
-    errors.push(`File size exceeds maximum allowed size of ${maxSize / (1024 * 1024)}MB`);
+  } else if (maxSize && file.size > maxSize) {
+    errors.push(`File size exceeds maximum allowed size of ${maxSize / (1024 * 1024)}MB for ${file.contentType}`);
   }
 
   if (!file.filename || typeof file.filename !== "string") {
     errors.push("Filename is required");
+  } else {
+    // Extension présente, sans danger et cohérente avec le type déclaré
+    errors.push(...fileTypes.checkFilename(file.filename, file.contentType));
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors: errors,
+  };
+}
+
+/**
+ * Valide une surcharge de quota de stockage (administration)
+ * Chaque limite est un entier positif ou nul, null (illimité) ou absente (quota du rôle)
+ * @param {object} data - {maxBytes, maxFiles}
+ * @returns {object} {valid: boolean, errors: array}
+ */
+function validateStorageQuota(data) {
+  const errors = [];
+
+  for (const field of ["maxBytes", "maxFiles"]) {
+    const value = data[field];
+    if (value !== undefined && value !== null && !(Number.isInteger(value) && value >= 0)) {
+      errors.push(`${field} must be a non-negative integer or null (unlimited)`);
+    }
   }
 
   return {
@@ -256,14 +518,28 @@ function createValidationError(errors) {
 }
 
 module.exports = {
+  POST_STATUSES,
+  COMMENT_MODERATION_STATUSES,
+  MAX_BULK_MODERATION,
+  READING_LIST_VISIBILITIES,
+  MEDIA_SIZE_LIMITS,
   isValidEmail,
   validatePassword,
   validateRegistration,
   validateLogin,
+  validateForgotPassword,
+  validateResetPassword,
+  validatePublishAt,
+  validateSlug,
+  validateTags,
   validatePost,
   validateComment,
+  validateModeration,
+  validateBulkModeration,
+  validateReadingList,
   validateProfileUpdate,
   validateMedia,
+  validateStorageQuota,
   sanitizeString,
   createValidationError,
 };